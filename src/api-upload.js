@@ -0,0 +1,593 @@
+#!/usr/bin/env bun
+
+/**
+ * Uploads through the GitHub REST API
+ *
+ * The `api` transport creates gists directly and writes repository uploads as
+ * blobs, a tree and a commit on the default branch, so no `gh` CLI, `git`
+ * binary or local clone is needed.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  createDefaultLogger,
+  createENOSPCError,
+  generateCollisionRepoName,
+  generateRepoName,
+  isENOSPC,
+  readGistText,
+} from './common.js';
+import { UsageError } from './errors.js';
+import { createGitHubClient, isGitHubApiNameConflict } from './github-api.js';
+import { resolveGitHubHost } from './github-host.js';
+import { MANIFEST_FILE_NAME } from './manifest.js';
+import { REPOSITORY_LAYOUT_FILE_NAME } from './path-template.js';
+import { isRejectedRefUpdate, pushWithRetry } from './push-retry.js';
+import { resolveRetryPolicy } from './retry.js';
+import {
+  assertSharedRepositoryUsable,
+  buildSharedRepositoryPath,
+  buildSharedRepositoryResult,
+  getUploadEntries,
+  isUploadedLogEntry,
+  ON_CONFLICT_MODES,
+  resolveRepositoryPathTemplate,
+  resolveSharedRepositoryTarget,
+  resolveUploadConflict,
+  serializeRepositoryLayout,
+  stageRepositoryFiles,
+  withLineRange,
+} from './repository-staging.js';
+
+function toFolderContents(contents) {
+  if (!Array.isArray(contents)) {
+    return contents ? [] : null;
+  }
+  return contents.map((entry) => ({
+    name: entry.name,
+    download_url: entry.download_url,
+  }));
+}
+
+async function readFolderContents(client, owner, repositoryName, folder) {
+  return toFolderContents(
+    await client.getContents(owner, repositoryName, folder)
+  );
+}
+
+async function readRepositoryJsonFile(client, owner, repositoryName, filePath) {
+  const file = await client.getContents(owner, repositoryName, filePath);
+  if (!file?.content) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(file.content, 'base64').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function readUploadedManifest(client, owner, repositoryName, folder) {
+  return readRepositoryJsonFile(
+    client,
+    owner,
+    repositoryName,
+    `${folder}/${MANIFEST_FILE_NAME}`
+  );
+}
+
+/**
+ * Pick the path template for a shared repository, recording the default
+ * layout in repositories that were just created
+ */
+async function prepareRepositoryLayout(
+  client,
+  owner,
+  repositoryName,
+  sharedRepository,
+  pathTemplate,
+  log
+) {
+  if (!sharedRepository.created) {
+    const layout = pathTemplate
+      ? null
+      : await readRepositoryJsonFile(
+          client,
+          owner,
+          repositoryName,
+          REPOSITORY_LAYOUT_FILE_NAME
+        );
+    return resolveRepositoryPathTemplate({ pathTemplate, layout });
+  }
+
+  const template = resolveRepositoryPathTemplate({
+    pathTemplate,
+    created: true,
+  });
+  log.debug(
+    () => `→ Recording storage layout ${template} in ${repositoryName}`
+  );
+  await client.putContents(owner, repositoryName, REPOSITORY_LAYOUT_FILE_NAME, {
+    message: 'Record gh-upload-log storage layout',
+    content: serializeRepositoryLayout(template),
+  });
+  return template;
+}
+
+/**
+ * Resolve the head commit of a branch, creating a first commit in empty repositories
+ */
+async function getBranchHead(client, owner, repositoryName, branch, log) {
+  let ref;
+  try {
+    ref = await client.getBranchRef(owner, repositoryName, branch);
+  } catch (error) {
+    // GitHub answers 409 "Git Repository is empty" for repositories without commits
+    if (error.status !== 409) {
+      throw error;
+    }
+  }
+
+  if (!ref) {
+    log.debug(() => `→ Initializing empty repository ${repositoryName}...`);
+    await client.putContents(owner, repositoryName, 'README.md', {
+      message: 'Initialize log repository',
+      content: `# ${repositoryName}\n\nLogs uploaded with gh-upload-log.\n`,
+    });
+    ref = await client.getBranchRef(owner, repositoryName, branch);
+  }
+
+  const commitSha = ref.object.sha;
+  const commit = await client.getCommit(owner, repositoryName, commitSha);
+  return { commitSha, treeSha: commit.tree.sha };
+}
+
+/**
+ * Commit the files of a staged folder to a branch
+ *
+ * Blobs are uploaded once. When another upload moves the branch before it is
+ * updated, the tree and commit are rebuilt on the new head and the update is
+ * retried.
+ *
+ * @param {Object} client - GitHub REST client
+ * @param {Object} params - Commit details
+ * @param {string} params.stagedDir - Local folder holding the staged files
+ * @param {string} params.repositoryPath - Folder inside the repository ('' for the root)
+ * @param {boolean} params.replace - Delete files under repositoryPath that are not staged
+ * @param {boolean} params.keepExisting - Build on the existing tree instead of replacing it
+ * @param {Object} params.retryPolicy - Result of resolveRetryPolicy() for the branch update
+ * @returns {Promise<string>} SHA of the new commit
+ */
+async function commitStagedFolder(client, params) {
+  const {
+    owner,
+    repositoryName,
+    branch,
+    stagedDir,
+    repositoryPath,
+    replace = false,
+    keepExisting = true,
+    message,
+    retryPolicy,
+    log,
+  } = params;
+  const toRepositoryPath = (name) =>
+    repositoryPath ? `${repositoryPath}/${name}` : name;
+
+  const stagedTree = [];
+  for (const name of fs.readdirSync(stagedDir).sort()) {
+    log.debug(() => `→ Uploading blob ${name}...`);
+    const blob = await client.createBlobFromFile(
+      owner,
+      repositoryName,
+      path.join(stagedDir, name)
+    );
+    stagedTree.push({
+      path: toRepositoryPath(name),
+      mode: '100644',
+      type: 'blob',
+      sha: blob.sha,
+    });
+  }
+
+  const commitOnHead = async () => {
+    const head = await getBranchHead(
+      client,
+      owner,
+      repositoryName,
+      branch,
+      log
+    );
+    const tree = [...stagedTree];
+
+    if (replace && keepExisting) {
+      const staged = new Set(tree.map((item) => item.path));
+      const existing = await client.listTreeBlobs(
+        owner,
+        repositoryName,
+        head.treeSha
+      );
+      for (const item of existing) {
+        if (
+          item.path.startsWith(`${repositoryPath}/`) &&
+          !staged.has(item.path)
+        ) {
+          tree.push({
+            path: item.path,
+            mode: item.mode,
+            type: 'blob',
+            sha: null,
+          });
+        }
+      }
+    }
+
+    log.debug(() => '→ Creating tree and commit...');
+    const newTree = await client.createTree(owner, repositoryName, {
+      baseTree: keepExisting ? head.treeSha : undefined,
+      tree,
+    });
+    const commit = await client.createCommit(owner, repositoryName, {
+      message,
+      tree: newTree.sha,
+      parents: [head.commitSha],
+    });
+
+    log.debug(() => `→ Updating ${branch} to ${commit.sha}...`);
+    await client.updateBranchRef(
+      owner,
+      repositoryName,
+      branch,
+      commit.sha,
+      false,
+      0
+    );
+    return commit.sha;
+  };
+
+  return pushWithRetry({
+    ...retryPolicy,
+    target: `${repositoryName}/${branch}`,
+    log,
+    isRace: isRejectedRefUpdate,
+    push: commitOnHead,
+    // The next attempt reads the new head itself
+    rebase: async () => {},
+  });
+}
+
+async function ensureSharedRepositoryExists(
+  client,
+  githubUser,
+  owner,
+  repositoryName,
+  isPublic,
+  log
+) {
+  const fullName = `${owner}/${repositoryName}`;
+  let repository = await client.getRepository(owner, repositoryName);
+  let created = false;
+
+  if (!repository) {
+    log.debug(
+      () =>
+        `→ Creating shared ${isPublic ? 'public' : 'private'} GitHub repo: ${fullName}`
+    );
+    try {
+      repository = await client.createRepository({
+        name: repositoryName,
+        isPublic,
+        organization: owner === githubUser ? undefined : owner,
+      });
+      created = true;
+    } catch (error) {
+      if (!isGitHubApiNameConflict(error)) {
+        throw error;
+      }
+      repository = await client.getRepository(owner, repositoryName);
+      if (!repository) {
+        throw error;
+      }
+    }
+  }
+
+  assertSharedRepositoryUsable(
+    {
+      visibility: repository.visibility,
+      canPush: repository.permissions?.push,
+    },
+    fullName,
+    isPublic
+  );
+
+  return { defaultBranch: repository.default_branch || 'main', created };
+}
+
+function createStagingDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `gh-upload-log-${prefix}-`));
+}
+
+function rethrowUploadError(error, log, label) {
+  log.error(() => `Error uploading as ${label}: ${error.message}`);
+  if (isENOSPC(error)) {
+    throw createENOSPCError(
+      'repository upload (requires temp disk space)',
+      error
+    );
+  }
+  throw error;
+}
+
+async function uploadAsSharedRepoViaApi(options) {
+  const {
+    filePath,
+    isPublic = false,
+    manifest = true,
+    onConflict = 'version',
+    pathPrefix,
+    pathTemplate,
+    revision,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  if (!ON_CONFLICT_MODES.includes(onConflict)) {
+    throw new UsageError(
+      `Unknown onConflict mode "${onConflict}". Use ${ON_CONFLICT_MODES.join(', ')}`
+    );
+  }
+
+  const log = createDefaultLogger({ verbose, logger });
+  const client = createGitHubClient(options);
+  const host = resolveGitHubHost(options);
+  let replaceExisting = false;
+  const stagingDir = createStagingDir('api');
+
+  try {
+    const { login: githubUser } = await client.getAuthenticatedUser();
+    log.debug(() => `GitHub user: ${githubUser}`);
+    const { owner, repositoryName } = resolveSharedRepositoryTarget(
+      options,
+      githubUser
+    );
+
+    const sharedRepository = await ensureSharedRepositoryExists(
+      client,
+      githubUser,
+      owner,
+      repositoryName,
+      isPublic,
+      log
+    );
+    const { defaultBranch } = sharedRepository;
+    const readFolder = (folder) =>
+      readFolderContents(client, owner, repositoryName, folder);
+    const entries = getUploadEntries(options);
+    let repositoryPath = revision
+      ? revision.repositoryPath
+      : await buildSharedRepositoryPath({
+          filePath,
+          entries,
+          pathPrefix,
+          pathTemplate: await prepareRepositoryLayout(
+            client,
+            owner,
+            repositoryName,
+            sharedRepository,
+            pathTemplate,
+            log
+          ),
+        });
+    const existingContents = revision ? null : await readFolder(repositoryPath);
+
+    if (revision) {
+      replaceExisting = revision.replace;
+    } else if (existingContents !== null) {
+      const resolution = await resolveUploadConflict({
+        repositoryName,
+        repositoryPath,
+        existingContents,
+        entries,
+        onConflict,
+        readFolder,
+        readManifest: (folder) =>
+          readUploadedManifest(client, owner, repositoryName, folder),
+        log,
+      });
+
+      if (resolution.action === 'reuse') {
+        log.debug(
+          () =>
+            `Log ${resolution.repositoryPath} already exists in ${repositoryName}; skipping duplicate upload`
+        );
+
+        return buildSharedRepositoryResult({
+          owner,
+          repositoryName,
+          defaultBranch,
+          repositoryPath: resolution.repositoryPath,
+          contents: resolution.contents,
+          isPublic,
+          workDir: null,
+          deduplicated: true,
+          host,
+        });
+      }
+
+      repositoryPath = resolution.repositoryPath;
+      replaceExisting = resolution.replace;
+    }
+
+    const stagedFiles = await stageRepositoryFiles(
+      entries,
+      stagingDir,
+      log,
+      manifest
+    );
+    const commitSha = await commitStagedFolder(client, {
+      owner,
+      repositoryName,
+      branch: defaultBranch,
+      stagedDir: stagingDir,
+      repositoryPath,
+      replace: replaceExisting,
+      message: revision?.message || `Add log file ${repositoryPath}`,
+      retryPolicy: resolveRetryPolicy(options),
+      log,
+    });
+
+    const uploadedContents = (await readFolder(repositoryPath)) || [];
+
+    return buildSharedRepositoryResult({
+      owner,
+      repositoryName,
+      defaultBranch,
+      repositoryPath,
+      contents: uploadedContents,
+      isPublic,
+      workDir: null,
+      deduplicated: false,
+      commitSha,
+      host,
+      stagedFiles,
+    });
+  } catch (error) {
+    return rethrowUploadError(error, log, 'shared repository');
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+}
+
+async function uploadAsDedicatedRepoViaApi(options) {
+  const {
+    filePath,
+    isPublic = false,
+    manifest = true,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  const log = createDefaultLogger({ verbose, logger });
+  const client = createGitHubClient(options);
+  const baseRepositoryName = generateRepoName(filePath);
+  const stagingDir = createStagingDir('api');
+  const visibility = isPublic ? 'public' : 'private';
+
+  try {
+    const stagedFiles = await stageRepositoryFiles(
+      getUploadEntries(options),
+      stagingDir,
+      log,
+      manifest
+    );
+
+    let repositoryName = baseRepositoryName;
+    let repository;
+    log.debug(() => `→ Creating ${visibility} GitHub repo: ${repositoryName}`);
+    try {
+      repository = await client.createRepository({
+        name: repositoryName,
+        isPublic,
+      });
+    } catch (error) {
+      if (!isGitHubApiNameConflict(error)) {
+        throw error;
+      }
+      repositoryName = generateCollisionRepoName(repositoryName);
+      log.warn(
+        () =>
+          `Repository ${baseRepositoryName} already exists; retrying with ${repositoryName}`
+      );
+      repository = await client.createRepository({
+        name: repositoryName,
+        isPublic,
+      });
+    }
+
+    const githubUser = repository.owner.login;
+    await commitStagedFolder(client, {
+      owner: githubUser,
+      repositoryName,
+      branch: repository.default_branch || 'main',
+      stagedDir: stagingDir,
+      repositoryPath: '',
+      keepExisting: false,
+      message: 'Add log file',
+      retryPolicy: resolveRetryPolicy(options),
+      log,
+    });
+
+    const contents = (
+      (await readFolderContents(client, githubUser, repositoryName, '')) || []
+    ).filter((entry) => stagedFiles.some(({ name }) => name === entry.name));
+    const files = contents
+      .filter(isUploadedLogEntry)
+      .map((entry) =>
+        withLineRange(
+          { name: entry.name, rawUrl: entry.download_url || null },
+          stagedFiles
+        )
+      );
+
+    log.debug(() => `Repository created successfully: ${repository.html_url}`);
+
+    return {
+      type: 'repo',
+      url: repository.html_url,
+      rawUrl: files.length === 1 ? files[0].rawUrl : null,
+      repositoryName,
+      fileCount: stagedFiles.length,
+      files,
+      isPublic,
+      workDir: null,
+      deduplicated: false,
+    };
+  } catch (error) {
+    return rethrowUploadError(error, log, 'repository');
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Upload a file as a GitHub repository through the REST API
+ *
+ * @param {Object} options - Upload options (see uploadAsRepo)
+ * @param {boolean} shared - Upload into the shared log repository
+ * @returns {Promise<Object>} Repository information including URL
+ */
+export function uploadAsRepoViaApi(options, shared) {
+  return shared
+    ? uploadAsSharedRepoViaApi(options)
+    : uploadAsDedicatedRepoViaApi(options);
+}
+
+/**
+ * Create a gist from staged files through the REST API
+ *
+ * @param {Object} options - Upload options with optional token, fetch and apiUrl
+ * @param {string[]} stagedFilePaths - Files to store in the gist
+ * @param {Object} gist - `{ isPublic, description }`
+ * @returns {Promise<Object>} `{ url, files }` where files list `{ filename, raw_url }`
+ */
+export async function createGistViaApi(options, stagedFilePaths, gist) {
+  const client = createGitHubClient(options);
+  const files = {};
+  for (const stagedFilePath of stagedFilePaths) {
+    const fileName = path.basename(stagedFilePath);
+    files[fileName] = { content: readGistText(stagedFilePath, fileName) };
+  }
+
+  const created = await client.createGist({ ...gist, files });
+
+  return {
+    url: created.html_url,
+    files: Object.values(created.files || {}).map((file) => ({
+      filename: file.filename,
+      raw_url: file.raw_url,
+    })),
+  };
+}
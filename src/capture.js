@@ -0,0 +1,206 @@
+#!/usr/bin/env bun
+
+/**
+ * Capture log content that does not live in a file yet
+ *
+ * Spools stdin or the combined output of a command into a temporary file so
+ * it can be uploaded like any other log.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { pipeline } from 'node:stream/promises';
+import { UsageError } from './errors.js';
+
+export const DEFAULT_STDIN_LOG_NAME = 'stdin.log';
+
+/**
+ * Check whether stdin is a pipe or a redirected file
+ *
+ * Interactive terminals and sockets (e.g. stdin inherited from a parent
+ * process that never writes to it) are not treated as piped input.
+ *
+ * @returns {boolean} True when log content can be read from stdin
+ */
+export function isStdinPiped() {
+  try {
+    const stat = fs.fstatSync(0);
+    return stat.isFIFO() || stat.isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create a temporary directory for spooled log content
+ *
+ * @param {string} kind - Short label used in the directory name
+ * @returns {string} Path to the new directory
+ */
+export function createSpoolDirectory(kind) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `gh-upload-log-${kind}-`));
+}
+
+/**
+ * Write a readable stream into a file
+ *
+ * @param {import('node:stream').Readable} stream - Source stream (e.g. process.stdin)
+ * @param {string} outputPath - File to create
+ * @returns {Promise<number>} Number of bytes written
+ */
+export async function spoolStream(stream, outputPath) {
+  await pipeline(stream, fs.createWriteStream(outputPath));
+  return fs.statSync(outputPath).size;
+}
+
+/**
+ * Default log name for the output of a command
+ *
+ * @param {string[]} command - Command and its arguments
+ * @returns {string} Log name such as `make.log`
+ */
+export function generateCommandLogName(command) {
+  return `${path.basename(command[0])}.log`;
+}
+
+/**
+ * Format a duration in human-readable form
+ *
+ * @param {number} durationMs - Duration in milliseconds
+ * @returns {string} Duration such as "850ms", "12.3s" or "2m 5s"
+ */
+export function formatDuration(durationMs) {
+  if (durationMs < 1000) {
+    return `${durationMs}ms`;
+  }
+
+  const seconds = durationMs / 1000;
+  if (seconds < 60) {
+    return `${seconds.toFixed(1)}s`;
+  }
+
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}m ${Math.round(seconds - minutes * 60)}s`;
+}
+
+/**
+ * Run a command, tee its combined stdout/stderr and write it to a file
+ *
+ * The command is spawned directly (no shell); use `sh -c '...'` for pipelines.
+ *
+ * @param {Object} options - Run options
+ * @param {string[]} options.command - Command and its arguments
+ * @param {string} options.outputPath - File that receives the combined output
+ * @param {boolean} [options.tee=true] - Mirror the output to this process's stdout/stderr
+ * @returns {Promise<Object>} Run summary with command, exitCode, signal and durationMs
+ */
+export function runCommand(options = {}) {
+  const { command, outputPath, tee = true } = options;
+
+  if (!Array.isArray(command) || command.length === 0) {
+    return Promise.reject(new UsageError('command is required in options'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(outputPath);
+    const startedAt = Date.now();
+    const child = spawn(command[0], command.slice(1).map(String), {
+      stdio: ['inherit', 'pipe', 'pipe'],
+    });
+
+    child.stdout.on('data', (data) => {
+      output.write(data);
+      if (tee) {
+        process.stdout.write(data);
+      }
+    });
+    child.stderr.on('data', (data) => {
+      output.write(data);
+      if (tee) {
+        process.stderr.write(data);
+      }
+    });
+
+    child.on('error', (error) => {
+      output.end();
+      reject(
+        new UsageError(`Failed to run ${command[0]}: ${error.message}`, {
+          cause: error,
+        })
+      );
+    });
+
+    child.on('close', (exitCode, signal) => {
+      const durationMs = Date.now() - startedAt;
+      output.end(() =>
+        resolve({
+          command,
+          exitCode: exitCode === null ? 1 : exitCode,
+          signal,
+          durationMs,
+        })
+      );
+    });
+  });
+}
+
+/**
+ * Build an upload description that records how a command finished
+ *
+ * @param {Object} run - Summary returned by runCommand()
+ * @param {string} [description] - User-supplied description
+ * @returns {string} Description including exit status and duration
+ */
+export function buildRunDescription(run, description) {
+  const subject = description || `Output of \`${run.command.join(' ')}\``;
+  const status = run.signal
+    ? `killed by ${run.signal}`
+    : `exit code ${run.exitCode}`;
+  return `${subject} (${status}, ${formatDuration(run.durationMs)})`;
+}
+
+/**
+ * Run a command and upload its combined output
+ *
+ * The output is spooled to a temporary file that is removed once the upload
+ * finishes, so a command's log is never read while it is still being written.
+ *
+ * @param {Object} options - Upload options plus `command`, `name`, `tee` and `onRun`
+ * @param {Function} upload - Function uploading one file (uploadLog)
+ * @returns {Promise<Object>} Upload result with a `run` summary
+ */
+export async function uploadRunOutput(options, upload) {
+  const {
+    command,
+    name,
+    tee = true,
+    description,
+    onRun,
+    ...uploadOptions
+  } = options;
+
+  if (!Array.isArray(command) || command.length === 0) {
+    throw new UsageError('command is required in options');
+  }
+
+  const spoolDir = createSpoolDirectory('run');
+  const fileName = name || generateCommandLogName(command);
+
+  try {
+    const contentPath = path.join(spoolDir, path.basename(fileName));
+    const run = await runCommand({ command, outputPath: contentPath, tee });
+    await onRun?.(run, contentPath);
+    const result = await upload({
+      ...uploadOptions,
+      filePath: fileName,
+      contentPath,
+      stableContent: true,
+      description: buildRunDescription(run, description),
+    });
+    return { ...result, run };
+  } finally {
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+  }
+}
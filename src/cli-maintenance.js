@@ -0,0 +1,230 @@
+#!/usr/bin/env bun
+
+/**
+ * Maintenance subcommands of the CLI
+ *
+ * Handlers for the commands that work on existing uploads rather than
+ * uploading new ones (or finish one that was interrupted). Each takes the parsed CLI configuration and prints its
+ * outcome.
+ */
+
+import readline from 'node:readline/promises';
+import { formatFileSize, parseDuration } from './common.js';
+import { UsageError } from './errors.js';
+import {
+  compactRepository,
+  deleteUpload,
+  listUploads,
+  pruneUploads,
+  resumeUpload,
+} from './index.js';
+
+/**
+ * Ask a yes/no question on the terminal
+ *
+ * @param {string} question - Question to print
+ * @returns {Promise<boolean>} True when the answer is y or yes
+ */
+async function askForConfirmation(question) {
+  if (!process.stdin.isTTY) {
+    throw new UsageError(
+      'Refusing to delete without confirmation in a non-interactive shell; pass --yes'
+    );
+  }
+
+  const prompt = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  try {
+    const answer = await prompt.question(`${question} [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    prompt.close();
+  }
+}
+
+/**
+ * Read the retry policy of GitHub calls from the parsed CLI configuration
+ *
+ * @param {Object} config - Parsed CLI configuration
+ * @returns {{ retries: number, maxRetryDelay: number }} Options for the library
+ */
+export function getRetryOptions(config) {
+  return {
+    retries: config.retries,
+    maxRetryDelay: parseDuration(config.maxRetryDelay),
+  };
+}
+
+function describeDeletion(upload) {
+  if (upload.type === 'gist') {
+    return `gist ${upload.url || upload.gistId}`;
+  }
+  if (upload.type === 'folder') {
+    return `${upload.files.length} file(s) in ${upload.owner}/${upload.repositoryName}/${upload.repositoryPath}`;
+  }
+  return `repository ${upload.owner}/${upload.repositoryName}`;
+}
+
+/**
+ * Prune expired uploads and print what was (or would be) removed
+ *
+ * @param {Object} config - Parsed CLI configuration
+ */
+export async function pruneExpiredUploads(config) {
+  const result = await pruneUploads({
+    olderThan: config.olderThan || undefined,
+    keepLast: config.keepLast,
+    gists: config.gists,
+    isPublic: config.public === true,
+    repository: config.repository || undefined,
+    transport: config.transport,
+    host: config.hostname || undefined,
+    ...getRetryOptions(config),
+    dryMode: config.dryMode,
+    verbose: config.verbose,
+  });
+  const action = result.dryMode ? 'Would remove' : 'Removed';
+  const { repository, gists } = result;
+
+  for (const upload of repository.removed) {
+    console.log(`🗑️  ${upload.path} (${upload.createdAt})`);
+  }
+  console.log(
+    `${result.dryMode ? '🔍' : '✅'} ${action} ${repository.removed.length} upload(s) from ${repository.owner}/${repository.repositoryName}, kept ${repository.kept}`
+  );
+
+  if (gists) {
+    for (const gist of gists.removed) {
+      console.log(`🗑️  ${gist.url} ${gist.description} (${gist.createdAt})`);
+    }
+    console.log(
+      `${result.dryMode ? '🔍' : '✅'} ${action} ${gists.removed.length} gist(s), kept ${gists.kept}`
+    );
+  }
+}
+
+/**
+ * Compact the shared repository and print the outcome
+ *
+ * @param {Object} config - Parsed CLI configuration
+ */
+export async function compactSharedRepository(config) {
+  const result = await compactRepository({
+    mode: config.squash ? 'squash' : 'archive',
+    isPublic: config.public === true,
+    repository: config.repository || undefined,
+    transport: config.transport,
+    host: config.hostname || undefined,
+    ...getRetryOptions(config),
+    dryMode: config.dryMode,
+    verbose: config.verbose,
+  });
+  const prefix = result.dryMode ? '🔍 Would' : '✅';
+  const name = `${result.owner}/${result.repositoryName}`;
+
+  if (result.mode === 'squash') {
+    console.log(
+      `${prefix} ${result.dryMode ? 'replace' : 'Replaced'} the history of ${name} with a single commit`
+    );
+    return;
+  }
+
+  console.log(
+    `${prefix} ${result.dryMode ? 'archive' : 'Archived'} ${name} as ${result.archive.repository}`
+  );
+  console.log(`🔗 ${result.archive.url}`);
+}
+
+/**
+ * Delete one upload after asking for confirmation (skipped with --yes)
+ *
+ * @param {Object} config - Parsed CLI configuration
+ */
+export async function deleteSingleUpload(config) {
+  const result = await deleteUpload(config.target, {
+    purgeHistory: config.purgeHistory,
+    confirm: config.yes
+      ? undefined
+      : (upload) =>
+          askForConfirmation(
+            `🗑️  Delete ${describeDeletion(upload)}${config.purgeHistory && upload.type === 'folder' ? ' and rewrite its history' : ''}?`
+          ),
+    repository: config.repository || undefined,
+    transport: config.transport,
+    host: config.hostname || undefined,
+    ...getRetryOptions(config),
+    dryMode: config.dryMode,
+    verbose: config.verbose,
+  });
+
+  if (result.dryMode) {
+    console.log(`🔍 Would delete ${describeDeletion(result)}`);
+    return;
+  }
+  if (!result.deleted) {
+    console.log('Cancelled');
+    return;
+  }
+
+  console.log(`✅ Deleted ${describeDeletion(result)}`);
+  if (result.historyPurged) {
+    console.log(
+      `🧹 History of ${result.owner}/${result.repositoryName} replaced with a single commit`
+    );
+  }
+}
+
+/**
+ * Print the uploads created by the tool, as text or as JSON with --json
+ *
+ * @param {Object} config - Parsed CLI configuration
+ */
+export async function printUploadList(config) {
+  const entries = await listUploads({
+    since: config.since || undefined,
+    type: config.type || undefined,
+    grep: config.grep || undefined,
+    repository: config.repository || undefined,
+    transport: config.transport,
+    host: config.hostname || undefined,
+    ...getRetryOptions(config),
+    verbose: config.verbose,
+  });
+
+  if (config.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+
+  for (const entry of entries) {
+    const emoji = entry.type === 'gist' ? '📝' : '📦';
+    const visibility = entry.isPublic ? '🌐 public' : '🔒 private';
+    const date = entry.createdAt ? entry.createdAt.slice(0, 10) : 'unknown';
+    const label = entry.type === 'gist' ? entry.name : entry.path;
+    console.log(
+      `${emoji} ${date} ${label} ${formatFileSize(entry.size)} (${visibility})`
+    );
+    console.log(`   🔗 ${entry.url}`);
+  }
+  console.log(`📋 ${entries.length} upload(s)`);
+}
+
+/**
+ * Continue an interrupted resumable upload and print its outcome
+ *
+ * @param {Object} config - Parsed CLI configuration
+ */
+export async function resumeInterruptedUpload(config) {
+  const result = await resumeUpload(config.id, {
+    maxPushSize: config.maxPushSize || undefined,
+    ...getRetryOptions(config),
+    verbose: config.verbose,
+  });
+
+  console.log(
+    `✅ Resumed ${result.resumeId}: pushed ${result.pushedFiles.length} file(s), ${result.skippedFiles.length} already on GitHub`
+  );
+  console.log(`🔗 ${result.url}`);
+}
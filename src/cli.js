@@ -6,13 +6,42 @@
  * Command-line interface for uploading log files to GitHub
  */
 
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 import { makeConfig } from 'lino-arguments';
 import {
+  buildRunDescription,
+  createSpoolDirectory,
+  DEFAULT_STDIN_LOG_NAME,
+  generateCommandLogName,
+  isStdinPiped,
+  spoolStream,
+} from './capture.js';
+import {
+  compactSharedRepository,
+  deleteSingleUpload,
+  getRetryOptions,
+  printUploadList,
+  pruneExpiredUploads,
+  resumeInterruptedUpload,
+} from './cli-maintenance.js';
+import { listDirectoryFiles } from './common.js';
+import {
+  downloadLog,
+  followLog,
+  uploadCommandOutput,
   uploadLog,
+  uploadLogs,
   getFileSize,
   formatFileSize,
   fileExists,
   isENOSPC,
+  createRedactionRules,
+  redactLogFile,
+  ERROR_CLASSES,
+  getExitCode,
+  UsageError,
 } from './index.js';
 
 // Parse command-line arguments with environment variable and .lenv support
@@ -20,12 +49,149 @@ const config = makeConfig({
   yargs: ({ yargs, getenv }) =>
     yargs
       .usage('Usage: $0 <log-file> [options]')
-      .command('$0 [logFile]', 'Upload a log file to GitHub', (yargs) => {
-        yargs.positional('logFile', {
-          describe: 'Path to the log file to upload',
+      .parserConfiguration({ 'populate--': true })
+      .command('$0 [logFiles..]', 'Upload log files to GitHub', (yargs) => {
+        yargs.positional('logFiles', {
+          describe:
+            'Log file(s) or a directory to upload together ("-" reads stdin)',
           type: 'string',
         });
       })
+      .command(
+        'run',
+        'Run a command (given after --) and upload its combined output'
+      )
+      .command(
+        'get <url>',
+        'Download an upload, join its chunks and restore the original log',
+        (yargs) => {
+          yargs.positional('url', {
+            describe: 'Gist, repository or shared-repository folder URL',
+            type: 'string',
+          });
+        }
+      )
+      .command(
+        'prune',
+        'Delete shared-repository uploads (and with --gists, gists) past a retention period'
+      )
+      .command(
+        'compact',
+        'Rotate the shared repository into an archive (or squash its history with --squash)'
+      )
+      .command(
+        'list',
+        'List gists and shared-repository folders created by gh-upload-log'
+      )
+      .command(
+        'delete <target>',
+        'Delete a gist, a dedicated repository or a shared-repository folder',
+        (yargs) => {
+          yargs.positional('target', {
+            describe: 'Upload URL, or a name as shown by list',
+            type: 'string',
+          });
+        }
+      )
+      .command(
+        'resume <id>',
+        'Continue an interrupted resumable upload from its last confirmed push',
+        (yargs) => {
+          yargs.positional('id', {
+            describe: 'Upload id printed by the failed upload',
+            type: 'string',
+          });
+        }
+      )
+      .command(
+        'follow <file>',
+        'Follow a growing log like tail -F and push new content to one upload',
+        (yargs) => {
+          yargs.positional('file', {
+            describe: 'Log file to follow',
+            type: 'string',
+          });
+        }
+      )
+      .option('interval', {
+        type: 'string',
+        description:
+          'Time between pushes, e.g. 30s (s, m, h, d or w; follow only)',
+        default: getenv('GH_UPLOAD_LOG_FOLLOW_INTERVAL', '30s'),
+      })
+      .option('flush-bytes', {
+        type: 'number',
+        description:
+          'Push before the interval is over once this many new bytes were read (follow only)',
+      })
+      .option('output', {
+        alias: 'o',
+        type: 'string',
+        description:
+          'File or directory to write downloaded logs to (get only, default: current directory)',
+      })
+      .option('older-than', {
+        type: 'string',
+        description:
+          'Prune uploads older than this, e.g. 30d (s, m, h, d or w; prune only)',
+        default: getenv('GH_UPLOAD_LOG_PRUNE_OLDER_THAN', ''),
+      })
+      .option('keep-last', {
+        type: 'number',
+        description:
+          'Always keep this many of the newest uploads (prune only, default: 0)',
+        default: getenv('GH_UPLOAD_LOG_PRUNE_KEEP_LAST', 0),
+      })
+      .option('gists', {
+        type: 'boolean',
+        description:
+          'Also prune expired gists created by gh-upload-log (prune only)',
+        default: false,
+      })
+      .option('squash', {
+        type: 'boolean',
+        description:
+          'Compact by replacing the history with one commit instead of archiving (compact only)',
+        default: false,
+      })
+      .option('since', {
+        type: 'string',
+        description:
+          'Only list uploads newer than this, e.g. 7d (s, m, h, d or w; list only)',
+      })
+      .option('type', {
+        type: 'string',
+        choices: ['gist', 'repo'],
+        description: 'Only list gists or shared-repository uploads (list only)',
+      })
+      .option('grep', {
+        type: 'string',
+        description:
+          'Only list uploads whose name, path, description or original path contains this text (list only)',
+      })
+      .option('json', {
+        type: 'boolean',
+        description: 'Print the list as JSON (list only)',
+        default: false,
+      })
+      .option('purge-history', {
+        type: 'boolean',
+        description:
+          'Also replace the shared repository history with a single commit so the deleted content is unreachable (delete only)',
+        default: false,
+      })
+      .option('yes', {
+        alias: 'y',
+        type: 'boolean',
+        description: 'Delete without asking for confirmation (delete only)',
+        default: false,
+      })
+      .option('name', {
+        alias: 'n',
+        type: 'string',
+        description:
+          'Name for logs read from stdin or captured with run (default: stdin.log / <command>.log)',
+      })
       .option('public', {
         alias: 'p',
         type: 'boolean',
@@ -55,6 +221,115 @@ const config = makeConfig({
           'Upload repository-mode logs into shared private-logs/public-logs repositories (default: true)',
         default: getenv('GH_UPLOAD_LOG_SHARED_REPOSITORY', true),
       })
+      .option('repository', {
+        type: 'string',
+        description:
+          'Shared repository to upload into as owner/name, e.g. our-org/ci-logs (default: your private-logs/public-logs)',
+        default: getenv('GH_UPLOAD_LOG_REPOSITORY', ''),
+      })
+      .option('path-prefix', {
+        type: 'string',
+        description:
+          'Folder prefix inside the shared repository, e.g. nightly/{date}/ ({date} expands to YYYY-MM-DD)',
+        default: getenv('GH_UPLOAD_LOG_PATH_PREFIX', ''),
+      })
+      .option('path-template', {
+        type: 'string',
+        description:
+          'Shared-repository folder template: sharded ({yyyy}/{mm}/{dd}/{host}/{name}-{hash8}), legacy (log-{name}) or a custom template (default: the layout recorded in the repository)',
+        default: getenv('GH_UPLOAD_LOG_PATH_TEMPLATE', ''),
+      })
+      .option('on-conflict', {
+        type: 'string',
+        choices: ['skip', 'version', 'overwrite', 'fail'],
+        description:
+          'When the shared-repository folder already holds different content: skip, version (store under a hash-suffixed folder), overwrite or fail',
+        default: getenv('GH_UPLOAD_LOG_ON_CONFLICT', 'version'),
+      })
+      .option('max-push-size', {
+        type: 'string',
+        description:
+          'Most data sent in one git push; larger repository uploads are committed and pushed in batches, e.g. 500MB',
+        default: getenv('GH_UPLOAD_LOG_MAX_PUSH_SIZE', '1GB'),
+      })
+      .option('resumable', {
+        type: 'boolean',
+        description:
+          'Keep the staged files and a state file when a shared-repository push fails, so gh-upload-log resume can continue it',
+        default: getenv('GH_UPLOAD_LOG_RESUMABLE', false),
+      })
+      .option('update', {
+        type: 'boolean',
+        description:
+          'Replace the earlier upload of this log in place (edit the gist, or commit a new version into the same shared-repository folder)',
+        default: false,
+      })
+      .option('append', {
+        type: 'boolean',
+        description:
+          'Upload only the bytes added since the earlier upload of this log, as a new part',
+        default: false,
+      })
+      .option('glob', {
+        type: 'string',
+        description:
+          'Only upload directory files matching this glob (e.g. "**/*.xml")',
+      })
+      .option('redact', {
+        type: 'boolean',
+        description:
+          'Redact tokens, keys and other secrets from an uploaded copy of the log',
+        default: getenv('GH_UPLOAD_LOG_REDACT', false),
+      })
+      .option('redact-pattern', {
+        type: 'string',
+        array: true,
+        description:
+          'Additional regular expression to redact (repeatable, implies --redact)',
+      })
+      .option('redact-report', {
+        type: 'boolean',
+        description:
+          'List secrets that would be redacted without uploading anything',
+        default: false,
+      })
+      .option('compress', {
+        type: 'string',
+        description:
+          'Compress before upload: gzip, zstd or auto (zstd when available, skipped for logs that already fit a gist)',
+        default: getenv('GH_UPLOAD_LOG_COMPRESS', ''),
+      })
+      .option('manifest', {
+        type: 'boolean',
+        description:
+          'Store manifest.json with SHA-256 checksums next to the upload (default: true)',
+        default: getenv('GH_UPLOAD_LOG_MANIFEST', true),
+      })
+      .option('transport', {
+        type: 'string',
+        choices: ['auto', 'api', 'gh'],
+        description:
+          'How to talk to GitHub: api (REST with GH_TOKEN/GITHUB_TOKEN), gh (gh CLI and git) or auto (api when a token is set)',
+        default: getenv('GH_UPLOAD_LOG_TRANSPORT', 'auto'),
+      })
+      .option('hostname', {
+        type: 'string',
+        description:
+          'GitHub host to upload to, e.g. a GitHub Enterprise Server name (default: GH_HOST or github.com)',
+        default: getenv('GH_HOST', ''),
+      })
+      .option('retries', {
+        type: 'number',
+        description:
+          'Retries of GitHub calls failing with server errors, dropped connections or rate limits',
+        default: getenv('GH_UPLOAD_LOG_RETRIES', 3),
+      })
+      .option('max-retry-delay', {
+        type: 'string',
+        description:
+          'Longest pause between retries, e.g. 60s; longer rate-limit waits fail instead',
+        default: getenv('GH_UPLOAD_LOG_MAX_RETRY_DELAY', '60s'),
+      })
       .option('dry-mode', {
         alias: 'dry',
         type: 'boolean',
@@ -87,6 +362,7 @@ const config = makeConfig({
       })
       .conflicts('public', 'private')
       .conflicts('only-gist', 'only-repository')
+      .conflicts('update', 'append')
       .check((argv) => {
         // Skip validation if running self-test
         if (argv.test || argv.quick) {
@@ -118,15 +394,233 @@ const config = makeConfig({
         '$0 ./large.log --only-repository --no-shared-repository',
         'Use the legacy dedicated repository mode for a large file'
       )
+      .example(
+        '$0 ./ci.log --redact --redact-pattern "session=[0-9a-f]+"',
+        'Redact secrets (plus a custom pattern) before uploading'
+      )
+      .example('$0 ./ci.log --redact-report', 'List secrets found in the log')
+      .example(
+        '$0 ./test-results --glob "**/*.xml"',
+        'Upload matching files of a directory as one gist or repository folder'
+      )
+      .example(
+        'make test 2>&1 | $0 - --name build.log',
+        'Upload log content piped through stdin'
+      )
+      .example(
+        '$0 run -- npm test',
+        'Run a command and upload its output with exit code and duration'
+      )
+      .example(
+        '$0 ./huge.log --compress auto',
+        'Compress a large log so it fits in a gist or a smaller repository blob'
+      )
+      .example(
+        '$0 get https://github.com/me/private-logs/tree/main/log-app -o app.log',
+        'Download a chunked upload and restore the original log'
+      )
+      .example(
+        '$0 prune --older-than 30d --keep-last 20 --gists',
+        'Delete uploads and gists older than 30 days, keeping the newest 20'
+      )
+      .example(
+        '$0 compact',
+        'Archive private-logs as private-logs-<yyyy>Q<n> and start a fresh one'
+      )
+      .example(
+        '$0 list --since 7d --grep build',
+        'List uploads from the last week whose name or original path mentions build'
+      )
+      .example(
+        '$0 delete https://github.com/me/private-logs/tree/main/log-app --purge-history',
+        'Delete a shared-repository folder and drop it from the history'
+      )
+      .example(
+        '$0 ./build.log --append',
+        'Upload only the lines added since the last upload of build.log'
+      )
+      .example(
+        '$0 ./huge.log --only-repository --transport gh --resumable',
+        'Upload a multi-GB log that can be continued with resume if a push fails'
+      )
+      .example(
+        '$0 resume log-huge-3f9c2a',
+        'Continue the interrupted upload, skipping parts already on GitHub'
+      )
+      .example(
+        '$0 follow /var/log/migration.log --interval 1m',
+        'Share a live link to a running job log, updated every minute'
+      )
       .example('$0 ./app.log --dry-mode', 'Dry run - show what would be done')
       .example('$0 --test', 'Run self-test to verify functionality')
       .example('$0 --quick', 'Run quick self-test (1MB file only)')
       .help('h')
       .alias('h', 'help')
+      .epilogue(formatExitCodes())
       .version('0.1.0')
       .strict(),
 });
 
+/**
+ * List the exit codes of the CLI for the help text
+ *
+ * @returns {string} One line per error class, after success
+ */
+function formatExitCodes() {
+  const lines = ERROR_CLASSES.map(
+    (ErrorClass) =>
+      `  ${String(ErrorClass.exitCode).padStart(2)}  ${ErrorClass.code} (${ErrorClass.name})`
+  );
+  return [
+    'Exit codes:',
+    '   0  Success (run: the exit code of the command)',
+    ...lines,
+  ].join('\n');
+}
+
+/**
+ * Create a spool directory that is removed when the CLI exits
+ *
+ * @param {string} kind - Short label used in the directory name
+ * @returns {string} Path to the new directory
+ */
+function createCliSpoolDirectory(kind) {
+  const spoolDir = createSpoolDirectory(kind);
+  process.on('exit', () => {
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+  });
+  return spoolDir;
+}
+
+/**
+ * Check whether a path points to a directory
+ *
+ * @param {string} targetPath - Path to check
+ * @returns {boolean} True for existing directories
+ */
+function isDirectory(targetPath) {
+  return Boolean(
+    fs.statSync(targetPath, { throwIfNoEntry: false })?.isDirectory()
+  );
+}
+
+/**
+ * Print the secrets that would be redacted from the given files
+ *
+ * @param {Object[]} sources - `{ label, sourcePath }` entries
+ * @param {string[]} redactPatterns - Additional user-supplied patterns
+ */
+async function printRedactionReport(sources, redactPatterns) {
+  const rules = createRedactionRules({ patterns: redactPatterns });
+  let total = 0;
+
+  for (const source of sources) {
+    const report = await redactLogFile(source.sourcePath, { rules });
+    total += report.total;
+    if (report.total === 0) {
+      continue;
+    }
+
+    const prefix = sources.length > 1 ? `${source.label}: ` : '';
+    console.log(`🔐 ${prefix}${report.total} secret(s) would be redacted:`);
+    for (const [ruleName, count] of Object.entries(report.counts)) {
+      const lines = report.lines[ruleName];
+      const more = count > lines.length ? ', ...' : '';
+      console.log(`  ${ruleName}: ${count} (line ${lines.join(', ')}${more})`);
+    }
+  }
+
+  if (total === 0) {
+    console.log('✅ No secrets found');
+  }
+}
+
+/**
+ * Download an upload and print where the restored logs were written
+ *
+ * @param {string} url - Upload URL
+ */
+async function downloadUpload(url) {
+  const result = await downloadLog(url, {
+    output: config.output,
+    transport: config.transport,
+    host: config.hostname || undefined,
+    ...getRetryOptions(config),
+    verbose: config.verbose,
+  });
+
+  for (const file of result.files) {
+    const details = [
+      file.verified && 'checksum verified',
+      file.parts > 1 && `joined ${file.parts} parts`,
+      file.codec && `decompressed ${file.codec}`,
+    ].filter(Boolean);
+    const suffix = details.length > 0 ? ` (${details.join(', ')})` : '';
+    console.log(`📥 ${file.path} ${formatFileSize(file.size)}${suffix}`);
+  }
+  console.log(`✅ Downloaded ${result.files.length} file(s) from ${url}`);
+}
+
+/**
+ * Follow a log until interrupted, printing the upload URL once and a line per
+ * push
+ */
+async function followLiveLog() {
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    console.log('⏹️  Stopping after pushing the remaining content...');
+    controller.abort();
+  });
+
+  console.log(
+    `👀 Following ${config.file}, pushing every ${config.interval} (Ctrl+C to stop)`
+  );
+  const result = await followLog({
+    filePath: config.file,
+    interval: config.interval,
+    flushBytes: config.flushBytes || undefined,
+    signal: controller.signal,
+    onPush: (pushed) => {
+      if (!pushed.revision) {
+        console.log(`🔗 ${pushed.url}`);
+        return;
+      }
+      const { previousSize, size } = pushed.revision;
+      console.log(
+        `⬆️  Pushed ${formatFileSize(size - previousSize)} (${formatFileSize(size)} in total)`
+      );
+    },
+    isPublic:
+      config.public === true ? true : config.private === false ? true : false,
+    auto: config.auto,
+    onlyGist: config.onlyGist,
+    onlyRepository: config.onlyRepository,
+    useSharedRepository: config.sharedRepository,
+    repository: config.repository || undefined,
+    pathPrefix: config.pathPrefix || undefined,
+    pathTemplate: config.pathTemplate || undefined,
+    onConflict: config.onConflict,
+    redact: config.redact,
+    redactPatterns: config.redactPattern || [],
+    manifest: config.manifest,
+    transport: config.transport,
+    host: config.hostname || undefined,
+    ...getRetryOptions(config),
+    dryMode: config.dryMode,
+    description: config.description,
+    verbose: config.verbose,
+  });
+
+  if (!result) {
+    console.log(`ℹ️  Nothing was written to ${config.file}`);
+    return;
+  }
+  console.log(
+    `✅ Pushed ${formatFileSize(result.size)} in ${result.pushes} push(es)`
+  );
+  console.log(`🔗 ${result.url}`);
+}
+
 /**
  * Main CLI function
  */
@@ -142,18 +636,109 @@ async function main() {
       process.exit(result.passed ? 0 : 1);
     }
 
-    const logFile = config.logFile;
+    if (config._?.[0] === 'get') {
+      await downloadUpload(config.url);
+      process.exit(0);
+    }
+
+    if (config._?.[0] === 'prune') {
+      await pruneExpiredUploads(config);
+      process.exit(0);
+    }
+
+    if (config._?.[0] === 'compact') {
+      await compactSharedRepository(config);
+      process.exit(0);
+    }
+
+    if (config._?.[0] === 'delete') {
+      await deleteSingleUpload(config);
+      process.exit(0);
+    }
+
+    if (config._?.[0] === 'resume') {
+      await resumeInterruptedUpload(config);
+      process.exit(0);
+    }
+
+    if (config._?.[0] === 'follow') {
+      await followLiveLog();
+      process.exit(0);
+    }
+
+    if (config._?.[0] === 'list') {
+      await printUploadList(config);
+      process.exit(0);
+    }
+
+    const logFiles = config.logFiles || [];
+    const directory =
+      logFiles.length === 1 && isDirectory(logFiles[0]) ? logFiles[0] : null;
+    let logFile = logFiles[0];
+    let contentPath = logFile;
+    let command = null;
+
+    if (config._?.[0] === 'run') {
+      command = (config['--'] || []).map(String);
+      if (command.length === 0) {
+        console.error('❌ Error: Command is required');
+        console.error('Usage: gh-upload-log run [options] -- <command...>');
+        process.exit(UsageError.exitCode);
+      }
+      if (config.redactReport) {
+        console.error(
+          '❌ Error: --redact-report checks existing logs and cannot be combined with run'
+        );
+        process.exit(UsageError.exitCode);
+      }
+
+      logFile = config.name || generateCommandLogName(command);
+    } else if (logFile === '-' || (!logFile && isStdinPiped())) {
+      logFile = config.name || DEFAULT_STDIN_LOG_NAME;
+      contentPath = path.join(
+        createCliSpoolDirectory('stdin'),
+        path.basename(logFile)
+      );
+      await spoolStream(process.stdin, contentPath);
+    }
 
     if (!logFile) {
       console.error('❌ Error: Log file path is required');
       console.error('Usage: gh-upload-log <log-file> [options]');
       console.error('Run "gh-upload-log --help" for more information');
-      process.exit(1);
+      process.exit(UsageError.exitCode);
+    }
+
+    const sources = command
+      ? []
+      : directory
+        ? listDirectoryFiles(directory, config.glob).map((sourcePath) => ({
+            label: sourcePath,
+            sourcePath,
+          }))
+        : logFiles.length > 1
+          ? logFiles.map((sourcePath) => ({ label: sourcePath, sourcePath }))
+          : [{ label: logFile, sourcePath: contentPath }];
+
+    for (const source of sources) {
+      if (!fileExists(source.sourcePath)) {
+        console.error(`❌ Error: File does not exist: ${source.label}`);
+        process.exit(UsageError.exitCode);
+      }
+    }
+
+    if (directory && sources.length === 0) {
+      console.error(
+        `❌ Error: No files to upload in ${directory}${config.glob ? ` matching ${config.glob}` : ''}`
+      );
+      process.exit(UsageError.exitCode);
     }
 
-    if (!fileExists(logFile)) {
-      console.error(`❌ Error: File does not exist: ${logFile}`);
-      process.exit(1);
+    const redactPatterns = config.redactPattern || [];
+
+    if (config.redactReport) {
+      await printRedactionReport(sources, redactPatterns);
+      process.exit(0);
     }
 
     // Prepare options
@@ -161,13 +746,35 @@ async function main() {
     const isPublic =
       config.public === true ? true : config.private === false ? true : false;
 
+    const multiple = Boolean(directory) || logFiles.length > 1;
     const options = {
-      filePath: logFile,
+      ...(command
+        ? { command, name: logFile }
+        : multiple
+          ? directory
+            ? { directory, glob: config.glob }
+            : { filePaths: logFiles }
+          : { filePath: logFile, contentPath }),
       isPublic,
       auto: config.auto,
       onlyGist: config.onlyGist,
       onlyRepository: config.onlyRepository,
       useSharedRepository: config.sharedRepository,
+      repository: config.repository || undefined,
+      pathPrefix: config.pathPrefix || undefined,
+      pathTemplate: config.pathTemplate || undefined,
+      onConflict: config.onConflict,
+      maxPushSize: config.maxPushSize,
+      resumable: config.resumable,
+      update: config.update,
+      append: config.append,
+      redact: config.redact,
+      redactPatterns,
+      compress: config.compress,
+      manifest: config.manifest,
+      transport: config.transport,
+      host: config.hostname || undefined,
+      ...getRetryOptions(config),
       dryMode: config.dryMode,
       description: config.description,
       verbose: config.verbose,
@@ -178,24 +785,45 @@ async function main() {
       console.log('');
     }
 
-    // Get file size for display (file existence already verified above)
-    const fileSize = getFileSize(logFile);
-
     // Show concise upload status
     const visibility = isPublic ? '🌐 public' : '🔒 private';
     const dryModePrefix = options.dryMode ? '[DRY] ' : '';
 
-    if (options.verbose) {
-      console.log(`📁 ${logFile}`);
-      console.log(`📊 ${formatFileSize(fileSize)}`);
-      console.log('');
-    }
+    const fileCountLabel = multiple ? ` in ${sources.length} files` : '';
+
+    const announceUpload = (fileSize) => {
+      if (options.verbose) {
+        console.log(`📁 ${directory || logFiles.join(', ') || logFile}`);
+        console.log(`📊 ${formatFileSize(fileSize)}${fileCountLabel}`);
+        console.log('');
+      }
 
-    console.log(
-      `${dryModePrefix}⏳ Uploading ${formatFileSize(fileSize)} (${visibility})...`
-    );
+      console.log(
+        `${dryModePrefix}⏳ Uploading ${formatFileSize(fileSize)}${fileCountLabel} (${visibility})...`
+      );
+    };
 
-    const result = await uploadLog(options);
+    let result;
+    if (command) {
+      // The command runs first; its output size is known only afterwards
+      result = await uploadCommandOutput({
+        ...options,
+        onRun: (run, outputPath) => {
+          console.log('');
+          console.log(`🏁 ${buildRunDescription(run, options.description)}`);
+          announceUpload(getFileSize(outputPath));
+        },
+      });
+    } else {
+      // File existence already verified above
+      announceUpload(
+        sources.reduce(
+          (total, source) => total + getFileSize(source.sourcePath),
+          0
+        )
+      );
+      result = multiple ? await uploadLogs(options) : await uploadLog(options);
+    }
 
     // Display concise results
     const typeEmoji = result.type === 'gist' ? '📝' : '📦';
@@ -205,11 +833,19 @@ async function main() {
       : result.deduplicated
         ? 'ℹ️'
         : '✅';
-    const actionLabel = result.dryMode
-      ? 'would be created'
-      : result.deduplicated
-        ? 'already exists'
-        : 'created';
+    const revisionLabel =
+      result.revision?.mode === 'append' ? 'appended to' : 'updated';
+    const actionLabel = result.revision
+      ? result.dryMode
+        ? `would be ${revisionLabel}`
+        : result.deduplicated
+          ? 'is unchanged'
+          : revisionLabel
+      : result.dryMode
+        ? 'would be created'
+        : result.deduplicated
+          ? 'already exists'
+          : 'created';
 
     console.log(`${successEmoji} ${typeLabel} ${actionLabel} (${visibility})`);
 
@@ -217,6 +853,29 @@ async function main() {
       console.log(`🔗 ${result.url}`);
     }
 
+    if (result.revisionUrl && !result.dryMode) {
+      console.log(`🕘 Revision: ${result.revisionUrl}`);
+    }
+
+    if (result.redaction) {
+      const redactionLabel = result.dryMode ? 'would be redacted' : 'redacted';
+      console.log(`🔐 ${result.redaction.total} secret(s) ${redactionLabel}`);
+    }
+
+    if (result.compression) {
+      const { codec, originalSize, compressedSize } = result.compression;
+      console.log(
+        `🗜️  Compressed with ${codec}: ${formatFileSize(originalSize)} → ${formatFileSize(compressedSize)}`
+      );
+    }
+
+    // Display each file's raw URL for multi-file uploads
+    if (result.files?.length > 1 && !result.dryMode) {
+      for (const file of result.files) {
+        console.log(`📄 ${file.name}${file.rawUrl ? `: ${file.rawUrl}` : ''}`);
+      }
+    }
+
     // Display raw file URL if available (single file only)
     if (result.rawUrl && !result.dryMode) {
       console.log(`📄 ${result.rawUrl}`);
@@ -250,17 +909,36 @@ async function main() {
       if (result.rawUrl) {
         console.log(`  Raw URL: ${result.rawUrl}`);
       }
+      if (result.redaction) {
+        for (const [ruleName, count] of Object.entries(
+          result.redaction.counts
+        )) {
+          console.log(`  Redacted ${ruleName}: ${count}`);
+        }
+      }
     }
 
-    process.exit(0);
+    // `run` mirrors the exit code of the wrapped command
+    process.exit(result.run ? result.run.exitCode : 0);
   } catch (error) {
     if (isENOSPC(error)) {
       console.error('❌ Error: No space left on device');
       console.error('');
+      if (error.requiredBytes) {
+        console.error(error.message);
+        console.error('');
+      }
       console.error('Suggestions to free disk space:');
       console.error('  • Check ~/.claude/debug for large debug files');
-      console.error('  • Clean /tmp directory: rm -rf /tmp/log-*');
-      console.error('  • Check disk usage: df -h && du -sh /tmp ~/.claude');
+      console.error(
+        `  • Clean the temporary directory: rm -rf ${path.join(os.tmpdir(), 'log-*')}`
+      );
+      console.error(
+        `  • Check disk usage: df -h && du -sh ${os.tmpdir()} ~/.claude`
+      );
+      console.error(
+        '  • Or point TMPDIR at a larger disk, where uploads are staged'
+      );
       if (error.message && error.message.includes('--only-gist')) {
         console.error('');
         console.error(
@@ -283,7 +961,7 @@ async function main() {
       }
     }
 
-    process.exit(1);
+    process.exit(getExitCode(error));
   }
 }
 
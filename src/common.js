@@ -1,8 +1,21 @@
 #!/usr/bin/env bun
 
+import { isUtf8 } from 'node:buffer';
 import fs from 'node:fs';
 import path from 'node:path';
 import makeLog from 'log-lazy';
+import {
+  createCategorizedError,
+  DiskSpaceError,
+  GitCommandError,
+  UsageError,
+} from './errors.js';
+import { DEFAULT_GITHUB_HOST, normalizeGitHubHost } from './github-host.js';
+import {
+  classifyCommandFailure,
+  resolveRetryPolicy,
+  withCommandRetries,
+} from './retry.js';
 
 /**
  * Check if an error is an ENOSPC (no space left on device) error
@@ -43,18 +56,15 @@ export function isENOSPC(error) {
  *
  * @param {string} operation - Description of the operation that failed
  * @param {Error} originalError - The original error
- * @returns {Error} Enhanced error with ENOSPC metadata
+ * @returns {DiskSpaceError} Enhanced error with ENOSPC metadata
  */
 export function createENOSPCError(operation, originalError) {
-  const error = new Error(
+  return new DiskSpaceError(
     `No space left on device during ${operation}. ` +
       `Suggestion: Free disk space and retry. ` +
-      `Check large files in ~/.claude/debug, /tmp, or system logs.`
+      `Check large files in ~/.claude/debug, /tmp, or system logs.`,
+    { operation, originalError }
   );
-  error.code = 'ENOSPC';
-  error.operation = operation;
-  error.originalError = originalError;
-  return error;
 }
 
 /**
@@ -82,19 +92,46 @@ export function createDefaultLogger(options = {}) {
   });
 }
 
+/**
+ * Run every command of a command-stream tag with GH_HOST set, so `gh`
+ * targets a GitHub Enterprise Server host
+ *
+ * @param {Function} $ - command-stream template tag function
+ * @param {string} host - GitHub host name
+ * @returns {Function} Template tag function with the same calling conventions
+ */
+function withGitHubHost($, host) {
+  const env = { ...process.env, GH_HOST: host };
+
+  return (optionsOrStrings, ...values) =>
+    Array.isArray(optionsOrStrings?.raw)
+      ? $({ env })(optionsOrStrings, ...values)
+      : $({ ...optionsOrStrings, env });
+}
+
 /**
  * Load the command-stream tag or a test override
  *
+ * Commands failing with transient GitHub errors are run again (see retry.js).
+ *
  * @param {Object} [options={}] - Optional command runner overrides
+ * @param {string} [options.host] - GitHub host passed to `gh` as GH_HOST
+ * @param {number} [options.retries] - Retries of transient failures (default: 3)
+ * @param {number} [options.maxRetryDelay] - Longest pause between retries in milliseconds (default: 60000)
  * @returns {Promise<Function>} command-stream template tag function
  */
 export async function getCommandStream(options = {}) {
+  let $;
   if (typeof options.commandStreamFactory === 'function') {
-    return options.commandStreamFactory();
+    $ = options.commandStreamFactory();
+  } else {
+    ({ $ } = await import('command-stream'));
   }
 
-  const { $ } = await import('command-stream');
-  return $;
+  return withCommandRetries(
+    options.host ? withGitHubHost($, normalizeGitHubHost(options.host)) : $,
+    { ...resolveRetryPolicy(options), log: createDefaultLogger(options) }
+  );
 }
 
 /**
@@ -116,6 +153,9 @@ export function getCommandExitCode(result) {
 /**
  * Throw when a command-stream result indicates a failed command
  *
+ * The error is an AuthenticationError, RateLimitError, GitHubUnavailableError
+ * or NotFoundError when the output says so, and a GitCommandError otherwise.
+ *
  * @param {Object} result - command-stream result object
  * @param {string} operation - Human-readable operation description
  * @returns {Object} The original result when successful
@@ -130,29 +170,38 @@ export function ensureCommandSucceeded(result, operation) {
   const stderr = result?.stderr?.trim();
   const stdout = result?.stdout?.trim();
   const detail = stderr || stdout || `Command exited with code ${exitCode}`;
-  const error = new Error(`Failed to ${operation}: ${detail}`);
-
-  error.code = exitCode;
-  error.stdout = result?.stdout || '';
-  error.stderr = result?.stderr || '';
-  error.commandResult = result;
-
-  throw error;
+  throw createCategorizedError(
+    `Failed to ${operation}: ${detail}`,
+    result?.category ?? classifyCommandFailure(detail).category,
+    {
+      commandExitCode: exitCode,
+      stdout: result?.stdout || '',
+      stderr: result?.stderr || '',
+      commandResult: result,
+    },
+    GitCommandError
+  );
 }
 
 /**
  * Extract a GitHub repository URL from command output
  *
  * @param {string} output - Command stdout
+ * @param {string} [host='github.com'] - GitHub host the repository lives on
  * @returns {string|null} Repository URL if found
  */
-export function extractGitHubRepoUrl(output = '') {
+export function extractGitHubRepoUrl(output = '', host = DEFAULT_GITHUB_HOST) {
+  const escapedHost = normalizeGitHubHost(host).replace(
+    /[.*+?^${}()|[\]\\]/g,
+    '\\$&'
+  );
+  const pattern = new RegExp(`^https://${escapedHost}/[^/\\s]+/[^/\\s]+$`);
+
   return (
     output
       .split(/\r?\n/)
       .map((line) => line.trim())
-      .find((line) => /^https:\/\/github\.com\/[^/\s]+\/[^/\s]+$/.test(line)) ||
-    null
+      .find((line) => pattern.test(line)) || null
   );
 }
 
@@ -197,10 +246,73 @@ export function generateCollisionRepoName(
 export const GITHUB_GIST_FILE_LIMIT = 25 * 1024 * 1024;
 export const GITHUB_GIST_WEB_LIMIT = 25 * 1024 * 1024;
 export const GITHUB_REPO_CHUNK_SIZE = 100 * 1024 * 1024;
+export const GITHUB_GIST_MAX_FILES = 300;
 export const DEFAULT_PRIVATE_LOGS_REPOSITORY = 'private-logs';
 export const DEFAULT_PUBLIC_LOGS_REPOSITORY = 'public-logs';
 export const LOG_TEXT_EXTENSION = '.log.txt';
 
+/**
+ * Suffix added to gist descriptions so the tool can find its own gists
+ * among everything else a user has (prune, list)
+ */
+export const GIST_DESCRIPTION_MARKER = '[gh-upload-log]';
+
+/**
+ * Read a file to be stored in a gist as text
+ *
+ * Gist files are text: bytes that are not UTF-8 would be replaced on the way.
+ *
+ * @param {string} filePath - File to read
+ * @param {string} fileName - Name of the log, for the error
+ * @returns {string} File content
+ * @throws {UsageError} When the file is not valid UTF-8
+ */
+export function readGistText(filePath, fileName) {
+  const content = fs.readFileSync(filePath);
+  if (!isUtf8(content)) {
+    throw new UsageError(
+      `${fileName} is not valid UTF-8 text, which a gist cannot store unchanged; upload it with --compress gzip or to a repository instead`
+    );
+  }
+  return content.toString('utf8');
+}
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Mark a gist description as created by gh-upload-log
+ *
+ * @param {string} description - Gist description
+ * @returns {string} Description ending in GIST_DESCRIPTION_MARKER
+ */
+export function addGistDescriptionMarker(description) {
+  return description.includes(GIST_DESCRIPTION_MARKER)
+    ? description
+    : `${description} ${GIST_DESCRIPTION_MARKER}`;
+}
+
+/**
+ * Parse a duration such as '30d', '12h' or '2w'
+ *
+ * @param {string} duration - Number followed by s, m, h, d or w
+ * @returns {number} Duration in milliseconds
+ */
+export function parseDuration(duration) {
+  const match = /^(\d+)\s*([smhdw])$/i.exec(String(duration).trim());
+  if (!match) {
+    throw new UsageError(
+      `Invalid duration "${duration}". Use a number followed by s, m, h, d or w (e.g. 30d)`
+    );
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
 /**
  * Normalize a file path to create a valid GitHub name
  * Replaces all '/' with '-' and removes leading slashes
@@ -278,6 +390,121 @@ export function fileExists(filePath) {
   }
 }
 
+/**
+ * Convert a glob pattern into a regular expression
+ * Supports `**`, `*`, `?` and `{a,b}` alternatives; paths use `/` separators
+ *
+ * @param {string} pattern - Glob pattern (e.g. "*.log" or "junit/**")
+ * @returns {RegExp} Anchored regular expression
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  let braceDepth = 0;
+
+  for (let index = 0; index < pattern.length; index += 1) {
+    const char = pattern[index];
+
+    if (char === '*' && pattern[index + 1] === '*') {
+      const followedBySlash = pattern[index + 2] === '/';
+      source += followedBySlash ? '(?:.*/)?' : '.*';
+      index += followedBySlash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      braceDepth += 1;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth -= 1;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Recursively list files in a directory
+ *
+ * @param {string} directory - Directory to walk
+ * @param {string} [glob] - Optional glob matched against paths relative to the directory
+ * @returns {string[]} Sorted file paths (joined with the given directory)
+ */
+export function listDirectoryFiles(directory, glob) {
+  const matcher = glob ? globToRegExp(glob) : null;
+  const files = [];
+
+  const walk = (currentDir) => {
+    for (const entry of fs.readdirSync(currentDir, { withFileTypes: true })) {
+      const entryPath = path.join(currentDir, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (entry.isFile()) {
+        const relativePath = path
+          .relative(directory, entryPath)
+          .split(path.sep)
+          .join('/');
+        if (!matcher || matcher.test(relativePath)) {
+          files.push(entryPath);
+        }
+      }
+    }
+  };
+
+  walk(directory);
+  return files.sort();
+}
+
+/**
+ * Find the deepest directory shared by all given file paths
+ *
+ * @param {string[]} filePaths - File paths as given by the user
+ * @returns {string} Common directory, or '' when the paths share none
+ */
+export function getCommonDirectory(filePaths) {
+  const [first = [], ...rest] = filePaths.map((filePath) =>
+    path.dirname(filePath).split(/[\\/]/)
+  );
+  let length = first.length;
+
+  for (const segments of rest) {
+    let shared = 0;
+    while (shared < length && segments[shared] === first[shared]) {
+      shared += 1;
+    }
+    length = shared;
+  }
+
+  const common = first.slice(0, length).join('/');
+  return common === '.' ? '' : common;
+}
+
+/**
+ * Check that no two files of an upload get the same uploaded name
+ *
+ * Paths are flattened and given the `.log.txt` extension, so `x.log`,
+ * `x.log.txt` or `a/b.log` and `a-b.log` would overwrite each other.
+ *
+ * @param {Object[]} files - `{ name, sourcePath }` upload entries
+ * @throws {UsageError} When two entries share a name
+ */
+export function assertDistinctUploadNames(files) {
+  const sources = new Map();
+  for (const { name, sourcePath } of files) {
+    if (sources.has(name)) {
+      throw new UsageError(
+        `${sources.get(name)} and ${sourcePath} would both be uploaded as ${name}; rename one of them or upload them separately`
+      );
+    }
+    sources.set(name, sourcePath);
+  }
+}
+
 /**
  * Get file size in bytes
  *
@@ -313,12 +540,85 @@ export function formatFileSize(bytes) {
   return `${size.toFixed(2)} ${units[unitIndex]}`;
 }
 
+/**
+ * Parse a size such as '500MB', '1.5GB' or a plain number of bytes
+ *
+ * Units are powers of 1024, like in formatFileSize().
+ *
+ * @param {number|string} size - Bytes, or a number followed by B, KB, MB, GB or TB
+ * @returns {number} Size in bytes
+ */
+export function parseFileSize(size) {
+  if (typeof size === 'number' && size > 0) {
+    return size;
+  }
+  const match = /^(\d+(?:\.\d+)?)\s*([kmgt]?b?)$/i.exec(String(size).trim());
+  if (!match || Number(match[1]) === 0) {
+    throw new UsageError(
+      `Invalid size "${size}". Use a number followed by B, KB, MB, GB or TB (e.g. 1GB)`
+    );
+  }
+  const unitIndex = 'bkmgt'.indexOf((match[2][0] || 'b').toLowerCase());
+  return Math.floor(Number(match[1]) * 1024 ** unitIndex);
+}
+
+const SPLIT_BUFFER_SIZE = 1024 * 1024;
+const NEWLINE = 0x0a;
+
+function isUtf8ContinuationByte(byte) {
+  return (byte & 0xc0) === 0x80;
+}
+
+function getChunkFileName(chunkPrefix, index, width) {
+  return `${chunkPrefix}${String(index).padStart(width, '0')}${LOG_TEXT_EXTENSION}`;
+}
+
+/**
+ * Find where the part starting at `start` should end
+ *
+ * Parts end after the last newline that fits. Only a line longer than the
+ * whole part is cut inside, and then before a UTF-8 character rather than in
+ * the middle of one.
+ *
+ * @returns {Promise<number>} Offset of the first byte of the next part
+ */
+async function findPartEnd(handle, start, chunkSize, fileSize) {
+  const limit = start + chunkSize;
+  if (limit >= fileSize) {
+    return fileSize;
+  }
+
+  const buffer = Buffer.alloc(Math.min(SPLIT_BUFFER_SIZE, chunkSize));
+  for (let windowEnd = limit; windowEnd > start; ) {
+    const windowStart = Math.max(start, windowEnd - buffer.length);
+    const length = windowEnd - windowStart;
+    await handle.read(buffer, 0, length, windowStart);
+    const index = buffer.subarray(0, length).lastIndexOf(NEWLINE);
+    if (index !== -1) {
+      return windowStart + index + 1;
+    }
+    windowEnd = windowStart;
+  }
+
+  // A UTF-8 character has at most three continuation bytes
+  const floor = Math.max(start + 1, limit - 3);
+  const tail = Buffer.alloc(limit - floor + 1);
+  await handle.read(tail, 0, tail.length, floor);
+  let end = limit;
+  while (end > floor && isUtf8ContinuationByte(tail[end - floor])) {
+    end -= 1;
+  }
+  return end;
+}
+
 /**
  * Split a file into chunks
  *
+ * Chunks end on line boundaries (see splitFileIntoParts).
+ *
  * @param {string} inputPath - Path to input file
  * @param {string} outputDir - Directory to write chunks to
- * @param {number} chunkSize - Size of each chunk in bytes
+ * @param {number} chunkSize - Maximum size of each chunk in bytes
  * @returns {Promise<string[]>} Array of chunk file paths
  */
 export async function splitFileIntoChunks(
@@ -326,9 +626,34 @@ export async function splitFileIntoChunks(
   outputDir,
   chunkSize = GITHUB_REPO_CHUNK_SIZE
 ) {
-  const { $ } = await import('command-stream');
+  const parts = await splitFileIntoParts(inputPath, outputDir, chunkSize);
+  return parts.map((part) => part.path);
+}
 
-  const inputFileName = inputPath.split(/[\\/]/).pop();
+/**
+ * Split a file into chunks and report the size and lines of each
+ *
+ * Chunks end on line boundaries, so every part reads as a log of its own in
+ * the browser. The file is streamed through a fixed-size buffer.
+ *
+ * @param {string} inputPath - Path to input file
+ * @param {string} outputDir - Directory to write chunks to
+ * @param {number} chunkSize - Maximum size of each chunk in bytes
+ * @param {Object} [options={}] - Split options
+ * @param {string} [options.name] - File name the chunk names are derived from (default: the input file name)
+ * @param {number} [options.start=0] - Byte offset to start at, e.g. the end of an earlier upload
+ * @param {number} [options.firstIndex=0] - Number of the first chunk
+ * @param {number} [options.firstLine=1] - Line number of the byte at `start`
+ * @param {number} [options.width] - Fixed number of digits in chunk numbers (default: two, widened past 100 chunks)
+ * @returns {Promise<Object[]>} `{ path, size, firstLine, lastLine }` of each chunk, in order
+ */
+export async function splitFileIntoParts(
+  inputPath,
+  outputDir,
+  chunkSize = GITHUB_REPO_CHUNK_SIZE,
+  options = {}
+) {
+  const inputFileName = (options.name || inputPath).split(/[\\/]/).pop();
   const uploadedFileName = ensureLogTextExtension(
     normalizeFileName(inputFileName)
   );
@@ -339,27 +664,69 @@ export async function splitFileIntoChunks(
     fs.mkdirSync(outputDir, { recursive: true });
   }
 
-  const chunkSizeMB = Math.ceil(chunkSize / (1024 * 1024));
-  const splitResult =
-    await $`split -b ${chunkSizeMB}m -d -a 2 ${inputPath} ${path.join(outputDir, chunkPrefix)}`;
-  ensureCommandSucceeded(splitResult, 'split log file into repository chunks');
-
-  const splitFiles = fs
-    .readdirSync(outputDir)
-    .filter((file) => file.startsWith(chunkPrefix))
-    .sort()
-    .map((file) => {
-      const currentPath = path.join(outputDir, file);
-      const finalPath = currentPath.endsWith(LOG_TEXT_EXTENSION)
-        ? currentPath
-        : `${currentPath}${LOG_TEXT_EXTENSION}`;
-
-      if (currentPath !== finalPath) {
-        fs.renameSync(currentPath, finalPath);
+  const { firstIndex = 0, width } = options;
+  const fileSize = getFileSize(inputPath);
+  const buffer = Buffer.alloc(Math.min(SPLIT_BUFFER_SIZE, chunkSize));
+  const input = await fs.promises.open(inputPath, 'r');
+  const chunks = [];
+  let line = options.firstLine ?? 1;
+
+  try {
+    for (let start = options.start ?? 0; start < fileSize; ) {
+      const end = await findPartEnd(input, start, chunkSize, fileSize);
+      const chunkPath = path.join(
+        outputDir,
+        getChunkFileName(chunkPrefix, firstIndex + chunks.length, width || 2)
+      );
+      const output = await fs.promises.open(chunkPath, 'w');
+      const firstLine = line;
+      let lastByte;
+
+      try {
+        for (let position = start; position < end; ) {
+          const length = Math.min(buffer.length, end - position);
+          await input.read(buffer, 0, length, position);
+          const data = buffer.subarray(0, length);
+          await output.write(data);
+          for (
+            let index = data.indexOf(NEWLINE);
+            index !== -1;
+            index = data.indexOf(NEWLINE, index + 1)
+          ) {
+            line += 1;
+          }
+          lastByte = data[length - 1];
+          position += length;
+        }
+      } finally {
+        await output.close();
       }
 
-      return finalPath;
-    });
+      chunks.push({
+        path: chunkPath,
+        size: end - start,
+        firstLine,
+        lastLine: lastByte === NEWLINE ? line - 1 : line,
+      });
+      start = end;
+    }
+  } finally {
+    await input.close();
+  }
+
+  // Parts are numbered with two digits, as `split -d -a 2` did; past 100
+  // parts every number is widened so the parts still sort by name
+  const widened = String(firstIndex + chunks.length - 1).length;
+  if (!width && widened > 2) {
+    for (const [index, chunk] of chunks.entries()) {
+      const widenedPath = path.join(
+        outputDir,
+        getChunkFileName(chunkPrefix, firstIndex + index, widened)
+      );
+      fs.renameSync(chunk.path, widenedPath);
+      chunk.path = widenedPath;
+    }
+  }
 
-  return splitFiles.sort();
+  return chunks;
 }
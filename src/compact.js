@@ -0,0 +1,213 @@
+#!/usr/bin/env bun
+
+/**
+ * Compaction of shared repositories
+ *
+ * Deleting folders does not shrink a repository: every blob stays in the git
+ * history. Compaction either rotates the repository (the old one is renamed to
+ * `<name>-<yyyy>Q<n>` and archived, a fresh one takes its name) or replaces
+ * the branch history with a single root commit of the current files. Rotated
+ * repositories are recorded in the new repository's layout file, so uploads
+ * behind old URLs can still be found (see findArchivedUpload).
+ */
+
+import { createDefaultLogger } from './common.js';
+import { NotFoundError, UsageError } from './errors.js';
+import { resolveGitHubHost } from './github-host.js';
+import {
+  DEFAULT_PATH_TEMPLATE,
+  REPOSITORY_LAYOUT_FILE_NAME,
+} from './path-template.js';
+import {
+  buildGitHubRepositoryUrl,
+  resolveSharedRepositoryTarget,
+  serializeRepositoryLayout,
+} from './repository-staging.js';
+import { createUploadStore } from './upload-store.js';
+
+export const COMPACT_MODES = ['archive', 'squash'];
+export const ARCHIVE_INDEX_FILE_NAME = 'ARCHIVES.md';
+
+/**
+ * Name for an archived repository, e.g. 'private-logs-2026Q3'
+ *
+ * @param {string} repositoryName - Repository being archived
+ * @param {Date} [date=new Date()] - Archive time (UTC quarter)
+ * @returns {string} Archive repository name
+ */
+export function getArchiveRepositoryName(repositoryName, date = new Date()) {
+  const quarter = Math.floor(date.getUTCMonth() / 3) + 1;
+  return `${repositoryName}-${date.getUTCFullYear()}Q${quarter}`;
+}
+
+async function pickArchiveRepositoryName(store, owner, repositoryName, date) {
+  const baseName = getArchiveRepositoryName(repositoryName, date);
+  for (let attempt = 1; ; attempt += 1) {
+    const name = attempt === 1 ? baseName : `${baseName}-${attempt}`;
+    if (!(await store.getRepository(owner, name))) {
+      return name;
+    }
+  }
+}
+
+function renderArchiveIndex(repositoryName, archives) {
+  const lines = archives.map(
+    (archive) =>
+      `- [${archive.repository}](${archive.url}) (archived ${archive.archivedAt.slice(0, 10)})`
+  );
+  return `# ${repositoryName} archives\n\nUploads made before compaction live in these archived repositories,\nunder the same folder paths:\n\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Compact a shared log repository
+ *
+ * @param {Object} options - Compaction options
+ * @param {string} options.mode - 'archive' (default) rotates the repository, 'squash' replaces its history with one commit
+ * @param {boolean} options.isPublic - Compact public-logs instead of private-logs (default: false)
+ * @param {string} options.repository - Shared repository as 'owner/name' (default: the user's private-logs/public-logs)
+ * @param {string} options.transport - 'auto' (default), 'api' or 'gh'
+ * @param {string} options.host - GitHub host (default: GH_HOST or github.com)
+ * @param {boolean} options.dryMode - Only report what would be done
+ * @param {boolean} options.verbose - Enable verbose logging (default: false)
+ * @param {Object} options.logger - Logging target (default: console)
+ * @returns {Promise<Object>} `{ mode, dryMode, owner, repositoryName, url, archive, commitSha }`
+ */
+export async function compactRepository(options = {}) {
+  const {
+    mode = 'archive',
+    dryMode = false,
+    now = new Date(),
+    verbose = false,
+    logger = console,
+  } = options;
+
+  if (!COMPACT_MODES.includes(mode)) {
+    throw new UsageError(
+      `Unknown compact mode "${mode}". Use ${COMPACT_MODES.join(', ')}`
+    );
+  }
+
+  const log = createDefaultLogger({ verbose, logger });
+  const host = resolveGitHubHost(options);
+  const store = await createUploadStore(options, log);
+  const githubUser = await store.getUser();
+  const { owner, repositoryName } = resolveSharedRepositoryTarget(
+    options,
+    githubUser
+  );
+  const metadata = await store.getRepository(owner, repositoryName);
+  if (!metadata) {
+    throw new NotFoundError(
+      `Repository ${owner}/${repositoryName} does not exist`
+    );
+  }
+
+  const branch = metadata.defaultBranch || 'main';
+  const result = {
+    mode,
+    dryMode,
+    owner,
+    repositoryName,
+    url: buildGitHubRepositoryUrl(owner, repositoryName, host),
+    archive: null,
+    commitSha: null,
+  };
+
+  if (mode === 'squash') {
+    log.debug(() => `→ Squashing history of ${repositoryName}/${branch}...`);
+    if (!dryMode) {
+      result.commitSha = await store.squashHistory(
+        owner,
+        repositoryName,
+        branch,
+        'Compact log repository history'
+      );
+    }
+    return result;
+  }
+
+  const archiveName = await pickArchiveRepositoryName(
+    store,
+    owner,
+    repositoryName,
+    now
+  );
+  result.archive = {
+    repository: archiveName,
+    url: buildGitHubRepositoryUrl(owner, archiveName, host),
+    archivedAt: now.toISOString(),
+  };
+  if (dryMode) {
+    return result;
+  }
+
+  const layout = await store.readJsonFile(
+    owner,
+    repositoryName,
+    REPOSITORY_LAYOUT_FILE_NAME
+  );
+  const archives = [result.archive, ...(layout?.archives || [])];
+
+  log.debug(() => `→ Renaming ${repositoryName} to ${archiveName}...`);
+  await store.renameRepository(owner, repositoryName, archiveName);
+  await store.archiveRepository(owner, archiveName);
+
+  log.debug(() => `→ Creating a fresh ${repositoryName}...`);
+  await store.createRepository(
+    owner,
+    repositoryName,
+    metadata.visibility === 'public',
+    githubUser
+  );
+  await store.putFile(
+    owner,
+    repositoryName,
+    REPOSITORY_LAYOUT_FILE_NAME,
+    serializeRepositoryLayout(
+      layout?.pathTemplate || DEFAULT_PATH_TEMPLATE,
+      archives
+    ),
+    'Record gh-upload-log storage layout'
+  );
+  await store.putFile(
+    owner,
+    repositoryName,
+    ARCHIVE_INDEX_FILE_NAME,
+    renderArchiveIndex(repositoryName, archives),
+    'Index archived log repositories'
+  );
+
+  return result;
+}
+
+/**
+ * Find a shared-repository upload that moved into an archive
+ *
+ * @param {Object} store - Store from createUploadStore()
+ * @param {Object} target - Repository target from parseUploadUrl()
+ * @returns {Promise<Object|null>} Target pointing at the archive, or null
+ */
+export async function findArchivedUpload(store, target) {
+  if (!target.repositoryPath) {
+    return null;
+  }
+
+  const layout = await store.readJsonFile(
+    target.owner,
+    target.repositoryName,
+    REPOSITORY_LAYOUT_FILE_NAME
+  );
+  for (const archive of layout?.archives || []) {
+    if (
+      await store.hasPath(
+        target.owner,
+        archive.repository,
+        target.repositoryPath
+      )
+    ) {
+      return { ...target, repositoryName: archive.repository };
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,322 @@
+#!/usr/bin/env bun
+
+/**
+ * Compression of uploaded log files
+ *
+ * Logs usually compress 10-20x, so compressing before staging lets many
+ * large logs fit the gist path (as base64 text) and keeps repository uploads
+ * well below the chunk size.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { UsageError } from './errors.js';
+
+export const COMPRESSION_CODECS = {
+  gzip: {
+    extension: '.gz',
+    magic: Buffer.from([0x1f, 0x8b]),
+    createCompress: () => zlib.createGzip(),
+    createDecompress: () => zlib.createGunzip(),
+  },
+  zstd: {
+    extension: '.zst',
+    magic: Buffer.from([0x28, 0xb5, 0x2f, 0xfd]),
+    createCompress: () => zlib.createZstdCompress(),
+    createDecompress: () => zlib.createZstdDecompress(),
+  },
+};
+export const BASE64_EXTENSION = '.b64';
+
+// 57 input bytes encode to one 76-character base64 line (RFC 2045)
+const BASE64_LINE_BYTES = 57;
+
+/**
+ * Check whether the current runtime can compress with a codec
+ *
+ * zstd needs a runtime whose `node:zlib` provides it (Bun, Node.js 22.15+).
+ *
+ * @param {string} codec - Codec name ('gzip' or 'zstd')
+ * @returns {boolean} True when the codec is available
+ */
+export function isCompressionSupported(codec) {
+  if (codec === 'gzip') {
+    return true;
+  }
+  if (codec === 'zstd') {
+    return typeof zlib.createZstdCompress === 'function';
+  }
+  return false;
+}
+
+/**
+ * Resolve the `compress` option into a concrete codec
+ *
+ * @param {string|boolean} [compress] - 'gzip', 'zstd', 'auto', true (auto) or a falsy/'none' value
+ * @returns {string|null} Codec name, or null when compression is disabled
+ */
+export function resolveCompressionCodec(compress) {
+  if (!compress || compress === 'none') {
+    return null;
+  }
+
+  if (compress === true || compress === 'auto') {
+    return isCompressionSupported('zstd') ? 'zstd' : 'gzip';
+  }
+
+  if (!COMPRESSION_CODECS[compress]) {
+    throw new UsageError(
+      `Unknown compression codec "${compress}". Use gzip, zstd or auto`
+    );
+  }
+
+  if (!isCompressionSupported(compress)) {
+    throw new UsageError(
+      `${compress} compression is not supported by this runtime. Use gzip or upgrade to Bun or Node.js 22.15+`
+    );
+  }
+
+  return compress;
+}
+
+/**
+ * Compress a file with a codec
+ *
+ * @param {string} inputPath - File to compress
+ * @param {string} outputPath - Compressed file to create
+ * @param {string} codec - Codec name ('gzip' or 'zstd')
+ * @returns {Promise<Object>} `{ codec, originalSize, compressedSize }`
+ */
+export async function compressFile(inputPath, outputPath, codec) {
+  await pipeline(
+    fs.createReadStream(inputPath),
+    COMPRESSION_CODECS[codec].createCompress(),
+    fs.createWriteStream(outputPath)
+  );
+
+  return {
+    codec,
+    originalSize: fs.statSync(inputPath).size,
+    compressedSize: fs.statSync(outputPath).size,
+  };
+}
+
+/**
+ * Create a transform that base64-encodes its input in 76-character lines
+ *
+ * @returns {Transform} Encoding transform stream
+ */
+function createBase64Encoder() {
+  let pending = Buffer.alloc(0);
+
+  const encodeLines = (buffer) => {
+    let text = '';
+    for (let offset = 0; offset < buffer.length; offset += BASE64_LINE_BYTES) {
+      text += `${buffer.subarray(offset, offset + BASE64_LINE_BYTES).toString('base64')}\n`;
+    }
+    return text;
+  };
+
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      const buffer = Buffer.concat([pending, chunk]);
+      const usable = buffer.length - (buffer.length % BASE64_LINE_BYTES);
+      pending = buffer.subarray(usable);
+      callback(null, encodeLines(buffer.subarray(0, usable)));
+    },
+    flush(callback) {
+      callback(null, encodeLines(pending));
+    },
+  });
+}
+
+/**
+ * Base64-encode a (compressed) file so it can be stored in a text-only gist
+ *
+ * @param {string} inputPath - Binary file to encode
+ * @param {string} outputPath - Text file to create
+ * @returns {Promise<number>} Size of the encoded file in bytes
+ */
+export async function encodeBase64File(inputPath, outputPath) {
+  await pipeline(
+    fs.createReadStream(inputPath),
+    createBase64Encoder(),
+    fs.createWriteStream(outputPath)
+  );
+  return fs.statSync(outputPath).size;
+}
+
+/**
+ * Estimate the size of a file after encodeBase64File()
+ *
+ * @param {number} size - Size of the binary file in bytes
+ * @returns {number} Encoded size in bytes, including line breaks
+ */
+export function getBase64EncodedSize(size) {
+  const lines = Math.ceil(size / BASE64_LINE_BYTES);
+  return Math.ceil(size / 3) * 4 + lines;
+}
+
+/**
+ * Detect the codec of a compressed file from its magic bytes
+ *
+ * @param {string} filePath - File to inspect
+ * @returns {string|null} Codec name, or null for uncompressed files
+ */
+export function detectCompressionCodec(filePath) {
+  const header = Buffer.alloc(4);
+  const fd = fs.openSync(filePath, 'r');
+  let bytesRead;
+  try {
+    bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  for (const [codec, { magic }] of Object.entries(COMPRESSION_CODECS)) {
+    if (
+      bytesRead >= magic.length &&
+      header.subarray(0, magic.length).equals(magic)
+    ) {
+      return codec;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the compression of an uploaded file from the extensions a compressed
+ * upload adds to its name (`.gz` / `.zst`, then `.b64` for gists)
+ *
+ * An uploaded log name always ends in `.log.txt`, so a log that was already
+ * gzipped and uploaded as it is (`app.log.gz.log.txt`) is not mistaken for a
+ * compressed upload.
+ *
+ * @param {string} fileName - Uploaded file name
+ * @returns {Object|null} `{ codec, encoding }`, or null for files uploaded as they are
+ */
+export function getUploadedCompression(fileName) {
+  const encoded = fileName.endsWith(BASE64_EXTENSION);
+  const name = encoded ? fileName.slice(0, -BASE64_EXTENSION.length) : fileName;
+  for (const [codec, { extension }] of Object.entries(COMPRESSION_CODECS)) {
+    if (name.endsWith(extension)) {
+      return { codec, encoding: encoded ? 'base64' : 'binary' };
+    }
+  }
+  return null;
+}
+
+/**
+ * Restore an uploaded file to its original content
+ *
+ * The compression recorded for the upload in its manifest decides how: base64
+ * text is decoded first, then gzip/zstd content is decompressed. Without a
+ * record, the file name decides (see getUploadedCompression). Files uploaded
+ * as they are are copied unchanged, whatever their content.
+ *
+ * @param {string} inputPath - Downloaded file
+ * @param {string} outputPath - Restored file to create
+ * @param {Object|null} [compression] - `compression` of the manifest record; null for an uncompressed upload
+ * @returns {Promise<string|null>} Codec that was removed, or null
+ */
+export async function restoreUploadedFile(
+  inputPath,
+  outputPath,
+  compression = getUploadedCompression(path.basename(inputPath))
+) {
+  if (!compression) {
+    fs.copyFileSync(inputPath, outputPath);
+    return null;
+  }
+
+  const { codec, encoding } = compression;
+  if (!COMPRESSION_CODECS[codec]) {
+    throw new UsageError(`Unknown compression codec "${codec}"`);
+  }
+  if (!isCompressionSupported(codec)) {
+    throw new UsageError(
+      `${codec} decompression is not supported by this runtime. Use Bun or Node.js 22.15+`
+    );
+  }
+
+  let sourcePath = inputPath;
+  const decodedPath = `${outputPath}.decoded`;
+  try {
+    if (encoding === 'base64') {
+      const text = fs.readFileSync(inputPath, 'utf8');
+      fs.writeFileSync(decodedPath, Buffer.from(text, 'base64'));
+      sourcePath = decodedPath;
+    }
+
+    await pipeline(
+      fs.createReadStream(sourcePath),
+      COMPRESSION_CODECS[codec].createDecompress(),
+      fs.createWriteStream(outputPath)
+    );
+    return codec;
+  } finally {
+    fs.rmSync(decodedPath, { force: true });
+  }
+}
+
+/**
+ * Compress upload entries into a staging directory
+ *
+ * @param {Object[]} entries - `{ name, sourcePath }` entries to compress
+ * @param {string} stagingDir - Directory receiving the compressed files
+ * @param {string} codec - Codec name ('gzip' or 'zstd')
+ * @returns {Promise<Object>} `{ entries, originalSize, compressedSize }` with compressed `{ name, sourcePath }` entries
+ */
+export async function compressUploadEntries(entries, stagingDir, codec) {
+  const { extension } = COMPRESSION_CODECS[codec];
+  const compressedEntries = [];
+  let originalSize = 0;
+  let compressedSize = 0;
+
+  for (const entry of entries) {
+    const name = `${entry.name}${extension}`;
+    const sourcePath = path.join(stagingDir, name);
+    const sizes = await compressFile(entry.sourcePath, sourcePath, codec);
+    originalSize += sizes.originalSize;
+    compressedSize += sizes.compressedSize;
+    compressedEntries.push({
+      ...entry,
+      name,
+      sourcePath,
+      stable: true,
+      compression: {
+        codec,
+        encoding: 'binary',
+        originalSize: sizes.originalSize,
+      },
+    });
+  }
+
+  return { entries: compressedEntries, originalSize, compressedSize };
+}
+
+/**
+ * Base64-encode compressed upload entries for a gist
+ *
+ * @param {Object[]} entries - Compressed `{ name, sourcePath }` entries
+ * @returns {Promise<Object[]>} Encoded `{ name, sourcePath }` entries ending in `.b64`
+ */
+export async function encodeUploadEntries(entries) {
+  const encodedEntries = [];
+
+  for (const entry of entries) {
+    const sourcePath = `${entry.sourcePath}${BASE64_EXTENSION}`;
+    await encodeBase64File(entry.sourcePath, sourcePath);
+    encodedEntries.push({
+      ...entry,
+      name: `${entry.name}${BASE64_EXTENSION}`,
+      sourcePath,
+      compression: { ...entry.compression, encoding: 'base64' },
+    });
+  }
+
+  return encodedEntries;
+}
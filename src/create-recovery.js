@@ -0,0 +1,141 @@
+#!/usr/bin/env bun
+
+/**
+ * Finding what a failed create call left behind
+ *
+ * A gist or repository create call that fails with a server error or a
+ * dropped connection may have been carried out anyway. Before it is sent
+ * again, these lookups check whether a matching gist or repository appeared
+ * since the first attempt started (see withRetries in retry.js). A lookup
+ * that fails itself ends the upload rather than risk a duplicate.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { ensureCommandSucceeded, getCommandExitCode } from './common.js';
+import { classifyCommandFailure } from './retry.js';
+
+// GitHub timestamps have second precision and the clocks may disagree a bit
+const CREATED_AT_TOLERANCE = 60 * 1000;
+
+/**
+ * Check whether a GitHub `created_at` timestamp is not older than an attempt
+ *
+ * @param {string} createdAt - ISO timestamp reported by GitHub
+ * @param {number} startedAt - Start of the first attempt in milliseconds
+ * @returns {boolean} True when the resource may come from the attempt
+ */
+export function isCreatedSince(createdAt, startedAt) {
+  const created = Date.parse(createdAt);
+  return !Number.isNaN(created) && created >= startedAt - CREATED_AT_TOLERANCE;
+}
+
+/**
+ * Describe a gist about to be created, for findCreatedGist
+ *
+ * @param {string} description - Gist description
+ * @param {Object<string, number>} fileSizes - Byte size of every file by name
+ * @returns {Object} `{ description, fileSizes, startedAt }`
+ */
+export function describeGistToCreate(description, fileSizes) {
+  return { description, fileSizes, startedAt: Date.now() };
+}
+
+/**
+ * Describe a gist about to be created from staged files, for findCreatedGist
+ *
+ * @param {string} description - Gist description
+ * @param {string[]} stagedFilePaths - Files named as they will be in the gist
+ * @returns {Object} `{ description, fileSizes, startedAt }`
+ */
+export function describeStagedGist(description, stagedFilePaths) {
+  return describeGistToCreate(
+    description,
+    Object.fromEntries(
+      stagedFilePaths.map((stagedFilePath) => [
+        path.basename(stagedFilePath),
+        fs.statSync(stagedFilePath).size,
+      ])
+    )
+  );
+}
+
+/**
+ * Find the gist a failed create call produced among the newest gists
+ *
+ * A gist matches when its description, file names and file sizes are those
+ * of the upload and it was created after the first attempt started.
+ *
+ * @param {Object[]} gists - Gists as listed by the GitHub API, newest first
+ * @param {Object} expected - Result of describeGistToCreate()
+ * @returns {Object|null} The matching gist, or null
+ */
+export function findCreatedGist(gists, expected) {
+  const names = Object.keys(expected.fileSizes).sort();
+  return (
+    (gists || []).find((gist) => {
+      const files = gist.files || {};
+      return (
+        (gist.description || '') === (expected.description || '') &&
+        isCreatedSince(gist.created_at, expected.startedAt) &&
+        Object.keys(files).sort().join('\n') === names.join('\n') &&
+        names.every((name) => files[name].size === expected.fileSizes[name])
+      );
+    }) || null
+  );
+}
+
+/**
+ * Look up the gist a failed `gh gist create` produced
+ *
+ * @param {Function} $ - command-stream template tag
+ * @param {Object} expected - Result of describeGistToCreate()
+ * @returns {Promise<Object|null>} Command result printing the gist URL, as `gh gist create` does, or null
+ */
+export async function recoverCreatedGist($, expected) {
+  const $silent = $({ mirror: false, capture: true });
+  const listed = ensureCommandSucceeded(
+    await $silent`gh api gists?per_page=30`,
+    'look up the gist of a failed create call'
+  ).stdout.trim();
+
+  const gist = listed && findCreatedGist(JSON.parse(listed), expected);
+  return gist ? { code: 0, stdout: `${gist.html_url}\n`, stderr: '' } : null;
+}
+
+/**
+ * Look up the repository a failed `gh repo create` produced
+ *
+ * @param {Function} $ - command-stream template tag
+ * @param {string} owner - Repository owner
+ * @param {string} repositoryName - Repository name
+ * @param {number} startedAt - Start of the first attempt in milliseconds
+ * @returns {Promise<Object|null>} Command result printing the repository URL, as `gh repo create` does, or null
+ */
+export async function recoverCreatedRepository(
+  $,
+  owner,
+  repositoryName,
+  startedAt
+) {
+  const $silent = $({ mirror: false, capture: true });
+  const result =
+    await $silent`gh api repos/${owner}/${repositoryName} --jq ${'{createdAt: .created_at, url: .html_url}'}`;
+  if (
+    getCommandExitCode(result) !== 0 &&
+    classifyCommandFailure(result.stderr || result.stdout).category ===
+      'not-found'
+  ) {
+    return null;
+  }
+
+  const repository = JSON.parse(
+    ensureCommandSucceeded(
+      result,
+      `look up GitHub repo ${repositoryName}`
+    ).stdout.trim()
+  );
+  return isCreatedSince(repository.createdAt, startedAt)
+    ? { code: 0, stdout: `${repository.url}\n`, stderr: '' }
+    : null;
+}
@@ -0,0 +1,228 @@
+#!/usr/bin/env bun
+
+/**
+ * Deletion of a single upload
+ *
+ * Removes a log that was uploaded by mistake: a gist, a dedicated repository
+ * or a folder inside a shared repository. Folder removals are a commit, so
+ * the content stays in the history unless it is purged as well.
+ */
+
+import {
+  createDefaultLogger,
+  DEFAULT_PRIVATE_LOGS_REPOSITORY,
+  DEFAULT_PUBLIC_LOGS_REPOSITORY,
+  generateRepoName,
+  generateUploadedLogFileName,
+} from './common.js';
+import { parseUploadUrl } from './download.js';
+import { NotFoundError, UsageError } from './errors.js';
+import { resolveGitHubHost } from './github-host.js';
+import { listUploads } from './list.js';
+import { REPOSITORY_LAYOUT_FILE_NAME } from './path-template.js';
+import {
+  buildGitHubRepositoryTreeUrl,
+  buildGitHubRepositoryUrl,
+} from './repository-staging.js';
+import { createUploadStore } from './upload-store.js';
+
+function isUploadUrl(target) {
+  return /^https?:\/\//i.test(target);
+}
+
+function matchesUploadName(entry, name) {
+  if ([entry.id, entry.path, entry.name].includes(name)) {
+    return true;
+  }
+  return entry.type === 'gist'
+    ? entry.files.includes(generateUploadedLogFileName(name))
+    : entry.name === generateRepoName(name);
+}
+
+async function isSharedRepository(store, owner, repositoryName, options) {
+  const sharedNames = [
+    DEFAULT_PRIVATE_LOGS_REPOSITORY,
+    DEFAULT_PUBLIC_LOGS_REPOSITORY,
+    options.repository?.split('/').pop(),
+  ];
+  return (
+    sharedNames.includes(repositoryName) ||
+    (await store.readJsonFile(
+      owner,
+      repositoryName,
+      REPOSITORY_LAYOUT_FILE_NAME
+    )) !== null
+  );
+}
+
+/**
+ * Resolve a name to exactly one upload
+ *
+ * Names match gist ids, gist file names, shared-repository folder paths and
+ * folder names, also in the form they had before upload (`app.log` matches
+ * the gist file `app.log.txt` and the folder `log-app`). When nothing
+ * matches, the dedicated repository `log-<name>` is used.
+ */
+async function resolveUploadName(store, name, options, host) {
+  const entries = (await listUploads(options)).filter((entry) =>
+    matchesUploadName(entry, name)
+  );
+
+  if (entries.length > 1) {
+    throw new UsageError(
+      `"${name}" matches ${entries.length} uploads, pass one of their URLs instead:\n${entries.map((entry) => `  ${entry.url}`).join('\n')}`
+    );
+  }
+  if (entries.length === 1) {
+    return { ...parseUploadUrl(entries[0].url, { host }), url: entries[0].url };
+  }
+
+  const githubUser = await store.getUser();
+  const repositoryName = generateRepoName(name);
+  if (await store.getRepository(githubUser, repositoryName)) {
+    return {
+      type: 'repo',
+      host,
+      owner: githubUser,
+      repositoryName,
+      repositoryPath: '',
+    };
+  }
+
+  throw new NotFoundError(`No upload named "${name}" was found`);
+}
+
+/**
+ * Delete one upload
+ *
+ * @param {string} target - Upload URL, or a name as shown by `gh-upload-log list`
+ * @param {Object} options - Delete options
+ * @param {boolean} options.purgeHistory - For shared-repository folders, also replace the branch history with a single commit so the content is no longer reachable (default: false)
+ * @param {Function} options.confirm - Called with the resolved upload before anything is deleted; resolve to false to cancel
+ * @param {string} options.repository - Shared repository as 'owner/name' searched for names (default: the user's private-logs and public-logs)
+ * @param {string} options.transport - 'auto' (default), 'api' or 'gh'
+ * @param {string} options.host - GitHub host (default: GH_HOST or github.com)
+ * @param {boolean} options.dryMode - Only report what would be deleted
+ * @param {boolean} options.verbose - Enable verbose logging (default: false)
+ * @param {Object} options.logger - Logging target (default: console)
+ * @returns {Promise<Object>} `{ type, url, deleted, dryMode, historyPurged, ... }`
+ */
+export async function deleteUpload(target, options = {}) {
+  const {
+    purgeHistory = false,
+    confirm,
+    dryMode = false,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  if (!target) {
+    throw new UsageError('An upload URL or name is required');
+  }
+
+  const log = createDefaultLogger({ verbose, logger });
+  const host = resolveGitHubHost(options);
+  const store = await createUploadStore(options, log);
+  const upload = isUploadUrl(target)
+    ? { ...parseUploadUrl(target, { host }), url: target }
+    : await resolveUploadName(store, target, options, host);
+
+  const result = {
+    type: upload.type,
+    url: upload.url,
+    deleted: false,
+    dryMode,
+    historyPurged: false,
+  };
+
+  if (upload.type === 'gist') {
+    result.gistId = upload.gistId;
+  } else {
+    const { owner, repositoryName, repositoryPath } = upload;
+    const metadata = await store.getRepository(owner, repositoryName);
+    if (!metadata) {
+      throw new NotFoundError(
+        `Repository ${owner}/${repositoryName} does not exist`
+      );
+    }
+
+    if (repositoryPath) {
+      const branch = upload.branch || metadata.defaultBranch || 'main';
+      const { files } = await store.listRepositoryFiles(
+        owner,
+        repositoryName,
+        branch
+      );
+      const paths = files
+        .map((file) => file.path)
+        .filter((filePath) => filePath.startsWith(`${repositoryPath}/`));
+      if (paths.length === 0) {
+        throw new NotFoundError(
+          `No upload at ${repositoryPath} in ${owner}/${repositoryName}`
+        );
+      }
+
+      Object.assign(result, {
+        type: 'folder',
+        owner,
+        repositoryName,
+        repositoryPath,
+        branch,
+        files: paths,
+        url: buildGitHubRepositoryTreeUrl(
+          owner,
+          repositoryName,
+          branch,
+          repositoryPath,
+          host
+        ),
+      });
+    } else {
+      if (await isSharedRepository(store, owner, repositoryName, options)) {
+        throw new UsageError(
+          `${owner}/${repositoryName} is a shared repository; pass the URL of a folder inside it instead`
+        );
+      }
+
+      Object.assign(result, {
+        owner,
+        repositoryName,
+        url: buildGitHubRepositoryUrl(owner, repositoryName, host),
+      });
+    }
+  }
+
+  if (dryMode || (confirm && !(await confirm(result)))) {
+    return result;
+  }
+
+  if (result.type === 'gist') {
+    log.debug(() => `→ Deleting gist ${result.gistId}`);
+    await store.deleteGist(result.gistId);
+  } else if (result.type === 'folder') {
+    log.debug(() => `→ Removing ${result.repositoryPath}...`);
+    await store.removeRepositoryPaths(
+      result.owner,
+      result.repositoryName,
+      result.branch,
+      result.files,
+      `Delete upload ${result.repositoryPath}`
+    );
+    if (purgeHistory) {
+      log.debug(() => `→ Purging the history of ${result.repositoryName}...`);
+      await store.squashHistory(
+        result.owner,
+        result.repositoryName,
+        result.branch,
+        `Purge history after deleting ${result.repositoryPath}`
+      );
+      result.historyPurged = true;
+    }
+  } else {
+    log.debug(() => `→ Deleting repository ${result.repositoryName}`);
+    await store.deleteRepository(result.owner, result.repositoryName);
+  }
+
+  result.deleted = true;
+  return result;
+}
@@ -0,0 +1,432 @@
+#!/usr/bin/env bun
+
+/**
+ * Download and restore uploaded logs
+ *
+ * Fetches a gist or repository upload, joins `*.part-NN.log.txt` chunks in
+ * order and decodes/decompresses the result back into the original log.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { pipeline } from 'node:stream/promises';
+import { URL } from 'node:url';
+import {
+  createDefaultLogger,
+  ensureCommandSucceeded,
+  getCommandStream,
+  LOG_TEXT_EXTENSION,
+} from './common.js';
+import {
+  BASE64_EXTENSION,
+  COMPRESSION_CODECS,
+  restoreUploadedFile,
+} from './compression.js';
+import { findArchivedUpload } from './compact.js';
+import { IntegrityError, NotFoundError, UsageError } from './errors.js';
+import { createGitHubClient, resolveTransport } from './github-api.js';
+import {
+  DEFAULT_GITHUB_HOST,
+  isEnterpriseHost,
+  resolveGitHubHost,
+} from './github-host.js';
+import {
+  isSafeFileName,
+  MANIFEST_FILE_NAME,
+  readUploadManifest,
+  verifyFileChecksum,
+} from './manifest.js';
+import { createUploadStore } from './upload-store.js';
+
+const CHUNK_FILE_PATTERN = /^(.*)\.part-(\d+)\.log\.txt$/;
+
+/**
+ * Parse a gist or repository URL returned by an upload
+ *
+ * Accepts `https://gist.github.com/<user>/<id>`, repository URLs
+ * (`https://github.com/<owner>/<repo>`) and shared-repository folder URLs
+ * (`https://github.com/<owner>/<repo>/tree/<branch>/<path>`), plus the same
+ * URLs on the configured GitHub Enterprise Server host, whose gists live
+ * under `https://<host>/gist/`.
+ *
+ * @param {string} url - URL printed by an upload
+ * @param {Object} [options={}] - Options with an optional `host`
+ * @returns {Object} `{ type: 'gist', host, gistId }` or `{ type: 'repo', host, owner, repositoryName, branch, repositoryPath }`
+ */
+export function parseUploadUrl(url, options = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new UsageError(`Unsupported upload URL: ${url}`);
+  }
+
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  const host = parsed.host.toLowerCase();
+
+  if (host === 'gist.github.com' && segments.length > 0) {
+    return {
+      type: 'gist',
+      host: DEFAULT_GITHUB_HOST,
+      gistId: segments[segments.length - 1],
+    };
+  }
+
+  const knownHosts = [DEFAULT_GITHUB_HOST, resolveGitHubHost(options)];
+  if (!knownHosts.includes(host)) {
+    throw new UsageError(`Unsupported upload URL: ${url}`);
+  }
+
+  if (isEnterpriseHost(host) && segments[0] === 'gist' && segments.length > 1) {
+    return { type: 'gist', host, gistId: segments[segments.length - 1] };
+  }
+
+  if (segments.length >= 2) {
+    const [owner, repository, kind, branch, ...rest] = segments;
+    if (kind && (kind !== 'tree' || !branch)) {
+      throw new UsageError(`Unsupported upload URL: ${url}`);
+    }
+
+    return {
+      type: 'repo',
+      host,
+      owner,
+      repositoryName: repository.replace(/\.git$/, ''),
+      branch,
+      repositoryPath: rest.join('/'),
+    };
+  }
+
+  throw new UsageError(`Unsupported upload URL: ${url}`);
+}
+
+/**
+ * Group downloaded files into logical uploads, joining chunk files in order
+ *
+ * @param {string[]} fileNames - Names of the downloaded files
+ * @returns {Object[]} `{ name, parts }` entries; `parts` lists the file names to concatenate
+ */
+export function groupUploadedFiles(fileNames) {
+  const groups = new Map();
+
+  for (const fileName of fileNames) {
+    const match = CHUNK_FILE_PATTERN.exec(fileName);
+    if (!match) {
+      groups.set(fileName, { name: fileName, parts: [fileName] });
+      continue;
+    }
+
+    const [, baseName, index] = match;
+    const isCompressed = Object.values(COMPRESSION_CODECS).some(
+      ({ extension }) => baseName.endsWith(extension)
+    );
+    const name = isCompressed ? baseName : `${baseName}${LOG_TEXT_EXTENSION}`;
+    const group = groups.get(name) || { name, parts: [], indexes: [] };
+    group.parts.push(fileName);
+    group.indexes.push(Number(index));
+    groups.set(name, group);
+  }
+
+  return [...groups.values()]
+    .map(({ name, parts, indexes }) => {
+      if (!indexes) {
+        return { name, parts };
+      }
+
+      const order = indexes
+        .map((index, position) => ({ index, part: parts[position] }))
+        .sort((a, b) => a.index - b.index);
+      order.forEach(({ index }, position) => {
+        if (index !== position) {
+          throw new NotFoundError(`Missing chunk ${position} of ${name}`);
+        }
+      });
+      return { name, parts: order.map(({ part }) => part) };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Strip the encoding and compression extensions added at upload time
+ *
+ * @param {string} fileName - Uploaded file name
+ * @returns {string} Name of the restored log
+ */
+function getRestoredFileName(fileName) {
+  let name = fileName;
+  if (name.endsWith(BASE64_EXTENSION)) {
+    name = name.slice(0, -BASE64_EXTENSION.length);
+  }
+  for (const { extension } of Object.values(COMPRESSION_CODECS)) {
+    if (name.endsWith(extension)) {
+      return name.slice(0, -extension.length);
+    }
+  }
+  return name;
+}
+
+function listCheckedOutFiles(directoryPath) {
+  return fs
+    .readdirSync(directoryPath, { withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) => entry.name);
+}
+
+async function fetchUploadViaApi(client, target, workDir, log) {
+  fs.mkdirSync(workDir, { recursive: true });
+
+  if (target.type === 'gist') {
+    log.debug(() => `→ Downloading gist ${target.gistId}...`);
+    const gist = await client.getGist(target.gistId);
+    for (const file of Object.values(gist.files || {})) {
+      const content = file.truncated
+        ? await client.downloadRaw(file.raw_url)
+        : file.content;
+      fs.writeFileSync(path.join(workDir, file.filename), content);
+    }
+    return workDir;
+  }
+
+  const { owner, repositoryName, repositoryPath } = target;
+  const repository = await client.getRepository(owner, repositoryName);
+  if (!repository) {
+    throw new NotFoundError(`Repository ${owner}/${repositoryName} not found`);
+  }
+  const branch = target.branch || repository.default_branch;
+  const ref = await client.getBranchRef(owner, repositoryName, branch);
+  if (!ref) {
+    throw new NotFoundError(
+      `Branch ${branch} not found in ${owner}/${repositoryName}`
+    );
+  }
+  const commit = await client.getCommit(owner, repositoryName, ref.object.sha);
+  const blobs = await client.listTreeBlobs(
+    owner,
+    repositoryName,
+    commit.tree.sha
+  );
+  const prefix = repositoryPath ? `${repositoryPath}/` : '';
+  const sourceDir = path.join(workDir, repositoryPath);
+
+  for (const item of blobs) {
+    const name = item.path.slice(prefix.length);
+    if (!item.path.startsWith(prefix) || name.includes('/')) {
+      continue;
+    }
+    log.debug(() => `→ Downloading ${item.path}...`);
+    const blob = await client.getBlob(owner, repositoryName, item.sha);
+    fs.mkdirSync(sourceDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(sourceDir, name),
+      Buffer.from(blob.content, blob.encoding === 'base64' ? 'base64' : 'utf8')
+    );
+  }
+
+  return sourceDir;
+}
+
+async function fetchUpload($, target, workDir, log) {
+  const $silent = $({ mirror: false, capture: true });
+
+  if (target.type === 'gist') {
+    log.debug(() => `→ Cloning gist ${target.gistId}...`);
+    ensureCommandSucceeded(
+      await $silent`gh gist clone ${target.gistId} ${workDir}`,
+      `download gist ${target.gistId}`
+    );
+    return workDir;
+  }
+
+  const repository = `${target.owner}/${target.repositoryName}`;
+  const cloneFlags = ['--depth', '1', '--filter=blob:none'];
+  if (target.branch) {
+    cloneFlags.push('--branch', target.branch);
+  }
+  if (target.repositoryPath) {
+    cloneFlags.push('--sparse');
+  }
+
+  log.debug(() => `→ Cloning ${repository}...`);
+  ensureCommandSucceeded(
+    await $silent`gh repo clone ${repository} ${workDir} -- ${cloneFlags}`,
+    `download repository ${repository}`
+  );
+
+  if (target.repositoryPath) {
+    log.debug(() => `→ Checking out ${target.repositoryPath}...`);
+    ensureCommandSucceeded(
+      await $silent`cd ${workDir} && git sparse-checkout set ${target.repositoryPath}`,
+      `check out ${target.repositoryPath} from ${repository}`
+    );
+  }
+
+  return path.join(workDir, target.repositoryPath);
+}
+
+async function concatenateFiles(sourcePaths, outputPath) {
+  fs.writeFileSync(outputPath, '');
+  for (const sourcePath of sourcePaths) {
+    await pipeline(
+      fs.createReadStream(sourcePath),
+      fs.createWriteStream(outputPath, { flags: 'a' })
+    );
+  }
+}
+
+/**
+ * Download an uploaded log and restore the original file
+ *
+ * Chunked uploads are joined in order and compressed uploads are decompressed.
+ * Shared-repository folders that were moved into an archive by `compact` are
+ * looked up in the archives recorded in the repository's layout file.
+ * When the upload has a manifest.json, every chunk and the joined file are
+ * checked against the recorded sizes and SHA-256 checksums.
+ * A single log is written to `output` (a file path, or a directory when it
+ * exists or ends with a slash); multi-file uploads are written into the `output` directory.
+ *
+ * @param {string} url - Gist, repository or shared-repository folder URL
+ * @param {Object} [options={}] - Download options
+ * @param {string} [options.output] - Output file or directory (default: current directory)
+ * @param {boolean} [options.verbose=false] - Enable verbose logging
+ * @param {Object} [options.logger=console] - Logging target
+ * @param {string} [options.transport='auto'] - 'auto', 'api' (REST API) or 'gh' (gh CLI and git)
+ * @param {string} [options.host] - GitHub Enterprise Server host whose URLs are accepted (default: GH_HOST)
+ * @returns {Promise<Object>} `{ url, type, outputPath, files }` where files list `{ name, path, size, parts, codec, verified }`
+ */
+export async function downloadLog(url, options = {}) {
+  if (!url) {
+    throw new UsageError('url is required');
+  }
+
+  const target = parseUploadUrl(url, options);
+  const hostOptions = { ...options, host: target.host };
+  const useApi = resolveTransport(hostOptions) === 'api';
+  const $ = useApi ? null : await getCommandStream(hostOptions);
+  const { output, verbose = false, logger = console } = options;
+  const log = createDefaultLogger({ verbose, logger });
+  const workDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), 'gh-upload-log-download-')
+  );
+
+  const client = useApi ? createGitHubClient(hostOptions) : null;
+  const fetchTarget = (fetchedTarget, directoryName) =>
+    useApi
+      ? fetchUploadViaApi(
+          client,
+          fetchedTarget,
+          path.join(workDir, directoryName),
+          log
+        )
+      : fetchUpload($, fetchedTarget, path.join(workDir, directoryName), log);
+
+  try {
+    let sourceDir = await fetchTarget(target, 'src');
+    if (!fs.existsSync(sourceDir) && target.type === 'repo') {
+      // The folder may have moved into an archive by `compact`
+      const archived = await findArchivedUpload(
+        await createUploadStore(hostOptions, log),
+        target
+      );
+      if (archived) {
+        log.debug(() => `→ Found in archive ${archived.repositoryName}`);
+        sourceDir = await fetchTarget(archived, 'archive');
+      }
+    }
+    if (!fs.existsSync(sourceDir)) {
+      throw new NotFoundError(`No uploaded files found at ${url}`);
+    }
+
+    const manifest = readUploadManifest(sourceDir);
+    const groups = manifest
+      ? manifest.files.map((record) => ({
+          name: record.name,
+          parts: record.chunks.map((chunk) => chunk.name),
+          record,
+        }))
+      : groupUploadedFiles(
+          listCheckedOutFiles(sourceDir).filter(
+            (fileName) => fileName !== MANIFEST_FILE_NAME
+          )
+        );
+    if (groups.length === 0) {
+      throw new NotFoundError(`No uploaded files found at ${url}`);
+    }
+
+    const multiple = groups.length > 1;
+    const outputIsDirectory =
+      multiple ||
+      !output ||
+      /[\\/]$/.test(output) ||
+      Boolean(fs.statSync(output, { throwIfNoEntry: false })?.isDirectory());
+    const outputDir = outputIsDirectory ? output || '.' : path.dirname(output);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const files = [];
+    for (const group of groups) {
+      const joinedPath = path.join(workDir, group.name);
+      const partPaths = group.parts.map((part) => path.join(sourceDir, part));
+      for (const [index, partPath] of partPaths.entries()) {
+        if (!fs.existsSync(partPath)) {
+          throw new NotFoundError(
+            `Missing chunk ${group.parts[index]} of ${group.name}`
+          );
+        }
+        if (group.record) {
+          await verifyFileChecksum(partPath, group.record.chunks[index]);
+        }
+      }
+      const expectedSize = partPaths.reduce(
+        (total, partPath) => total + fs.statSync(partPath).size,
+        0
+      );
+
+      log.debug(
+        () => `→ Joining ${group.parts.length} part(s) into ${group.name}...`
+      );
+      await concatenateFiles(partPaths, joinedPath);
+      if (fs.statSync(joinedPath).size !== expectedSize) {
+        throw new IntegrityError(
+          `Size mismatch after joining ${group.name}: expected ${expectedSize} bytes`
+        );
+      }
+      if (group.record) {
+        log.debug(() => `→ Verifying SHA-256 of ${group.name}...`);
+        await verifyFileChecksum(joinedPath, group.record);
+      }
+
+      const restoredName = getRestoredFileName(group.name);
+      if (!isSafeFileName(restoredName)) {
+        throw new IntegrityError(
+          `Refusing to restore ${group.name} as ${JSON.stringify(restoredName)}`
+        );
+      }
+      const restoredPath = outputIsDirectory
+        ? path.join(outputDir, restoredName)
+        : output;
+      const codec = await restoreUploadedFile(
+        joinedPath,
+        restoredPath,
+        group.record?.compression
+      );
+
+      files.push({
+        name: restoredName,
+        path: restoredPath,
+        size: fs.statSync(restoredPath).size,
+        parts: group.parts.length,
+        codec,
+        verified: Boolean(group.record),
+      });
+    }
+
+    return {
+      url,
+      type: target.type,
+      outputPath: multiple ? outputDir : files[0].path,
+      files,
+    };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,181 @@
+#!/usr/bin/env bun
+
+/**
+ * Error classes of gh-upload-log
+ *
+ * Every error the library raises on purpose is a GhUploadLogError subclass
+ * with a stable string `code` and the `exitCode` the CLI exits with, so
+ * scripts can tell a rate limit (wait and run again) from bad credentials
+ * (alert someone) without parsing messages. Extra facts about the failure,
+ * such as the HTTP `status` or the `stderr` of a command, are properties of
+ * the error.
+ */
+
+/**
+ * Base class; also used for failures that fit no other class
+ */
+export class GhUploadLogError extends Error {
+  static code = 'UPLOAD_FAILED';
+  static exitCode = 1;
+
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [properties] - Extra properties; `cause` becomes the standard error cause
+   */
+  constructor(message, properties = {}) {
+    const { cause, ...rest } = properties;
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = new.target.name;
+    this.code = new.target.code;
+    this.exitCode = new.target.exitCode;
+    Object.assign(this, rest);
+  }
+}
+
+/**
+ * Invalid options or arguments, such as a missing file or a malformed size
+ */
+export class UsageError extends GhUploadLogError {
+  static code = 'INVALID_USAGE';
+  static exitCode = 2;
+}
+
+/**
+ * Missing or rejected credentials, or no permission for the target
+ */
+export class AuthenticationError extends GhUploadLogError {
+  static code = 'AUTHENTICATION_FAILED';
+  static exitCode = 3;
+}
+
+/**
+ * GitHub rate limit; `retryAfter` holds the requested wait in milliseconds
+ */
+export class RateLimitError extends GhUploadLogError {
+  static code = 'RATE_LIMITED';
+  static exitCode = 4;
+}
+
+/**
+ * Server errors and dropped connections that outlasted the retries
+ */
+export class GitHubUnavailableError extends GhUploadLogError {
+  static code = 'GITHUB_UNAVAILABLE';
+  static exitCode = 5;
+}
+
+/**
+ * A gist, repository, branch or upload that does not exist
+ */
+export class NotFoundError extends GhUploadLogError {
+  static code = 'NOT_FOUND';
+  static exitCode = 6;
+}
+
+/**
+ * An existing repository whose visibility does not match the upload
+ */
+export class VisibilityMismatchError extends GhUploadLogError {
+  static code = 'VISIBILITY_MISMATCH';
+  static exitCode = 7;
+}
+
+/**
+ * A target that already holds a different upload
+ */
+export class NameConflictError extends GhUploadLogError {
+  static code = 'NAME_CONFLICT';
+  static exitCode = 8;
+}
+
+/**
+ * Not enough disk space to stage the upload
+ *
+ * Keeps the `ENOSPC` code of the system error it stands for.
+ */
+export class DiskSpaceError extends GhUploadLogError {
+  static code = 'ENOSPC';
+  static exitCode = 9;
+}
+
+/**
+ * A failed `gh` or `git` command; `commandExitCode` holds its exit status
+ */
+export class GitCommandError extends GhUploadLogError {
+  static code = 'GIT_COMMAND_FAILED';
+  static exitCode = 10;
+}
+
+/**
+ * A failed GitHub REST request not covered by another class
+ */
+export class GitHubApiError extends GhUploadLogError {
+  static code = 'GITHUB_API_ERROR';
+  static exitCode = 11;
+}
+
+/**
+ * A download that does not match what was uploaded: an invalid manifest, or
+ * a size or SHA-256 that differs from the recorded one
+ */
+export class IntegrityError extends GhUploadLogError {
+  static code = 'INTEGRITY_CHECK_FAILED';
+  static exitCode = 12;
+}
+
+const CATEGORY_CLASSES = {
+  auth: AuthenticationError,
+  'rate-limit': RateLimitError,
+  transient: GitHubUnavailableError,
+  'not-found': NotFoundError,
+};
+
+/**
+ * Create the error for a classified GitHub failure
+ *
+ * @param {string} message - Error message
+ * @param {string} category - Failure category (see retry.js)
+ * @param {Object} properties - Extra error properties
+ * @param {Function} Fallback - Class for validation and unknown failures (default: GhUploadLogError)
+ * @returns {GhUploadLogError} Error of the class matching the category
+ */
+export function createCategorizedError(
+  message,
+  category,
+  properties = {},
+  Fallback = GhUploadLogError
+) {
+  const ErrorClass = CATEGORY_CLASSES[category] || Fallback;
+  return new ErrorClass(message, { ...properties, category });
+}
+
+/**
+ * Exit code of the CLI for an error
+ *
+ * @param {Error} error - Error that ended the command
+ * @returns {number} `exitCode` of a GhUploadLogError, 9 for system ENOSPC errors, 1 otherwise
+ */
+export function getExitCode(error) {
+  if (error instanceof GhUploadLogError) {
+    return error.exitCode;
+  }
+  return error?.code === 'ENOSPC' ? DiskSpaceError.exitCode : 1;
+}
+
+/**
+ * All error classes, in exit code order
+ */
+export const ERROR_CLASSES = [
+  GhUploadLogError,
+  UsageError,
+  AuthenticationError,
+  RateLimitError,
+  GitHubUnavailableError,
+  NotFoundError,
+  VisibilityMismatchError,
+  NameConflictError,
+  DiskSpaceError,
+  GitCommandError,
+  GitHubApiError,
+  IntegrityError,
+];
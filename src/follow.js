@@ -0,0 +1,182 @@
+#!/usr/bin/env bun
+
+/**
+ * Following a live log
+ *
+ * Tails a file like `tail -F` and keeps one upload of it current, so a link to
+ * a running job's log can be shared while the job is still writing it. The
+ * bytes read are collected in a spool file that only ever grows, even when the
+ * followed file is rotated or truncated, and each push appends the new part of
+ * the spool to the same gist or shared-repository folder.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { pipeline } from 'node:stream/promises';
+import { setTimeout as delay } from 'node:timers/promises';
+import { createSpoolDirectory } from './capture.js';
+import { createDefaultLogger, getFileSize, parseDuration } from './common.js';
+import { UsageError } from './errors.js';
+import { shouldUseSharedRepositoryMode } from './repository-staging.js';
+import { getRevisionTarget } from './revision.js';
+
+export const DEFAULT_FOLLOW_INTERVAL = '30s';
+export const FOLLOW_POLL_INTERVAL = 1000;
+
+async function sleep(milliseconds, signal) {
+  try {
+    await delay(milliseconds, undefined, { signal });
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Copy the bytes written to the followed file since the last read to the end
+ * of the spool file
+ *
+ * A file that was replaced (new inode) or became shorter than what was read
+ * is followed again from its start. A missing file is waited for.
+ *
+ * @returns {Promise<number>} Number of bytes added to the spool
+ */
+async function readNewBytes(state, filePath, spoolPath, log) {
+  let stats;
+  try {
+    stats = fs.statSync(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      log.debug(() => `${filePath} does not exist (yet)`);
+      return 0;
+    }
+    throw error;
+  }
+
+  if (
+    state.inode !== undefined &&
+    (stats.ino !== state.inode || stats.size < state.offset)
+  ) {
+    log.warn(
+      () => `${filePath} was rotated or truncated, following it from the start`
+    );
+    state.offset = 0;
+  }
+  state.inode = stats.ino;
+
+  if (stats.size <= state.offset) {
+    return 0;
+  }
+
+  const start = state.offset;
+  await pipeline(
+    fs.createReadStream(filePath, { start, end: stats.size - 1 }),
+    fs.createWriteStream(spoolPath, { flags: 'a' })
+  );
+  state.offset = stats.size;
+  return stats.size - start;
+}
+
+/**
+ * Follow a growing log and push new content to one upload
+ *
+ * The first push is a regular upload; later pushes append to that very upload
+ * (see getRevisionTarget), so the URL stays the same while the log grows and
+ * no search can pick another upload of a log with the same name. Content
+ * is pushed once per interval, or sooner when `flushBytes` have accumulated.
+ * Following stops when `signal` is aborted, after a last push.
+ *
+ * @param {Object} options - Upload options (see uploadLog) plus follow options
+ * @param {Function} upload - Function uploading one revision (uploadLog)
+ * @returns {Promise<Object>} Result of the last push with `pushes` and `size`, or null when the log stayed empty
+ */
+export async function followFile(options, upload) {
+  const {
+    filePath,
+    interval = DEFAULT_FOLLOW_INTERVAL,
+    flushBytes,
+    pollInterval = FOLLOW_POLL_INTERVAL,
+    signal,
+    onPush,
+    useSharedRepository = true,
+    verbose = false,
+    logger = console,
+    ...uploadOptions
+  } = options;
+
+  if (!filePath) {
+    throw new UsageError('filePath is required in options');
+  }
+  if (options.compress) {
+    throw new UsageError('follow cannot compress uploads, because it appends');
+  }
+  if (options.files || options.update || options.append) {
+    throw new UsageError('follow works on a single log file on its own');
+  }
+  if (!shouldUseSharedRepositoryMode(filePath, useSharedRepository)) {
+    throw new UsageError('follow needs gist or shared repository uploads');
+  }
+
+  const log = createDefaultLogger({ verbose, logger });
+  const intervalMs = parseDuration(interval);
+  const spoolDir = createSpoolDirectory('follow');
+  const spoolPath = path.join(spoolDir, path.basename(filePath));
+  const state = { offset: 0 };
+  let pending = 0;
+  let lastPush = -Infinity;
+  let revisionTarget = null;
+  let result = null;
+  let pushes = 0;
+  let size = 0;
+
+  const push = async () => {
+    log.debug(() => `→ Pushing ${pending} new byte(s) of ${filePath}...`);
+    result = await upload({
+      ...uploadOptions,
+      filePath,
+      contentPath: spoolPath,
+      useSharedRepository,
+      verbose,
+      logger,
+      ...(revisionTarget && {
+        auto: false,
+        onlyGist: revisionTarget.type === 'gist',
+        onlyRepository: revisionTarget.type === 'repo',
+        append: true,
+        growLastPart: true,
+        revisionTarget,
+      }),
+    });
+    revisionTarget ??= getRevisionTarget(result);
+    pending = 0;
+    lastPush = Date.now();
+    pushes += 1;
+    await onPush?.(result);
+  };
+
+  fs.writeFileSync(spoolPath, '');
+  try {
+    while (!signal?.aborted) {
+      pending += await readNewBytes(state, filePath, spoolPath, log);
+      if (
+        pending > 0 &&
+        (Date.now() - lastPush >= intervalMs ||
+          (flushBytes && pending >= flushBytes))
+      ) {
+        await push();
+      }
+      await sleep(pollInterval, signal);
+    }
+
+    pending += await readNewBytes(state, filePath, spoolPath, log);
+    if (pending > 0) {
+      await push();
+    }
+    size = getFileSize(spoolPath);
+  } finally {
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+  }
+
+  return result && { ...result, pushes, size };
+}
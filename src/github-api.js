@@ -0,0 +1,548 @@
+#!/usr/bin/env bun
+
+/**
+ * Minimal fetch-based GitHub REST client
+ *
+ * Used by the `api` transport to create gists, repositories, blobs, trees and
+ * commits without the `gh` CLI. Authenticates with GH_TOKEN / GITHUB_TOKEN.
+ */
+
+import fs from 'node:fs';
+import { URLSearchParams } from 'node:url';
+import { ReadableStream } from 'node:stream/web';
+import { createDefaultLogger } from './common.js';
+import {
+  AuthenticationError,
+  createCategorizedError,
+  GitHubApiError,
+  GitHubUnavailableError,
+  UsageError,
+} from './errors.js';
+import {
+  getGitHubApiUrl,
+  isEnterpriseHost,
+  resolveGitHubHost,
+} from './github-host.js';
+import {
+  classifyHttpFailure,
+  isIdempotentRequest,
+  resolveRetryPolicy,
+  withRetries,
+} from './retry.js';
+import {
+  describeGistToCreate,
+  findCreatedGist,
+  isCreatedSince,
+} from './create-recovery.js';
+
+export const TRANSPORTS = ['auto', 'api', 'gh'];
+
+const GITHUB_API_VERSION = '2022-11-28';
+
+/**
+ * Read a GitHub token from the environment
+ *
+ * GitHub Enterprise Server hosts prefer GH_ENTERPRISE_TOKEN /
+ * GITHUB_ENTERPRISE_TOKEN, like the `gh` CLI does.
+ *
+ * @param {Object} [env=process.env] - Environment variables
+ * @param {string} [host='github.com'] - GitHub host the token is for
+ * @returns {string|null} Token, or null when none is set
+ */
+export function getGitHubToken(env = process.env, host = 'github.com') {
+  const enterpriseToken = isEnterpriseHost(host)
+    ? env.GH_ENTERPRISE_TOKEN || env.GITHUB_ENTERPRISE_TOKEN
+    : null;
+  return enterpriseToken || env.GH_TOKEN || env.GITHUB_TOKEN || null;
+}
+
+/**
+ * Pick the transport used to talk to GitHub
+ *
+ * 'auto' uses the REST API when a token is available and the `gh` CLI
+ * otherwise. An injected `commandStreamFactory` selects the `gh` transport.
+ *
+ * @param {Object} [options={}] - Upload options
+ * @param {string} [options.transport='auto'] - 'auto', 'api' or 'gh'
+ * @param {string} [options.token] - GitHub token (default: GH_TOKEN / GITHUB_TOKEN)
+ * @returns {string} 'api' or 'gh'
+ */
+export function resolveTransport(options = {}) {
+  const { transport = 'auto', token, commandStreamFactory } = options;
+
+  if (!TRANSPORTS.includes(transport)) {
+    throw new UsageError(
+      `Unknown transport "${transport}". Use ${TRANSPORTS.join(', ')}`
+    );
+  }
+
+  if (transport !== 'auto') {
+    return transport;
+  }
+
+  if (typeof commandStreamFactory === 'function') {
+    return 'gh';
+  }
+
+  return token || getGitHubToken(process.env, resolveGitHubHost(options))
+    ? 'api'
+    : 'gh';
+}
+
+/**
+ * Create an error for a failed GitHub API request
+ *
+ * @param {string} operation - Human-readable operation description
+ * @param {number} status - HTTP status code
+ * @param {Object|null} body - Parsed response body
+ * @param {Headers|Object} [headers] - Response headers, read for rate-limit wait times
+ * @returns {GhUploadLogError} AuthenticationError, RateLimitError, GitHubUnavailableError, NotFoundError or GitHubApiError with `status`, `category`, `retryAfter`, `documentationUrl` and `errors`
+ */
+export function createGitHubApiError(operation, status, body, headers = null) {
+  const details = (body?.errors || [])
+    .map((item) => item.message || item.code)
+    .filter(Boolean);
+  const message = [body?.message || `HTTP ${status}`, ...details].join(': ');
+  const { category, retryAfter } = classifyHttpFailure(
+    status,
+    message,
+    headers
+  );
+
+  return createCategorizedError(
+    `Failed to ${operation}: ${message} (HTTP ${status})`,
+    category,
+    {
+      status,
+      retryAfter,
+      documentationUrl: body?.documentation_url || null,
+      errors: body?.errors || [],
+    },
+    GitHubApiError
+  );
+}
+
+/**
+ * Check whether an API error reports an already existing repository name
+ *
+ * @param {Error} error - Error from the client
+ * @returns {boolean} True for 422 "name already exists" errors
+ */
+export function isGitHubApiNameConflict(error) {
+  return (
+    error?.status === 422 &&
+    error.message.toLowerCase().includes('already exists')
+  );
+}
+
+/**
+ * List the blobs of a git tree whose recursive listing came back truncated
+ *
+ * GitHub cuts recursive tree listings off at 100,000 entries or 7 MB and
+ * sets `truncated`; reading the tree one folder at a time gets all of it.
+ *
+ * @param {Function} readFolder - `(sha) => Promise<{ truncated, tree }>` reading one tree without recursion
+ * @param {string} sha - Tree SHA or branch name of the root
+ * @param {string} operation - What is being listed, for errors
+ * @returns {Promise<Object[]>} Blob entries with paths relative to the root
+ */
+export async function walkTree(readFolder, sha, operation) {
+  const blobs = [];
+  const walk = async (treeSha, prefix) => {
+    const folder = await readFolder(treeSha);
+    if (folder.truncated) {
+      throw new GitHubApiError(
+        `Failed to ${operation}: ${prefix || '/'} holds too many entries to list`
+      );
+    }
+    for (const item of folder.tree) {
+      const itemPath = `${prefix}${item.path}`;
+      if (item.type === 'tree') {
+        await walk(item.sha, `${itemPath}/`);
+      } else if (item.type === 'blob') {
+        blobs.push({ ...item, path: itemPath });
+      }
+    }
+  };
+  await walk(sha, '');
+  return blobs;
+}
+
+function encodeContentPath(contentPath) {
+  return contentPath
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => encodeURIComponent(segment))
+    .join('/');
+}
+
+/**
+ * Stream a file as the JSON body of a blob request, base64-encoding it piece
+ * by piece so the file is never held in memory as a whole
+ *
+ * @param {string} filePath - File to send
+ * @returns {ReadableStream} `{"encoding":"base64","content":"..."}` as bytes
+ */
+export function createBlobRequestStream(filePath) {
+  async function* generateBody() {
+    yield Buffer.from('{"encoding":"base64","content":"');
+    let remainder = Buffer.alloc(0);
+    for await (const chunk of fs.createReadStream(filePath)) {
+      const data = Buffer.concat([remainder, chunk]);
+      // base64 encodes 3 bytes at a time, so only whole groups are sent
+      const length = data.length - (data.length % 3);
+      yield Buffer.from(data.subarray(0, length).toString('base64'));
+      remainder = data.subarray(length);
+    }
+    yield Buffer.from(`${remainder.toString('base64')}"}`);
+  }
+
+  const body = generateBody();
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await body.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(new Uint8Array(value));
+      }
+    },
+  });
+}
+
+/**
+ * Create a GitHub REST client
+ *
+ * @param {Object} [options={}] - Client options
+ * @param {string} [options.token] - GitHub token (default: GH_TOKEN / GITHUB_TOKEN)
+ * @param {Function} [options.fetch] - fetch implementation (default: global fetch)
+ * @param {string} [options.host] - GitHub host (default: GH_HOST or github.com)
+ * @param {string} [options.apiUrl] - REST API base URL (default: derived from the host)
+ * @param {number} [options.retries] - Retries of transient failures (default: 3)
+ * @param {number} [options.maxRetryDelay] - Longest pause between retries in milliseconds (default: 60000)
+ * @returns {Object} Client with request() and typed helpers
+ */
+export function createGitHubClient(options = {}) {
+  const host = resolveGitHubHost(options);
+  const {
+    token = getGitHubToken(process.env, host),
+    fetch: fetchImplementation = globalThis.fetch,
+    apiUrl = getGitHubApiUrl(host),
+  } = options;
+
+  if (!token) {
+    throw new AuthenticationError(
+      'GH_TOKEN or GITHUB_TOKEN is required for the GitHub API transport'
+    );
+  }
+
+  const retryOptions = {
+    ...resolveRetryPolicy(options),
+    log: createDefaultLogger(options),
+  };
+  const headers = {
+    Accept: 'application/vnd.github+json',
+    Authorization: `Bearer ${token}`,
+    'User-Agent': 'gh-upload-log',
+    'X-GitHub-Api-Version': GITHUB_API_VERSION,
+  };
+
+  // Connection failures reject fetch itself and are worth another attempt
+  function fetchWithRetries(url, init, operation, readResponse, options = {}) {
+    return withRetries(
+      async () => {
+        let response;
+        try {
+          response = await fetchImplementation(url, init());
+        } catch (error) {
+          throw new GitHubUnavailableError(
+            `Failed to ${operation}: ${error.message}`,
+            { cause: error, category: 'transient' }
+          );
+        }
+        return readResponse(response);
+      },
+      { ...retryOptions, ...options, operation }
+    );
+  }
+
+  function request(method, route, requestOptions = {}) {
+    const {
+      body,
+      createBodyStream,
+      operation = `${method} ${route}`,
+      allowNotFound = false,
+      recover,
+      retries,
+    } = requestOptions;
+    const url = route.startsWith('https://') ? route : `${apiUrl}${route}`;
+    // Streamed bodies are created per attempt, since a stream is read once
+    const init = () => ({
+      method,
+      headers:
+        body || createBodyStream
+          ? { ...headers, 'Content-Type': 'application/json' }
+          : headers,
+      body: createBodyStream?.() || (body ? JSON.stringify(body) : undefined),
+      // Required by Node.js fetch for streamed request bodies
+      ...(createBodyStream && { duplex: 'half' }),
+    });
+
+    return fetchWithRetries(
+      url,
+      init,
+      operation,
+      (response) => readJsonResponse(response, operation, allowNotFound),
+      {
+        idempotent: isIdempotentRequest(method, route),
+        recover,
+        ...(retries !== undefined && { retries }),
+      }
+    );
+  }
+
+  async function readJsonResponse(response, operation, allowNotFound) {
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = { message: text.trim() };
+    }
+
+    if (response.ok) {
+      return data;
+    }
+    if (allowNotFound && response.status === 404) {
+      return null;
+    }
+    throw createGitHubApiError(
+      operation,
+      response.status,
+      data,
+      response.headers
+    );
+  }
+
+  function downloadRaw(url) {
+    return fetchWithRetries(
+      url,
+      () => ({ headers: { Authorization: `Bearer ${token}` } }),
+      `download ${url}`,
+      async (response) => {
+        if (!response.ok) {
+          throw createGitHubApiError(
+            `download ${url}`,
+            response.status,
+            null,
+            response.headers
+          );
+        }
+        return Buffer.from(await response.arrayBuffer());
+      }
+    );
+  }
+
+  const repo = (owner, repository) => `/repos/${owner}/${repository}`;
+
+  // A repository a failed create call made anyway; an older one is not ours
+  async function findCreatedRepository(organization, name, startedAt) {
+    const owner =
+      organization ||
+      (await request('GET', '/user', { operation: 'look up GitHub user' }))
+        .login;
+    const repository = await request('GET', repo(owner, name), {
+      operation: `look up GitHub repo ${name}`,
+      allowNotFound: true,
+    });
+    return repository && isCreatedSince(repository.created_at, startedAt)
+      ? repository
+      : null;
+  }
+
+  return {
+    request,
+    downloadRaw,
+
+    getAuthenticatedUser: () =>
+      request('GET', '/user', {
+        operation: 'fetch authenticated GitHub user',
+      }),
+
+    getRepository: (owner, repository) =>
+      request('GET', repo(owner, repository), {
+        operation: `read metadata for GitHub repo ${repository}`,
+        allowNotFound: true,
+      }),
+
+    createRepository({ name, isPublic, description, organization }) {
+      const startedAt = Date.now();
+      return request(
+        'POST',
+        organization ? `/orgs/${organization}/repos` : '/user/repos',
+        {
+          operation: `create ${isPublic ? 'public' : 'private'} GitHub repo ${
+            organization ? `${organization}/${name}` : name
+          }`,
+          body: { name, private: !isPublic, description, auto_init: true },
+          recover: () => findCreatedRepository(organization, name, startedAt),
+        }
+      );
+    },
+
+    getContents: (owner, repository, contentPath, ref) =>
+      request(
+        'GET',
+        `${repo(owner, repository)}/contents/${encodeContentPath(contentPath)}${
+          ref ? `?ref=${encodeURIComponent(ref)}` : ''
+        }`,
+        {
+          operation: `read contents of ${repository}/${contentPath}`,
+          allowNotFound: true,
+        }
+      ),
+
+    putContents: (owner, repository, contentPath, { message, content }) =>
+      request(
+        'PUT',
+        `${repo(owner, repository)}/contents/${encodeContentPath(contentPath)}`,
+        {
+          operation: `write ${repository}/${contentPath}`,
+          body: { message, content: Buffer.from(content).toString('base64') },
+        }
+      ),
+
+    createGist({ files, isPublic, description }) {
+      const expected = describeGistToCreate(
+        description,
+        Object.fromEntries(
+          Object.entries(files).map(([name, file]) => [
+            name,
+            Buffer.byteLength(file.content),
+          ])
+        )
+      );
+      return request('POST', '/gists', {
+        operation: 'create gist',
+        body: { description, public: isPublic, files },
+        recover: async () =>
+          findCreatedGist(
+            await request('GET', '/gists?per_page=30', {
+              operation: 'look up the gist of a failed create call',
+            }),
+            expected
+          ),
+      });
+    },
+
+    getGist: (gistId) =>
+      request('GET', `/gists/${gistId}`, { operation: `read gist ${gistId}` }),
+
+    updateGist: (gistId, { files, description }) =>
+      request('PATCH', `/gists/${gistId}`, {
+        operation: `update gist ${gistId}`,
+        body: { description, files },
+      }),
+
+    listGists: (page = 1) =>
+      request('GET', `/gists?per_page=100&page=${page}`, {
+        operation: 'list gists',
+      }),
+
+    deleteGist: (gistId) =>
+      request('DELETE', `/gists/${gistId}`, {
+        operation: `delete gist ${gistId}`,
+      }),
+
+    getBranchRef: (owner, repository, branch) =>
+      request('GET', `${repo(owner, repository)}/git/ref/heads/${branch}`, {
+        operation: `read branch ${branch} of ${repository}`,
+        allowNotFound: true,
+      }),
+
+    // `retries: 0` leaves retrying to pushWithRetry
+    updateBranchRef: (owner, repository, branch, sha, force = false, retries) =>
+      request('PATCH', `${repo(owner, repository)}/git/refs/heads/${branch}`, {
+        operation: `update branch ${branch} of ${repository}`,
+        body: { sha, force },
+        retries,
+      }),
+
+    deleteRepository: (owner, repository) =>
+      request('DELETE', repo(owner, repository), {
+        operation: `delete GitHub repo ${repository}`,
+      }),
+
+    updateRepository: (owner, repository, changes) =>
+      request('PATCH', repo(owner, repository), {
+        operation: `update GitHub repo ${repository}`,
+        body: changes,
+      }),
+
+    listCommits: (owner, repository, { path: commitPath, sha, perPage = 1 }) =>
+      request(
+        'GET',
+        `${repo(owner, repository)}/commits?${new URLSearchParams({
+          path: commitPath,
+          sha,
+          per_page: String(perPage),
+        })}`,
+        { operation: `list commits of ${repository}/${commitPath}` }
+      ),
+
+    getCommit: (owner, repository, sha) =>
+      request('GET', `${repo(owner, repository)}/git/commits/${sha}`, {
+        operation: `read commit ${sha} of ${repository}`,
+      }),
+
+    // Blob entries of a tree and all its folders, even past GitHub's limit
+    async listTreeBlobs(owner, repository, sha) {
+      const operation = `read tree ${sha} of ${repository}`;
+      const tree = await request(
+        'GET',
+        `${repo(owner, repository)}/git/trees/${sha}?recursive=1`,
+        { operation }
+      );
+      if (!tree.truncated) {
+        return (tree.tree || []).filter((item) => item.type === 'blob');
+      }
+      return walkTree(
+        (treeSha) =>
+          request('GET', `${repo(owner, repository)}/git/trees/${treeSha}`, {
+            operation,
+          }),
+        sha,
+        operation
+      );
+    },
+
+    createBlob: (owner, repository, content) =>
+      request('POST', `${repo(owner, repository)}/git/blobs`, {
+        operation: `upload blob to ${repository}`,
+        body: { content: content.toString('base64'), encoding: 'base64' },
+      }),
+
+    createBlobFromFile: (owner, repository, filePath) =>
+      request('POST', `${repo(owner, repository)}/git/blobs`, {
+        operation: `upload blob to ${repository}`,
+        createBodyStream: () => createBlobRequestStream(filePath),
+      }),
+
+    getBlob: (owner, repository, sha) =>
+      request('GET', `${repo(owner, repository)}/git/blobs/${sha}`, {
+        operation: `download blob ${sha} from ${repository}`,
+      }),
+
+    createTree: (owner, repository, { baseTree, tree }) =>
+      request('POST', `${repo(owner, repository)}/git/trees`, {
+        operation: `create tree in ${repository}`,
+        body: { base_tree: baseTree, tree },
+      }),
+
+    createCommit: (owner, repository, { message, tree, parents }) =>
+      request('POST', `${repo(owner, repository)}/git/commits`, {
+        operation: `create commit in ${repository}`,
+        body: { message, tree, parents },
+      }),
+  };
+}
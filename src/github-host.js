@@ -0,0 +1,88 @@
+#!/usr/bin/env bun
+
+/**
+ * GitHub host resolution
+ *
+ * github.com and GitHub Enterprise Server use different URL layouts for the
+ * REST API (`api.github.com` vs `<host>/api/v3`) and gists
+ * (`gist.github.com` vs `<host>/gist`). Everything that builds or parses a
+ * GitHub URL goes through these helpers.
+ */
+
+export const DEFAULT_GITHUB_HOST = 'github.com';
+
+/**
+ * Normalize a host name given as `host`, `https://host` or `https://host/`
+ *
+ * @param {string} host - Host name or URL
+ * @returns {string} Lower-case host name
+ */
+export function normalizeGitHubHost(host) {
+  return host
+    .trim()
+    .replace(/^https?:\/\//i, '')
+    .replace(/\/+$/, '')
+    .toLowerCase();
+}
+
+/**
+ * Resolve the GitHub host for an operation
+ *
+ * @param {Object} [options={}] - Options with an optional `host`
+ * @param {Object} [env=process.env] - Environment variables (GH_HOST)
+ * @returns {string} Host name, e.g. 'github.com' or 'github.example.com'
+ */
+export function resolveGitHubHost(options = {}, env = process.env) {
+  const host = options.host || env.GH_HOST;
+  return host ? normalizeGitHubHost(host) : DEFAULT_GITHUB_HOST;
+}
+
+/**
+ * Check whether a host is GitHub Enterprise Server rather than github.com
+ *
+ * @param {string} host - Host name
+ * @returns {boolean} True for any host other than github.com
+ */
+export function isEnterpriseHost(host) {
+  return normalizeGitHubHost(host) !== DEFAULT_GITHUB_HOST;
+}
+
+/**
+ * @param {string} [host='github.com'] - Host name
+ * @returns {string} Web base URL, e.g. https://github.example.com
+ */
+export function getGitHubWebUrl(host = DEFAULT_GITHUB_HOST) {
+  return `https://${normalizeGitHubHost(host)}`;
+}
+
+/**
+ * @param {string} [host='github.com'] - Host name
+ * @returns {string} REST API base URL (https://api.github.com or https://<host>/api/v3)
+ */
+export function getGitHubApiUrl(host = DEFAULT_GITHUB_HOST) {
+  return isEnterpriseHost(host)
+    ? `${getGitHubWebUrl(host)}/api/v3`
+    : 'https://api.github.com';
+}
+
+/**
+ * @param {string} [host='github.com'] - Host name
+ * @returns {string} Gist base URL (https://gist.github.com or https://<host>/gist)
+ */
+export function getGistBaseUrl(host = DEFAULT_GITHUB_HOST) {
+  return isEnterpriseHost(host)
+    ? `${getGitHubWebUrl(host)}/gist`
+    : 'https://gist.github.com';
+}
+
+/**
+ * Check whether a URL points at a gist on a host
+ *
+ * @param {string} url - URL printed by `gh gist create` or returned by the API
+ * @param {string} [host='github.com'] - Host name
+ * @returns {boolean} True for `<gist base>/<id>` and `<gist base>/<user>/<id>` URLs
+ */
+export function isGistUrl(url, host = DEFAULT_GITHUB_HOST) {
+  const prefix = `${getGistBaseUrl(host)}/`;
+  return url.startsWith(prefix) && url.length > prefix.length;
+}
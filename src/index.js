@@ -12,6 +12,8 @@ import fs from 'node:fs';
 import os from 'node:os';
 import path from 'node:path';
 import {
+  addGistDescriptionMarker,
+  assertDistinctUploadNames,
   createDefaultLogger,
   createENOSPCError,
   DEFAULT_PRIVATE_LOGS_REPOSITORY,
@@ -23,71 +25,201 @@ import {
   generateUploadedLogFileName,
   getCommandStream,
   getFileSize,
+  getCommonDirectory,
   GITHUB_GIST_FILE_LIMIT,
+  GITHUB_GIST_MAX_FILES,
   GITHUB_GIST_WEB_LIMIT,
   GITHUB_REPO_CHUNK_SIZE,
   isENOSPC,
+  listDirectoryFiles,
   normalizeFileName,
   splitFileIntoChunks,
 } from './common.js';
+import {
+  buildRunDescription,
+  createSpoolDirectory,
+  DEFAULT_STDIN_LOG_NAME,
+  runCommand,
+  spoolStream,
+  uploadRunOutput,
+} from './capture.js';
+import { createGistViaApi } from './api-upload.js';
+import { describeStagedGist, recoverCreatedGist } from './create-recovery.js';
+import { downloadLog, parseUploadUrl } from './download.js';
+import {
+  AuthenticationError,
+  createCategorizedError,
+  DiskSpaceError,
+  ERROR_CLASSES,
+  getExitCode,
+  GhUploadLogError,
+  GitCommandError,
+  GitHubApiError,
+  GitHubUnavailableError,
+  IntegrityError,
+  NameConflictError,
+  NotFoundError,
+  RateLimitError,
+  UsageError,
+  VisibilityMismatchError,
+} from './errors.js';
+import { createGitHubClient, resolveTransport } from './github-api.js';
+import { isGistUrl, resolveGitHubHost } from './github-host.js';
+import {
+  describeUploadedFile,
+  MANIFEST_FILE_NAME,
+  writeUploadManifest,
+} from './manifest.js';
+import {
+  createRedactionRules,
+  DEFAULT_REDACTION_RULES,
+  mergeRedactionReports,
+  redactLine,
+  redactLogFile,
+} from './redaction.js';
+import {
+  compressUploadEntries,
+  encodeUploadEntries,
+  getBase64EncodedSize,
+  resolveCompressionCodec,
+  restoreUploadedFile,
+} from './compression.js';
 import {
   getSharedRepositoryName,
   shouldUseSharedRepositoryMode,
   uploadAsRepo,
 } from './repository-upload.js';
+import {
+  buildSharedRepositoryPath,
+  getUploadEntries,
+} from './repository-staging.js';
+import { resolvePathTemplate } from './path-template.js';
+import { pruneUploads } from './prune.js';
+import { compactRepository } from './compact.js';
+import { listUploads } from './list.js';
+import { deleteUpload } from './delete.js';
+import { uploadRevision } from './revision.js';
+import { followFile } from './follow.js';
+import { resumeUpload } from './resume.js';
+import { classifyCommandFailure, isRetryableError } from './retry.js';
+import {
+  assertStagingSpace,
+  estimateStagingSpace,
+  linkOrCopyFile,
+  readAvailableSpace,
+} from './staging.js';
 
 export {
+  AuthenticationError,
+  buildRunDescription,
+  compactRepository,
   createENOSPCError,
+  createGitHubClient,
+  createRedactionRules,
+  deleteUpload,
   DEFAULT_PRIVATE_LOGS_REPOSITORY,
   DEFAULT_PUBLIC_LOGS_REPOSITORY,
+  DEFAULT_REDACTION_RULES,
+  DEFAULT_STDIN_LOG_NAME,
+  DiskSpaceError,
+  downloadLog,
+  ERROR_CLASSES,
   fileExists,
   formatFileSize,
   generateGistFileName,
   generateRepoName,
   generateUploadedLogFileName,
+  getExitCode,
   getFileSize,
+  GhUploadLogError,
+  GitCommandError,
   GITHUB_GIST_FILE_LIMIT,
+  GITHUB_GIST_MAX_FILES,
   GITHUB_GIST_WEB_LIMIT,
   GITHUB_REPO_CHUNK_SIZE,
+  GitHubApiError,
+  GitHubUnavailableError,
+  IntegrityError,
   isENOSPC,
+  listUploads,
+  NameConflictError,
   normalizeFileName,
+  NotFoundError,
+  parseUploadUrl,
+  pruneUploads,
+  RateLimitError,
+  redactLine,
+  redactLogFile,
+  resolveCompressionCodec,
+  resolveTransport,
+  restoreUploadedFile,
+  resumeUpload,
+  runCommand,
   splitFileIntoChunks,
+  spoolStream,
   uploadAsRepo,
+  UsageError,
+  VisibilityMismatchError,
 };
 
 /**
- * Determine the best upload strategy for a log file
+ * Determine the best upload strategy for one or more log files
+ *
+ * Multiple files are uploaded together, so the gist path is only chosen when
+ * their aggregate size fits the gist limit and there are few enough files.
  *
- * @param {string} filePath - Path to the log file
+ * @param {string|string[]} filePath - Path to the log file, or paths of files uploaded together
  * @returns {Object} Strategy object with type ('gist' or 'repo') and additional info
  */
 export function determineUploadStrategy(filePath) {
-  if (!fileExists(filePath)) {
-    throw new Error(`File does not exist: ${filePath}`);
+  const filePaths = Array.isArray(filePath) ? filePath : [filePath];
+  const multiple = Array.isArray(filePath);
+
+  for (const currentPath of filePaths) {
+    if (!fileExists(currentPath)) {
+      throw new UsageError(`File does not exist: ${currentPath}`);
+    }
   }
 
-  const fileSize = getFileSize(filePath);
+  const fileSizes = filePaths.map((currentPath) => getFileSize(currentPath));
+  const fileSize = fileSizes.reduce((total, size) => total + size, 0);
+  const fileCount = filePaths.length;
+  const subject = multiple ? `${fileCount} files` : 'File';
 
-  if (fileSize <= GITHUB_GIST_FILE_LIMIT) {
+  if (
+    fileSize <= GITHUB_GIST_FILE_LIMIT &&
+    fileCount <= GITHUB_GIST_MAX_FILES
+  ) {
     return {
       type: 'gist',
       fileSize,
+      ...(multiple && { fileCount }),
       needsSplit: false,
-      reason: 'File fits within GitHub Gist API limit (25MB)',
+      reason: `${subject} ${multiple ? 'fit' : 'fits'} within GitHub Gist API limit (25MB)`,
     };
   }
 
-  const numChunks = Math.ceil(fileSize / GITHUB_REPO_CHUNK_SIZE);
-  const needsSplit = fileSize > GITHUB_REPO_CHUNK_SIZE;
+  const numChunks = fileSizes.reduce(
+    (total, size) =>
+      total + Math.max(1, Math.ceil(size / GITHUB_REPO_CHUNK_SIZE)),
+    0
+  );
+  const needsSplit = fileSizes.some((size) => size > GITHUB_REPO_CHUNK_SIZE);
+  const exceeds = multiple ? 'exceed' : 'exceeds';
+  const exceeded =
+    fileSize > GITHUB_GIST_FILE_LIMIT
+      ? 'Gist limit'
+      : `Gist file-count limit (${GITHUB_GIST_MAX_FILES})`;
   return {
     type: 'repo',
     fileSize,
+    ...(multiple && { fileCount }),
     needsSplit,
     numChunks,
     chunkSize: GITHUB_REPO_CHUNK_SIZE,
     reason: needsSplit
-      ? `File exceeds Gist limit, will be split into ${numChunks} chunks`
-      : 'File exceeds Gist limit, will upload as repository',
+      ? `${subject} ${exceeds} ${exceeded}, will be split into ${numChunks} chunks`
+      : `${subject} ${exceeds} ${exceeded}, will upload as repository`,
   };
 }
 
@@ -96,8 +228,13 @@ export function determineUploadStrategy(filePath) {
  *
  * @param {Object} options - Upload options
  * @param {string} options.filePath - Path to the file to upload
+ * @param {string} options.contentPath - Path whose bytes are uploaded instead of filePath (default: filePath)
+ * @param {boolean} options.stableContent - contentPath no longer changes, so it may be hard-linked instead of copied (default: false)
+ * @param {Object[]} options.files - Upload several files instead: `{ name, sourcePath }` entries
  * @param {boolean} options.isPublic - Whether the gist should be public (default: false)
+ * @param {boolean} options.manifest - Add manifest.json with checksums as a second file (default: true)
  * @param {string} options.description - Description for the gist
+ * @param {string} options.transport - 'auto' (default), 'api' (REST API) or 'gh' (gh CLI)
  * @param {boolean} options.verbose - Enable verbose logging (default: false)
  * @param {Object} options.logger - Logging target (default: console)
  * @returns {Promise<Object>} Gist information including URL
@@ -106,66 +243,124 @@ export async function uploadAsGist(options = {}) {
   const $ = await getCommandStream(options);
   const {
     filePath,
+    contentPath = filePath,
+    files,
     isPublic = false,
+    manifest = true,
     description,
     verbose = false,
     logger = console,
   } = options;
 
   if (!filePath) {
-    throw new Error('filePath is required in options');
+    throw new UsageError('filePath is required in options');
   }
 
   const log = createDefaultLogger({ verbose, logger });
-  const gistFileName = generateGistFileName(filePath);
+  const gistFileName = files ? undefined : generateGistFileName(filePath);
+  const entries = files || [
+    {
+      name: gistFileName,
+      sourcePath: contentPath,
+      originalPath: filePath,
+      stable: options.stableContent,
+    },
+  ];
   const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gh-upload-log-gist-'));
-  const stagedFilePath = path.join(workDir, gistFileName);
-  const desc = description || `Log file: ${filePath.split('/').pop()}`;
+  const stagedFilePaths = entries.map((entry) =>
+    path.join(workDir, entry.name)
+  );
+  const desc = addGistDescriptionMarker(
+    description || `Log file: ${filePath.split('/').pop()}`
+  );
 
   log.debug(() => `Creating GitHub Gist for ${filePath}`);
-  log.debug(() => `Gist file name: ${gistFileName}`);
+  log.debug(
+    () => `Gist file names: ${entries.map((entry) => entry.name).join(', ')}`
+  );
   log.debug(() => `Description: ${desc}`);
 
   let result;
+  let apiGist = null;
   try {
-    fs.copyFileSync(filePath, stagedFilePath);
+    const manifestFiles = [];
+    for (const [index, entry] of entries.entries()) {
+      linkOrCopyFile(entry.sourcePath, stagedFilePaths[index], {
+        stable: entry.stable,
+      });
+      if (manifest) {
+        manifestFiles.push(
+          await describeUploadedFile(entry, [stagedFilePaths[index]])
+        );
+      }
+    }
+    if (manifest) {
+      stagedFilePaths.push(writeUploadManifest(workDir, manifestFiles));
+    }
 
-    if (isPublic) {
-      result =
-        await $`gh gist create ${stagedFilePath} --public --desc ${desc}`;
+    if (resolveTransport(options) === 'api') {
+      log.debug(() => 'Creating gist through the GitHub REST API...');
+      apiGist = await createGistViaApi(options, stagedFilePaths, {
+        isPublic,
+        description: desc,
+      });
     } else {
-      result = await $`gh gist create ${stagedFilePath} --desc ${desc}`;
+      const expected = describeStagedGist(desc, stagedFilePaths);
+      const $create = $({ recover: () => recoverCreatedGist($, expected) });
+      result = isPublic
+        ? await $create`gh gist create ${stagedFilePaths} --public --desc ${desc}`
+        : await $create`gh gist create ${stagedFilePaths} --desc ${desc}`;
     }
   } finally {
     fs.rmSync(workDir, { recursive: true, force: true });
   }
 
-  const gistUrl = result.stdout.trim();
-  if (
-    !gistUrl ||
-    !gistUrl.startsWith('https://gist.github.com/') ||
-    gistUrl === 'https://gist.github.com/'
-  ) {
+  const gistUrl = apiGist ? apiGist.url : result.stdout.trim();
+  if (apiGist && !isGistUrl(gistUrl, resolveGitHubHost(options))) {
+    throw new GitHubApiError(
+      `Failed to create gist: unexpected gist URL ${gistUrl}`
+    );
+  }
+  if (!gistUrl || !isGistUrl(gistUrl, resolveGitHubHost(options))) {
     const errorMessage = result.stderr ? result.stderr.trim() : 'Unknown error';
-    throw new Error(`Failed to create gist: ${errorMessage}`);
+    throw createCategorizedError(
+      `Failed to create gist: ${errorMessage}`,
+      result.category ?? classifyCommandFailure(errorMessage).category,
+      { stdout: result.stdout || '', stderr: result.stderr || '' },
+      GitCommandError
+    );
   }
 
   log.debug(() => `Gist created successfully: ${gistUrl}`);
 
   const gistId = gistUrl.split('/').pop();
   let rawUrl = null;
-  let fileCount = 1;
+  let fileCount = entries.length;
+  let uploadedFiles = entries.map((entry) => ({
+    name: entry.name,
+    rawUrl: null,
+  }));
 
   try {
     log.debug(() => 'Fetching gist details for raw URL...');
     const $silent = $({ mirror: false, capture: true });
-    const gistDetails =
-      await $silent`gh api gists/${gistId} --jq '.files | to_entries | map({filename: .key, raw_url: .value.raw_url})'`;
-    const files = JSON.parse(gistDetails.stdout.trim());
-    fileCount = files.length;
+    const gistFiles = (
+      apiGist
+        ? apiGist.files
+        : JSON.parse(
+            (
+              await $silent`gh api gists/${gistId} --jq '.files | to_entries | map({filename: .key, raw_url: .value.raw_url})'`
+            ).stdout.trim()
+          )
+    ).filter((file) => file.filename !== MANIFEST_FILE_NAME);
+    fileCount = gistFiles.length;
+    uploadedFiles = gistFiles.map((file) => ({
+      name: file.filename,
+      rawUrl: file.raw_url,
+    }));
 
     if (fileCount === 1) {
-      rawUrl = files[0].raw_url;
+      rawUrl = gistFiles[0].raw_url;
       log.debug(() => `Raw URL: ${rawUrl}`);
     } else {
       log.debug(
@@ -182,51 +377,39 @@ export async function uploadAsGist(options = {}) {
     rawUrl,
     fileName: gistFileName,
     fileCount,
+    files: uploadedFiles,
     isPublic,
   };
 }
 
 /**
- * Main function to upload a log file to GitHub
- * Automatically determines the best strategy (gist vs repo)
+ * Upload a log file using the strategy that fits its size
  *
- * @param {Object} options - Upload options
- * @param {string} options.filePath - Path to the log file
- * @param {boolean} options.isPublic - Whether to make it public (default: false/private)
- * @param {boolean} options.auto - Automatically choose strategy (default: true)
- * @param {boolean} options.onlyGist - Upload only as gist (disables auto mode)
- * @param {boolean} options.onlyRepository - Upload only as repository (disables auto mode)
- * @param {boolean} options.useSharedRepository - Use shared log repositories for repository-mode uploads (default: true)
- * @param {boolean} options.dryMode - Dry run mode - don't actually upload
- * @param {string} options.description - Description for the upload
- * @param {boolean} options.verbose - Enable verbose logging (default: false)
- * @param {Object} options.logger - Logging target (default: console)
+ * @param {Object} options - Upload options (see uploadLog)
  * @returns {Promise<Object>} Upload result with URL and metadata
  */
-export async function uploadLog(options = {}) {
+async function uploadWithStrategy(options) {
   const {
     filePath,
+    contentPath = filePath,
+    files,
     isPublic = false,
     auto = true,
     onlyGist = false,
     onlyRepository = false,
     useSharedRepository = true,
+    update = false,
+    append = false,
     dryMode = false,
     description,
     verbose = false,
     logger = console,
   } = options;
 
-  if (!filePath) {
-    throw new Error('filePath is required in options');
-  }
-
-  if (!fileExists(filePath)) {
-    throw new Error(`File does not exist: ${filePath}`);
-  }
-
   const log = createDefaultLogger({ verbose, logger });
-  const strategy = determineUploadStrategy(filePath);
+  const strategy = determineUploadStrategy(
+    files ? files.map((file) => file.sourcePath) : contentPath
+  );
 
   log.debug(() => `File size: ${formatFileSize(strategy.fileSize)}`);
   log.debug(() => `Strategy: ${strategy.reason}`);
@@ -243,6 +426,23 @@ export async function uploadLog(options = {}) {
     log.debug(() => 'Mode: Auto (automatic strategy selection)');
   }
 
+  if (update || append) {
+    const revision = await uploadRevision(options, uploadType);
+    if (revision) {
+      return revision;
+    }
+  }
+
+  const stagingDir = os.tmpdir();
+  const stagingSpace = estimateStagingSpace(
+    files || [{ sourcePath: contentPath, stable: options.stableContent }],
+    { uploadType, transport: resolveTransport(options), stagingDir }
+  );
+  log.debug(
+    () =>
+      `Staging needs about ${formatFileSize(stagingSpace.totalBytes)} in ${stagingDir}`
+  );
+
   if (dryMode) {
     log.debug(() => `DRY MODE: Upload Type: ${uploadType}`);
     log.debug(() => `DRY MODE: Visibility: ${isPublic ? 'public' : 'private'}`);
@@ -259,7 +459,12 @@ export async function uploadLog(options = {}) {
           : generateRepoName(filePath);
     const repositoryPath =
       uploadType === 'repo' && sharedRepositoryMode
-        ? generateRepoName(filePath)
+        ? await buildSharedRepositoryPath({
+            filePath,
+            entries: getUploadEntries(options),
+            pathPrefix: options.pathPrefix,
+            pathTemplate: resolvePathTemplate(options.pathTemplate),
+          })
         : undefined;
 
     return {
@@ -272,16 +477,20 @@ export async function uploadLog(options = {}) {
             : '[DRY MODE] Would create repository',
       rawUrl: null,
       fileName:
-        uploadType === 'gist' ? generateGistFileName(filePath) : undefined,
+        uploadType === 'gist' && !files
+          ? generateGistFileName(filePath)
+          : undefined,
       repositoryName,
       repositoryPath,
-      fileCount: 1,
+      fileCount: files ? files.length : 1,
       isPublic: isPublic || false,
       dryMode: true,
       deduplicated: false,
     };
   }
 
+  assertStagingSpace(stagingSpace, readAvailableSpace(stagingDir), stagingDir);
+
   if (uploadType === 'gist') {
     try {
       return await uploadAsGist(options);
@@ -290,7 +499,13 @@ export async function uploadLog(options = {}) {
         throw createENOSPCError('gist upload', gistError);
       }
 
-      if (onlyGist) {
+      // Retried server errors, rate limits and bad credentials would hit the
+      // repository upload as well
+      if (
+        onlyGist ||
+        isRetryableError(gistError) ||
+        gistError.category === 'auth'
+      ) {
         throw gistError;
       }
 
@@ -307,8 +522,8 @@ export async function uploadLog(options = {}) {
     return await uploadAsRepo(options);
   } catch (repoError) {
     if (isENOSPC(repoError)) {
-      const fileSize = getFileSize(filePath);
-      if (fileSize <= GITHUB_GIST_FILE_LIMIT) {
+      const { fileSize } = strategy;
+      if (strategy.type === 'gist') {
         const enhanced = createENOSPCError('repository upload', repoError);
         enhanced.message +=
           ` Hint: This file (${formatFileSize(fileSize)}) fits in a gist. ` +
@@ -321,10 +536,402 @@ export async function uploadLog(options = {}) {
   }
 }
 
+/**
+ * Main function to upload a log file to GitHub
+ * Automatically determines the best strategy (gist vs repo)
+ *
+ * @param {Object} options - Upload options
+ * @param {string} options.filePath - Path to the log file (also used to name the upload)
+ * @param {string} options.contentPath - Path whose bytes are uploaded instead of filePath (default: filePath)
+ * @param {boolean} options.stableContent - contentPath no longer changes, so it may be hard-linked instead of copied (default: false)
+ * @param {boolean} options.isPublic - Whether to make it public (default: false/private)
+ * @param {boolean} options.auto - Automatically choose strategy (default: true)
+ * @param {boolean} options.onlyGist - Upload only as gist (disables auto mode)
+ * @param {boolean} options.onlyRepository - Upload only as repository (disables auto mode)
+ * @param {boolean} options.useSharedRepository - Use shared log repositories for repository-mode uploads (default: true)
+ * @param {string} options.onConflict - When the shared folder holds different content: 'skip', 'version' (default), 'overwrite' or 'fail'
+ * @param {number|string} options.maxPushSize - Budget per `git push` for repository uploads in bytes or as e.g. '500MB'; larger uploads are pushed in batches (default: '1GB')
+ * @param {boolean} options.resumable - Keep a state file and the staged files when a shared-repository push fails, so resumeUpload() can continue it (gh transport only)
+ * @param {string} options.stateDir - Directory for state files of resumable uploads (default: GH_UPLOAD_LOG_STATE_DIR or ~/.local/state/gh-upload-log/uploads)
+ * @param {string} options.pathPrefix - Folder prefix inside the shared repository; `{date}` expands to YYYY-MM-DD
+ * @param {string} options.pathTemplate - Shared-repository folder template, 'sharded' or 'legacy' (default: the repository's recorded layout)
+ * @param {boolean} options.update - Replace the log in its earlier gist or shared-repository folder instead of creating a new upload
+ * @param {boolean} options.append - Upload only the bytes written since the earlier upload, as a new part of it
+ * @param {boolean} options.growLastPart - With append, extend the last part while it stays under the gist or repository part limit instead of adding a part (default: false)
+ * @param {boolean} options.redact - Upload a copy with secrets redacted (default: false)
+ * @param {string[]} options.redactPatterns - Additional regular expressions to redact (implies redact)
+ * @param {string} options.compress - Compress before upload: 'gzip', 'zstd' or 'auto' (default: none)
+ * @param {boolean} options.manifest - Store manifest.json with checksums next to the upload (default: true)
+ * @param {string} options.transport - 'auto' (default: REST API when GH_TOKEN/GITHUB_TOKEN is set, else gh CLI), 'api' or 'gh'
+ * @param {string} options.host - GitHub host, e.g. a GitHub Enterprise Server name (default: GH_HOST or github.com)
+ * @param {string} options.token - GitHub token for the REST API transport (default: GH_TOKEN or GITHUB_TOKEN)
+ * @param {number} options.retries - Retries of GitHub calls failing with server errors, dropped connections or rate limits (default: 3)
+ * @param {number} options.maxRetryDelay - Longest pause between retries in milliseconds; longer rate-limit waits fail instead (default: 60000)
+ * @param {boolean} options.dryMode - Dry run mode - don't actually upload
+ * @param {string} options.description - Description for the upload
+ * @param {boolean} options.verbose - Enable verbose logging (default: false)
+ * @param {Object} options.logger - Logging target (default: console)
+ * @returns {Promise<Object>} Upload result with URL and metadata
+ */
+export async function uploadLog(options = {}) {
+  const { filePath, contentPath = filePath } = options;
+
+  if (!filePath) {
+    throw new UsageError('filePath is required in options');
+  }
+
+  if (!fileExists(contentPath)) {
+    throw new UsageError(`File does not exist: ${contentPath}`);
+  }
+
+  return await uploadWithRedaction(options);
+}
+
+/**
+ * Upload a log (or several files) after writing redacted copies when enabled
+ *
+ * @param {Object} options - Upload options (see uploadLog)
+ * @returns {Promise<Object>} Upload result, with a `redaction` report when enabled
+ */
+async function uploadWithRedaction(options) {
+  const {
+    filePath,
+    contentPath = filePath,
+    files,
+    redact = false,
+    redactPatterns = [],
+    dryMode = false,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  if (!redact && redactPatterns.length === 0) {
+    return uploadWithCompression(options);
+  }
+
+  const log = createDefaultLogger({ verbose, logger });
+  const rules = createRedactionRules({ patterns: redactPatterns });
+  const sources = files || [
+    { name: path.basename(filePath), sourcePath: contentPath },
+  ];
+
+  if (dryMode) {
+    const reports = [];
+    for (const source of sources) {
+      reports.push(await redactLogFile(source.sourcePath, { rules }));
+    }
+    const redaction = mergeRedactionReports(reports, files && sources);
+    log.debug(() => `DRY MODE: Would redact ${redaction.total} secret(s)`);
+    return { ...(await uploadWithCompression(options)), redaction };
+  }
+
+  const stagingDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), 'gh-upload-log-redact-')
+  );
+
+  try {
+    const redactedSources = [];
+    const reports = [];
+
+    for (const source of sources) {
+      const redactedPath = path.join(stagingDir, source.name);
+      log.debug(() => `→ Writing redacted copy to ${redactedPath}...`);
+      try {
+        reports.push(
+          await redactLogFile(source.sourcePath, {
+            rules,
+            outputPath: redactedPath,
+          })
+        );
+      } catch (redactionError) {
+        if (isENOSPC(redactionError)) {
+          throw createENOSPCError('secret redaction', redactionError);
+        }
+        throw redactionError;
+      }
+      redactedSources.push({
+        ...source,
+        sourcePath: redactedPath,
+        stable: true,
+      });
+    }
+
+    const redaction = mergeRedactionReports(reports, files && sources);
+    log.debug(() => `Redacted ${redaction.total} secret(s)`);
+
+    const result = await uploadWithCompression(
+      files
+        ? { ...options, files: redactedSources }
+        : {
+            ...options,
+            contentPath: redactedSources[0].sourcePath,
+            stableContent: true,
+          }
+    );
+    return { ...result, redaction };
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Upload a log (or several files) after compressing it when enabled
+ *
+ * The strategy is re-evaluated on the compressed size: compressed files are
+ * stored base64-encoded (`.gz.b64` / `.zst.b64`) in a gist when they fit, and
+ * as binary blobs (`.gz` / `.zst`) in a repository otherwise. With 'auto',
+ * logs that already fit a gist are uploaded uncompressed.
+ *
+ * @param {Object} options - Upload options (see uploadLog)
+ * @returns {Promise<Object>} Upload result, with a `compression` summary when compressed
+ */
+async function uploadWithCompression(options) {
+  const {
+    filePath,
+    contentPath = filePath,
+    files,
+    compress,
+    onlyGist = false,
+    onlyRepository = false,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  const codec = resolveCompressionCodec(compress);
+  if (!codec) {
+    return uploadWithStrategy(options);
+  }
+
+  const log = createDefaultLogger({ verbose, logger });
+  const sources = files || [
+    {
+      name: generateUploadedLogFileName(filePath),
+      sourcePath: contentPath,
+      originalPath: filePath,
+    },
+  ];
+
+  // `true` is the same as 'auto'
+  if ((compress === true || compress === 'auto') && !onlyRepository) {
+    const strategy = determineUploadStrategy(
+      files ? sources.map((source) => source.sourcePath) : contentPath
+    );
+    if (strategy.type === 'gist') {
+      log.debug(() => 'Compression: skipped, log already fits in a gist');
+      return uploadWithStrategy(options);
+    }
+  }
+
+  const stagingDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), 'gh-upload-log-compress-')
+  );
+
+  try {
+    let compressed;
+    try {
+      log.debug(
+        () => `→ Compressing ${sources.length} file(s) with ${codec}...`
+      );
+      compressed = await compressUploadEntries(sources, stagingDir, codec);
+    } catch (compressionError) {
+      if (isENOSPC(compressionError)) {
+        throw createENOSPCError('compression', compressionError);
+      }
+      throw compressionError;
+    }
+
+    const { originalSize, compressedSize } = compressed;
+    const encodedSize = compressed.entries.reduce(
+      (total, entry) =>
+        total + getBase64EncodedSize(getFileSize(entry.sourcePath)),
+      0
+    );
+    const fitsGist =
+      encodedSize <= GITHUB_GIST_FILE_LIMIT &&
+      sources.length <= GITHUB_GIST_MAX_FILES;
+
+    log.debug(
+      () =>
+        `Compressed ${formatFileSize(originalSize)} to ${formatFileSize(compressedSize)} (${formatFileSize(encodedSize)} as base64)`
+    );
+
+    const summarize = (result, uploadedEntries, encoding) => ({
+      ...result,
+      fileName: files ? undefined : uploadedEntries[0].name,
+      compression: { codec, encoding, originalSize, compressedSize },
+    });
+
+    if (!onlyRepository && (fitsGist || onlyGist)) {
+      try {
+        const encodedEntries = await encodeUploadEntries(compressed.entries);
+        const result = await uploadWithStrategy({
+          ...options,
+          files: encodedEntries,
+          onlyGist: true,
+        });
+        return summarize(result, encodedEntries, 'base64');
+      } catch (gistError) {
+        if (onlyGist || isENOSPC(gistError)) {
+          throw gistError;
+        }
+        log.warn(
+          () =>
+            `Gist upload failed: ${gistError.message}. Falling back to repository mode...`
+        );
+      }
+    }
+
+    const result = await uploadWithStrategy({
+      ...options,
+      files: compressed.entries,
+      onlyGist: false,
+      onlyRepository: true,
+    });
+    return summarize(result, compressed.entries, 'binary');
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Upload several log files together as one gist or one repository folder
+ *
+ * Files are uploaded as a single multi-file gist when their aggregate size and
+ * count fit the gist limits, and into one folder of the shared (or dedicated)
+ * repository otherwise, with each oversized file split into chunks.
+ *
+ * @param {Object} options - Upload options (see uploadLog), plus:
+ * @param {string[]} options.filePaths - Files to upload together
+ * @param {string} options.directory - Directory whose files are uploaded (alternative to filePaths)
+ * @param {string} options.glob - Glob filtering directory files, relative to the directory (e.g. "*.xml")
+ * @returns {Promise<Object>} Upload result with a `files` list of names and raw URLs
+ */
+export async function uploadLogs(options = {}) {
+  const { filePaths, directory, glob, ...uploadOptions } = options;
+
+  if (!directory && (!Array.isArray(filePaths) || filePaths.length === 0)) {
+    throw new UsageError('filePaths or directory is required in options');
+  }
+
+  if (directory && !fs.statSync(directory, { throwIfNoEntry: false })) {
+    throw new UsageError(`Directory does not exist: ${directory}`);
+  }
+
+  const sourcePaths = directory
+    ? listDirectoryFiles(directory, glob)
+    : filePaths;
+
+  if (sourcePaths.length === 0) {
+    throw new UsageError(
+      `No files to upload in ${directory}${glob ? ` matching ${glob}` : ''}`
+    );
+  }
+
+  for (const sourcePath of sourcePaths) {
+    if (!fileExists(sourcePath)) {
+      throw new UsageError(`File does not exist: ${sourcePath}`);
+    }
+  }
+
+  const files = sourcePaths.map((sourcePath) => ({
+    name: generateUploadedLogFileName(
+      directory ? path.relative(directory, sourcePath) : sourcePath
+    ),
+    sourcePath,
+    originalPath: sourcePath,
+  }));
+  assertDistinctUploadNames(files);
+  const groupPath = directory || getCommonDirectory(filePaths) || filePaths[0];
+
+  return await uploadWithRedaction({
+    ...uploadOptions,
+    filePath: groupPath,
+    files,
+  });
+}
+
+/**
+ * Upload log content read from a stream (stdin by default)
+ *
+ * The stream is spooled into a temporary file that is removed after upload.
+ *
+ * @param {Object} options - Upload options (see uploadLog)
+ * @param {import('node:stream').Readable} options.stream - Source stream (default: process.stdin)
+ * @param {string} options.name - Name used for the uploaded log (default: stdin.log)
+ * @returns {Promise<Object>} Upload result with URL and metadata
+ */
+export async function uploadFromStream(options = {}) {
+  const {
+    stream = process.stdin,
+    name = DEFAULT_STDIN_LOG_NAME,
+    ...uploadOptions
+  } = options;
+  const spoolDir = createSpoolDirectory('stdin');
+
+  try {
+    const contentPath = path.join(spoolDir, path.basename(name));
+    await spoolStream(stream, contentPath);
+    return await uploadLog({
+      ...uploadOptions,
+      filePath: name,
+      contentPath,
+      stableContent: true,
+    });
+  } finally {
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Follow a growing log like `tail -F` and keep one upload of it current
+ *
+ * The first push creates a gist or shared-repository upload; later pushes
+ * append to it, so its URL stays the same. Runs until `signal` is aborted.
+ *
+ * @param {Object} options - Upload options (see uploadLog)
+ * @param {string} options.interval - Time between pushes, e.g. '30s' (default: 30s)
+ * @param {number} options.flushBytes - Push sooner once this many new bytes were read
+ * @param {number} options.pollInterval - Milliseconds between reads of the file (default: 1000)
+ * @param {AbortSignal} options.signal - Stops following after a last push
+ * @param {Function} options.onPush - Called with the result of every push
+ * @returns {Promise<Object|null>} Result of the last push with `pushes` and `size`, or null when nothing was read
+ */
+export async function followLog(options = {}) {
+  return await followFile(options, uploadLog);
+}
+
+/**
+ * Run a command and upload its combined output
+ *
+ * The output is mirrored to the terminal while the command runs. The upload
+ * description records the exit code and duration.
+ *
+ * @param {Object} options - Upload options (see uploadLog)
+ * @param {string[]} options.command - Command and its arguments
+ * @param {string} options.name - Name used for the uploaded log (default: `<command>.log`)
+ * @param {boolean} options.tee - Mirror command output to the terminal (default: true)
+ * @param {Function} options.onRun - Called with the run summary and the captured output file before the upload
+ * @returns {Promise<Object>} Upload result with a `run` summary (command, exitCode, signal, durationMs)
+ */
+export async function uploadCommandOutput(options = {}) {
+  return await uploadRunOutput(options, uploadLog);
+}
+
 export default {
   uploadLog,
+  uploadLogs,
+  uploadFromStream,
+  uploadCommandOutput,
+  followLog,
+  resumeUpload,
   uploadAsGist,
   uploadAsRepo,
+  downloadLog,
+  parseUploadUrl,
+  pruneUploads,
+  compactRepository,
+  listUploads,
+  deleteUpload,
   determineUploadStrategy,
   normalizeFileName,
   generateRepoName,
@@ -336,9 +943,35 @@ export default {
   splitFileIntoChunks,
   isENOSPC,
   createENOSPCError,
+  createGitHubClient,
+  createRedactionRules,
+  redactLine,
+  redactLogFile,
+  resolveCompressionCodec,
+  resolveTransport,
+  restoreUploadedFile,
+  runCommand,
+  spoolStream,
+  buildRunDescription,
+  DEFAULT_REDACTION_RULES,
+  DEFAULT_STDIN_LOG_NAME,
   GITHUB_GIST_FILE_LIMIT,
+  GITHUB_GIST_MAX_FILES,
   GITHUB_GIST_WEB_LIMIT,
   GITHUB_REPO_CHUNK_SIZE,
   DEFAULT_PRIVATE_LOGS_REPOSITORY,
   DEFAULT_PUBLIC_LOGS_REPOSITORY,
+  GhUploadLogError,
+  UsageError,
+  AuthenticationError,
+  RateLimitError,
+  GitHubUnavailableError,
+  NotFoundError,
+  VisibilityMismatchError,
+  NameConflictError,
+  DiskSpaceError,
+  GitCommandError,
+  GitHubApiError,
+  IntegrityError,
+  getExitCode,
 };
@@ -0,0 +1,171 @@
+#!/usr/bin/env bun
+
+/**
+ * Listing of existing uploads
+ *
+ * Enumerates the gists created by the tool and the upload folders of the
+ * shared repositories, so users can find an old upload without clicking
+ * through GitHub.
+ */
+
+import { createDefaultLogger, parseDuration } from './common.js';
+import { UsageError } from './errors.js';
+import { resolveGitHubHost } from './github-host.js';
+import {
+  buildGitHubRepositoryTreeUrl,
+  getSharedRepositoryName,
+  resolveSharedRepositoryTarget,
+} from './repository-staging.js';
+import {
+  createUploadStore,
+  listRepositoryUploads,
+  listToolGists,
+} from './upload-store.js';
+
+export const LIST_TYPES = ['gist', 'repo'];
+
+function toGistEntry(gist) {
+  return {
+    type: 'gist',
+    id: gist.id,
+    name: gist.files[0] || gist.id,
+    size: gist.size || 0,
+    createdAt: gist.createdAt,
+    isPublic: gist.isPublic,
+    url: gist.url,
+    description: gist.description,
+    files: gist.files,
+  };
+}
+
+function toRepositoryEntry(upload, target, metadata, host) {
+  const branch = metadata.defaultBranch || 'main';
+  return {
+    type: 'repo',
+    name: upload.path.split('/').pop(),
+    path: upload.path,
+    repository: `${target.owner}/${target.repositoryName}`,
+    size: upload.size,
+    createdAt: upload.createdAt,
+    isPublic: metadata.visibility === 'public',
+    url: buildGitHubRepositoryTreeUrl(
+      target.owner,
+      target.repositoryName,
+      branch,
+      upload.path,
+      host
+    ),
+    description: '',
+    originalPaths: (upload.manifest?.files || [])
+      .map((file) => file.originalPath)
+      .filter(Boolean),
+    files: upload.files,
+  };
+}
+
+/**
+ * Check whether an entry matches a case-insensitive search text
+ *
+ * @param {Object} entry - Entry from listUploads()
+ * @param {string} grep - Text to look for in names, paths, descriptions and original paths
+ * @returns {boolean} True when any field contains the text
+ */
+export function matchesListFilter(entry, grep) {
+  const needle = grep.toLowerCase();
+  return [
+    entry.name,
+    entry.path,
+    entry.description,
+    ...(entry.originalPaths || []),
+  ].some((value) => value?.toLowerCase().includes(needle));
+}
+
+/**
+ * List uploads created by gh-upload-log
+ *
+ * Gists are matched by the description marker or a `.log.txt` file; every
+ * folder of the shared repositories is one upload. Entries are sorted newest
+ * first, undated ones last.
+ *
+ * @param {Object} options - List options
+ * @param {string} options.since - Only list uploads newer than this, e.g. '7d' (s, m, h, d or w)
+ * @param {string} options.type - Only list 'gist' or 'repo' uploads (default: both)
+ * @param {string} options.grep - Only list uploads whose name, path, description or original path contains this text
+ * @param {string} options.repository - Shared repository as 'owner/name' (default: the user's private-logs and public-logs)
+ * @param {string} options.transport - 'auto' (default), 'api' or 'gh'
+ * @param {string} options.host - GitHub host (default: GH_HOST or github.com)
+ * @param {boolean} options.verbose - Enable verbose logging (default: false)
+ * @param {Object} options.logger - Logging target (default: console)
+ * @returns {Promise<Object[]>} `{ type, name, size, createdAt, isPublic, url, ... }` entries
+ */
+export async function listUploads(options = {}) {
+  const {
+    since,
+    type,
+    grep,
+    now = Date.now(),
+    verbose = false,
+    logger = console,
+  } = options;
+
+  if (type && !LIST_TYPES.includes(type)) {
+    throw new UsageError(`Unknown upload type "${type}". Use gist or repo`);
+  }
+
+  const log = createDefaultLogger({ verbose, logger });
+  const host = resolveGitHubHost(options);
+  const maxAge = since ? parseDuration(since) : undefined;
+  const store = await createUploadStore(options, log);
+  const githubUser = await store.getUser();
+  const entries = [];
+
+  if (type !== 'gist') {
+    const targets = options.repository
+      ? [resolveSharedRepositoryTarget(options, githubUser)]
+      : [false, true].map((isPublic) => ({
+          owner: githubUser,
+          repositoryName: getSharedRepositoryName(isPublic),
+        }));
+
+    for (const target of targets) {
+      const metadata = await store.getRepository(
+        target.owner,
+        target.repositoryName
+      );
+      if (!metadata) {
+        log.debug(
+          () => `${target.owner}/${target.repositoryName} does not exist`
+        );
+        continue;
+      }
+
+      const uploads = await listRepositoryUploads(
+        store,
+        target.owner,
+        target.repositoryName,
+        metadata.defaultBranch || 'main'
+      );
+      for (const upload of uploads) {
+        entries.push(toRepositoryEntry(upload, target, metadata, host));
+      }
+    }
+  }
+
+  if (type !== 'repo') {
+    const gists = await listToolGists(store, { includeLogFiles: true });
+    entries.push(...gists.map(toGistEntry));
+  }
+
+  const time = (entry) => {
+    const parsed = Date.parse(entry.createdAt);
+    return Number.isFinite(parsed) ? parsed : -Infinity;
+  };
+
+  return entries
+    .filter(
+      (entry) =>
+        (maxAge === undefined || now - time(entry) <= maxAge) &&
+        (!grep || matchesListFilter(entry, grep))
+    )
+    .sort((a, b) => time(b) - time(a) || 0);
+}
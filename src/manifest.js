@@ -0,0 +1,212 @@
+#!/usr/bin/env bun
+
+/**
+ * Upload manifests
+ *
+ * Every upload stores a `manifest.json` next to the log describing where it
+ * came from and the SHA-256 of the whole file and of every stored chunk, so
+ * downloads can verify integrity and other tools can index uploads.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { pipeline } from 'node:stream/promises';
+import { URL } from 'node:url';
+import { fileExists } from './common.js';
+import { IntegrityError } from './errors.js';
+
+export const MANIFEST_FILE_NAME = 'manifest.json';
+export const MANIFEST_VERSION = 1;
+
+const TOOL_NAME = 'gh-upload-log';
+
+function getToolVersion() {
+  const packageJson = fs.readFileSync(
+    new URL('../package.json', import.meta.url),
+    'utf8'
+  );
+  return JSON.parse(packageJson).version;
+}
+
+function getUploaderName() {
+  try {
+    return os.userInfo().username;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compute the SHA-256 of a file
+ *
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+async function hashFiles(filePaths) {
+  const hash = crypto.createHash('sha256');
+  for (const filePath of filePaths) {
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Describe one uploaded file and the chunks it is stored as
+ *
+ * Size and checksum are taken from the stored files, not from the source,
+ * which may have grown since it was staged.
+ *
+ * @param {Object} entry - `{ name, sourcePath, originalPath, compression }` upload entry
+ * @param {string[]} storedPaths - Files stored for the entry, in concatenation order
+ * @returns {Promise<Object>} Manifest file record
+ */
+export async function describeUploadedFile(entry, storedPaths) {
+  const chunks = [];
+  for (const storedPath of storedPaths) {
+    chunks.push({
+      name: path.basename(storedPath),
+      size: fs.statSync(storedPath).size,
+      sha256: await hashFile(storedPath),
+    });
+  }
+
+  const originalPath = entry.originalPath || entry.name;
+
+  return {
+    name: entry.name,
+    originalPath: fileExists(originalPath)
+      ? path.resolve(originalPath)
+      : originalPath,
+    size: chunks.reduce((total, chunk) => total + chunk.size, 0),
+    sha256:
+      storedPaths.length === 1
+        ? chunks[0].sha256
+        : await hashFiles(storedPaths),
+    compression: entry.compression || null,
+    chunks,
+  };
+}
+
+/**
+ * Write a manifest for the described files
+ *
+ * @param {string} outputDir - Directory receiving manifest.json
+ * @param {Object[]} files - Records from describeUploadedFile()
+ * @returns {string} Path of the written manifest
+ */
+export function writeUploadManifest(outputDir, files) {
+  const manifest = {
+    manifestVersion: MANIFEST_VERSION,
+    tool: TOOL_NAME,
+    toolVersion: getToolVersion(),
+    createdAt: new Date().toISOString(),
+    host: os.hostname(),
+    uploader: getUploaderName(),
+    files,
+  };
+
+  const manifestPath = path.join(outputDir, MANIFEST_FILE_NAME);
+  fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifestPath;
+}
+
+/**
+ * Check that a name from a manifest is a plain file name
+ *
+ * Manifests come from the uploaded folder, so anyone who can push there
+ * controls them; a name such as `../../.bashrc` must not leave the download
+ * directory.
+ *
+ * @param {string} name - File or chunk name
+ * @returns {boolean} True for a non-empty name without separators, `.` or `..`
+ */
+export function isSafeFileName(name) {
+  return (
+    typeof name === 'string' &&
+    name !== '' &&
+    name !== '.' &&
+    name !== '..' &&
+    !/[\\/\0]/.test(name) &&
+    path.basename(name) === name
+  );
+}
+
+/**
+ * Read a downloaded manifest
+ *
+ * @param {string} directoryPath - Directory that may contain manifest.json
+ * @returns {Object|null} Parsed manifest, or null when there is none
+ */
+export function readUploadManifest(directoryPath) {
+  const manifestPath = path.join(directoryPath, MANIFEST_FILE_NAME);
+  if (!fileExists(manifestPath)) {
+    return null;
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new IntegrityError(
+      `Invalid ${MANIFEST_FILE_NAME}: ${error.message}`,
+      { cause: error }
+    );
+  }
+
+  if (!Array.isArray(manifest?.files)) {
+    throw new IntegrityError(`Invalid ${MANIFEST_FILE_NAME}: no list of files`);
+  }
+  const incomplete = manifest.files.find(
+    (record) => !Array.isArray(record?.chunks)
+  );
+  if (incomplete !== undefined) {
+    throw new IntegrityError(
+      `Invalid ${MANIFEST_FILE_NAME}: ${JSON.stringify(incomplete?.name)} has no list of chunks`
+    );
+  }
+
+  const names = manifest.files.flatMap((record) => [
+    record.name,
+    ...record.chunks.map((chunk) => chunk?.name),
+  ]);
+  const unsafe = names.find((name) => !isSafeFileName(name));
+  if (unsafe !== undefined) {
+    throw new IntegrityError(
+      `Invalid ${MANIFEST_FILE_NAME}: ${JSON.stringify(unsafe)} is not a plain file name`
+    );
+  }
+  return manifest;
+}
+
+/**
+ * Check that a file matches the size and SHA-256 recorded in a manifest
+ *
+ * @param {string} filePath - File to check
+ * @param {Object} record - Manifest file or chunk record with `name`, `size` and `sha256`
+ * @returns {Promise<void>} Resolves when the file matches
+ */
+export async function verifyFileChecksum(filePath, record) {
+  const size = fs.statSync(filePath).size;
+  if (size !== record.size) {
+    throw new IntegrityError(
+      `Size mismatch for ${record.name}: expected ${record.size} bytes, got ${size}`
+    );
+  }
+
+  const sha256 = await hashFile(filePath);
+  if (sha256 !== record.sha256) {
+    throw new IntegrityError(
+      `Checksum mismatch for ${record.name}: expected ${record.sha256}, got ${sha256}`
+    );
+  }
+}
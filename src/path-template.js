@@ -0,0 +1,117 @@
+#!/usr/bin/env bun
+
+/**
+ * Storage path templates for shared repositories
+ *
+ * A flat `log-<name>` folder per upload makes large repositories unusable in
+ * the GitHub tree view (it truncates at 1,000 entries), so new shared
+ * repositories shard uploads by date and host instead.
+ */
+
+import os from 'node:os';
+import path from 'node:path';
+import { normalizeFileName } from './common.js';
+import { UsageError } from './errors.js';
+
+export const PATH_TEMPLATES = {
+  sharded: '{yyyy}/{mm}/{dd}/{host}/{name}-{hash8}',
+  legacy: 'log-{name}',
+};
+export const DEFAULT_PATH_TEMPLATE = PATH_TEMPLATES.sharded;
+export const REPOSITORY_LAYOUT_FILE_NAME = '.gh-upload-log.json';
+
+const PLACEHOLDER_PATTERN = /\{([a-z0-9]+)\}/gi;
+
+/**
+ * Resolve a template name ('sharded', 'legacy') or custom template string
+ *
+ * @param {string} [pathTemplate] - Template name or string
+ * @param {string} [fallback=DEFAULT_PATH_TEMPLATE] - Template used when none is given
+ * @returns {string} Template string
+ */
+export function resolvePathTemplate(
+  pathTemplate,
+  fallback = DEFAULT_PATH_TEMPLATE
+) {
+  if (!pathTemplate) {
+    return fallback;
+  }
+  return PATH_TEMPLATES[pathTemplate] || pathTemplate;
+}
+
+/**
+ * Check whether a template needs the SHA-256 of the uploaded content
+ *
+ * @param {string} template - Template string
+ * @returns {boolean} True when it uses {hash} or {hash8}
+ */
+export function templateUsesHash(template) {
+  return /\{hash8?\}/.test(template);
+}
+
+function sanitizeSegmentValue(value) {
+  return String(value)
+    .replace(/[\\/]+/g, '-')
+    .replace(/[^A-Za-z0-9._-]+/g, '-')
+    .replace(/^[.-]+/, '');
+}
+
+/**
+ * Collect the values available to path templates
+ *
+ * @param {Object} params - Upload details
+ * @param {string} params.filePath - Path used to name the upload
+ * @param {string} [params.contentHash] - SHA-256 of the uploaded content
+ * @param {Date} [params.date=new Date()] - Upload time (UTC placeholders)
+ * @param {string} [params.hostname=os.hostname()] - Machine name for {host}
+ * @returns {Object} Placeholder values
+ */
+export function getPathTemplateValues({
+  filePath,
+  contentHash,
+  date = new Date(),
+  hostname = os.hostname(),
+}) {
+  const isoDate = date.toISOString();
+
+  return {
+    yyyy: isoDate.slice(0, 4),
+    mm: isoDate.slice(5, 7),
+    dd: isoDate.slice(8, 10),
+    date: isoDate.slice(0, 10),
+    host: sanitizeSegmentValue(hostname.toLowerCase()),
+    name: path.basename(normalizeFileName(filePath), '.log'),
+    hash: contentHash,
+    hash8: contentHash?.slice(0, 8),
+  };
+}
+
+/**
+ * Expand a storage path template
+ *
+ * Supported placeholders: {yyyy}, {mm}, {dd}, {date}, {host}, {name},
+ * {hash} and {hash8}. Values never introduce extra folders; the result has
+ * no leading, trailing or repeated slashes.
+ *
+ * @param {string} template - Template such as '{yyyy}/{mm}/{dd}/{host}/{name}-{hash8}'
+ * @param {Object} values - Values from getPathTemplateValues()
+ * @returns {string} Repository folder path
+ */
+export function expandPathTemplate(template, values) {
+  const expanded = template.replace(PLACEHOLDER_PATTERN, (match, key) => {
+    if (!(key in values)) {
+      throw new UsageError(`Unknown placeholder ${match} in path template`);
+    }
+    if (values[key] === undefined) {
+      throw new UsageError(`No value for ${match} in path template`);
+    }
+    return sanitizeSegmentValue(values[key]);
+  });
+
+  const segments = expanded.split(/[\\/]+/).filter(Boolean);
+  if (segments.some((segment) => segment === '.' || segment === '..')) {
+    throw new UsageError(`Invalid path template "${template}"`);
+  }
+
+  return segments.join('/');
+}
@@ -0,0 +1,187 @@
+#!/usr/bin/env bun
+
+/**
+ * Retention for uploaded logs
+ *
+ * Removes shared-repository upload folders (and optionally gists created by
+ * the tool) that are older than a retention period, keeping the newest
+ * uploads when asked to. Repository removals land in a single commit.
+ */
+
+import { createDefaultLogger, parseDuration } from './common.js';
+import { UsageError } from './errors.js';
+import { resolveGitHubHost } from './github-host.js';
+import {
+  buildGitHubRepositoryUrl,
+  resolveSharedRepositoryTarget,
+} from './repository-staging.js';
+import {
+  createUploadStore,
+  listRepositoryUploads,
+  listToolGists,
+} from './upload-store.js';
+
+/**
+ * Pick the uploads a retention policy removes
+ *
+ * Uploads are ordered newest first; the first `keepLast` are always kept and
+ * uploads without a known date are never removed.
+ *
+ * @param {Object[]} uploads - Entries with an ISO `createdAt`
+ * @param {Object} policy - Retention policy
+ * @param {number} [policy.maxAge] - Remove uploads older than this many milliseconds (default: any age)
+ * @param {number} [policy.keepLast=0] - Number of newest uploads to keep regardless of age
+ * @param {number} [policy.now=Date.now()] - Reference time
+ * @returns {Object[]} Expired uploads, newest first
+ */
+export function selectExpiredUploads(
+  uploads,
+  { maxAge, keepLast = 0, now = Date.now() }
+) {
+  const dated = uploads
+    .map((upload) => ({ upload, time: Date.parse(upload.createdAt) }))
+    .sort((a, b) => {
+      const [timeA, timeB] = [a.time, b.time].map((time) =>
+        Number.isFinite(time) ? time : Infinity
+      );
+      return timeA === timeB ? 0 : timeA < timeB ? 1 : -1;
+    });
+
+  return dated
+    .filter(
+      ({ time }, index) =>
+        index >= keepLast &&
+        Number.isFinite(time) &&
+        (maxAge === undefined || now - time > maxAge)
+    )
+    .map(({ upload }) => upload);
+}
+
+function describePolicy(olderThan, keepLast) {
+  return [
+    olderThan && `older than ${olderThan}`,
+    keepLast > 0 && `beyond the newest ${keepLast}`,
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Remove expired uploads
+ *
+ * @param {Object} options - Prune options
+ * @param {string} options.olderThan - Retention period such as '30d' (s, m, h, d or w)
+ * @param {number} options.keepLast - Always keep this many of the newest uploads (default: 0)
+ * @param {boolean} options.gists - Also remove expired gists created by gh-upload-log (default: false)
+ * @param {boolean} options.isPublic - Prune public-logs instead of private-logs (default: false)
+ * @param {string} options.repository - Shared repository as 'owner/name' (default: the user's private-logs/public-logs)
+ * @param {string} options.transport - 'auto' (default), 'api' or 'gh'
+ * @param {string} options.host - GitHub host (default: GH_HOST or github.com)
+ * @param {boolean} options.dryMode - Only report what would be removed
+ * @param {boolean} options.verbose - Enable verbose logging (default: false)
+ * @param {Object} options.logger - Logging target (default: console)
+ * @returns {Promise<Object>} `{ dryMode, repository, gists }` with removed and kept uploads
+ */
+export async function pruneUploads(options = {}) {
+  const {
+    olderThan,
+    keepLast = 0,
+    gists = false,
+    dryMode = false,
+    now = Date.now(),
+    verbose = false,
+    logger = console,
+  } = options;
+
+  if (!olderThan && !keepLast) {
+    throw new UsageError('olderThan or keepLast is required to prune uploads');
+  }
+  if (!Number.isInteger(keepLast) || keepLast < 0) {
+    throw new UsageError(
+      `keepLast must be a non-negative integer, got ${keepLast}`
+    );
+  }
+
+  const log = createDefaultLogger({ verbose, logger });
+  const policy = {
+    maxAge: olderThan ? parseDuration(olderThan) : undefined,
+    keepLast,
+    now,
+  };
+  const store = await createUploadStore(options, log);
+  const githubUser = await store.getUser();
+  const { owner, repositoryName } = resolveSharedRepositoryTarget(
+    options,
+    githubUser
+  );
+
+  const repository = {
+    owner,
+    repositoryName,
+    url: buildGitHubRepositoryUrl(
+      owner,
+      repositoryName,
+      resolveGitHubHost(options)
+    ),
+    removed: [],
+    kept: 0,
+  };
+  const metadata = await store.getRepository(owner, repositoryName);
+
+  if (metadata) {
+    const branch = metadata.defaultBranch || 'main';
+    const uploads = await listRepositoryUploads(
+      store,
+      owner,
+      repositoryName,
+      branch
+    );
+    const expired = selectExpiredUploads(uploads, policy);
+    log.debug(
+      () =>
+        `${repositoryName}: ${uploads.length} upload(s), ${expired.length} expired`
+    );
+
+    repository.removed = expired.map(({ path, createdAt }) => ({
+      path,
+      createdAt,
+    }));
+    repository.kept = uploads.length - expired.length;
+
+    if (expired.length > 0 && !dryMode) {
+      await store.removeRepositoryPaths(
+        owner,
+        repositoryName,
+        branch,
+        expired.flatMap((upload) => upload.files),
+        `Prune ${expired.length} upload(s) ${describePolicy(olderThan, keepLast)}`
+      );
+    }
+  } else {
+    log.debug(() => `${owner}/${repositoryName} does not exist; skipping`);
+  }
+
+  let gistResult = null;
+  if (gists) {
+    const toolGists = await listToolGists(store);
+    const expired = selectExpiredUploads(toolGists, policy);
+    gistResult = {
+      removed: expired.map(({ id, url, description, createdAt }) => ({
+        id,
+        url,
+        description,
+        createdAt,
+      })),
+      kept: toolGists.length - expired.length,
+    };
+
+    if (!dryMode) {
+      for (const gist of expired) {
+        log.debug(() => `→ Deleting gist ${gist.id}`);
+        await store.deleteGist(gist.id);
+      }
+    }
+  }
+
+  return { dryMode, repository, gists: gistResult };
+}
@@ -0,0 +1,125 @@
+#!/usr/bin/env bun
+
+/**
+ * Spreading repository uploads over several pushes
+ *
+ * GitHub rejects pushes above a size limit, so a log split into dozens of
+ * 100MB parts cannot land in one push. The staged files are grouped into
+ * batches under a per-push budget and each batch is committed and pushed on
+ * its own. The manifest goes into the last batch, so an upload only carries
+ * one once all of its parts have landed.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { formatFileSize, getFileSize, parseFileSize } from './common.js';
+import { MANIFEST_FILE_NAME } from './manifest.js';
+
+// Half of the 2GB GitHub accepts in one push, leaving room for pack overhead
+export const DEFAULT_MAX_PUSH_SIZE = '1GB';
+
+/**
+ * Group the files of a staged folder into batches under a push budget
+ *
+ * Files are taken in name order, so the parts of a split log land in order. A
+ * file larger than the budget gets a batch of its own.
+ *
+ * @param {string} stagedDir - Folder holding the staged files
+ * @param {number|string} maxPushSize - Budget per push in bytes or as e.g. '500MB' (default: DEFAULT_MAX_PUSH_SIZE)
+ * @param {string[]} landedFiles - Files already pushed, left out of the batches (default: none)
+ * @returns {{ files: string[], size: number }[]} Batches of file names, never empty
+ */
+export function planPushBatches(
+  stagedDir,
+  maxPushSize = DEFAULT_MAX_PUSH_SIZE,
+  landedFiles = []
+) {
+  const budget = parseFileSize(maxPushSize);
+  const names = fs
+    .readdirSync(stagedDir)
+    .filter(
+      (name) =>
+        !name.startsWith('.') &&
+        name !== MANIFEST_FILE_NAME &&
+        !landedFiles.includes(name)
+    )
+    .sort();
+  const batches = [{ files: [], size: 0 }];
+
+  for (const name of names) {
+    const size = getFileSize(path.join(stagedDir, name));
+    let batch = batches[batches.length - 1];
+    if (batch.files.length > 0 && batch.size + size > budget) {
+      batch = { files: [], size: 0 };
+      batches.push(batch);
+    }
+    batch.files.push(name);
+    batch.size += size;
+  }
+
+  if (
+    fs.existsSync(path.join(stagedDir, MANIFEST_FILE_NAME)) &&
+    !landedFiles.includes(MANIFEST_FILE_NAME)
+  ) {
+    batches[batches.length - 1].files.push(MANIFEST_FILE_NAME);
+  }
+  return batches;
+}
+
+/**
+ * Build the commit message of one batch
+ *
+ * @param {string} message - Message of the whole upload
+ * @param {number} index - Batch index (0-based)
+ * @param {number} count - Number of batches
+ * @returns {string} The message, numbered when there is more than one batch
+ */
+export function getBatchCommitMessage(message, index, count) {
+  return count > 1 ? `${message} (push ${index + 1} of ${count})` : message;
+}
+
+/**
+ * Commit and push batches one after another
+ *
+ * When a batch fails after earlier ones landed, the error is extended with
+ * `landedFiles` and `pendingFiles`, and its message says which files made it.
+ *
+ * @param {Object[]} batches - Result of planPushBatches()
+ * @param {Object} options - Push options
+ * @param {Function} options.commit - Commits a batch: (batch, index) => Promise
+ * @param {Function} options.push - Pushes the commit of a batch: (batch, index) => Promise
+ * @param {Function} options.describeTarget - Returns where the files land, for messages
+ * @param {Function} options.onPushed - Called after each batch landed: (batch, index, landedFiles) => Promise
+ * @param {string[]} options.landedFiles - Files pushed before these batches (default: none)
+ * @param {Object} options.log - Logger from createDefaultLogger()
+ */
+export async function pushInBatches(batches, options) {
+  const { commit, push, describeTarget, onPushed, log } = options;
+  const landedFiles = [...(options.landedFiles || [])];
+
+  for (const [index, batch] of batches.entries()) {
+    if (batches.length > 1) {
+      log.debug(
+        () =>
+          `→ Push ${index + 1} of ${batches.length}: ${batch.files.length} file(s), ${formatFileSize(batch.size)}`
+      );
+    }
+
+    try {
+      await commit(batch, index);
+      await push(batch, index);
+    } catch (error) {
+      if (landedFiles.length > 0) {
+        const pendingFiles = batches
+          .slice(index)
+          .flatMap((pending) => pending.files);
+        error.landedFiles = landedFiles;
+        error.pendingFiles = pendingFiles;
+        error.message += `. Push ${index + 1} of ${batches.length} failed after ${landedFiles.length} file(s) landed in ${describeTarget()}: ${landedFiles.join(', ')}; not uploaded: ${pendingFiles.join(', ')}`;
+      }
+      throw error;
+    }
+    landedFiles.push(...batch.files);
+    await onPushed?.(batch, index, landedFiles);
+  }
+}
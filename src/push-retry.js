@@ -0,0 +1,111 @@
+#!/usr/bin/env bun
+
+/**
+ * Retrying pushes that lost a race
+ *
+ * Parallel jobs uploading to the same shared repository all build their
+ * commit on the branch head they saw. Only the first push wins; the others are
+ * rejected as non-fast-forward. That is a normal race, not a failure: the
+ * losing upload moves its commit onto the new head and pushes again, after a
+ * jittered pause so retrying jobs do not collide again in lockstep.
+ *
+ * Lost races and transient push failures share the retry policy of all other
+ * GitHub calls (see retry.js). The push itself must not be retried on its own
+ * as well, or every lost race would multiply its attempts.
+ */
+
+import { setTimeout as delay } from 'node:timers/promises';
+import {
+  getRetryDelay,
+  isRetryableError,
+  resolveRetryPolicy,
+} from './retry.js';
+
+/**
+ * Check whether a failed `git push` was rejected because the branch moved
+ *
+ * @param {string} errorText - stderr/stdout of the push
+ * @returns {boolean} True for non-fast-forward and stale ref rejections
+ */
+export function isRejectedPushError(errorText = '') {
+  const normalized = errorText.toLowerCase();
+  return [
+    'non-fast-forward',
+    '[rejected]',
+    '(fetch first)',
+    'stale info',
+    'cannot lock ref',
+    'incorrect old value provided',
+  ].some((marker) => normalized.includes(marker));
+}
+
+/**
+ * Check whether a REST branch update failed because the branch moved
+ *
+ * @param {Error} error - Error thrown by the GitHub REST client
+ * @returns {boolean} True for 422 "Update is not a fast forward" errors
+ */
+export function isRejectedRefUpdate(error) {
+  return (
+    error?.status === 422 && /not a fast.?forward/i.test(error.message || '')
+  );
+}
+
+/**
+ * Run a push, moving the commit onto the new branch head and pushing again
+ * while it loses races against other uploads
+ *
+ * Transient failures are pushed again as they are. Both draw on the same
+ * `retries` and use the backoff of getRetryDelay().
+ *
+ * @param {Object} options - Retry options
+ * @param {Function} options.push - Attempts the push once; resolves on success
+ * @param {Function} options.isRace - Tells a lost race from other errors
+ * @param {Function} options.rebase - Moves the commit onto the new head before the next attempt
+ * @param {string} options.target - Branch description used in messages
+ * @param {Object} options.log - Logger from createDefaultLogger()
+ * @param {number} [options.retries] - Pushes tried after the first (default: 3)
+ * @param {number} [options.maxRetryDelay] - Longest pause in milliseconds (default: 60000)
+ * @returns {Promise<*>} Result of the successful push
+ */
+export async function pushWithRetry(options) {
+  const { push, isRace, rebase, target, log } = options;
+  const { retries, maxRetryDelay } = resolveRetryPolicy(options);
+
+  for (let retry = 1; ; retry += 1) {
+    try {
+      return await push();
+    } catch (error) {
+      const lostRace = isRace(error);
+      if (!lostRace && !isRetryableError(error)) {
+        throw error;
+      }
+      const pause = getRetryDelay(retry, {
+        retryAfter: error.retryAfter ?? null,
+        maxRetryDelay,
+      });
+      if (retry > retries || pause > maxRetryDelay) {
+        if (lostRace) {
+          error.message = `${error.message} (${target} kept moving; gave up after ${retry} attempts)`;
+        }
+        throw error;
+      }
+
+      if (lostRace) {
+        log.debug(
+          () =>
+            `${target} moved during the upload; retrying in ${pause}ms (retry ${retry} of ${retries})`
+        );
+      } else {
+        log.warn(
+          () =>
+            `Push to ${target} failed (${error.category}): ${error.message.split('\n')[0]}; retry ${retry} of ${retries} in ${(pause / 1000).toFixed(1)}s`
+        );
+      }
+      await delay(pause);
+      if (lostRace) {
+        await rebase();
+      }
+    }
+  }
+}
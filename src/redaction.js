@@ -0,0 +1,249 @@
+#!/usr/bin/env bun
+
+/**
+ * Secret redaction for log files
+ *
+ * Scans a log line by line for credentials and writes a scrubbed copy that is
+ * uploaded instead of the original file.
+ */
+
+import fs from 'node:fs';
+import { once } from 'node:events';
+import { UsageError } from './errors.js';
+
+export const REDACTION_MARKER_PREFIX = '[REDACTED:';
+export const MAX_REPORTED_LINES_PER_RULE = 20;
+
+const PRIVATE_KEY_BEGIN = /-----BEGIN [A-Z0-9 ]*PRIVATE KEY-----/;
+const PRIVATE_KEY_END = /-----END [A-Z0-9 ]*PRIVATE KEY-----/;
+const PRIVATE_KEY_RULE_NAME = 'private-key';
+
+/**
+ * Built-in redaction rules
+ *
+ * When a pattern defines a named `secret` group, only that group is replaced so
+ * the surrounding context (e.g. `Authorization: Bearer`) stays readable.
+ */
+export const DEFAULT_REDACTION_RULES = [
+  {
+    name: 'github-token',
+    pattern:
+      /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g,
+  },
+  {
+    name: 'aws-access-key-id',
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    name: 'aws-secret-access-key',
+    pattern:
+      /\baws_secret_access_key\b["']?\s*[:=]\s*["']?(?<secret>[A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+  },
+  {
+    name: 'jwt',
+    pattern:
+      /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\b/g,
+  },
+  {
+    // `Bearer` is matched case-sensitively outside an Authorization header and
+    // tokens must be 20+ characters, so prose like "bearer instruments" stays
+    name: 'bearer-token',
+    pattern:
+      /\b(?:[Aa]uthorization:\s*[Bb]earer|Bearer)\s+(?<secret>[A-Za-z0-9\-._~+/]{20,}=*)/g,
+  },
+];
+
+function createMarker(ruleName) {
+  return `${REDACTION_MARKER_PREFIX}${ruleName}]`;
+}
+
+/**
+ * Build the list of redaction rules to apply
+ *
+ * @param {Object} [options={}] - Rule options
+ * @param {string[]} [options.patterns=[]] - Additional user-supplied regular expressions
+ * @param {boolean} [options.useDefaultRules=true] - Include the built-in rules
+ * @returns {Object[]} Rules with `name` and global `pattern`
+ */
+export function createRedactionRules(options = {}) {
+  const { patterns = [], useDefaultRules = true } = options;
+  const rules = useDefaultRules ? [...DEFAULT_REDACTION_RULES] : [];
+
+  patterns.forEach((source, index) => {
+    let pattern;
+    try {
+      pattern = new RegExp(source, 'g');
+    } catch (error) {
+      throw new UsageError(
+        `Invalid redaction pattern "${source}": ${error.message}`
+      );
+    }
+    rules.push({ name: `custom-${index + 1}`, pattern });
+  });
+
+  return rules;
+}
+
+/**
+ * Redact secrets from a single line of text
+ *
+ * Multi-line private-key blocks are handled by redactLogFile(); this helper
+ * only redacts a key block that starts and ends on the same line.
+ *
+ * @param {string} line - Line to scrub
+ * @param {Object[]} rules - Rules from createRedactionRules()
+ * @returns {{text: string, counts: Object<string, number>}} Scrubbed line and per-rule match counts
+ */
+export function redactLine(line, rules) {
+  const counts = {};
+  let text = line.replace(
+    new RegExp(
+      `${PRIVATE_KEY_BEGIN.source}[\\s\\S]*?${PRIVATE_KEY_END.source}`,
+      'g'
+    ),
+    () => {
+      counts[PRIVATE_KEY_RULE_NAME] = (counts[PRIVATE_KEY_RULE_NAME] || 0) + 1;
+      return createMarker(PRIVATE_KEY_RULE_NAME);
+    }
+  );
+
+  for (const rule of rules) {
+    rule.pattern.lastIndex = 0;
+    text = text.replace(rule.pattern, (...args) => {
+      const match = args[0];
+      const groups = args[args.length - 1];
+      if (match.length === 0) {
+        return match;
+      }
+
+      counts[rule.name] = (counts[rule.name] || 0) + 1;
+      const secret =
+        groups && typeof groups === 'object' ? groups.secret : undefined;
+      if (secret) {
+        return match.replace(secret, createMarker(rule.name));
+      }
+      return createMarker(rule.name);
+    });
+  }
+
+  return { text, counts };
+}
+
+/**
+ * Scan a log file for secrets and optionally write a redacted copy
+ *
+ * The file is streamed line by line, so memory use does not grow with the log
+ * size. Line endings and line numbers are preserved; lines inside a multi-line
+ * private-key block are blanked.
+ *
+ * @param {string} inputPath - Path to the log file to scan
+ * @param {Object} [options={}] - Redaction options
+ * @param {string} [options.outputPath] - Where to write the redacted copy (scan only when omitted)
+ * @param {Object[]} [options.rules] - Rules from createRedactionRules() (default: built-in rules)
+ * @param {number} [options.maxReportedLines=20] - Line numbers kept per rule for reports
+ * @returns {Promise<Object>} Report with `total`, per-rule `counts` and sample `lines`
+ */
+export async function redactLogFile(inputPath, options = {}) {
+  const {
+    outputPath,
+    rules = createRedactionRules(),
+    maxReportedLines = MAX_REPORTED_LINES_PER_RULE,
+  } = options;
+
+  const report = { total: 0, counts: {}, lines: {} };
+  const output = outputPath ? fs.createWriteStream(outputPath) : null;
+  let insidePrivateKey = false;
+  let lineNumber = 0;
+
+  const record = (ruleName, count) => {
+    report.total += count;
+    report.counts[ruleName] = (report.counts[ruleName] || 0) + count;
+    const lines = report.lines[ruleName] || (report.lines[ruleName] = []);
+    if (lines.length < maxReportedLines) {
+      lines.push(lineNumber);
+    }
+  };
+
+  const write = async (text) => {
+    if (output && !output.write(text)) {
+      await once(output, 'drain');
+    }
+  };
+
+  const processLine = (line) => {
+    lineNumber += 1;
+
+    if (insidePrivateKey) {
+      const endMatch = PRIVATE_KEY_END.exec(line);
+      if (!endMatch) {
+        return '';
+      }
+      insidePrivateKey = false;
+      line = line.slice(endMatch.index + endMatch[0].length);
+    }
+
+    const { text, counts } = redactLine(line, rules);
+    for (const [ruleName, count] of Object.entries(counts)) {
+      record(ruleName, count);
+    }
+
+    const beginMatch = PRIVATE_KEY_BEGIN.exec(text);
+    if (beginMatch) {
+      insidePrivateKey = true;
+      record(PRIVATE_KEY_RULE_NAME, 1);
+      return `${text.slice(0, beginMatch.index)}${createMarker(PRIVATE_KEY_RULE_NAME)}`;
+    }
+
+    return text;
+  };
+
+  try {
+    let pending = '';
+    const input = fs.createReadStream(inputPath, { encoding: 'utf8' });
+
+    for await (const chunk of input) {
+      const parts = `${pending}${chunk}`.split('\n');
+      pending = parts.pop();
+      for (const part of parts) {
+        const carriageReturn = part.endsWith('\r') ? '\r' : '';
+        const line = carriageReturn ? part.slice(0, -1) : part;
+        await write(`${processLine(line)}${carriageReturn}\n`);
+      }
+    }
+
+    if (pending) {
+      await write(processLine(pending));
+    }
+  } finally {
+    if (output) {
+      output.end();
+      await once(output, 'close');
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Combine the reports of several redacted files into one
+ *
+ * @param {Object[]} reports - Reports returned by redactLogFile()
+ * @param {Object[]} [files] - Matching `{ name }` entries; adds a per-file breakdown when given
+ * @returns {Object} Report with combined `total` and `counts`
+ */
+export function mergeRedactionReports(reports, files) {
+  if (!files) {
+    return reports[0];
+  }
+
+  const merged = { total: 0, counts: {}, files: [] };
+  reports.forEach((report, index) => {
+    merged.total += report.total;
+    for (const [ruleName, count] of Object.entries(report.counts)) {
+      merged.counts[ruleName] = (merged.counts[ruleName] || 0) + count;
+    }
+    merged.files.push({ name: files[index].name, ...report });
+  });
+
+  return merged;
+}
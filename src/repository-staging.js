@@ -0,0 +1,523 @@
+#!/usr/bin/env bun
+
+/**
+ * Repository upload layout shared by the gh and GitHub API transports
+ *
+ * Staging of upload folders (chunks and manifest), conflict resolution for
+ * existing shared-repository folders and result building.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+  DEFAULT_PRIVATE_LOGS_REPOSITORY,
+  DEFAULT_PUBLIC_LOGS_REPOSITORY,
+  generateRepoName,
+  generateUploadedLogFileName,
+  getFileSize,
+  GITHUB_REPO_CHUNK_SIZE,
+  splitFileIntoParts,
+} from './common.js';
+import {
+  AuthenticationError,
+  NameConflictError,
+  UsageError,
+  VisibilityMismatchError,
+} from './errors.js';
+import { DEFAULT_GITHUB_HOST, getGitHubWebUrl } from './github-host.js';
+import {
+  DEFAULT_PATH_TEMPLATE,
+  expandPathTemplate,
+  getPathTemplateValues,
+  PATH_TEMPLATES,
+  resolvePathTemplate,
+  templateUsesHash,
+} from './path-template.js';
+import {
+  describeUploadedFile,
+  hashFile,
+  MANIFEST_FILE_NAME,
+  writeUploadManifest,
+} from './manifest.js';
+import { linkOrCopyFile } from './staging.js';
+
+export const ON_CONFLICT_MODES = ['skip', 'version', 'overwrite', 'fail'];
+
+export function shouldUseSharedRepositoryMode(
+  _filePath,
+  useSharedRepository = true
+) {
+  return useSharedRepository;
+}
+
+export function getSharedRepositoryName(isPublic = false) {
+  return isPublic
+    ? DEFAULT_PUBLIC_LOGS_REPOSITORY
+    : DEFAULT_PRIVATE_LOGS_REPOSITORY;
+}
+
+/**
+ * Resolve the repository receiving shared-mode uploads
+ *
+ * @param {Object} options - Upload options
+ * @param {string} [options.repository] - 'owner/name', or 'name' for a repository of the authenticated user
+ * @param {boolean} [options.isPublic=false] - Picks public-logs or private-logs when no repository is given
+ * @param {string} githubUser - Authenticated GitHub user
+ * @returns {Object} `{ owner, repositoryName }`
+ */
+export function resolveSharedRepositoryTarget(options, githubUser) {
+  const { repository, isPublic = false } = options;
+
+  if (!repository) {
+    return {
+      owner: githubUser,
+      repositoryName: getSharedRepositoryName(isPublic),
+    };
+  }
+
+  const segments = repository.replace(/\.git$/, '').split('/');
+  if (segments.length > 2 || segments.some((segment) => !segment)) {
+    throw new UsageError(
+      `Invalid repository "${repository}". Use owner/name or name`
+    );
+  }
+
+  return segments.length === 2
+    ? { owner: segments[0], repositoryName: segments[1] }
+    : { owner: githubUser, repositoryName: segments[0] };
+}
+
+/**
+ * Expand a path prefix for shared-mode uploads
+ *
+ * `{date}` becomes the UTC date as YYYY-MM-DD. Leading, trailing and repeated
+ * slashes are dropped.
+ *
+ * @param {string} [pathPrefix=''] - Prefix such as 'nightly/{date}/'
+ * @param {Date} [date=new Date()] - Date used for placeholders
+ * @returns {string} Normalized prefix without a trailing slash ('' when empty)
+ */
+export function expandPathPrefix(pathPrefix = '', date = new Date()) {
+  const segments = pathPrefix
+    .replaceAll('{date}', date.toISOString().slice(0, 10))
+    .split(/[\\/]+/)
+    .filter(Boolean);
+
+  if (segments.some((segment) => segment === '.' || segment === '..')) {
+    throw new UsageError(`Invalid path prefix "${pathPrefix}"`);
+  }
+
+  return segments.join('/');
+}
+
+/**
+ * Pick the storage path template for a shared repository
+ *
+ * An explicit template wins. Otherwise the template recorded in the
+ * repository's layout file is used; repositories created by this tool record
+ * the date-sharded default, older repositories without a layout file keep the
+ * legacy flat `log-<name>` layout.
+ *
+ * @param {Object} params - Template sources
+ * @param {string} [params.pathTemplate] - Template name or string from the options
+ * @param {Object|null} [params.layout] - Parsed repository layout file
+ * @param {boolean} [params.created=false] - The repository was just created
+ * @returns {string} Template string
+ */
+export function resolveRepositoryPathTemplate({
+  pathTemplate,
+  layout,
+  created = false,
+}) {
+  if (pathTemplate) {
+    return resolvePathTemplate(pathTemplate);
+  }
+  if (layout?.pathTemplate) {
+    return resolvePathTemplate(layout.pathTemplate);
+  }
+  return created ? DEFAULT_PATH_TEMPLATE : PATH_TEMPLATES.legacy;
+}
+
+/**
+ * Serialize the layout file recorded in new shared repositories
+ *
+ * @param {string} pathTemplate - Template string used for uploads
+ * @param {Object[]} [archives] - Repositories this one replaced (see compactRepository)
+ * @returns {string} JSON content
+ */
+export function serializeRepositoryLayout(pathTemplate, archives) {
+  const layout = { layoutVersion: 1, pathTemplate };
+  if (archives?.length) {
+    layout.archives = archives;
+  }
+  return `${JSON.stringify(layout, null, 2)}\n`;
+}
+
+/**
+ * Hash the files of an upload
+ *
+ * @param {Object[]} entries - `{ name, sourcePath }` upload entries
+ * @returns {Promise<Object>} `{ hashes, contentHash }`; contentHash covers all files
+ */
+export async function hashUploadEntries(entries) {
+  const hashes = [];
+  for (const entry of entries) {
+    hashes.push({ name: entry.name, sha256: await hashFile(entry.sourcePath) });
+  }
+
+  const contentHash =
+    hashes.length === 1
+      ? hashes[0].sha256
+      : crypto
+          .createHash('sha256')
+          .update(hashes.map(({ sha256 }) => sha256).join('\n'))
+          .digest('hex');
+
+  return { hashes, contentHash };
+}
+
+/**
+ * Build the folder a shared-mode upload is stored in
+ *
+ * @param {Object} params - Upload details
+ * @param {string} params.filePath - Path used to name the upload
+ * @param {Object[]} params.entries - Upload entries, hashed for {hash8}
+ * @param {string} [params.pathPrefix] - Optional prefix (see expandPathPrefix)
+ * @param {string} [params.pathTemplate] - Template string (default: legacy layout)
+ * @param {Date} [params.date=new Date()] - Upload time
+ * @returns {Promise<string>} Repository folder, e.g. '2026/01/31/ci-7/app-1a2b3c4d'
+ */
+export async function buildSharedRepositoryPath({
+  filePath,
+  entries,
+  pathPrefix,
+  pathTemplate = PATH_TEMPLATES.legacy,
+  date = new Date(),
+}) {
+  const prefix = expandPathPrefix(pathPrefix, date);
+  const contentHash = templateUsesHash(pathTemplate)
+    ? (await hashUploadEntries(entries)).contentHash
+    : undefined;
+  const folder =
+    pathTemplate === PATH_TEMPLATES.legacy
+      ? generateRepoName(filePath)
+      : expandPathTemplate(
+          pathTemplate,
+          getPathTemplateValues({ filePath, contentHash, date })
+        );
+
+  return prefix ? `${prefix}/${folder}` : folder;
+}
+
+/**
+ * Check that an existing shared repository can receive the upload
+ *
+ * Private uploads may go into private or internal (organization-only)
+ * repositories; public uploads need a public repository.
+ *
+ * @param {Object} metadata - `{ visibility, canPush }` of the repository
+ * @param {string} repositoryName - Repository name used in error messages
+ * @param {boolean} isPublic - Whether the upload is public
+ */
+export function assertSharedRepositoryUsable(
+  metadata,
+  repositoryName,
+  isPublic
+) {
+  const allowedVisibilities = isPublic ? ['public'] : ['private', 'internal'];
+
+  if (
+    metadata.visibility &&
+    !allowedVisibilities.includes(metadata.visibility)
+  ) {
+    throw new VisibilityMismatchError(
+      `Shared repository ${repositoryName} exists with visibility ${metadata.visibility}, expected ${allowedVisibilities.join(' or ')}`
+    );
+  }
+
+  if (metadata.canPush === false) {
+    throw new AuthenticationError(
+      `No push access to shared repository ${repositoryName}. Ask an owner for write access or choose another --repository`
+    );
+  }
+}
+
+export function buildGitHubRepositoryUrl(
+  githubUser,
+  repositoryName,
+  host = DEFAULT_GITHUB_HOST
+) {
+  return `${getGitHubWebUrl(host)}/${githubUser}/${repositoryName}`;
+}
+
+export function buildGitHubRepositoryTreeUrl(
+  githubUser,
+  repositoryName,
+  branchName,
+  repositoryPath,
+  host = DEFAULT_GITHUB_HOST
+) {
+  return `${buildGitHubRepositoryUrl(githubUser, repositoryName, host)}/tree/${branchName}/${repositoryPath}`;
+}
+
+export function listUploadedFiles(directoryPath) {
+  return fs
+    .readdirSync(directoryPath)
+    .filter((file) => !file.startsWith('.') && file !== MANIFEST_FILE_NAME)
+    .sort();
+}
+
+export function isUploadedLogEntry(entry) {
+  return entry.name !== MANIFEST_FILE_NAME;
+}
+
+/**
+ * Check whether an existing upload stores exactly the given files
+ *
+ * @param {Object|null} manifest - Manifest of the existing upload
+ * @param {Object[]} hashes - `{ name, sha256 }` of the files about to be uploaded
+ * @returns {boolean} True when names and SHA-256 checksums all match
+ */
+function isSameUpload(manifest, hashes) {
+  if (!Array.isArray(manifest?.files)) {
+    return false;
+  }
+
+  return (
+    manifest.files.length === hashes.length &&
+    hashes.every(({ name, sha256 }) =>
+      manifest.files.some(
+        (file) => file.name === name && file.sha256 === sha256
+      )
+    )
+  );
+}
+
+/**
+ * Decide what to do when the shared-repository folder for a log already exists
+ *
+ * Identical content (by SHA-256 against the stored manifest) is always reused.
+ * Different content is handled by `onConflict`: 'version' stores it under a
+ * `-<hash8>` suffixed folder, 'overwrite' replaces the folder, 'fail' throws
+ * and 'skip' reuses the existing upload without comparing.
+ *
+ * @param {Object} params - Conflict details
+ * @param {Function} params.readFolder - Resolves a folder listing, or null when the folder does not exist
+ * @param {Function} params.readManifest - Resolves a folder's manifest.json, or null when missing
+ * @returns {Promise<Object>} `{ action: 'reuse', repositoryPath, contents }` or `{ action: 'upload', repositoryPath, replace }`
+ */
+export async function resolveUploadConflict({
+  repositoryName,
+  repositoryPath,
+  existingContents,
+  entries,
+  onConflict,
+  readFolder,
+  readManifest,
+  log,
+}) {
+  if (onConflict === 'skip') {
+    return { action: 'reuse', repositoryPath, contents: existingContents };
+  }
+
+  const { hashes, contentHash } = await hashUploadEntries(entries);
+
+  const existingManifest = await readManifest(repositoryPath);
+  if (isSameUpload(existingManifest, hashes)) {
+    return { action: 'reuse', repositoryPath, contents: existingContents };
+  }
+
+  log.debug(
+    () =>
+      `${repositoryName}/${repositoryPath} holds different content (on conflict: ${onConflict})`
+  );
+
+  if (onConflict === 'fail') {
+    throw new NameConflictError(
+      `${repositoryName}/${repositoryPath} already contains a different upload. Use --on-conflict version, overwrite or skip`
+    );
+  }
+
+  if (onConflict === 'overwrite') {
+    return { action: 'upload', repositoryPath, replace: true };
+  }
+
+  const versionedPath = `${repositoryPath}-${contentHash.slice(0, 8)}`;
+  const versionedContents = await readFolder(versionedPath);
+
+  if (versionedContents === null) {
+    return { action: 'upload', repositoryPath: versionedPath, replace: false };
+  }
+
+  const versionedManifest = await readManifest(versionedPath);
+  if (isSameUpload(versionedManifest, hashes)) {
+    return {
+      action: 'reuse',
+      repositoryPath: versionedPath,
+      contents: versionedContents,
+    };
+  }
+
+  return {
+    action: 'upload',
+    repositoryPath: `${versionedPath}-${Date.now()}`,
+    replace: false,
+  };
+}
+
+/**
+ * Resolve the files uploaded by a repository-mode upload
+ *
+ * @param {Object} options - Upload options
+ * @returns {Object[]} `{ name, sourcePath, stable }` entries
+ */
+export function getUploadEntries(options) {
+  const { filePath, contentPath = filePath, files, stableContent } = options;
+
+  return (
+    files || [
+      {
+        name: generateUploadedLogFileName(filePath),
+        sourcePath: contentPath,
+        originalPath: filePath,
+        stable: stableContent,
+      },
+    ]
+  );
+}
+
+/**
+ * Stage upload entries in a repository folder: oversized files are split
+ * straight from their source, others are snapshotted (see linkOrCopyFile)
+ *
+ * @param {Object[]} entries - `{ name, sourcePath, stable }` upload entries
+ * @param {string} outputDir - Folder inside the repository work tree
+ * @param {Object} log - Logger
+ * @param {boolean} [manifest=true] - Also write manifest.json with checksums
+ * @returns {Promise<Object[]>} `{ name }` of each staged file; parts of a split log also carry `firstLine` and `lastLine`
+ */
+export async function stageRepositoryFiles(
+  entries,
+  outputDir,
+  log,
+  manifest = true
+) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  const manifestFiles = [];
+  const lineRanges = new Map();
+
+  for (const entry of entries) {
+    const stagedFilePath = path.join(outputDir, entry.name);
+    let storedPaths = [stagedFilePath];
+    let chunks = null;
+
+    const fileSize = getFileSize(entry.sourcePath);
+    if (fileSize > GITHUB_REPO_CHUNK_SIZE) {
+      log.debug(() => `→ Splitting ${entry.name} into 100MB chunks...`);
+      log.debug(
+        () =>
+          `File size: ${fileSize} bytes, chunk size: ${GITHUB_REPO_CHUNK_SIZE} bytes`
+      );
+      chunks = await splitFileIntoParts(
+        entry.sourcePath,
+        outputDir,
+        GITHUB_REPO_CHUNK_SIZE,
+        { name: entry.name }
+      );
+      storedPaths = chunks.map((chunk) => chunk.path);
+      // Line ranges let readers find a line of the log among the parts
+      if (!entry.compression) {
+        for (const { path: chunkPath, firstLine, lastLine } of chunks) {
+          lineRanges.set(path.basename(chunkPath), { firstLine, lastLine });
+        }
+      }
+    } else {
+      const method = linkOrCopyFile(entry.sourcePath, stagedFilePath, {
+        stable: entry.stable,
+      });
+      log.debug(() => `→ Staged ${entry.name} in ${outputDir} (${method})`);
+    }
+
+    if (manifest) {
+      log.debug(() => `→ Computing checksums for ${entry.name}...`);
+      const record = await describeUploadedFile(entry, storedPaths);
+      if (chunks) {
+        record.chunks = record.chunks.map((chunk) => ({
+          ...chunk,
+          ...lineRanges.get(chunk.name),
+        }));
+      }
+      manifestFiles.push(record);
+    }
+  }
+
+  if (manifest) {
+    log.debug(() => `→ Writing ${MANIFEST_FILE_NAME}...`);
+    writeUploadManifest(outputDir, manifestFiles);
+  }
+
+  return listUploadedFiles(outputDir).map((name) => ({
+    name,
+    ...lineRanges.get(name),
+  }));
+}
+
+/**
+ * Add the line range of a split part to a `files` entry of an upload result
+ *
+ * @param {Object} file - `{ name, rawUrl }` result entry
+ * @param {Object[]} stagedFiles - Result of stageRepositoryFiles()
+ * @returns {Object} The entry, with `firstLine` and `lastLine` for parts
+ */
+export function withLineRange(file, stagedFiles = []) {
+  const staged = stagedFiles.find((candidate) => candidate.name === file.name);
+  return staged?.firstLine === undefined
+    ? file
+    : { ...file, firstLine: staged.firstLine, lastLine: staged.lastLine };
+}
+
+export function buildSharedRepositoryResult({
+  owner,
+  repositoryName,
+  defaultBranch,
+  repositoryPath,
+  contents,
+  isPublic,
+  workDir,
+  deduplicated = false,
+  commitSha = null,
+  host = DEFAULT_GITHUB_HOST,
+  stagedFiles = [],
+}) {
+  const uploadedContents = contents.filter(isUploadedLogEntry);
+  const fileCount = uploadedContents.length;
+  const rawUrl =
+    fileCount === 1 ? uploadedContents[0]?.download_url || null : null;
+  const files = uploadedContents.map((entry) =>
+    withLineRange(
+      { name: entry.name, rawUrl: entry.download_url || null },
+      stagedFiles
+    )
+  );
+
+  return {
+    type: 'repo',
+    url: buildGitHubRepositoryTreeUrl(
+      owner,
+      repositoryName,
+      defaultBranch,
+      repositoryPath,
+      host
+    ),
+    rawUrl,
+    repositoryName,
+    repositoryPath,
+    fileCount,
+    files,
+    isPublic,
+    workDir,
+    deduplicated,
+    commitSha,
+  };
+}
@@ -1,37 +1,72 @@
 #!/usr/bin/env bun
 
 import fs from 'node:fs';
+import os from 'node:os';
 import path from 'node:path';
 import {
   createDefaultLogger,
   createENOSPCError,
-  DEFAULT_PRIVATE_LOGS_REPOSITORY,
-  DEFAULT_PUBLIC_LOGS_REPOSITORY,
   ensureCommandSucceeded,
   extractGitHubRepoUrl,
   generateCollisionRepoName,
   generateRepoName,
-  generateUploadedLogFileName,
   getCommandExitCode,
   getCommandStream,
-  getFileSize,
-  GITHUB_REPO_CHUNK_SIZE,
   isENOSPC,
   isRepositoryNameConflict,
-  splitFileIntoChunks,
 } from './common.js';
+import { uploadAsRepoViaApi } from './api-upload.js';
+import { recoverCreatedRepository } from './create-recovery.js';
+import { UsageError } from './errors.js';
+import { resolveTransport } from './github-api.js';
+import { getGitHubWebUrl, resolveGitHubHost } from './github-host.js';
+import { MANIFEST_FILE_NAME } from './manifest.js';
+import { REPOSITORY_LAYOUT_FILE_NAME } from './path-template.js';
+import {
+  getBatchCommitMessage,
+  planPushBatches,
+  pushInBatches,
+} from './push-batches.js';
+import { isRejectedPushError, pushWithRetry } from './push-retry.js';
+import { resolveRetryPolicy } from './retry.js';
+import {
+  createUploadId,
+  getUploadStateDir,
+  removeUploadState,
+  writeUploadState,
+} from './upload-state.js';
+import {
+  assertSharedRepositoryUsable,
+  buildGitHubRepositoryUrl,
+  buildSharedRepositoryPath,
+  buildSharedRepositoryResult,
+  getSharedRepositoryName,
+  getUploadEntries,
+  isUploadedLogEntry,
+  listUploadedFiles,
+  ON_CONFLICT_MODES,
+  resolveRepositoryPathTemplate,
+  resolveSharedRepositoryTarget,
+  resolveUploadConflict,
+  serializeRepositoryLayout,
+  shouldUseSharedRepositoryMode,
+  stageRepositoryFiles,
+  withLineRange,
+} from './repository-staging.js';
+
+export { getSharedRepositoryName, shouldUseSharedRepositoryMode };
 
 const REPOSITORY_METADATA_QUERY =
-  '{"defaultBranch": .default_branch, "visibility": .visibility}';
+  '{"defaultBranch": .default_branch, "visibility": .visibility, "canPush": .permissions.push}';
 const REPOSITORY_FOLDER_CONTENTS_QUERY =
   'map({name: .name, download_url: .download_url})';
 
-function isGitHubNotFoundError(errorText = '') {
+export function isGitHubNotFoundError(errorText = '') {
   const normalized = errorText.toLowerCase();
   return normalized.includes('not found') || normalized.includes('http 404');
 }
 
-function isMissingRemoteRefError(errorText = '') {
+export function isMissingRemoteRefError(errorText = '') {
   const normalized = errorText.toLowerCase();
   return (
     normalized.includes("couldn't find remote ref") ||
@@ -39,40 +74,7 @@ function isMissingRemoteRefError(errorText = '') {
   );
 }
 
-export function shouldUseSharedRepositoryMode(
-  _filePath,
-  useSharedRepository = true
-) {
-  return useSharedRepository;
-}
-
-export function getSharedRepositoryName(isPublic = false) {
-  return isPublic
-    ? DEFAULT_PUBLIC_LOGS_REPOSITORY
-    : DEFAULT_PRIVATE_LOGS_REPOSITORY;
-}
-
-function buildGitHubRepositoryUrl(githubUser, repositoryName) {
-  return `https://github.com/${githubUser}/${repositoryName}`;
-}
-
-function buildGitHubRepositoryTreeUrl(
-  githubUser,
-  repositoryName,
-  branchName,
-  repositoryPath
-) {
-  return `${buildGitHubRepositoryUrl(githubUser, repositoryName)}/tree/${branchName}/${repositoryPath}`;
-}
-
-function listUploadedFiles(directoryPath) {
-  return fs
-    .readdirSync(directoryPath)
-    .filter((file) => !file.startsWith('.'))
-    .sort();
-}
-
-async function getGitHubUsername($) {
+export async function getGitHubUsername($) {
   const whoamiResult = ensureCommandSucceeded(
     await $`gh api user --jq .login`,
     'fetch authenticated GitHub username'
@@ -81,10 +83,10 @@ async function getGitHubUsername($) {
   return whoamiResult.stdout.trim();
 }
 
-async function getRepositoryMetadata($, githubUser, repositoryName) {
+export async function getRepositoryMetadata($, owner, repositoryName) {
   const $silent = $({ mirror: false, capture: true });
   const result =
-    await $silent`gh api repos/${githubUser}/${repositoryName} --jq ${REPOSITORY_METADATA_QUERY}`;
+    await $silent`gh api repos/${owner}/${repositoryName} --jq ${REPOSITORY_METADATA_QUERY}`;
 
   if (getCommandExitCode(result) !== 0) {
     if (isGitHubNotFoundError(result.stderr || result.stdout)) {
@@ -99,15 +101,15 @@ async function getRepositoryMetadata($, githubUser, repositoryName) {
   return JSON.parse(result.stdout.trim());
 }
 
-async function getRepositoryFolderContents(
+export async function getRepositoryFolderContents(
   $,
-  githubUser,
+  owner,
   repositoryName,
   repositoryPath
 ) {
   const $silent = $({ mirror: false, capture: true });
   const result =
-    await $silent`gh api repos/${githubUser}/${repositoryName}/contents/${repositoryPath} --jq ${REPOSITORY_FOLDER_CONTENTS_QUERY}`;
+    await $silent`gh api repos/${owner}/${repositoryName}/contents/${repositoryPath} --jq ${REPOSITORY_FOLDER_CONTENTS_QUERY}`;
 
   if (getCommandExitCode(result) !== 0) {
     if (isGitHubNotFoundError(result.stderr || result.stdout)) {
@@ -123,135 +125,168 @@ async function getRepositoryFolderContents(
   return contents ? JSON.parse(contents) : [];
 }
 
+export async function readRepositoryJsonFile(
+  $,
+  owner,
+  repositoryName,
+  filePath
+) {
+  const $silent = $({ mirror: false, capture: true });
+  const result =
+    await $silent`gh api repos/${owner}/${repositoryName}/contents/${filePath} --jq .content`;
+
+  if (getCommandExitCode(result) !== 0) {
+    if (isGitHubNotFoundError(result.stderr || result.stdout)) {
+      return null;
+    }
+    ensureCommandSucceeded(result, `read ${repositoryName}/${filePath}`);
+  }
+
+  const content = result.stdout.trim();
+  if (!content) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(content, 'base64').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function getUploadedManifest($, owner, repositoryName, repositoryPath) {
+  return readRepositoryJsonFile(
+    $,
+    owner,
+    repositoryName,
+    `${repositoryPath}/${MANIFEST_FILE_NAME}`
+  );
+}
+
+/**
+ * Pick the path template for a shared repository, recording the default
+ * layout in repositories that were just created
+ */
+async function prepareRepositoryLayout(
+  $,
+  owner,
+  repositoryName,
+  sharedRepository,
+  pathTemplate,
+  log
+) {
+  if (!sharedRepository.created) {
+    const layout = pathTemplate
+      ? null
+      : await readRepositoryJsonFile(
+          $,
+          owner,
+          repositoryName,
+          REPOSITORY_LAYOUT_FILE_NAME
+        );
+    return resolveRepositoryPathTemplate({ pathTemplate, layout });
+  }
+
+  const template = resolveRepositoryPathTemplate({
+    pathTemplate,
+    created: true,
+  });
+  const content = Buffer.from(serializeRepositoryLayout(template)).toString(
+    'base64'
+  );
+  log.debug(
+    () => `→ Recording storage layout ${template} in ${repositoryName}`
+  );
+  ensureCommandSucceeded(
+    await $`gh api -X PUT repos/${owner}/${repositoryName}/contents/${REPOSITORY_LAYOUT_FILE_NAME} -f ${'message=Record gh-upload-log storage layout'} -f content=${content}`,
+    `record storage layout in ${repositoryName}`
+  );
+  return template;
+}
+
+// `gh repo create --source` adds the origin remote before it pushes
+async function pushToCreatedRepository($, workDir, repositoryUrl) {
+  const $silent = $({ mirror: false, capture: true });
+  if (
+    getCommandExitCode(
+      await $silent`cd ${workDir} && git remote get-url origin`
+    ) !== 0
+  ) {
+    ensureCommandSucceeded(
+      await $`cd ${workDir} && git remote add origin ${repositoryUrl}.git`,
+      'add the origin remote'
+    );
+  }
+  ensureCommandSucceeded(
+    await $`cd ${workDir} && git push -u origin main`,
+    `push repository upload to ${repositoryUrl}`
+  );
+}
+
 async function ensureSharedRepositoryExists(
   $,
   githubUser,
+  owner,
   repositoryName,
   isPublic,
+  host,
   log
 ) {
-  const expectedVisibility = isPublic ? 'public' : 'private';
+  const fullName = `${owner}/${repositoryName}`;
+  const toSharedRepository = (metadata) => {
+    assertSharedRepositoryUsable(metadata, fullName, isPublic);
+    return {
+      defaultBranch: metadata.defaultBranch || 'main',
+      visibility: metadata.visibility,
+      url: buildGitHubRepositoryUrl(owner, repositoryName, host),
+      created: false,
+    };
+  };
+
   const existingMetadata = await getRepositoryMetadata(
     $,
-    githubUser,
+    owner,
     repositoryName
   );
-
   if (existingMetadata) {
-    if (existingMetadata.visibility !== expectedVisibility) {
-      throw new Error(
-        `Shared repository ${repositoryName} exists with visibility ${existingMetadata.visibility}, expected ${expectedVisibility}`
-      );
-    }
-
-    return {
-      defaultBranch: existingMetadata.defaultBranch || 'main',
-      visibility: existingMetadata.visibility,
-      url: buildGitHubRepositoryUrl(githubUser, repositoryName),
-    };
+    return toSharedRepository(existingMetadata);
   }
 
+  const expectedVisibility = isPublic ? 'public' : 'private';
   const visibilityFlag = isPublic ? '--public' : '--private';
+  // gh creates OWNER/REPO under an organization, a bare name under the user
+  const createTarget = owner === githubUser ? repositoryName : fullName;
   log.debug(
-    () =>
-      `→ Creating shared ${expectedVisibility} GitHub repo: ${repositoryName}`
+    () => `→ Creating shared ${expectedVisibility} GitHub repo: ${fullName}`
   );
-  const createResult =
-    await $`gh repo create ${repositoryName} ${visibilityFlag}`;
+  const startedAt = Date.now();
+  const createResult = await $({
+    recover: () =>
+      recoverCreatedRepository($, owner, repositoryName, startedAt),
+  })`gh repo create ${createTarget} ${visibilityFlag}`;
 
   if (
     getCommandExitCode(createResult) !== 0 &&
     isRepositoryNameConflict(createResult.stderr)
   ) {
-    const racedMetadata = await getRepositoryMetadata(
-      $,
-      githubUser,
-      repositoryName
-    );
+    const racedMetadata = await getRepositoryMetadata($, owner, repositoryName);
     if (racedMetadata) {
-      if (racedMetadata.visibility !== expectedVisibility) {
-        throw new Error(
-          `Shared repository ${repositoryName} exists with visibility ${racedMetadata.visibility}, expected ${expectedVisibility}`
-        );
-      }
-
-      return {
-        defaultBranch: racedMetadata.defaultBranch || 'main',
-        visibility: racedMetadata.visibility,
-        url: buildGitHubRepositoryUrl(githubUser, repositoryName),
-      };
+      return toSharedRepository(racedMetadata);
     }
   }
 
   ensureCommandSucceeded(
     createResult,
-    `create ${expectedVisibility} GitHub repo ${repositoryName}`
+    `create ${expectedVisibility} GitHub repo ${fullName}`
   );
 
   return {
     defaultBranch: 'main',
     visibility: expectedVisibility,
     url:
-      extractGitHubRepoUrl(createResult.stdout) ||
-      buildGitHubRepositoryUrl(githubUser, repositoryName),
-  };
-}
-
-async function stageRepositoryFiles(filePath, outputDir, log) {
-  const normalized = generateUploadedLogFileName(filePath);
-  const stagedFilePath = path.join(outputDir, normalized);
-
-  fs.mkdirSync(outputDir, { recursive: true });
-  log.debug(() => `→ Copying file into ${outputDir}...`);
-  fs.copyFileSync(filePath, stagedFilePath);
-
-  const fileSize = getFileSize(filePath);
-  if (fileSize > GITHUB_REPO_CHUNK_SIZE) {
-    log.debug(() => '→ Splitting file into 100MB chunks...');
-    log.debug(
-      () =>
-        `File size: ${fileSize} bytes, chunk size: ${GITHUB_REPO_CHUNK_SIZE} bytes`
-    );
-    await splitFileIntoChunks(
-      stagedFilePath,
-      outputDir,
-      GITHUB_REPO_CHUNK_SIZE
-    );
-    log.debug(() => '→ Removing original large file...');
-    fs.unlinkSync(stagedFilePath);
-  }
-
-  return listUploadedFiles(outputDir);
-}
-
-function buildSharedRepositoryResult({
-  githubUser,
-  repositoryName,
-  defaultBranch,
-  repositoryPath,
-  contents,
-  isPublic,
-  workDir,
-  deduplicated = false,
-}) {
-  const fileCount = contents.length;
-  const rawUrl = fileCount === 1 ? contents[0]?.download_url || null : null;
-
-  return {
-    type: 'repo',
-    url: buildGitHubRepositoryTreeUrl(
-      githubUser,
-      repositoryName,
-      defaultBranch,
-      repositoryPath
-    ),
-    rawUrl,
-    repositoryName,
-    repositoryPath,
-    fileCount,
-    isPublic,
-    workDir,
-    deduplicated,
+      extractGitHubRepoUrl(createResult.stdout, host) ||
+      buildGitHubRepositoryUrl(owner, repositoryName, host),
+    created: true,
   };
 }
 
@@ -260,22 +295,30 @@ async function uploadAsDedicatedRepo(options = {}) {
   const {
     filePath,
     isPublic = false,
+    manifest = true,
+    maxPushSize,
     verbose = false,
     logger = console,
   } = options;
 
   if (!filePath) {
-    throw new Error('filePath is required in options');
+    throw new UsageError('filePath is required in options');
   }
 
   const log = createDefaultLogger({ verbose, logger });
+  const host = resolveGitHubHost(options);
   const baseRepositoryName = generateRepoName(filePath);
-  const workDir = `/tmp/${baseRepositoryName}-${Date.now()}`;
+  const workDir = path.join(os.tmpdir(), `${baseRepositoryName}-${Date.now()}`);
 
   try {
     log.debug(() => `→ Creating work directory: ${workDir}`);
     fs.mkdirSync(workDir, { recursive: true });
-    await stageRepositoryFiles(filePath, workDir, log);
+    const stagedFiles = await stageRepositoryFiles(
+      getUploadEntries(options),
+      workDir,
+      log,
+      manifest
+    );
 
     log.debug(() => '→ Initializing git repository...');
     ensureCommandSucceeded(
@@ -287,16 +330,6 @@ async function uploadAsDedicatedRepo(options = {}) {
       'rename temporary git branch to main'
     );
 
-    log.debug(() => '→ Adding and committing files...');
-    ensureCommandSucceeded(
-      await $`cd ${workDir} && git add .`,
-      'stage repository upload files'
-    );
-    ensureCommandSucceeded(
-      await $`cd ${workDir} && git commit -m "Add log file"`,
-      'commit repository upload files'
-    );
-
     log.debug(() => 'Getting GitHub user information...');
     const githubUser = await getGitHubUsername($);
     log.debug(() => `GitHub user: ${githubUser}`);
@@ -305,40 +338,90 @@ async function uploadAsDedicatedRepo(options = {}) {
     const visibility = isPublic ? '--public' : '--private';
     let repoCreateResult;
 
-    log.debug(
-      () =>
-        `→ Creating ${isPublic ? 'public' : 'private'} GitHub repo: ${repositoryName}`
-    );
-    repoCreateResult =
-      await $`cd ${workDir} && gh repo create ${repositoryName} ${visibility} --source=. --push`;
+    // A repository a failed attempt created still needs the push
+    const createAndPush = () => {
+      const startedAt = Date.now();
+      return $({
+        recover: async () => {
+          const created = await recoverCreatedRepository(
+            $,
+            githubUser,
+            repositoryName,
+            startedAt
+          );
+          if (created) {
+            await pushToCreatedRepository($, workDir, created.stdout.trim());
+          }
+          return created;
+        },
+      })`cd ${workDir} && gh repo create ${repositoryName} ${visibility} --source=. --push`;
+    };
 
-    if (
-      getCommandExitCode(repoCreateResult) !== 0 &&
-      isRepositoryNameConflict(repoCreateResult.stderr)
-    ) {
-      repositoryName = generateCollisionRepoName(repositoryName);
-      log.warn(
+    // The first push creates the repository; later batches are pushed to it
+    const createRepository = async () => {
+      log.debug(
         () =>
-          `Repository ${baseRepositoryName} already exists; retrying with ${repositoryName}`
+          `→ Creating ${isPublic ? 'public' : 'private'} GitHub repo: ${repositoryName}`
       );
-      repoCreateResult =
-        await $`cd ${workDir} && gh repo create ${repositoryName} ${visibility} --source=. --push`;
-    }
+      repoCreateResult = await createAndPush();
+
+      if (
+        getCommandExitCode(repoCreateResult) !== 0 &&
+        isRepositoryNameConflict(repoCreateResult.stderr)
+      ) {
+        repositoryName = generateCollisionRepoName(repositoryName);
+        log.warn(
+          () =>
+            `Repository ${baseRepositoryName} already exists; retrying with ${repositoryName}`
+        );
+        repoCreateResult = await createAndPush();
+      }
 
-    ensureCommandSucceeded(
-      repoCreateResult,
-      `create ${isPublic ? 'public' : 'private'} GitHub repo ${repositoryName}`
-    );
+      ensureCommandSucceeded(
+        repoCreateResult,
+        `create ${isPublic ? 'public' : 'private'} GitHub repo ${repositoryName}`
+      );
+    };
+
+    const batches = planPushBatches(workDir, maxPushSize);
+    log.debug(() => '→ Adding and committing files...');
+    await pushInBatches(batches, {
+      log,
+      describeTarget: () =>
+        buildGitHubRepositoryUrl(githubUser, repositoryName, host),
+      commit: async (batch, index) => {
+        ensureCommandSucceeded(
+          index === batches.length - 1
+            ? await $`cd ${workDir} && git add .`
+            : await $`cd ${workDir} && git add -- ${batch.files}`,
+          'stage repository upload files'
+        );
+        ensureCommandSucceeded(
+          await $`cd ${workDir} && git commit -m ${getBatchCommitMessage('Add log file', index, batches.length)}`,
+          'commit repository upload files'
+        );
+      },
+      push: async (batch, index) =>
+        index === 0
+          ? createRepository()
+          : ensureCommandSucceeded(
+              await $`cd ${workDir} && git push origin main`,
+              `push repository upload to ${repositoryName}`
+            ),
+    });
 
     const repoUrl =
-      extractGitHubRepoUrl(repoCreateResult.stdout) ||
-      buildGitHubRepositoryUrl(githubUser, repositoryName);
+      extractGitHubRepoUrl(repoCreateResult.stdout, host) ||
+      buildGitHubRepositoryUrl(githubUser, repositoryName, host);
 
     log.debug(() => `Repository created successfully: ${repoUrl}`);
 
     const uploadedFiles = listUploadedFiles(workDir);
     const fileCount = uploadedFiles.length;
     let rawUrl = null;
+    let files = uploadedFiles.map((name) =>
+      withLineRange({ name, rawUrl: null }, stagedFiles)
+    );
 
     if (fileCount === 1) {
       const singleFileName = uploadedFiles[0];
@@ -361,10 +444,31 @@ async function uploadAsDedicatedRepo(options = {}) {
       } catch (apiError) {
         log.debug(() => `Could not fetch raw URL: ${apiError.message}`);
       }
+      files = [{ name: singleFileName, rawUrl: rawUrl || null }];
     } else {
       log.debug(
         () => `Repository has ${fileCount} files, skipping single-file raw URL`
       );
+      try {
+        const contents = await getRepositoryFolderContents(
+          $,
+          githubUser,
+          repositoryName,
+          ''
+        );
+        if (contents) {
+          files = contents
+            .filter(isUploadedLogEntry)
+            .map((entry) =>
+              withLineRange(
+                { name: entry.name, rawUrl: entry.download_url || null },
+                stagedFiles
+              )
+            );
+        }
+      } catch (apiError) {
+        log.debug(() => `Could not fetch raw URLs: ${apiError.message}`);
+      }
     }
 
     return {
@@ -373,6 +477,7 @@ async function uploadAsDedicatedRepo(options = {}) {
       rawUrl,
       repositoryName,
       fileCount,
+      files,
       isPublic,
       workDir,
       deduplicated: false,
@@ -397,55 +502,122 @@ async function uploadAsSharedRepo(options = {}) {
   const {
     filePath,
     isPublic = false,
+    manifest = true,
+    onConflict = 'version',
+    pathPrefix,
+    pathTemplate,
+    revision,
+    maxPushSize,
+    resumable = false,
     verbose = false,
     logger = console,
   } = options;
 
   if (!filePath) {
-    throw new Error('filePath is required in options');
+    throw new UsageError('filePath is required in options');
+  }
+
+  if (!ON_CONFLICT_MODES.includes(onConflict)) {
+    throw new UsageError(
+      `Unknown onConflict mode "${onConflict}". Use ${ON_CONFLICT_MODES.join(', ')}`
+    );
   }
 
   const log = createDefaultLogger({ verbose, logger });
-  const repositoryName = getSharedRepositoryName(isPublic);
-  const repositoryPath = generateRepoName(filePath);
-  const workDir = `/tmp/${repositoryPath}-${Date.now()}`;
+  const host = resolveGitHubHost(options);
+  let replaceExisting = false;
+  const workDir = path.join(
+    os.tmpdir(),
+    `${generateRepoName(filePath)}-${Date.now()}`
+  );
+  const stateDir = getUploadStateDir(options);
+  let resumeState = null;
 
   try {
     const githubUser = await getGitHubUsername($);
     log.debug(() => `GitHub user: ${githubUser}`);
+    const { owner, repositoryName } = resolveSharedRepositoryTarget(
+      options,
+      githubUser
+    );
 
     const sharedRepository = await ensureSharedRepositoryExists(
       $,
       githubUser,
+      owner,
       repositoryName,
       isPublic,
+      host,
       log
     );
     const defaultBranch = sharedRepository.defaultBranch || 'main';
+    const entries = getUploadEntries(options);
+    let repositoryPath = revision
+      ? revision.repositoryPath
+      : await buildSharedRepositoryPath({
+          filePath,
+          entries,
+          pathPrefix,
+          pathTemplate: await prepareRepositoryLayout(
+            $,
+            owner,
+            repositoryName,
+            sharedRepository,
+            pathTemplate,
+            log
+          ),
+        });
+
+    const existingContents = revision
+      ? null
+      : await getRepositoryFolderContents(
+          $,
+          owner,
+          repositoryName,
+          repositoryPath
+        );
 
-    const existingContents = await getRepositoryFolderContents(
-      $,
-      githubUser,
-      repositoryName,
-      repositoryPath
-    );
+    if (revision) {
+      replaceExisting = revision.replace;
+    } else if (existingContents !== null) {
+      const resolution = await resolveUploadConflict({
+        repositoryName,
+        repositoryPath,
+        existingContents,
+        entries,
+        onConflict,
+        readFolder: (folder) =>
+          getRepositoryFolderContents($, owner, repositoryName, folder),
+        readManifest: (folder) =>
+          getUploadedManifest($, owner, repositoryName, folder),
+        log,
+      });
 
-    if (existingContents !== null) {
+      if (resolution.action === 'reuse') {
+        log.debug(
+          () =>
+            `Log ${resolution.repositoryPath} already exists in ${repositoryName}; skipping duplicate upload`
+        );
+
+        return buildSharedRepositoryResult({
+          owner,
+          repositoryName,
+          defaultBranch,
+          repositoryPath: resolution.repositoryPath,
+          contents: resolution.contents,
+          isPublic,
+          workDir: null,
+          deduplicated: true,
+          host,
+        });
+      }
+
+      repositoryPath = resolution.repositoryPath;
+      replaceExisting = resolution.replace;
       log.debug(
         () =>
-          `Log ${repositoryPath} already exists in ${repositoryName}; skipping duplicate upload`
+          `${replaceExisting ? 'Replacing' : 'Storing new upload at'} ${repositoryName}/${repositoryPath}`
       );
-
-      return buildSharedRepositoryResult({
-        githubUser,
-        repositoryName,
-        defaultBranch,
-        repositoryPath,
-        contents: existingContents,
-        isPublic,
-        workDir: null,
-        deduplicated: true,
-      });
     }
 
     log.debug(() => `→ Creating work directory: ${workDir}`);
@@ -461,7 +633,7 @@ async function uploadAsSharedRepo(options = {}) {
       `rename temporary git branch to ${defaultBranch}`
     );
     ensureCommandSucceeded(
-      await $`cd ${workDir} && git remote add origin https://github.com/${githubUser}/${repositoryName}.git`,
+      await $`cd ${workDir} && git remote add origin ${getGitHubWebUrl(host)}/${owner}/${repositoryName}.git`,
       `add remote for shared GitHub repo ${repositoryName}`
     );
     ensureCommandSucceeded(
@@ -475,7 +647,8 @@ async function uploadAsSharedRepo(options = {}) {
 
     const fetchResult =
       await $`cd ${workDir} && git fetch --depth 1 --filter=blob:none origin ${defaultBranch}`;
-    if (getCommandExitCode(fetchResult) === 0) {
+    const hasRemoteBranch = getCommandExitCode(fetchResult) === 0;
+    if (hasRemoteBranch) {
       ensureCommandSucceeded(
         await $`cd ${workDir} && git checkout -B ${defaultBranch} FETCH_HEAD`,
         `check out ${defaultBranch} from shared GitHub repo ${repositoryName}`
@@ -495,59 +668,233 @@ async function uploadAsSharedRepo(options = {}) {
     }
 
     const outputDir = path.join(workDir, repositoryPath);
-    await stageRepositoryFiles(filePath, outputDir, log);
-
-    log.debug(() => '→ Adding and committing files...');
-    ensureCommandSucceeded(
-      await $`cd ${workDir} && git add .`,
-      'stage shared repository upload files'
-    );
-    ensureCommandSucceeded(
-      await $`cd ${workDir} && git commit -m "Add log file"`,
-      'commit shared repository upload files'
-    );
-    ensureCommandSucceeded(
-      await $`cd ${workDir} && git push -u origin ${defaultBranch}`,
-      `push shared repository upload to ${repositoryName}`
+    if (replaceExisting) {
+      log.debug(() => `→ Removing previous upload in ${repositoryPath}...`);
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+    const stagedFiles = await stageRepositoryFiles(
+      entries,
+      outputDir,
+      log,
+      manifest
     );
 
-    const uploadedContents =
-      (await getRepositoryFolderContents(
-        $,
-        githubUser,
+    const batches = planPushBatches(outputDir, maxPushSize);
+    const message = revision?.message || 'Add log file';
+    if (resumable) {
+      resumeState = writeUploadState(stateDir, {
+        id: createUploadId(filePath),
+        createdAt: new Date().toISOString(),
+        filePath,
+        owner,
         repositoryName,
-        repositoryPath
-      )) ||
-      listUploadedFiles(outputDir).map((name) => ({
-        name,
-        download_url: null,
-      }));
-
-    return buildSharedRepositoryResult({
-      githubUser,
+        branch: defaultBranch,
+        repositoryPath,
+        host,
+        isPublic,
+        workDir,
+        maxPushSize: maxPushSize || null,
+        message,
+        landedFiles: [],
+        remoteCommit: null,
+      });
+      log.debug(() => `Resumable upload ${resumeState.id}`);
+    }
+
+    await pushStagedFolder($, {
+      workDir,
+      repositoryName,
+      repositoryPath,
+      branch: defaultBranch,
+      hasRemoteBranch,
+      batches,
+      message,
+      retryPolicy: resolveRetryPolicy(options),
+      log,
+      onPushed:
+        resumeState &&
+        ((landedFiles, remoteCommit) => {
+          resumeState = writeUploadState(stateDir, {
+            ...resumeState,
+            landedFiles,
+            remoteCommit,
+          });
+        }),
+    });
+
+    const result = await buildPushedFolderResult($, {
+      owner,
       repositoryName,
       defaultBranch,
       repositoryPath,
-      contents: uploadedContents,
       isPublic,
       workDir,
-      deduplicated: false,
+      host,
+      stagedFiles,
     });
+    if (resumeState) {
+      removeUploadState(stateDir, resumeState.id);
+    }
+    return result;
   } catch (error) {
     log.error(() => `Error uploading as shared repository: ${error.message}`);
-    if (fs.existsSync(workDir)) {
+    const thrown = isENOSPC(error)
+      ? createENOSPCError('repository upload (requires temp disk space)', error)
+      : error;
+    if (resumeState) {
+      // Keep the staged files and commits for `gh-upload-log resume`
+      thrown.resumeId = resumeState.id;
+      thrown.message += `. Continue with: gh-upload-log resume ${resumeState.id}`;
+    } else if (fs.existsSync(workDir)) {
       fs.rmSync(workDir, { recursive: true, force: true });
     }
-    if (isENOSPC(error)) {
-      throw createENOSPCError(
-        'repository upload (requires temp disk space)',
-        error
-      );
-    }
-    throw error;
+    throw thrown;
   }
 }
 
+/**
+ * Commit and push a staged shared-repository folder in batches
+ *
+ * Pushes that lose a race against another upload are moved onto the new
+ * branch head and retried.
+ *
+ * @param {Function} $ - command-stream instance
+ * @param {Object} params - Push details
+ * @param {string} params.workDir - Sparse clone holding the staged folder
+ * @param {string} params.repositoryPath - Folder of the upload inside the repository
+ * @param {string} params.branch - Branch to push to
+ * @param {boolean} params.hasRemoteBranch - Whether the branch existed when it was fetched
+ * @param {Object[]} params.batches - Result of planPushBatches()
+ * @param {string} params.message - Commit message of the upload
+ * @param {string[]} params.landedFiles - Files pushed earlier (default: none)
+ * @param {Function} params.onPushed - Called with the files landed so far and the pushed commit after each batch
+ * @param {Object} params.retryPolicy - Result of resolveRetryPolicy() for the pushes
+ */
+export async function pushStagedFolder($, params) {
+  const {
+    workDir,
+    repositoryName,
+    repositoryPath,
+    branch,
+    batches,
+    message,
+    landedFiles,
+    onPushed,
+    retryPolicy,
+    log,
+  } = params;
+  let { hasRemoteBranch } = params;
+  const $silent = $({ mirror: false, capture: true });
+  // pushWithRetry retries the push, so the command itself runs once
+  const $once = $({ retries: 0 });
+
+  await pushInBatches(batches, {
+    log,
+    landedFiles,
+    describeTarget: () => `${repositoryName}/${repositoryPath}`,
+    // The last batch also picks up files removed from a replaced upload
+    commit: async (batch, index) => {
+      ensureCommandSucceeded(
+        index === batches.length - 1
+          ? await $`cd ${workDir} && git add .`
+          : await $`cd ${workDir} && git add -- ${batch.files.map((name) => `${repositoryPath}/${name}`)}`,
+        'stage shared repository upload files'
+      );
+      ensureCommandSucceeded(
+        await $`cd ${workDir} && git commit -m ${getBatchCommitMessage(message, index, batches.length)}`,
+        'commit shared repository upload files'
+      );
+    },
+    push: () =>
+      pushWithRetry({
+        ...retryPolicy,
+        target: `${repositoryName}/${branch}`,
+        log,
+        isRace: (error) =>
+          isRejectedPushError(`${error.stderr || ''}\n${error.stdout || ''}`),
+        push: async () => {
+          ensureCommandSucceeded(
+            await $once`cd ${workDir} && git push -u origin ${branch}`,
+            `push shared repository upload to ${repositoryName}`
+          );
+          hasRemoteBranch = true;
+        },
+        // Replay only the upload commit: the shallow fetch has no shared history
+        rebase: async () => {
+          ensureCommandSucceeded(
+            await $`cd ${workDir} && git fetch --depth 1 --filter=blob:none origin ${branch}`,
+            `fetch ${branch} from shared GitHub repo ${repositoryName}`
+          );
+          const base = hasRemoteBranch ? 'HEAD~1' : '--root';
+          const rebaseResult =
+            await $`cd ${workDir} && git rebase --onto FETCH_HEAD ${base}`;
+          if (getCommandExitCode(rebaseResult) !== 0) {
+            await $`cd ${workDir} && git rebase --abort`;
+            ensureCommandSucceeded(
+              rebaseResult,
+              `move the upload onto the new head of ${repositoryName}/${branch}`
+            );
+          }
+        },
+      }),
+    onPushed: async (batch, index, landed) => {
+      const remoteCommit =
+        (await $silent`cd ${workDir} && git rev-parse HEAD`).stdout.trim() ||
+        null;
+      await onPushed?.(landed, remoteCommit);
+    },
+  });
+}
+
+/**
+ * Build the result of a shared-repository upload after its last push
+ *
+ * @param {Function} $ - command-stream instance
+ * @param {Object} params - Upload target, work directory and `stagedFiles` (see stageRepositoryFiles)
+ * @returns {Promise<Object>} Repository information including URL
+ */
+export async function buildPushedFolderResult($, params) {
+  const {
+    owner,
+    repositoryName,
+    defaultBranch,
+    repositoryPath,
+    isPublic,
+    workDir,
+    host,
+    stagedFiles,
+  } = params;
+  const $silent = $({ mirror: false, capture: true });
+  const commitSha =
+    (await $silent`cd ${workDir} && git rev-parse HEAD`).stdout.trim() || null;
+
+  const uploadedContents =
+    (await getRepositoryFolderContents(
+      $,
+      owner,
+      repositoryName,
+      repositoryPath
+    )) ||
+    listUploadedFiles(path.join(workDir, repositoryPath)).map((name) => ({
+      name,
+      download_url: null,
+    }));
+
+  return buildSharedRepositoryResult({
+    owner,
+    repositoryName,
+    defaultBranch,
+    repositoryPath,
+    contents: uploadedContents,
+    isPublic,
+    workDir,
+    deduplicated: false,
+    commitSha,
+    host,
+    stagedFiles,
+  });
+}
+
 /**
  * Upload a file as a GitHub repository (with splitting if needed)
  *
@@ -557,17 +904,39 @@ async function uploadAsSharedRepo(options = {}) {
  *
  * @param {Object} options - Upload options
  * @param {string} options.filePath - Path to the file to upload
+ * @param {string} options.contentPath - Path whose bytes are uploaded instead of filePath (default: filePath)
  * @param {boolean} options.useSharedRepository - Use shared log repositories for repository-mode uploads (default: true)
+ * @param {string} options.onConflict - When the shared folder holds different content: 'skip', 'version' (default), 'overwrite' or 'fail'
+ * @param {number|string} options.maxPushSize - Budget per `git push` in bytes or as e.g. '500MB' (default: '1GB')
+ * @param {boolean} options.resumable - Keep a state file and the staged files when a push fails, for resumeUpload() (shared repository, gh transport)
+ * @param {string} options.stateDir - Directory for state files of resumable uploads (default: GH_UPLOAD_LOG_STATE_DIR or ~/.local/state/gh-upload-log/uploads)
+ * @param {string} options.transport - 'auto' (default), 'api' (REST with GH_TOKEN/GITHUB_TOKEN) or 'gh' (gh CLI and git)
+ * @param {string} options.host - GitHub host, e.g. a GitHub Enterprise Server name (default: GH_HOST or github.com)
+ * @param {string} options.repository - Shared-mode target as 'owner/name' (default: the user's private-logs/public-logs)
+ * @param {string} options.pathPrefix - Folder prefix inside the shared repository; `{date}` expands to YYYY-MM-DD
+ * @param {string} options.pathTemplate - Folder template, 'sharded' or 'legacy' (default: the repository's recorded layout)
  * @returns {Promise<Object>} Repository information including URL
  */
 export function uploadAsRepo(options = {}) {
   const { filePath, useSharedRepository = true } = options;
 
   if (!filePath) {
-    throw new Error('filePath is required in options');
+    throw new UsageError('filePath is required in options');
+  }
+
+  const shared = shouldUseSharedRepositoryMode(filePath, useSharedRepository);
+
+  if (options.resumable && (!shared || resolveTransport(options) === 'api')) {
+    throw new UsageError(
+      'Resumable uploads need a shared repository and the gh transport (--transport gh)'
+    );
+  }
+
+  if (resolveTransport(options) === 'api') {
+    return uploadAsRepoViaApi(options, shared);
   }
 
-  if (shouldUseSharedRepositoryMode(filePath, useSharedRepository)) {
+  if (shared) {
     return uploadAsSharedRepo(options);
   }
 
@@ -0,0 +1,191 @@
+#!/usr/bin/env bun
+
+/**
+ * Resuming interrupted repository uploads
+ *
+ * A resumable upload that failed keeps its staged files, its local commits and
+ * a state file. Resuming fetches the branch again, compares the blobs of the
+ * upload folder on GitHub with the staged ones and pushes only the files that
+ * did not land, so parts confirmed by the remote are never sent twice.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+  createDefaultLogger,
+  ensureCommandSucceeded,
+  getCommandExitCode,
+  getCommandStream,
+} from './common.js';
+import { NotFoundError, UsageError } from './errors.js';
+import { planPushBatches } from './push-batches.js';
+import {
+  buildPushedFolderResult,
+  isMissingRemoteRefError,
+  pushStagedFolder,
+} from './repository-upload.js';
+import { resolveRetryPolicy } from './retry.js';
+import {
+  getUploadStateDir,
+  readUploadState,
+  removeUploadState,
+  writeUploadState,
+} from './upload-state.js';
+
+/**
+ * Read the blob SHA of every file in a folder of a commit
+ *
+ * @returns {Promise<Map<string, string>>} File name to blob SHA; empty when the commit does not exist
+ */
+async function readFolderBlobs($silent, workDir, revision, folder) {
+  const result =
+    await $silent`cd ${workDir} && git ls-tree ${revision} -- ${folder}/`;
+  const blobs = new Map();
+  if (getCommandExitCode(result) !== 0) {
+    return blobs;
+  }
+
+  for (const line of result.stdout.split('\n')) {
+    const match = /^\d+ blob ([0-9a-f]+)\t(.+)$/.exec(line.trim());
+    if (match) {
+      blobs.set(path.posix.basename(match[2]), match[1]);
+    }
+  }
+  return blobs;
+}
+
+/**
+ * Continue a resumable upload from its last confirmed push
+ *
+ * @param {string} id - Upload id reported by the failed upload
+ * @param {Object} options - Resume options
+ * @param {number|string} options.maxPushSize - Budget per push (default: the one of the original upload)
+ * @param {string} options.stateDir - Directory holding state files (default: see uploadLog)
+ * @param {boolean} options.verbose - Enable verbose logging (default: false)
+ * @param {Object} options.logger - Logging target (default: console)
+ * @returns {Promise<Object>} Repository result of the completed upload, plus `resumeId`, `skippedFiles` and `pushedFiles`
+ */
+export async function resumeUpload(id, options = {}) {
+  const { verbose = false, logger = console } = options;
+
+  if (!id) {
+    throw new UsageError('An upload id is required');
+  }
+
+  const log = createDefaultLogger({ verbose, logger });
+  const stateDir = getUploadStateDir(options);
+  let state = readUploadState(stateDir, id, log);
+  const { workDir, repositoryName, repositoryPath, branch } = state;
+
+  if (!fs.existsSync(path.join(workDir, repositoryPath))) {
+    removeUploadState(stateDir, id);
+    throw new NotFoundError(
+      `The staged files of upload ${id} in ${workDir} are gone; upload the log again`
+    );
+  }
+
+  const $ = await getCommandStream(options);
+  const $silent = $({ mirror: false, capture: true });
+
+  try {
+    log.debug(() => `→ Checking which files reached ${repositoryName}...`);
+    const fetchResult =
+      await $`cd ${workDir} && git fetch --depth 1 --filter=blob:none origin ${branch}`;
+    const hasRemoteBranch = getCommandExitCode(fetchResult) === 0;
+    if (
+      !hasRemoteBranch &&
+      !isMissingRemoteRefError(fetchResult.stderr || fetchResult.stdout)
+    ) {
+      ensureCommandSucceeded(
+        fetchResult,
+        `fetch ${branch} from shared GitHub repo ${repositoryName}`
+      );
+    }
+
+    const remoteBlobs = hasRemoteBranch
+      ? await readFolderBlobs($silent, workDir, 'FETCH_HEAD', repositoryPath)
+      : new Map();
+    const localBlobs = await readFolderBlobs(
+      $silent,
+      workDir,
+      'HEAD',
+      repositoryPath
+    );
+    const landedFiles = [...localBlobs]
+      .filter(([name, sha]) => remoteBlobs.get(name) === sha)
+      .map(([name]) => name);
+    const lostFiles = state.landedFiles.filter(
+      (name) => !landedFiles.includes(name)
+    );
+    if (lostFiles.length > 0) {
+      log.warn(
+        () =>
+          `${lostFiles.join(', ')} no longer match on GitHub and will be pushed again`
+      );
+    }
+
+    // Rebuild the remaining commits on the branch as it is on GitHub now
+    if (hasRemoteBranch) {
+      ensureCommandSucceeded(
+        await $`cd ${workDir} && git reset --mixed FETCH_HEAD`,
+        `reset to the head of ${repositoryName}/${branch}`
+      );
+    } else {
+      await $`cd ${workDir} && git update-ref -d HEAD`;
+    }
+
+    const batches = planPushBatches(
+      path.join(workDir, repositoryPath),
+      options.maxPushSize || state.maxPushSize || undefined,
+      landedFiles
+    );
+    const pushedFiles = batches.flatMap((batch) => batch.files);
+    log.debug(
+      () =>
+        `${landedFiles.length} file(s) already on GitHub, ${pushedFiles.length} to push`
+    );
+
+    if (pushedFiles.length > 0) {
+      await pushStagedFolder($, {
+        workDir,
+        repositoryName,
+        repositoryPath,
+        branch,
+        hasRemoteBranch,
+        batches,
+        message: state.message,
+        landedFiles,
+        retryPolicy: resolveRetryPolicy(options),
+        log,
+        onPushed: (landed, remoteCommit) => {
+          state = writeUploadState(stateDir, {
+            ...state,
+            landedFiles: landed,
+            remoteCommit,
+          });
+        },
+      });
+    }
+
+    const result = await buildPushedFolderResult($, {
+      owner: state.owner,
+      repositoryName,
+      defaultBranch: branch,
+      repositoryPath,
+      isPublic: state.isPublic,
+      workDir,
+      host: state.host,
+    });
+    removeUploadState(stateDir, id);
+    return {
+      ...result,
+      resumeId: id,
+      skippedFiles: landedFiles,
+      pushedFiles,
+    };
+  } catch (error) {
+    error.resumeId = id;
+    error.message += `. Continue with: gh-upload-log resume ${id}`;
+    throw error;
+  }
+}
@@ -0,0 +1,373 @@
+#!/usr/bin/env bun
+
+/**
+ * Retrying transient GitHub failures
+ *
+ * Every GitHub call, whether a REST request or a `gh`/`git` command, goes
+ * through one retry policy. Failures are classified first: server errors and
+ * dropped connections are transient, rate limits say how long to wait, and
+ * authentication, not-found and validation errors are final. Only transient
+ * and rate-limit failures are retried, with exponential backoff.
+ *
+ * A create call that failed with a server error or a dropped connection may
+ * have created the gist or repository anyway. Such calls are only sent again
+ * after a lookup has shown the first attempt did not succeed.
+ */
+
+import { setTimeout as delay } from 'node:timers/promises';
+import { UsageError } from './errors.js';
+
+export const DEFAULT_RETRIES = 3;
+export const DEFAULT_MAX_RETRY_DELAY = 60 * 1000;
+export const RETRY_BASE_DELAY = 1000;
+
+/**
+ * Failure categories, in the `category` property of classified errors
+ */
+export const FAILURE_CATEGORIES = [
+  'transient',
+  'rate-limit',
+  'auth',
+  'not-found',
+  'validation',
+  'unknown',
+];
+
+const RETRYABLE_CATEGORIES = ['transient', 'rate-limit'];
+
+function readHeader(headers, name) {
+  if (!headers) {
+    return null;
+  }
+  return typeof headers.get === 'function'
+    ? headers.get(name)
+    : (headers[name] ?? null);
+}
+
+/**
+ * Read how long GitHub asks to wait from Retry-After or X-RateLimit-Reset
+ *
+ * @param {Headers|Object} headers - Response headers
+ * @param {number} now - Current time in milliseconds (default: Date.now())
+ * @returns {number|null} Milliseconds to wait, or null when not given
+ */
+export function readRetryAfter(headers, now = Date.now()) {
+  const retryAfter = readHeader(headers, 'retry-after');
+  if (retryAfter !== null && /^\d+$/.test(String(retryAfter).trim())) {
+    return Number(retryAfter) * 1000;
+  }
+  if (retryAfter !== null && !Number.isNaN(Date.parse(retryAfter))) {
+    return Math.max(0, Date.parse(retryAfter) - now);
+  }
+
+  const reset = readHeader(headers, 'x-ratelimit-reset');
+  if (readHeader(headers, 'x-ratelimit-remaining') === '0' && reset) {
+    return Math.max(0, Number(reset) * 1000 - now);
+  }
+  return null;
+}
+
+/**
+ * Classify a failed REST request
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message of the response body
+ * @param {Headers|Object} headers - Response headers
+ * @returns {{ category: string, retryAfter: number|null }} Classification
+ */
+export function classifyHttpFailure(status, message = '', headers = null) {
+  const retryAfter = readRetryAfter(headers);
+  if (
+    status === 429 ||
+    (status === 403 &&
+      (/rate limit/i.test(message) ||
+        readHeader(headers, 'x-ratelimit-remaining') === '0'))
+  ) {
+    return { category: 'rate-limit', retryAfter };
+  }
+  if (status === 401 || status === 403) {
+    return { category: 'auth', retryAfter: null };
+  }
+  if (status === 404) {
+    return { category: 'not-found', retryAfter: null };
+  }
+  if (status === 400 || status === 409 || status === 422) {
+    return { category: 'validation', retryAfter: null };
+  }
+  if (status === 408 || status >= 500) {
+    return { category: 'transient', retryAfter };
+  }
+  return { category: 'unknown', retryAfter: null };
+}
+
+// Only HTTP statuses reported by `gh` and the error lines `git` and `gh` print
+// for remote failures count, so a log named build-502.log is not transient
+const COMMAND_FAILURE_PATTERNS = [
+  ['rate-limit', /\bHTTP 429\b|\b(API|secondary) rate limit\b/i],
+  [
+    'transient',
+    /\bHTTP (5\d\d|408)\b|^(fatal|error): (unable to access\b.*|RPC failed; (curl|HTTP 5).*|the remote end hung up unexpectedly|early EOF)$|^remote: Internal Server Error|^(Get|Post|Put|Patch|Delete) "https:\/\/[^"]+": .*(dial tcp|connection reset|i\/o timeout|TLS handshake timeout|unexpected EOF)/im,
+  ],
+  [
+    'auth',
+    /\bHTTP 40[13]\b|^fatal: Authentication failed\b|^remote: Permission to \S+ denied\b|\bgh auth login\b/im,
+  ],
+  [
+    'not-found',
+    /\bHTTP 404\b|^(fatal|ERROR): repository '[^']*' not found|^GraphQL: Could not resolve to a \w+/im,
+  ],
+  ['validation', /\bHTTP 4(00|09|22)\b/],
+];
+
+// Commands that talk to GitHub; checkout, reset and sparse-checkout count too
+// because `--filter=blob:none` clones fetch missing blobs on demand. Other
+// local git commands are never retried
+const NETWORK_COMMAND_PATTERN =
+  /^(gh\s|git\s+(-\S+\s+)*(push|fetch|clone|pull|ls-remote|checkout|reset|sparse-checkout)\b)/;
+
+// Leading `cd <dir> && `, with the directory quoted when it holds spaces
+const CD_PREFIX_PATTERN = /^cd\s+('[^']*'|"[^"]*"|.+?)\s+&&\s+/;
+
+// Git objects are addressed by content and unreachable until a branch points
+// at them, so creating one twice leaves no duplicate behind
+const GIT_OBJECT_ROUTE_PATTERN = /\/git\/(blobs|trees|commits)\b/;
+
+/**
+ * Classify the output of a failed `gh` or `git` command
+ *
+ * @param {string} output - stderr and stdout of the command
+ * @returns {{ category: string, retryAfter: null }} Classification
+ */
+export function classifyCommandFailure(output = '') {
+  const match = COMMAND_FAILURE_PATTERNS.find(([, pattern]) =>
+    pattern.test(output)
+  );
+  return { category: match ? match[0] : 'unknown', retryAfter: null };
+}
+
+/**
+ * Check whether a command talks to GitHub, so it is worth running again
+ *
+ * @param {string} command - Command line, without a leading `cd <dir> &&`
+ * @returns {boolean} True for `gh` commands and remote `git` commands
+ */
+export function isNetworkCommand(command) {
+  return NETWORK_COMMAND_PATTERN.test(command);
+}
+
+/**
+ * Check whether a command creates a gist, repository or other resource, so a
+ * failed attempt may have left it behind
+ *
+ * @param {string} command - Command line, without a leading `cd <dir> &&`
+ * @returns {boolean} True for `gh gist create`, `gh repo create` and `gh api` POST requests
+ */
+export function isCreateCommand(command) {
+  if (/^gh\s+(gist|repo)\s+create\b/.test(command)) {
+    return true;
+  }
+  return (
+    /^gh\s+api\s/.test(command) &&
+    /\s(-X|--method)\s*POST\b/.test(command) &&
+    !GIT_OBJECT_ROUTE_PATTERN.test(command)
+  );
+}
+
+/**
+ * Check whether a REST request can be sent again without creating a duplicate
+ *
+ * @param {string} method - HTTP method
+ * @param {string} route - Request route
+ * @returns {boolean} False for POST requests other than git object creation
+ */
+export function isIdempotentRequest(method, route) {
+  return method !== 'POST' || GIT_OBJECT_ROUTE_PATTERN.test(route);
+}
+
+/**
+ * Check whether a classified error is worth retrying
+ *
+ * @param {Error} error - Error with a `category`
+ * @returns {boolean} True for transient and rate-limit failures
+ */
+export function isRetryableError(error) {
+  return RETRYABLE_CATEGORIES.includes(error?.category);
+}
+
+/**
+ * Read the retry policy from upload options
+ *
+ * @param {Object} options - Options with optional `retries` and `maxRetryDelay` (milliseconds)
+ * @returns {{ retries: number, maxRetryDelay: number }} Policy with defaults applied
+ */
+export function resolveRetryPolicy(options = {}) {
+  const retries = options.retries ?? DEFAULT_RETRIES;
+  const maxRetryDelay = options.maxRetryDelay ?? DEFAULT_MAX_RETRY_DELAY;
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new UsageError(`retries must be a whole number, got ${retries}`);
+  }
+  if (typeof maxRetryDelay !== 'number' || maxRetryDelay < 0) {
+    throw new UsageError(
+      `maxRetryDelay must be a number of milliseconds, got ${maxRetryDelay}`
+    );
+  }
+  return { retries, maxRetryDelay };
+}
+
+/**
+ * Compute the pause before a retry
+ *
+ * A rate limit's own wait time is used as given. Otherwise the delay doubles
+ * with every retry from RETRY_BASE_DELAY, with the upper half jittered, and is
+ * capped at maxRetryDelay.
+ *
+ * @param {number} retry - Number of the retry (1-based)
+ * @param {Object} options - Delay options
+ * @param {number|null} options.retryAfter - Wait time requested by GitHub
+ * @param {number} options.maxRetryDelay - Longest pause in milliseconds
+ * @param {Function} options.random - Source of numbers in [0, 1) (default: Math.random)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(retry, options) {
+  const { retryAfter = null, maxRetryDelay, random = Math.random } = options;
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+  const ceiling = Math.min(maxRetryDelay, RETRY_BASE_DELAY * 2 ** (retry - 1));
+  return Math.round(ceiling / 2 + (random() * ceiling) / 2);
+}
+
+/**
+ * Run an operation, retrying it while it fails with transient errors
+ *
+ * A rate limit asking for a longer wait than maxRetryDelay is not waited for.
+ * An operation that is not idempotent is sent again after a transient failure
+ * only when `recover` finds that the failed attempt did not succeed after all;
+ * without `recover` it is not retried. A rate-limited request was refused, so
+ * it is retried either way.
+ *
+ * @param {Function} operation - Attempt of the operation; rejects with classified errors
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.maxRetryDelay - Longest pause in milliseconds
+ * @param {string} options.operation - Description used in log messages
+ * @param {Object} options.log - Logger from createDefaultLogger()
+ * @param {boolean} [options.idempotent] - Whether a repeated attempt is harmless (default: true)
+ * @param {Function} [options.recover] - Looks up the result of a failed attempt; resolves to it, or to null when there is none
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export async function withRetries(operation, options) {
+  const { retries, maxRetryDelay, log, idempotent = true, recover } = options;
+
+  for (let retry = 1; ; retry += 1) {
+    try {
+      return await operation();
+    } catch (error) {
+      const mayHaveSucceeded = !idempotent && error?.category === 'transient';
+      if (
+        !isRetryableError(error) ||
+        retry > retries ||
+        (mayHaveSucceeded && !recover)
+      ) {
+        throw error;
+      }
+      const pause = getRetryDelay(retry, {
+        retryAfter: error.retryAfter ?? null,
+        maxRetryDelay,
+      });
+      if (pause > maxRetryDelay) {
+        throw error;
+      }
+
+      log.warn(
+        () =>
+          `${options.operation} failed (${error.category}): ${error.message.split('\n')[0]}; retry ${retry} of ${retries} in ${(pause / 1000).toFixed(1)}s`
+      );
+      await delay(pause);
+
+      if (mayHaveSucceeded) {
+        const recovered = await recover();
+        if (recovered) {
+          log.warn(
+            () =>
+              `${options.operation} succeeded after all; not sending it again`
+          );
+          return recovered;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Wrap a command-stream tag so network commands failing with transient errors
+ * run again
+ *
+ * Local commands run once. Results of failed network commands are classified
+ * from their output and carry a `category`; the last result is returned as
+ * before once retries run out. Create commands (see isCreateCommand) run
+ * again only when the tag was given a `recover` option, as in
+ * `$({ recover })`, that resolves to null; a result it resolves to is
+ * returned instead. `$({ retries: 0 })` runs commands once, for callers that
+ * retry them under their own policy.
+ *
+ * @param {Function} $ - command-stream template tag
+ * @param {Object} options - Retry policy (see resolveRetryPolicy) and `log`
+ * @returns {Function} Tag with the same call forms as `$`
+ */
+export function withCommandRetries($, options) {
+  const { retries, maxRetryDelay, log } = options;
+  const wrap =
+    (tag, overrides = {}) =>
+    (optionsOrStrings, ...values) => {
+      if (!Array.isArray(optionsOrStrings?.raw)) {
+        const {
+          recover = overrides.recover,
+          retries: tagRetries = overrides.retries,
+          ...streamOptions
+        } = optionsOrStrings || {};
+        return wrap(tag(streamOptions), { recover, retries: tagRetries });
+      }
+
+      const command = String.raw({ raw: optionsOrStrings.raw }, ...values)
+        .trim()
+        .replace(CD_PREFIX_PATTERN, '');
+      if (!isNetworkCommand(command)) {
+        return tag(optionsOrStrings, ...values);
+      }
+
+      let result;
+      return withRetries(
+        async () => {
+          result = await tag(optionsOrStrings, ...values);
+          const exitCode = result?.code ?? result?.child?.exitCode ?? 0;
+          if (exitCode === 0) {
+            return result;
+          }
+          const failure = classifyCommandFailure(
+            result.stderr || result.stdout || ''
+          );
+          result.category = failure.category;
+          const error = new Error(
+            (result.stderr || result.stdout || `exit code ${exitCode}`).trim()
+          );
+          Object.assign(error, failure);
+          throw error;
+        },
+        {
+          retries: overrides.retries ?? retries,
+          maxRetryDelay,
+          log,
+          operation: `\`${command}\``,
+          idempotent: !isCreateCommand(command),
+          recover: overrides.recover,
+        }
+      ).catch((error) => {
+        if (result && error.category) {
+          return result;
+        }
+        throw error;
+      });
+    };
+  return wrap($);
+}
@@ -0,0 +1,686 @@
+#!/usr/bin/env bun
+
+/**
+ * Revisions of an existing upload
+ *
+ * Long-running jobs upload the same growing log again and again. Instead of a
+ * new gist or folder every time, `update` replaces the log in the upload made
+ * for it earlier and `append` adds only the bytes written since then as a new
+ * part. The earlier upload is found by file name: the newest gist created by
+ * the tool that holds it, or the newest shared-repository folder whose
+ * manifest lists it.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { pipeline } from 'node:stream/promises';
+import {
+  createDefaultLogger,
+  formatFileSize,
+  generateUploadedLogFileName,
+  getFileSize,
+  GITHUB_GIST_FILE_LIMIT,
+  GITHUB_REPO_CHUNK_SIZE,
+  LOG_TEXT_EXTENSION,
+  readGistText,
+  splitFileIntoParts,
+} from './common.js';
+import { NotFoundError, UsageError } from './errors.js';
+import { resolveGitHubHost } from './github-host.js';
+import {
+  describeUploadedFile,
+  hashFile,
+  MANIFEST_FILE_NAME,
+  writeUploadManifest,
+} from './manifest.js';
+import {
+  buildGitHubRepositoryTreeUrl,
+  resolveSharedRepositoryTarget,
+  shouldUseSharedRepositoryMode,
+} from './repository-staging.js';
+import { uploadAsRepo } from './repository-upload.js';
+import { linkOrCopyFile } from './staging.js';
+import { createUploadStore, listToolGists } from './upload-store.js';
+
+const NEWLINE = 0x0a;
+
+function getChunkPrefix(fileName) {
+  return `${fileName.slice(0, -LOG_TEXT_EXTENSION.length)}.part-`;
+}
+
+function getManifestTime(manifest) {
+  const time = Date.parse(manifest?.updatedAt || manifest?.createdAt);
+  return Number.isFinite(time) ? time : -Infinity;
+}
+
+async function hashFilePrefix(filePath, length) {
+  const hash = crypto.createHash('sha256');
+  if (length > 0) {
+    await pipeline(fs.createReadStream(filePath, { end: length - 1 }), hash);
+  }
+  return hash.digest('hex');
+}
+
+async function findPreviousGist(store, fileName, isPublic) {
+  const [gist] = (await listToolGists(store, { includeLogFiles: true }))
+    .filter(
+      (candidate) =>
+        candidate.isPublic === isPublic && candidate.files.includes(fileName)
+    )
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt) || 0);
+  if (!gist) {
+    return null;
+  }
+
+  return {
+    gist,
+    manifest: await store.readGistJsonFile(gist.id, MANIFEST_FILE_NAME),
+  };
+}
+
+// The upload named by `revisionTarget`, which must exist
+async function readTargetGist(store, gistId) {
+  return {
+    gist: await store.getGist(gistId),
+    manifest: await store.readGistJsonFile(gistId, MANIFEST_FILE_NAME),
+  };
+}
+
+async function readTargetFolder(store, owner, repositoryName, repositoryPath) {
+  const metadata = await store.getRepository(owner, repositoryName);
+  if (
+    !metadata ||
+    !(await store.hasPath(owner, repositoryName, repositoryPath))
+  ) {
+    throw new NotFoundError(
+      `Upload folder ${repositoryPath} not found in ${owner}/${repositoryName}`
+    );
+  }
+
+  return {
+    repositoryPath,
+    manifest: await store.readManifest(owner, repositoryName, repositoryPath),
+    branch: metadata.defaultBranch || 'main',
+  };
+}
+
+async function findPreviousFolder(store, owner, repositoryName, fileName) {
+  const metadata = await store.getRepository(owner, repositoryName);
+  if (!metadata) {
+    return null;
+  }
+
+  const branch = metadata.defaultBranch || 'main';
+  const chunkPrefix = getChunkPrefix(fileName);
+  const { files } = await store.listRepositoryFiles(
+    owner,
+    repositoryName,
+    branch
+  );
+  const folders = new Set(
+    files
+      .filter(({ path: filePath }) => {
+        const name = path.posix.basename(filePath);
+        return name === fileName || name.startsWith(chunkPrefix);
+      })
+      .map(({ path: filePath }) => path.posix.dirname(filePath))
+      .filter((folder) => folder !== '.')
+  );
+
+  let previous = null;
+  for (const folder of folders) {
+    const manifest = await store.readManifest(owner, repositoryName, folder);
+    if (
+      manifest?.files &&
+      !manifest.files.some((record) => record.name === fileName)
+    ) {
+      continue;
+    }
+    if (!previous || getManifestTime(manifest) > previous.time) {
+      previous = {
+        repositoryPath: folder,
+        manifest,
+        time: getManifestTime(manifest),
+      };
+    }
+  }
+
+  return previous && { ...previous, branch };
+}
+
+// Hash the first `length` bytes and number the line holding byte `lineStart`
+async function scanFilePrefix(filePath, length, lineStart) {
+  const hash = crypto.createHash('sha256');
+  let line = 1;
+  let position = 0;
+  if (length > 0) {
+    for await (const data of fs.createReadStream(filePath, {
+      end: length - 1,
+    })) {
+      hash.update(data);
+      const counted = data.subarray(0, Math.max(0, lineStart - position));
+      for (
+        let index = counted.indexOf(NEWLINE);
+        index !== -1;
+        index = counted.indexOf(NEWLINE, index + 1)
+      ) {
+        line += 1;
+      }
+      position += data.length;
+    }
+  }
+  return { sha256: hash.digest('hex'), line };
+}
+
+// Digits of the part numbers already uploaded; a single file counts as part 0
+function getPartNumberWidth(chunks, fileName) {
+  const prefix = getChunkPrefix(fileName);
+  const numbered = chunks.filter((chunk) => chunk.name.startsWith(prefix));
+  return numbered.length > 0
+    ? numbered[numbered.length - 1].name.length -
+        prefix.length -
+        LOG_TEXT_EXTENSION.length
+    : 2;
+}
+
+/**
+ * Check that the log still starts with the uploaded bytes and split the new
+ * bytes into parts of at most `partSize` bytes that continue the recorded
+ * chunk numbering. Parts end on line boundaries like those of
+ * splitFileIntoParts(). With `growLastPart`, the last uploaded chunk is
+ * rewritten with the new bytes while it has room, so frequent small appends
+ * do not leave a part per append.
+ */
+async function stageAppendedParts(
+  record,
+  contentPath,
+  fileName,
+  workDir,
+  { partSize, growLastPart = false }
+) {
+  if (!record) {
+    throw new UsageError(
+      `The previous upload of ${fileName} has no manifest.json recording its size; use update instead of append`
+    );
+  }
+  if (record.compression) {
+    throw new UsageError(
+      `The previous upload of ${fileName} is compressed; use update instead of append`
+    );
+  }
+
+  const offset = record.size;
+  const size = getFileSize(contentPath);
+  const lastChunk = record.chunks[record.chunks.length - 1];
+  const grownChunk =
+    growLastPart && size > offset && lastChunk?.size < partSize
+      ? lastChunk
+      : null;
+  const start = grownChunk ? offset - grownChunk.size : offset;
+  const prefix =
+    size < offset ? null : await scanFilePrefix(contentPath, offset, start);
+  if (prefix?.sha256 !== record.sha256) {
+    throw new UsageError(
+      `${fileName} no longer starts with the ${offset} bytes uploaded before (was it truncated or rotated?); use update instead of append`
+    );
+  }
+  if (size === offset) {
+    return { offset, size, parts: [], replacesLastChunk: false };
+  }
+
+  const width = getPartNumberWidth(record.chunks, fileName);
+  const chunks = await splitFileIntoParts(contentPath, workDir, partSize, {
+    name: fileName,
+    start,
+    firstIndex: record.chunks.length - (grownChunk ? 1 : 0),
+    firstLine: prefix.line,
+    width,
+  });
+  const lastIndex =
+    record.chunks.length - (grownChunk ? 1 : 0) + chunks.length - 1;
+  if (String(lastIndex).length > width) {
+    throw new UsageError(
+      `Appending to ${fileName} needs part numbers longer than the ${width} digits of its uploaded parts; use update instead of append`
+    );
+  }
+  // The grown chunk keeps its name, also when it is the unsplit log itself
+  if (grownChunk) {
+    const grownPath = path.join(workDir, grownChunk.name);
+    fs.renameSync(chunks[0].path, grownPath);
+    chunks[0].path = grownPath;
+  }
+
+  return {
+    offset,
+    size,
+    parts: chunks,
+    replacesLastChunk: Boolean(grownChunk),
+  };
+}
+
+/**
+ * Manifest of the previous upload with the appended parts added to the log's
+ * record
+ */
+async function buildAppendedManifest(manifest, fileName, contentPath, staged) {
+  const chunks = [];
+  for (const part of staged.parts) {
+    chunks.push({
+      name: path.basename(part.path),
+      size: part.size,
+      sha256: await hashFile(part.path),
+      firstLine: part.firstLine,
+      lastLine: part.lastLine,
+    });
+  }
+  const sha256 = await hashFilePrefix(contentPath, staged.size);
+
+  return {
+    ...manifest,
+    updatedAt: new Date().toISOString(),
+    files: manifest.files.map((record) =>
+      record.name === fileName
+        ? {
+            ...record,
+            size: staged.size,
+            sha256,
+            chunks: [
+              ...(staged.replacesLastChunk
+                ? record.chunks.slice(0, -1)
+                : record.chunks),
+              ...chunks,
+            ],
+          }
+        : record
+    ),
+  };
+}
+
+// Like a fresh gist upload, a log that outgrew a gist file is not sent
+function assertFitsGist(fileName, size) {
+  if (size > GITHUB_GIST_FILE_LIMIT) {
+    throw new UsageError(
+      `${fileName} is ${formatFileSize(size)}, more than a gist file can hold (${formatFileSize(GITHUB_GIST_FILE_LIMIT)}); upload it to a repository instead (--only-repository)`
+    );
+  }
+}
+
+function findManifestRecord(manifest, fileName) {
+  return manifest?.files?.find((record) => record.name === fileName) || null;
+}
+
+async function reviseGist(store, previous, context) {
+  const {
+    mode,
+    fileName,
+    filePath,
+    contentPath,
+    manifest,
+    isPublic,
+    growLastPart,
+    dryMode,
+    workDir,
+    log,
+  } = context;
+  const { gist } = previous;
+  const record = findManifestRecord(previous.manifest, fileName);
+  const result = {
+    type: 'gist',
+    url: gist.url,
+    rawUrl: null,
+    fileName,
+    fileCount: 1,
+    files: [],
+    isPublic,
+    revision: { mode, previousSize: record?.size ?? null, size: null },
+    revisionUrl: null,
+    deduplicated: false,
+  };
+  const files = {};
+
+  if (mode === 'append') {
+    const staged = await stageAppendedParts(
+      record,
+      contentPath,
+      fileName,
+      workDir,
+      { partSize: GITHUB_GIST_FILE_LIMIT, growLastPart }
+    );
+    result.revision.size = staged.size;
+    if (staged.parts.length === 0) {
+      return { ...result, deduplicated: true };
+    }
+    for (const part of staged.parts) {
+      files[path.basename(part.path)] = readGistText(part.path, fileName);
+    }
+    files[MANIFEST_FILE_NAME] = `${JSON.stringify(
+      await buildAppendedManifest(
+        previous.manifest,
+        fileName,
+        contentPath,
+        staged
+      ),
+      null,
+      2
+    )}\n`;
+  } else {
+    // The size check, checksum and content all come from one snapshot of the
+    // log, which may still be growing
+    assertFitsGist(fileName, getFileSize(contentPath));
+    const snapshotPath = path.join(workDir, fileName);
+    linkOrCopyFile(contentPath, snapshotPath);
+    result.revision.size = getFileSize(snapshotPath);
+    assertFitsGist(fileName, result.revision.size);
+    if (record && record.sha256 === (await hashFile(snapshotPath))) {
+      return { ...result, deduplicated: true };
+    }
+    files[fileName] = readGistText(snapshotPath, fileName);
+    // Parts added by earlier appends are replaced by the whole log
+    for (const name of gist.files) {
+      if (name.startsWith(getChunkPrefix(fileName))) {
+        files[name] = null;
+      }
+    }
+    if (manifest) {
+      const entry = {
+        name: fileName,
+        sourcePath: snapshotPath,
+        originalPath: filePath,
+      };
+      const manifestPath = writeUploadManifest(workDir, [
+        await describeUploadedFile(entry, [snapshotPath]),
+      ]);
+      files[MANIFEST_FILE_NAME] = fs.readFileSync(manifestPath, 'utf8');
+    } else if (previous.manifest) {
+      files[MANIFEST_FILE_NAME] = null;
+    }
+  }
+
+  if (dryMode) {
+    return { ...result, dryMode: true };
+  }
+
+  log.debug(
+    () =>
+      `→ ${mode === 'append' ? 'Appending to' : 'Updating'} gist ${gist.id}...`
+  );
+  const updated = await store.updateGist(gist.id, files);
+  const logFiles = updated.files.filter(
+    (file) => file.name !== MANIFEST_FILE_NAME
+  );
+  return {
+    ...result,
+    url: updated.url,
+    rawUrl: logFiles.length === 1 ? logFiles[0].rawUrl : null,
+    fileCount: logFiles.length,
+    files: logFiles,
+    revisionUrl: updated.revisionUrl,
+  };
+}
+
+async function reviseFolder(options, previous, target, context) {
+  const {
+    mode,
+    fileName,
+    contentPath,
+    isPublic,
+    growLastPart,
+    dryMode,
+    workDir,
+    host,
+    log,
+  } = context;
+  const record = findManifestRecord(previous.manifest, fileName);
+  const revision = { mode, previousSize: record?.size ?? null, size: null };
+  const url = buildGitHubRepositoryTreeUrl(
+    target.owner,
+    target.repositoryName,
+    previous.branch,
+    previous.repositoryPath,
+    host
+  );
+  const summary = {
+    type: 'repo',
+    url,
+    rawUrl: null,
+    repositoryName: target.repositoryName,
+    repositoryPath: previous.repositoryPath,
+    isPublic,
+    revision,
+    revisionUrl: null,
+    deduplicated: false,
+  };
+  let uploadOptions;
+
+  if (mode === 'append') {
+    const staged = await stageAppendedParts(
+      record,
+      contentPath,
+      fileName,
+      workDir,
+      { partSize: GITHUB_REPO_CHUNK_SIZE, growLastPart }
+    );
+    revision.size = staged.size;
+    if (staged.parts.length === 0) {
+      return { ...summary, deduplicated: true };
+    }
+    const manifestPath = path.join(workDir, MANIFEST_FILE_NAME);
+    fs.writeFileSync(
+      manifestPath,
+      `${JSON.stringify(
+        await buildAppendedManifest(
+          previous.manifest,
+          fileName,
+          contentPath,
+          staged
+        ),
+        null,
+        2
+      )}\n`
+    );
+    uploadOptions = {
+      files: [...staged.parts.map((part) => part.path), manifestPath].map(
+        (sourcePath) => ({
+          name: path.basename(sourcePath),
+          sourcePath,
+        })
+      ),
+      manifest: false,
+      revision: {
+        repositoryPath: previous.repositoryPath,
+        replace: false,
+        message: `Append ${staged.size - staged.offset} bytes to ${fileName}`,
+      },
+    };
+  } else {
+    revision.size = getFileSize(contentPath);
+    if (record && record.sha256 === (await hashFile(contentPath))) {
+      return { ...summary, deduplicated: true };
+    }
+    uploadOptions = {
+      revision: {
+        repositoryPath: previous.repositoryPath,
+        replace: true,
+        message: `Update ${fileName}`,
+      },
+    };
+  }
+
+  if (dryMode) {
+    return { ...summary, dryMode: true };
+  }
+
+  log.debug(
+    () =>
+      `→ ${mode === 'append' ? 'Appending to' : 'Updating'} ${previous.repositoryPath}...`
+  );
+  const result = await uploadAsRepo({ ...options, ...uploadOptions });
+  return {
+    ...result,
+    revision,
+    revisionUrl: result.commitSha
+      ? buildGitHubRepositoryTreeUrl(
+          target.owner,
+          target.repositoryName,
+          result.commitSha,
+          previous.repositoryPath,
+          host
+        )
+      : result.url,
+  };
+}
+
+/**
+ * Find the earlier upload of a log: the one named by `revisionTarget`, or the
+ * newest gist or shared-repository folder holding a file of the same name
+ *
+ * @returns {Promise<Object|null>} `{ gist, manifest }` or `{ repositoryPath, manifest, branch }`, or null when a search finds nothing
+ */
+async function findRevisedUpload(store, options, uploadType, context) {
+  const { revisionTarget } = options;
+  const { fileName, isPublic, log } = context;
+  if (revisionTarget && revisionTarget.type !== uploadType) {
+    throw new UsageError(
+      `The revision target is a ${revisionTarget.type} upload, not a ${uploadType} upload`
+    );
+  }
+
+  if (uploadType === 'gist') {
+    if (revisionTarget) {
+      return readTargetGist(store, revisionTarget.gistId);
+    }
+    const previous = await findPreviousGist(store, fileName, isPublic);
+    if (!previous) {
+      log.debug(() => `No earlier gist holds ${fileName}`);
+    }
+    return previous;
+  }
+
+  const target = resolveSharedRepositoryTarget(options, await store.getUser());
+  if (revisionTarget) {
+    if (revisionTarget.repositoryName !== target.repositoryName) {
+      throw new UsageError(
+        `The revision target is in ${revisionTarget.repositoryName}, not in ${target.repositoryName}`
+      );
+    }
+    return {
+      ...(await readTargetFolder(
+        store,
+        target.owner,
+        target.repositoryName,
+        revisionTarget.repositoryPath
+      )),
+      target,
+    };
+  }
+  const previous = await findPreviousFolder(
+    store,
+    target.owner,
+    target.repositoryName,
+    fileName
+  );
+  if (!previous) {
+    log.debug(
+      () => `No earlier folder in ${target.repositoryName} holds ${fileName}`
+    );
+  }
+  return previous && { ...previous, target };
+}
+
+/**
+ * Write a new revision of an earlier upload of the same log
+ *
+ * The earlier upload is searched for by file name unless `revisionTarget`
+ * names it: `{ type: 'gist', gistId }` or `{ type: 'repo', repositoryName,
+ * repositoryPath }` (see getRevisionTarget). A named upload that no longer
+ * exists is an error rather than a reason for a fresh upload.
+ *
+ * @param {Object} options - Upload options (see uploadLog) with `update` or `append` set
+ * @param {string} uploadType - 'gist' or 'repo', as chosen for a fresh upload
+ * @returns {Promise<Object|null>} Upload result with `revision` and `revisionUrl`, or null when there is no earlier upload to revise
+ */
+export async function uploadRevision(options, uploadType) {
+  const {
+    filePath,
+    contentPath = filePath,
+    append = false,
+    growLastPart = false,
+    isPublic = false,
+    manifest = true,
+    useSharedRepository = true,
+    dryMode = false,
+    verbose = false,
+    logger = console,
+  } = options;
+  const mode = append ? 'append' : 'update';
+
+  if (options.update && append) {
+    throw new UsageError('update and append cannot be combined');
+  }
+  if (options.files) {
+    throw new UsageError(
+      `${mode} works on a single log file that is not compressed`
+    );
+  }
+  if (
+    uploadType === 'repo' &&
+    !shouldUseSharedRepositoryMode(filePath, useSharedRepository)
+  ) {
+    throw new UsageError(`${mode} needs a gist or a shared repository upload`);
+  }
+
+  const log = createDefaultLogger({ verbose, logger });
+  const store = await createUploadStore(options, log);
+  const fileName = generateUploadedLogFileName(filePath);
+  const workDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), 'gh-upload-log-revision-')
+  );
+  const context = {
+    mode,
+    fileName,
+    filePath,
+    contentPath,
+    manifest,
+    isPublic,
+    growLastPart,
+    dryMode,
+    workDir,
+    host: resolveGitHubHost(options),
+    log,
+  };
+
+  try {
+    const previous = await findRevisedUpload(
+      store,
+      options,
+      uploadType,
+      context
+    );
+    if (!previous) {
+      return null;
+    }
+    return uploadType === 'gist'
+      ? await reviseGist(store, previous, context)
+      : await reviseFolder(options, previous, previous.target, context);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * The `revisionTarget` that names an upload made by uploadLog
+ *
+ * @param {Object} result - Result of uploadLog
+ * @returns {Object} `{ type: 'gist', gistId }` or `{ type: 'repo', repositoryName, repositoryPath }`
+ */
+export function getRevisionTarget(result) {
+  return result.type === 'gist'
+    ? { type: 'gist', gistId: result.url.split('/').pop() }
+    : {
+        type: 'repo',
+        repositoryName: result.repositoryName,
+        repositoryPath: result.repositoryPath,
+      };
+}
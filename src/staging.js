@@ -0,0 +1,145 @@
+#!/usr/bin/env bun
+
+/**
+ * Staging of files before upload
+ *
+ * Uploads are staged in the temporary directory. A log may still be written
+ * while it is uploaded, so it is staged as a snapshot: cloned where the file
+ * system supports it, otherwise copied and cut to the size it had when staging
+ * started. Only files the tool wrote itself, such as redacted or compressed
+ * copies, are hard-linked, since nothing changes them any more. Before
+ * staging starts, the free space it needs is estimated and checked, so a
+ * multi-gigabyte upload fails up front instead of half-way with ENOSPC.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import {
+  formatFileSize,
+  getFileSize,
+  GITHUB_REPO_CHUNK_SIZE,
+} from './common.js';
+import { DiskSpaceError } from './errors.js';
+
+/**
+ * Place a file at a staging path as a snapshot of its current content
+ *
+ * A stable file is hard-linked when source and target share a file system.
+ * Other files are cloned (reflink) or copied, and cut to the size they had
+ * when staging started, so bytes appended meanwhile are not picked up. An
+ * existing file at the target is replaced.
+ *
+ * @param {string} sourcePath - File to stage
+ * @param {string} targetPath - Staging path
+ * @param {Object} [options] - Staging options
+ * @param {boolean} [options.stable] - The source no longer changes (default: false)
+ * @returns {string} 'link', 'clone' or 'copy'
+ */
+export function linkOrCopyFile(sourcePath, targetPath, options = {}) {
+  fs.rmSync(targetPath, { force: true });
+  if (options.stable) {
+    try {
+      fs.linkSync(sourcePath, targetPath);
+      return 'link';
+    } catch {
+      // Different file system: fall through to a clone or copy
+    }
+  }
+
+  const size = fs.statSync(sourcePath).size;
+  let method = 'clone';
+  try {
+    fs.copyFileSync(
+      sourcePath,
+      targetPath,
+      fs.constants.COPYFILE_FICLONE_FORCE
+    );
+  } catch {
+    fs.copyFileSync(sourcePath, targetPath);
+    method = 'copy';
+  }
+  if (fs.statSync(targetPath).size > size) {
+    fs.truncateSync(targetPath, size);
+  }
+  return method;
+}
+
+/**
+ * Estimate the free space staging an upload needs
+ *
+ * Stable files that can be hard-linked need none. Files over the repository
+ * chunk size are split straight from the source, which writes them once.
+ * Other files are counted as copies, since a clone is not always possible.
+ * The `gh` transport also keeps a git object of every repository file.
+ *
+ * @param {Object[]} entries - `{ sourcePath, stable }` entries about to be uploaded
+ * @param {Object} options - Estimate options
+ * @param {string} options.uploadType - 'gist' or 'repo'
+ * @param {string} options.transport - 'api' or 'gh'
+ * @param {string} options.stagingDir - Staging directory (default: os.tmpdir())
+ * @returns {{ totalBytes: number, copiedBytes: number, gitBytes: number }} Estimate in bytes
+ */
+export function estimateStagingSpace(entries, options) {
+  const { uploadType, transport, stagingDir = os.tmpdir() } = options;
+  const stagingDevice = fs.statSync(stagingDir).dev;
+  let copiedBytes = 0;
+  let uploadedBytes = 0;
+
+  for (const { sourcePath, stable = false } of entries) {
+    const size = getFileSize(sourcePath);
+    uploadedBytes += size;
+    if (
+      (uploadType === 'repo' && size > GITHUB_REPO_CHUNK_SIZE) ||
+      !stable ||
+      fs.statSync(sourcePath).dev !== stagingDevice
+    ) {
+      copiedBytes += size;
+    }
+  }
+
+  const gitBytes =
+    uploadType === 'repo' && transport === 'gh' ? uploadedBytes : 0;
+  return { totalBytes: copiedBytes + gitBytes, copiedBytes, gitBytes };
+}
+
+/**
+ * Read the space available to unprivileged users in a directory
+ *
+ * @param {string} directory - Directory on the file system to check
+ * @returns {number|null} Available bytes, or null when the runtime cannot tell
+ */
+export function readAvailableSpace(directory) {
+  if (typeof fs.statfsSync !== 'function') {
+    return null;
+  }
+  const { bavail, bsize } = fs.statfsSync(directory);
+  return bavail * bsize;
+}
+
+/**
+ * Throw a DiskSpaceError when the estimated staging space is not available
+ *
+ * @param {Object} estimate - Result of estimateStagingSpace()
+ * @param {number|null} availableBytes - Result of readAvailableSpace()
+ * @param {string} stagingDir - Directory the estimate is for
+ */
+export function assertStagingSpace(estimate, availableBytes, stagingDir) {
+  if (availableBytes === null || availableBytes >= estimate.totalBytes) {
+    return;
+  }
+
+  const parts = [
+    estimate.copiedBytes > 0 &&
+      `${formatFileSize(estimate.copiedBytes)} of split or copied files`,
+    estimate.gitBytes > 0 &&
+      `${formatFileSize(estimate.gitBytes)} of git objects`,
+  ].filter(Boolean);
+  throw new DiskSpaceError(
+    `Not enough free space in ${stagingDir}: staging this upload needs about ${formatFileSize(estimate.totalBytes)} (${parts.join(' + ')}), but only ${formatFileSize(availableBytes)} is available. Free some space or point TMPDIR at a larger disk`,
+    {
+      operation: 'staging',
+      requiredBytes: estimate.totalBytes,
+      availableBytes,
+    }
+  );
+}
@@ -0,0 +1,149 @@
+#!/usr/bin/env bun
+
+/**
+ * State files of resumable uploads
+ *
+ * A resumable upload records where it goes, where its staged files are and
+ * how far its pushes got in a small JSON file, so an interrupted upload can be
+ * continued with `gh-upload-log resume <id>` instead of starting over. The
+ * file is removed once the upload completes.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createDefaultLogger, generateRepoName } from './common.js';
+import { NotFoundError, UsageError } from './errors.js';
+
+export const UPLOAD_STATE_VERSION = 1;
+
+/**
+ * Directory holding the state files
+ *
+ * @param {Object} options - Options with an optional `stateDir`
+ * @returns {string} `stateDir`, GH_UPLOAD_LOG_STATE_DIR, or gh-upload-log/uploads under XDG_STATE_HOME (default: ~/.local/state)
+ */
+export function getUploadStateDir(options = {}) {
+  if (options.stateDir || process.env.GH_UPLOAD_LOG_STATE_DIR) {
+    return options.stateDir || process.env.GH_UPLOAD_LOG_STATE_DIR;
+  }
+  const stateHome =
+    process.env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state');
+  return path.join(stateHome, 'gh-upload-log', 'uploads');
+}
+
+/**
+ * Create an id for a resumable upload, such as `log-app-3f9c2a`
+ *
+ * @param {string} filePath - Path the upload is named after
+ * @returns {string} Upload id
+ */
+export function createUploadId(filePath) {
+  return `${generateRepoName(filePath)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function getUploadStatePath(stateDir, id) {
+  if (!/^[\w.-]+$/.test(id)) {
+    throw new UsageError(`Invalid upload id "${id}"`);
+  }
+  return path.join(stateDir, `${id}.json`);
+}
+
+/**
+ * Write the state of an upload, replacing the previous one atomically
+ *
+ * @param {string} stateDir - Result of getUploadStateDir()
+ * @param {Object} state - State with at least an `id`
+ * @returns {Object} The state as written, with `updatedAt` set
+ */
+export function writeUploadState(stateDir, state) {
+  const written = {
+    version: UPLOAD_STATE_VERSION,
+    ...state,
+    updatedAt: new Date().toISOString(),
+  };
+  const statePath = getUploadStatePath(stateDir, state.id);
+  fs.mkdirSync(stateDir, { recursive: true });
+  fs.writeFileSync(`${statePath}.tmp`, `${JSON.stringify(written, null, 2)}\n`);
+  fs.renameSync(`${statePath}.tmp`, statePath);
+  return written;
+}
+
+function parseUploadState(statePath) {
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List the uploads that can be resumed
+ *
+ * Files that are not readable states, such as one cut short by a full disk,
+ * are skipped so they do not hide the others.
+ *
+ * @param {string} stateDir - Result of getUploadStateDir()
+ * @param {Object} [log] - Logger from createDefaultLogger(), told about skipped files
+ * @returns {Object[]} States, oldest first
+ */
+export function listUploadStates(stateDir, log = createDefaultLogger()) {
+  if (!fs.existsSync(stateDir)) {
+    return [];
+  }
+  const states = [];
+  for (const name of fs.readdirSync(stateDir)) {
+    if (!name.endsWith('.json')) {
+      continue;
+    }
+    const state = parseUploadState(path.join(stateDir, name));
+    if (typeof state?.id !== 'string' || typeof state.createdAt !== 'string') {
+      log.debug(() => `Skipping ${name} in ${stateDir}: not an upload state`);
+      continue;
+    }
+    states.push(state);
+  }
+  return states.sort((left, right) =>
+    left.createdAt.localeCompare(right.createdAt)
+  );
+}
+
+/**
+ * Read the state of one upload
+ *
+ * @param {string} stateDir - Result of getUploadStateDir()
+ * @param {string} id - Upload id
+ * @param {Object} [log] - Logger from createDefaultLogger()
+ * @returns {Object} The recorded state
+ */
+export function readUploadState(stateDir, id, log = createDefaultLogger()) {
+  const statePath = getUploadStatePath(stateDir, id);
+  if (!fs.existsSync(statePath)) {
+    const known = listUploadStates(stateDir, log).map((state) => state.id);
+    throw new NotFoundError(
+      `No resumable upload "${id}" in ${stateDir}${known.length > 0 ? `; known uploads: ${known.join(', ')}` : ''}`
+    );
+  }
+
+  const state = parseUploadState(statePath);
+  if (!state) {
+    throw new UsageError(`Upload state ${statePath} is not valid JSON`);
+  }
+  if (state.version !== UPLOAD_STATE_VERSION) {
+    throw new UsageError(
+      `Upload state ${statePath} has version ${state.version}, expected ${UPLOAD_STATE_VERSION}`
+    );
+  }
+  return state;
+}
+
+/**
+ * Remove the state of an upload
+ *
+ * @param {string} stateDir - Result of getUploadStateDir()
+ * @param {string} id - Upload id
+ */
+export function removeUploadState(stateDir, id) {
+  fs.rmSync(getUploadStatePath(stateDir, id), { force: true });
+}
@@ -0,0 +1,633 @@
+#!/usr/bin/env bun
+
+/**
+ * Inventory of existing uploads
+ *
+ * Maintenance commands (prune, compact, list, delete) need the same
+ * operations on both transports: enumerate the files of a shared repository,
+ * date each upload folder, find the gists created by this tool and remove or
+ * rotate things. A store wraps those operations for the `gh` CLI or the REST
+ * API.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  ensureCommandSucceeded,
+  getCommandExitCode,
+  getCommandStream,
+  GIST_DESCRIPTION_MARKER,
+  LOG_TEXT_EXTENSION,
+} from './common.js';
+import { recoverCreatedRepository } from './create-recovery.js';
+import { NotFoundError } from './errors.js';
+import {
+  createGitHubClient,
+  resolveTransport,
+  walkTree,
+} from './github-api.js';
+import { getGitHubWebUrl, resolveGitHubHost } from './github-host.js';
+import { MANIFEST_FILE_NAME } from './manifest.js';
+import {
+  getGitHubUsername,
+  getRepositoryFolderContents,
+  getRepositoryMetadata,
+  isGitHubNotFoundError,
+  readRepositoryJsonFile,
+} from './repository-upload.js';
+
+const TREE_FILES_QUERY =
+  '{"truncated": .truncated, "files": [.tree[] | select(.type == "blob") | {"path": .path, "size": .size}]}';
+const TREE_FOLDER_QUERY =
+  '{"truncated": .truncated, "tree": [.tree[] | {"path": .path, "type": .type, "sha": .sha, "size": .size}]}';
+const GIST_REVISION_QUERY =
+  '{"url": .html_url, "version": .history[0].version, "files": [.files[] | {"name": .filename, "rawUrl": .raw_url}]}';
+const GIST_SUMMARY_FIELDS =
+  '{"id": .id, "description": .description, "isPublic": .public, "createdAt": .created_at, "url": .html_url, "files": [.files[] | .filename], "size": ([.files[] | .size] | add)}';
+const GIST_SUMMARY_QUERY = `.[] | ${GIST_SUMMARY_FIELDS}`;
+
+function isEmptyRepositoryError(errorText = '') {
+  return errorText.toLowerCase().includes('repository is empty');
+}
+
+function toGistSummary(gist) {
+  return {
+    id: gist.id,
+    description: gist.description || '',
+    isPublic: Boolean(gist.public),
+    createdAt: gist.created_at,
+    url: gist.html_url,
+    files: Object.keys(gist.files || {}),
+    size: Object.values(gist.files || {}).reduce(
+      (total, file) => total + (file.size || 0),
+      0
+    ),
+  };
+}
+
+function parseJsonContent(content) {
+  if (!content?.trim()) {
+    return null;
+  }
+  try {
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+function toGistFilesPayload(files) {
+  return Object.fromEntries(
+    Object.entries(files).map(([name, content]) => [
+      name,
+      content === null ? null : { content },
+    ])
+  );
+}
+
+function toGistRevision({ url, version, files }) {
+  return { url, revisionUrl: version ? `${url}/${version}` : url, files };
+}
+
+async function readApiJsonFile(client, owner, repositoryName, filePath) {
+  const file = await client.getContents(owner, repositoryName, filePath);
+  if (!file?.content) {
+    return null;
+  }
+  try {
+    return JSON.parse(Buffer.from(file.content, 'base64').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store backed by the `gh` CLI, removing repository files with a
+ * blob-less shallow fetch so no log content is downloaded
+ */
+function createGhUploadStore($, host, log) {
+  const $silent = $({ mirror: false, capture: true });
+
+  return {
+    getUser: () => getGitHubUsername($),
+
+    getRepository: (owner, repositoryName) =>
+      getRepositoryMetadata($, owner, repositoryName),
+
+    async createRepository(owner, repositoryName, isPublic, githubUser) {
+      const fullName =
+        owner === githubUser ? repositoryName : `${owner}/${repositoryName}`;
+      const startedAt = Date.now();
+      const $create = $({
+        recover: () =>
+          recoverCreatedRepository($, owner, repositoryName, startedAt),
+      });
+      ensureCommandSucceeded(
+        isPublic
+          ? await $create`gh repo create ${fullName} --public`
+          : await $create`gh repo create ${fullName} --private`,
+        `create GitHub repo ${repositoryName}`
+      );
+    },
+
+    async renameRepository(owner, repositoryName, newName) {
+      ensureCommandSucceeded(
+        await $`gh api -X PATCH repos/${owner}/${repositoryName} -f name=${newName}`,
+        `rename ${repositoryName} to ${newName}`
+      );
+    },
+
+    async archiveRepository(owner, repositoryName) {
+      ensureCommandSucceeded(
+        await $`gh api -X PATCH repos/${owner}/${repositoryName} -F archived=true`,
+        `archive ${repositoryName}`
+      );
+    },
+
+    async deleteRepository(owner, repositoryName) {
+      ensureCommandSucceeded(
+        await $`gh repo delete ${owner}/${repositoryName} --yes`,
+        `delete GitHub repo ${repositoryName}`
+      );
+    },
+
+    readJsonFile: (owner, repositoryName, filePath) =>
+      readRepositoryJsonFile($, owner, repositoryName, filePath),
+
+    async hasPath(owner, repositoryName, repositoryPath) {
+      return (
+        (await getRepositoryFolderContents(
+          $,
+          owner,
+          repositoryName,
+          repositoryPath
+        )) !== null
+      );
+    },
+
+    async putFile(owner, repositoryName, filePath, content, message) {
+      const encoded = Buffer.from(content).toString('base64');
+      ensureCommandSucceeded(
+        await $`gh api -X PUT repos/${owner}/${repositoryName}/contents/${filePath} -f message=${message} -f content=${encoded}`,
+        `write ${repositoryName}/${filePath}`
+      );
+    },
+
+    async squashHistory(owner, repositoryName, branch, message) {
+      const headSha = ensureCommandSucceeded(
+        await $silent`gh api repos/${owner}/${repositoryName}/git/ref/heads/${branch} --jq .object.sha`,
+        `read branch ${branch} of ${repositoryName}`
+      ).stdout.trim();
+      const treeSha = ensureCommandSucceeded(
+        await $silent`gh api repos/${owner}/${repositoryName}/git/commits/${headSha} --jq .tree.sha`,
+        `read commit ${headSha} of ${repositoryName}`
+      ).stdout.trim();
+      const commitSha = ensureCommandSucceeded(
+        await $silent`gh api -X POST repos/${owner}/${repositoryName}/git/commits -f message=${message} -f tree=${treeSha} --jq .sha`,
+        `create root commit in ${repositoryName}`
+      ).stdout.trim();
+      ensureCommandSucceeded(
+        await $`gh api -X PATCH repos/${owner}/${repositoryName}/git/refs/heads/${branch} -f sha=${commitSha} -F force=true`,
+        `replace history of ${branch} in ${repositoryName}`
+      );
+      return commitSha;
+    },
+
+    async listRepositoryFiles(owner, repositoryName, branch) {
+      const result =
+        await $silent`gh api -X GET repos/${owner}/${repositoryName}/git/trees/${branch} -f recursive=1 --jq ${TREE_FILES_QUERY}`;
+
+      if (getCommandExitCode(result) !== 0) {
+        const errorText = result.stderr || result.stdout;
+        if (
+          isGitHubNotFoundError(errorText) ||
+          isEmptyRepositoryError(errorText)
+        ) {
+          return { truncated: false, files: [] };
+        }
+        ensureCommandSucceeded(result, `list files of ${repositoryName}`);
+      }
+
+      const listing = JSON.parse(result.stdout.trim());
+      if (!listing.truncated) {
+        return listing;
+      }
+      const operation = `list files of ${repositoryName}`;
+      const blobs = await walkTree(
+        async (sha) =>
+          JSON.parse(
+            ensureCommandSucceeded(
+              await $silent`gh api repos/${owner}/${repositoryName}/git/trees/${sha} --jq ${TREE_FOLDER_QUERY}`,
+              operation
+            ).stdout.trim()
+          ),
+        branch,
+        operation
+      );
+      return {
+        truncated: false,
+        files: blobs.map((item) => ({ path: item.path, size: item.size })),
+      };
+    },
+
+    readManifest: (owner, repositoryName, folder) =>
+      readRepositoryJsonFile(
+        $,
+        owner,
+        repositoryName,
+        `${folder}/${MANIFEST_FILE_NAME}`
+      ),
+
+    async getLastCommitDate(owner, repositoryName, branch, folder) {
+      const result = ensureCommandSucceeded(
+        await $silent`gh api -X GET repos/${owner}/${repositoryName}/commits -f path=${folder} -f sha=${branch} -f per_page=1 --jq ${'.[0].commit.committer.date'}`,
+        `read history of ${repositoryName}/${folder}`
+      );
+      return result.stdout.trim() || null;
+    },
+
+    async removeRepositoryPaths(owner, repositoryName, branch, paths, message) {
+      const workDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), 'gh-upload-log-remove-')
+      );
+      const remoteUrl = `${getGitHubWebUrl(host)}/${owner}/${repositoryName}.git`;
+
+      try {
+        ensureCommandSucceeded(
+          await $`cd ${workDir} && git init -q`,
+          'initialize temporary git repository'
+        );
+        ensureCommandSucceeded(
+          await $`cd ${workDir} && git remote add origin ${remoteUrl}`,
+          `add remote for ${repositoryName}`
+        );
+        ensureCommandSucceeded(
+          await $`cd ${workDir} && git fetch --depth 1 --filter=blob:none origin ${branch}`,
+          `fetch ${branch} from ${repositoryName}`
+        );
+        ensureCommandSucceeded(
+          await $`cd ${workDir} && git reset -q FETCH_HEAD`,
+          `read ${branch} of ${repositoryName}`
+        );
+        log.debug(() => `→ Removing ${paths.length} file(s)...`);
+        ensureCommandSucceeded(
+          await $`cd ${workDir} && git rm -q --cached -- ${paths}`,
+          `remove files from ${repositoryName}`
+        );
+        ensureCommandSucceeded(
+          await $`cd ${workDir} && git commit -q -m ${message}`,
+          `commit removal in ${repositoryName}`
+        );
+        ensureCommandSucceeded(
+          await $`cd ${workDir} && git push -q origin HEAD:${branch}`,
+          `push removal to ${repositoryName}`
+        );
+      } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+      }
+    },
+
+    async listGists() {
+      const result = ensureCommandSucceeded(
+        await $silent`gh api gists --paginate --jq ${GIST_SUMMARY_QUERY}`,
+        'list gists'
+      );
+      return result.stdout
+        .split('\n')
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+    },
+
+    async getGist(gistId) {
+      const result = ensureCommandSucceeded(
+        await $silent`gh api gists/${gistId} --jq ${GIST_SUMMARY_FIELDS}`,
+        `read gist ${gistId}`
+      );
+      return JSON.parse(result.stdout.trim());
+    },
+
+    async deleteGist(gistId) {
+      ensureCommandSucceeded(
+        await $`gh api -X DELETE gists/${gistId}`,
+        `delete gist ${gistId}`
+      );
+    },
+
+    async readGistJsonFile(gistId, fileName) {
+      const query = `.files["${fileName}"].content // empty`;
+      const result = await $silent`gh api gists/${gistId} --jq ${query}`;
+      if (getCommandExitCode(result) !== 0) {
+        if (isGitHubNotFoundError(result.stderr || result.stdout)) {
+          return null;
+        }
+        ensureCommandSucceeded(result, `read ${fileName} of gist ${gistId}`);
+      }
+      return parseJsonContent(result.stdout);
+    },
+
+    // The payload goes through a file: logs are too large for arguments
+    async updateGist(gistId, files) {
+      const workDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), 'gh-upload-log-gist-')
+      );
+      try {
+        const payloadPath = path.join(workDir, 'payload.json');
+        fs.writeFileSync(
+          payloadPath,
+          JSON.stringify({ files: toGistFilesPayload(files) })
+        );
+        const result = ensureCommandSucceeded(
+          await $silent`gh api -X PATCH gists/${gistId} --input ${payloadPath} --jq ${GIST_REVISION_QUERY}`,
+          `update gist ${gistId}`
+        );
+        return toGistRevision(JSON.parse(result.stdout.trim()));
+      } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+      }
+    },
+  };
+}
+
+/**
+ * Store backed by the REST API, removing repository files with a single
+ * tree/commit/ref update
+ */
+function createApiUploadStore(client) {
+  return {
+    getUser: async () => (await client.getAuthenticatedUser()).login,
+
+    async getRepository(owner, repositoryName) {
+      const repository = await client.getRepository(owner, repositoryName);
+      return (
+        repository && {
+          defaultBranch: repository.default_branch,
+          visibility: repository.visibility,
+          canPush: repository.permissions?.push,
+        }
+      );
+    },
+
+    async createRepository(owner, repositoryName, isPublic, githubUser) {
+      await client.createRepository({
+        name: repositoryName,
+        isPublic,
+        organization: owner === githubUser ? undefined : owner,
+      });
+    },
+
+    async renameRepository(owner, repositoryName, newName) {
+      await client.updateRepository(owner, repositoryName, { name: newName });
+    },
+
+    async archiveRepository(owner, repositoryName) {
+      await client.updateRepository(owner, repositoryName, { archived: true });
+    },
+
+    deleteRepository: (owner, repositoryName) =>
+      client.deleteRepository(owner, repositoryName),
+
+    readJsonFile: (owner, repositoryName, filePath) =>
+      readApiJsonFile(client, owner, repositoryName, filePath),
+
+    async hasPath(owner, repositoryName, repositoryPath) {
+      return (
+        (await client.getContents(owner, repositoryName, repositoryPath)) !==
+        null
+      );
+    },
+
+    async putFile(owner, repositoryName, filePath, content, message) {
+      await client.putContents(owner, repositoryName, filePath, {
+        message,
+        content,
+      });
+    },
+
+    async squashHistory(owner, repositoryName, branch, message) {
+      const ref = await client.getBranchRef(owner, repositoryName, branch);
+      if (!ref) {
+        throw new NotFoundError(
+          `Branch ${branch} of ${repositoryName} does not exist`
+        );
+      }
+      const head = await client.getCommit(
+        owner,
+        repositoryName,
+        ref.object.sha
+      );
+      const commit = await client.createCommit(owner, repositoryName, {
+        message,
+        tree: head.tree.sha,
+        parents: [],
+      });
+      await client.updateBranchRef(
+        owner,
+        repositoryName,
+        branch,
+        commit.sha,
+        true
+      );
+      return commit.sha;
+    },
+
+    async listRepositoryFiles(owner, repositoryName, branch) {
+      let blobs;
+      try {
+        blobs = await client.listTreeBlobs(owner, repositoryName, branch);
+      } catch (error) {
+        // 409 "Git Repository is empty", 404 for a missing branch
+        if (error.status === 409 || error.status === 404) {
+          return { truncated: false, files: [] };
+        }
+        throw error;
+      }
+
+      return {
+        truncated: false,
+        files: blobs.map((item) => ({ path: item.path, size: item.size })),
+      };
+    },
+
+    readManifest: (owner, repositoryName, folder) =>
+      readApiJsonFile(
+        client,
+        owner,
+        repositoryName,
+        `${folder}/${MANIFEST_FILE_NAME}`
+      ),
+
+    async getLastCommitDate(owner, repositoryName, branch, folder) {
+      const commits = await client.listCommits(owner, repositoryName, {
+        path: folder,
+        sha: branch,
+      });
+      return commits?.[0]?.commit?.committer?.date || null;
+    },
+
+    async removeRepositoryPaths(owner, repositoryName, branch, paths, message) {
+      const ref = await client.getBranchRef(owner, repositoryName, branch);
+      if (!ref) {
+        throw new NotFoundError(
+          `Branch ${branch} of ${repositoryName} does not exist`
+        );
+      }
+
+      const head = await client.getCommit(
+        owner,
+        repositoryName,
+        ref.object.sha
+      );
+      const tree = await client.createTree(owner, repositoryName, {
+        baseTree: head.tree.sha,
+        tree: paths.map((filePath) => ({
+          path: filePath,
+          mode: '100644',
+          type: 'blob',
+          sha: null,
+        })),
+      });
+      const commit = await client.createCommit(owner, repositoryName, {
+        message,
+        tree: tree.sha,
+        parents: [ref.object.sha],
+      });
+      await client.updateBranchRef(owner, repositoryName, branch, commit.sha);
+    },
+
+    async listGists() {
+      const gists = [];
+      for (let page = 1; ; page += 1) {
+        const batch = await client.listGists(page);
+        gists.push(...batch.map(toGistSummary));
+        if (batch.length < 100) {
+          return gists;
+        }
+      }
+    },
+
+    getGist: async (gistId) => toGistSummary(await client.getGist(gistId)),
+
+    deleteGist: (gistId) => client.deleteGist(gistId),
+
+    async readGistJsonFile(gistId, fileName) {
+      const file = (await client.getGist(gistId))?.files?.[fileName];
+      if (!file) {
+        return null;
+      }
+      return parseJsonContent(
+        file.truncated
+          ? (await client.downloadRaw(file.raw_url)).toString('utf8')
+          : file.content
+      );
+    },
+
+    async updateGist(gistId, files) {
+      const gist = await client.updateGist(gistId, {
+        files: toGistFilesPayload(files),
+      });
+      return toGistRevision({
+        url: gist.html_url,
+        version: gist.history?.[0]?.version,
+        files: Object.values(gist.files || {}).map((file) => ({
+          name: file.filename,
+          rawUrl: file.raw_url,
+        })),
+      });
+    },
+  };
+}
+
+/**
+ * Create an upload store for the configured transport
+ *
+ * @param {Object} options - `transport`, `host`, `token` and `commandStreamFactory` as for uploads
+ * @param {Object} log - Logger from createDefaultLogger()
+ * @returns {Promise<Object>} Upload store
+ */
+export async function createUploadStore(options, log) {
+  if (resolveTransport(options) === 'api') {
+    return createApiUploadStore(createGitHubClient(options));
+  }
+  return createGhUploadStore(
+    await getCommandStream(options),
+    resolveGitHubHost(options),
+    log
+  );
+}
+
+/**
+ * Enumerate the upload folders of a shared repository
+ *
+ * Every folder holding files is one upload; files in the repository root
+ * (README.md, the layout file) and dotfiles are ignored. Uploads are dated by
+ * the `createdAt` of their manifest, or by their last commit when they have
+ * none.
+ *
+ * @param {Object} store - Store from createUploadStore()
+ * @param {string} owner - Repository owner
+ * @param {string} repositoryName - Repository name
+ * @param {string} branch - Branch to read
+ * @returns {Promise<Object[]>} `{ path, files, size, createdAt, manifest }` entries
+ */
+export async function listRepositoryUploads(
+  store,
+  owner,
+  repositoryName,
+  branch
+) {
+  const { files: repositoryFiles } = await store.listRepositoryFiles(
+    owner,
+    repositoryName,
+    branch
+  );
+  const folders = new Map();
+
+  for (const file of repositoryFiles) {
+    const folder = path.posix.dirname(file.path);
+    if (folder === '.' || path.posix.basename(file.path).startsWith('.')) {
+      continue;
+    }
+    if (!folders.has(folder)) {
+      folders.set(folder, []);
+    }
+    folders.get(folder).push(file);
+  }
+
+  const uploads = [];
+  for (const [folder, folderFiles] of folders) {
+    const files = folderFiles.map((file) => file.path);
+    const size = folderFiles.reduce(
+      (total, file) => total + (file.size || 0),
+      0
+    );
+    const manifest = files.includes(`${folder}/${MANIFEST_FILE_NAME}`)
+      ? await store.readManifest(owner, repositoryName, folder)
+      : null;
+    const createdAt =
+      manifest?.createdAt ||
+      (await store.getLastCommitDate(owner, repositoryName, branch, folder));
+
+    uploads.push({ path: folder, files, size, createdAt, manifest });
+  }
+
+  return uploads;
+}
+
+/**
+ * List the gists created by gh-upload-log
+ *
+ * @param {Object} store - Store from createUploadStore()
+ * @param {Object} [options={}] - Matching options
+ * @param {boolean} [options.includeLogFiles=false] - Also match unmarked gists holding `.log.txt` files (uploads made before the marker existed)
+ * @returns {Promise<Object[]>} `{ id, description, isPublic, createdAt, url, files, size }` entries
+ */
+export async function listToolGists(store, { includeLogFiles = false } = {}) {
+  const gists = await store.listGists();
+  return gists.filter(
+    (gist) =>
+      gist.description?.includes(GIST_DESCRIPTION_MARKER) ||
+      (includeLogFiles &&
+        gist.files.some((file) => file.endsWith(LOG_TEXT_EXTENSION)))
+  );
+}
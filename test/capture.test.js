@@ -0,0 +1,210 @@
+/**
+ * Tests for uploading stdin and command output
+ */
+
+import { test, assert } from 'test-anywhere';
+import fs from 'node:fs';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import {
+  buildRunDescription,
+  runCommand,
+  spoolStream,
+  uploadCommandOutput,
+  uploadFromStream,
+} from '../src/index.js';
+import { formatDuration, generateCommandLogName } from '../src/capture.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const testDir = createFixtureDir('capture');
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+test('formatDuration - formats milliseconds, seconds and minutes', () => {
+  assert.equal(formatDuration(850), '850ms');
+  assert.equal(formatDuration(12345), '12.3s');
+  assert.equal(formatDuration(125000), '2m 5s');
+});
+
+test('generateCommandLogName - uses the command base name', () => {
+  assert.equal(generateCommandLogName(['/usr/bin/make', 'test']), 'make.log');
+});
+
+test('buildRunDescription - records exit code and duration', () => {
+  const description = buildRunDescription({
+    command: ['npm', 'test'],
+    exitCode: 1,
+    signal: null,
+    durationMs: 12345,
+  });
+  assert.equal(description, 'Output of `npm test` (exit code 1, 12.3s)');
+});
+
+test('buildRunDescription - keeps a user description', () => {
+  const description = buildRunDescription(
+    { command: ['sleep', '10'], exitCode: 1, signal: 'SIGTERM', durationMs: 5 },
+    'Nightly build'
+  );
+  assert.equal(description, 'Nightly build (killed by SIGTERM, 5ms)');
+});
+
+test('spoolStream - writes stream content to a file', async () => {
+  const outputPath = path.join(testDir, 'spooled.log');
+  const size = await spoolStream(
+    Readable.from(['line 1\n', 'line 2\n']),
+    outputPath
+  );
+
+  assert.equal(size, 14);
+  assert.equal(fs.readFileSync(outputPath, 'utf8'), 'line 1\nline 2\n');
+});
+
+test('runCommand - captures combined output and exit code', async () => {
+  const outputPath = path.join(testDir, 'run-output.log');
+  const run = await runCommand({
+    command: [
+      process.execPath,
+      '-e',
+      'console.log("out"); console.error("err"); process.exit(3)',
+    ],
+    outputPath,
+    tee: false,
+  });
+
+  assert.equal(run.exitCode, 3);
+  assert.equal(run.signal, null);
+  assert.ok(run.durationMs >= 0);
+  const output = fs.readFileSync(outputPath, 'utf8');
+  assert.ok(output.includes('out\n') && output.includes('err\n'));
+});
+
+test('runCommand - rejects when the command cannot be started', async () => {
+  try {
+    await runCommand({
+      command: ['gh-upload-log-missing-command'],
+      outputPath: path.join(testDir, 'missing.log'),
+      tee: false,
+    });
+    assert.ok(false, 'Expected runCommand to reject');
+  } catch (error) {
+    assert.ok(error.message.includes('Failed to run'));
+  }
+});
+
+test('uploadFromStream - uploads stdin content under the given name', async () => {
+  let uploaded = null;
+  const fakeCommandStream = createFakeCommandStream((command) => {
+    if (command.startsWith('gh gist create ')) {
+      const stagedPath = command.split(' ')[3];
+      uploaded = {
+        name: path.basename(stagedPath),
+        content: fs.readFileSync(stagedPath, 'utf8'),
+      };
+      return createCommandResult({
+        stdout: 'https://gist.github.com/test-user/789\n',
+      });
+    }
+
+    return createCommandResult({ stdout: '[]' });
+  });
+
+  const result = await uploadFromStream({
+    stream: Readable.from(['piped log\n']),
+    name: 'build.log',
+    onlyGist: true,
+    commandStreamFactory: () => fakeCommandStream,
+  });
+
+  assert.equal(result.fileName, 'build.log.txt');
+  assert.deepEqual(uploaded, { name: 'build.log.txt', content: 'piped log\n' });
+});
+
+test('uploadCommandOutput - uploads output with exit status in the description', async () => {
+  let gistCommand = null;
+  const fakeCommandStream = createFakeCommandStream((command) => {
+    if (command.startsWith('gh gist create ')) {
+      gistCommand = command;
+      return createCommandResult({
+        stdout: 'https://gist.github.com/test-user/790\n',
+      });
+    }
+
+    return createCommandResult({ stdout: '[]' });
+  });
+
+  const result = await uploadCommandOutput({
+    command: [process.execPath, '-e', 'process.exit(2)'],
+    name: 'job.log',
+    tee: false,
+    onlyGist: true,
+    commandStreamFactory: () => fakeCommandStream,
+  });
+
+  assert.equal(result.run.exitCode, 2);
+  assert.equal(result.fileName, 'job.log.txt');
+  assert.ok(
+    gistCommand.includes('(exit code 2, '),
+    `Expected exit code in gist description, got: ${gistCommand}`
+  );
+});
+
+test('uploadCommandOutput - reports the finished run before uploading', async () => {
+  const events = [];
+  const fakeCommandStream = createFakeCommandStream((command) => {
+    if (command.startsWith('gh gist create ')) {
+      events.push('upload');
+      return createCommandResult({
+        stdout: 'https://gist.github.com/test-user/791\n',
+      });
+    }
+
+    return createCommandResult({ stdout: '[]' });
+  });
+
+  const result = await uploadCommandOutput({
+    command: [process.execPath, '-e', 'console.log("built")'],
+    name: 'build.log',
+    tee: false,
+    onlyGist: true,
+    onRun: (run, outputPath) => {
+      events.push(`run ${run.exitCode}`);
+      assert.equal(fs.readFileSync(outputPath, 'utf8'), 'built\n');
+    },
+    commandStreamFactory: () => fakeCommandStream,
+  });
+
+  assert.deepEqual(events, ['run 0', 'upload']);
+  assert.equal(result.run.exitCode, 0);
+});
@@ -0,0 +1,152 @@
+/**
+ * Tests for line-aware chunk splitting
+ */
+
+import { test, assert } from 'test-anywhere';
+import fs from 'node:fs';
+import path from 'node:path';
+import { splitFileIntoChunks } from '../src/index.js';
+import { splitFileIntoParts } from '../src/common.js';
+import { buildSharedRepositoryResult } from '../src/repository-staging.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const testDir = createFixtureDir('chunk-split');
+
+function readChunks(chunks) {
+  return chunks.map((chunk) => fs.readFileSync(chunk.path, 'utf8'));
+}
+
+test('splitFileIntoParts - cuts after the last line that fits', async () => {
+  const inputPath = path.join(testDir, 'lines.log');
+  const content = 'alpha\nbeta\ngamma\ndelta\nepsilon\n';
+  fs.writeFileSync(inputPath, content);
+
+  const chunks = await splitFileIntoParts(
+    inputPath,
+    path.join(testDir, 'lines'),
+    12
+  );
+
+  assert.deepEqual(readChunks(chunks), [
+    'alpha\nbeta\n',
+    'gamma\ndelta\n',
+    'epsilon\n',
+  ]);
+  assert.deepEqual(
+    chunks.map(({ size, firstLine, lastLine }) => [size, firstLine, lastLine]),
+    [
+      [11, 1, 2],
+      [12, 3, 4],
+      [8, 5, 5],
+    ]
+  );
+  assert.equal(readChunks(chunks).join(''), content);
+});
+
+test('splitFileIntoChunks - resolves to the chunk paths', async () => {
+  const inputPath = path.join(testDir, 'paths.log');
+  fs.writeFileSync(inputPath, 'alpha\nbeta\ngamma\n');
+
+  const chunks = await splitFileIntoChunks(
+    inputPath,
+    path.join(testDir, 'paths'),
+    12
+  );
+
+  assert.deepEqual(
+    chunks.map((chunk) => path.basename(chunk)),
+    ['paths.part-00.log.txt', 'paths.part-01.log.txt']
+  );
+  assert.equal(fs.readFileSync(chunks[1], 'utf8'), 'gamma\n');
+});
+
+test('splitFileIntoParts - cuts long lines between UTF-8 characters', async () => {
+  const inputPath = path.join(testDir, 'long-line.log');
+  const content = `${'€'.repeat(5)}\nend`;
+  fs.writeFileSync(inputPath, content);
+
+  const chunks = await splitFileIntoParts(
+    inputPath,
+    path.join(testDir, 'long-line'),
+    8
+  );
+
+  assert.deepEqual(readChunks(chunks), ['€€', '€€', '€\nend']);
+  assert.deepEqual(
+    chunks.map(({ firstLine, lastLine }) => [firstLine, lastLine]),
+    [
+      [1, 1],
+      [1, 1],
+      [1, 2],
+    ]
+  );
+  assert.deepEqual(
+    chunks.map((chunk) => path.basename(chunk.path)),
+    [
+      'long-line.part-00.log.txt',
+      'long-line.part-01.log.txt',
+      'long-line.part-02.log.txt',
+    ]
+  );
+});
+
+test('splitFileIntoParts - widens part numbers past 100 parts', async () => {
+  const inputPath = path.join(testDir, 'many.log');
+  const lines = Array.from({ length: 150 }, (_, index) => `${index % 10}\n`);
+  fs.writeFileSync(inputPath, lines.join(''));
+
+  const chunks = await splitFileIntoParts(
+    inputPath,
+    path.join(testDir, 'many'),
+    2
+  );
+  const names = chunks.map((chunk) => path.basename(chunk.path));
+
+  assert.equal(chunks.length, 150);
+  assert.equal(names[0], 'many.part-000.log.txt');
+  assert.equal(names[149], 'many.part-149.log.txt');
+  assert.deepEqual([...names].sort(), names);
+  assert.deepEqual(
+    fs.readdirSync(path.join(testDir, 'many')).sort(),
+    [...names].sort()
+  );
+  assert.equal(readChunks(chunks).join(''), lines.join(''));
+  assert.deepEqual([chunks[120].firstLine, chunks[120].lastLine], [121, 121]);
+});
+
+test('upload results carry the line range of each part', () => {
+  const result = buildSharedRepositoryResult({
+    owner: 'test-user',
+    repositoryName: 'private-logs',
+    defaultBranch: 'main',
+    repositoryPath: 'app',
+    contents: [
+      { name: 'app.part-00.log.txt', download_url: 'https://raw/0' },
+      { name: 'app.part-01.log.txt', download_url: 'https://raw/1' },
+      { name: 'notes.log.txt', download_url: 'https://raw/notes' },
+    ],
+    isPublic: false,
+    workDir: null,
+    stagedFiles: [
+      { name: 'app.part-00.log.txt', firstLine: 1, lastLine: 1048575 },
+      { name: 'app.part-01.log.txt', firstLine: 1048576, lastLine: 2000000 },
+      { name: 'notes.log.txt' },
+    ],
+  });
+
+  assert.deepEqual(result.files, [
+    {
+      name: 'app.part-00.log.txt',
+      rawUrl: 'https://raw/0',
+      firstLine: 1,
+      lastLine: 1048575,
+    },
+    {
+      name: 'app.part-01.log.txt',
+      rawUrl: 'https://raw/1',
+      firstLine: 1048576,
+      lastLine: 2000000,
+    },
+    { name: 'notes.log.txt', rawUrl: 'https://raw/notes' },
+  ]);
+});
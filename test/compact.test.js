@@ -0,0 +1,241 @@
+/**
+ * Tests for shared-repository compaction and archive lookups
+ */
+
+import { test, assert } from 'test-anywhere';
+import fs from 'node:fs';
+import path from 'node:path';
+import { compactRepository, downloadLog } from '../src/index.js';
+import { getArchiveRepositoryName } from '../src/compact.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const testDir = createFixtureDir('compact');
+
+const now = new Date('2026-08-15T10:00:00Z');
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+function notFound() {
+  return createCommandResult({ code: 1, stderr: 'gh: Not Found (HTTP 404)\n' });
+}
+
+function encodeJson(value) {
+  return `${Buffer.from(JSON.stringify(value)).toString('base64')}\n`;
+}
+
+/**
+ * Fake `gh` where private-logs exists and the given repositories are taken
+ */
+function createCompactStream(existing, commands = [], layout = null) {
+  return createFakeCommandStream((command) => {
+    commands.push(command);
+
+    if (command === 'gh api user --jq .login') {
+      return createCommandResult({ stdout: 'me\n' });
+    }
+    const metadataMatch = command.match(/^gh api repos\/me\/([^/ ]+) --jq/);
+    if (metadataMatch) {
+      return existing.includes(metadataMatch[1])
+        ? createCommandResult({
+            stdout: '{"defaultBranch":"main","visibility":"private"}\n',
+          })
+        : notFound();
+    }
+    if (
+      command.startsWith('gh api repos/me/private-logs/contents/.gh-upload-log')
+    ) {
+      return layout
+        ? createCommandResult({ stdout: encodeJson(layout) })
+        : notFound();
+    }
+    if (command.includes('--jq .object.sha')) {
+      return createCommandResult({ stdout: 'head-sha\n' });
+    }
+    if (command.includes('--jq .tree.sha')) {
+      return createCommandResult({ stdout: 'tree-sha\n' });
+    }
+    if (command.includes('git/commits -f message=')) {
+      return createCommandResult({ stdout: 'root-sha\n' });
+    }
+    return createCommandResult();
+  });
+}
+
+function decodePutContent(command) {
+  const content = command.match(/-f content=(\S+)/)[1];
+  return Buffer.from(content, 'base64').toString('utf8');
+}
+
+test('getArchiveRepositoryName - names archives by UTC quarter', () => {
+  assert.equal(
+    getArchiveRepositoryName('private-logs', now),
+    'private-logs-2026Q3'
+  );
+  assert.equal(
+    getArchiveRepositoryName('logs', new Date('2026-01-01T00:00:00Z')),
+    'logs-2026Q1'
+  );
+});
+
+test('compactRepository archives the repository and indexes the archive', async () => {
+  const commands = [];
+  const result = await compactRepository({
+    now,
+    commandStreamFactory: () =>
+      createCompactStream(['private-logs', 'private-logs-2026Q3'], commands, {
+        layoutVersion: 1,
+        pathTemplate: 'log-{name}',
+        archives: [
+          {
+            repository: 'private-logs-2026Q1',
+            url: 'https://github.com/me/private-logs-2026Q1',
+            archivedAt: '2026-02-01T00:00:00.000Z',
+          },
+        ],
+      }),
+  });
+
+  assert.equal(result.archive.repository, 'private-logs-2026Q3-2');
+  assert.ok(
+    commands.includes(
+      'gh api -X PATCH repos/me/private-logs -f name=private-logs-2026Q3-2'
+    )
+  );
+  assert.ok(
+    commands.includes(
+      'gh api -X PATCH repos/me/private-logs-2026Q3-2 -F archived=true'
+    )
+  );
+  assert.ok(commands.includes('gh repo create private-logs --private'));
+
+  const layoutPut = commands.find((command) =>
+    command.startsWith(
+      'gh api -X PUT repos/me/private-logs/contents/.gh-upload-log.json'
+    )
+  );
+  const layout = JSON.parse(decodePutContent(layoutPut));
+  assert.equal(layout.pathTemplate, 'log-{name}');
+  assert.deepEqual(
+    layout.archives.map((archive) => archive.repository),
+    ['private-logs-2026Q3-2', 'private-logs-2026Q1']
+  );
+
+  const indexPut = commands.find((command) =>
+    command.startsWith(
+      'gh api -X PUT repos/me/private-logs/contents/ARCHIVES.md'
+    )
+  );
+  assert.ok(
+    decodePutContent(indexPut).includes(
+      '[private-logs-2026Q3-2](https://github.com/me/private-logs-2026Q3-2)'
+    )
+  );
+});
+
+test('compactRepository squash mode replaces the history with a root commit', async () => {
+  const commands = [];
+  const result = await compactRepository({
+    mode: 'squash',
+    now,
+    commandStreamFactory: () => createCompactStream(['private-logs'], commands),
+  });
+
+  assert.equal(result.commitSha, 'root-sha');
+  assert.ok(
+    commands.some((command) =>
+      command.endsWith(
+        'git/commits -f message=Compact log repository history -f tree=tree-sha --jq .sha'
+      )
+    )
+  );
+  assert.ok(
+    commands.includes(
+      'gh api -X PATCH repos/me/private-logs/git/refs/heads/main -f sha=root-sha -F force=true'
+    )
+  );
+  assert.ok(!commands.some((command) => command.includes('gh repo create')));
+});
+
+test('compactRepository dry mode changes nothing', async () => {
+  const commands = [];
+  const result = await compactRepository({
+    dryMode: true,
+    now,
+    commandStreamFactory: () => createCompactStream(['private-logs'], commands),
+  });
+
+  assert.equal(result.archive.repository, 'private-logs-2026Q3');
+  assert.ok(!commands.some((command) => command.includes('-X ')));
+});
+
+test('downloadLog finds uploads that moved into an archive', async () => {
+  const commands = [];
+  const fakeCommandStream = createFakeCommandStream((command) => {
+    commands.push(command);
+    if (command.startsWith('gh repo clone me/private-logs-2026Q1 ')) {
+      const workDir = command.split(' ')[4];
+      fs.mkdirSync(path.join(workDir, 'log-app'), { recursive: true });
+      fs.writeFileSync(path.join(workDir, 'log-app', 'app.log.txt'), 'old\n');
+    }
+    if (
+      command.startsWith('gh api repos/me/private-logs/contents/.gh-upload-log')
+    ) {
+      return createCommandResult({
+        stdout: encodeJson({
+          archives: [{ repository: 'private-logs-2026Q1' }],
+        }),
+      });
+    }
+    if (command.startsWith('gh api repos/me/private-logs-2026Q1/contents/')) {
+      return createCommandResult({
+        stdout: '[{"name":"app.log.txt","download_url":null}]\n',
+      });
+    }
+    return createCommandResult();
+  });
+
+  const output = path.join(testDir, 'archived.log');
+  const result = await downloadLog(
+    'https://github.com/me/private-logs/tree/main/log-app',
+    { output, commandStreamFactory: () => fakeCommandStream }
+  );
+
+  assert.equal(fs.readFileSync(result.outputPath, 'utf8'), 'old\n');
+  assert.ok(
+    commands.some((command) =>
+      command.startsWith('gh repo clone me/private-logs-2026Q1 ')
+    )
+  );
+});
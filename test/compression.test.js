@@ -0,0 +1,253 @@
+/**
+ * Tests for compressing logs before upload
+ */
+
+import { test, assert } from 'test-anywhere';
+import fs from 'node:fs';
+import path from 'node:path';
+import { downloadLog, uploadLog } from '../src/index.js';
+import {
+  compressFile,
+  detectCompressionCodec,
+  encodeBase64File,
+  getBase64EncodedSize,
+  isCompressionSupported,
+  resolveCompressionCodec,
+  restoreUploadedFile,
+} from '../src/compression.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const testDir = createFixtureDir('compression');
+
+const logPath = path.join(testDir, 'app.log');
+const logContent = 'INFO request handled in 12ms\n'.repeat(2000);
+fs.writeFileSync(logPath, logContent);
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+test('resolveCompressionCodec - resolves auto and rejects unknown codecs', () => {
+  assert.equal(resolveCompressionCodec(undefined), null);
+  assert.equal(resolveCompressionCodec('none'), null);
+  assert.equal(resolveCompressionCodec('gzip'), 'gzip');
+  assert.equal(
+    resolveCompressionCodec('auto'),
+    isCompressionSupported('zstd') ? 'zstd' : 'gzip'
+  );
+
+  try {
+    resolveCompressionCodec('brotli');
+    assert.ok(false, 'Expected resolveCompressionCodec to throw');
+  } catch (error) {
+    assert.ok(error.message.includes('Unknown compression codec'));
+  }
+});
+
+test('compressFile - gzip round trip through base64 restores the log', async () => {
+  const compressedPath = path.join(testDir, 'app.log.gz');
+  const encodedPath = `${compressedPath}.b64`;
+  const restoredPath = path.join(testDir, 'restored.log');
+
+  const sizes = await compressFile(logPath, compressedPath, 'gzip');
+  assert.equal(sizes.originalSize, logContent.length);
+  assert.ok(sizes.compressedSize < sizes.originalSize / 10);
+  assert.equal(detectCompressionCodec(compressedPath), 'gzip');
+
+  const encodedSize = await encodeBase64File(compressedPath, encodedPath);
+  assert.equal(encodedSize, getBase64EncodedSize(sizes.compressedSize));
+  assert.ok(
+    fs
+      .readFileSync(encodedPath, 'utf8')
+      .split('\n')
+      .every((line) => line.length <= 76)
+  );
+
+  assert.equal(await restoreUploadedFile(encodedPath, restoredPath), 'gzip');
+  assert.equal(fs.readFileSync(restoredPath, 'utf8'), logContent);
+});
+
+test('compressFile - zstd round trip when the runtime supports it', async () => {
+  if (!isCompressionSupported('zstd')) {
+    return;
+  }
+
+  const compressedPath = path.join(testDir, 'app.log.zst');
+  const restoredPath = path.join(testDir, 'restored-zstd.log');
+
+  await compressFile(logPath, compressedPath, 'zstd');
+  assert.equal(detectCompressionCodec(compressedPath), 'zstd');
+  assert.equal(await restoreUploadedFile(compressedPath, restoredPath), 'zstd');
+  assert.equal(fs.readFileSync(restoredPath, 'utf8'), logContent);
+});
+
+test('restoreUploadedFile - copies uncompressed files unchanged', async () => {
+  const restoredPath = path.join(testDir, 'plain.log');
+  assert.equal(await restoreUploadedFile(logPath, restoredPath), null);
+  assert.equal(fs.readFileSync(restoredPath, 'utf8'), logContent);
+});
+
+test('uploadLog - compress uploads a base64 gist and reports sizes', async () => {
+  let gistCommand = null;
+  const fakeCommandStream = createFakeCommandStream((command) => {
+    if (command.startsWith('gh gist create ')) {
+      gistCommand = command;
+      return createCommandResult({
+        stdout: 'https://gist.github.com/test-user/abc\n',
+      });
+    }
+
+    return createCommandResult({ code: 1 });
+  });
+
+  const result = await uploadLog({
+    filePath: logPath,
+    compress: 'gzip',
+    commandStreamFactory: () => fakeCommandStream,
+  });
+
+  const expectedName = 'test-fixtures-compression-app.log.txt.gz.b64';
+  assert.equal(result.type, 'gist');
+  assert.equal(result.fileName, expectedName);
+  assert.ok(gistCommand.includes(expectedName));
+  assert.equal(result.compression.codec, 'gzip');
+  assert.equal(result.compression.encoding, 'base64');
+  assert.equal(result.compression.originalSize, logContent.length);
+  assert.ok(result.compression.compressedSize < logContent.length);
+});
+
+test('uploadLog - compressed repository uploads stage binary blobs', async () => {
+  const fakeCommandStream = createFakeCommandStream((command) => {
+    if (command === 'gh api user --jq .login') {
+      return createCommandResult({ stdout: 'test-user\n' });
+    }
+    if (command.startsWith('gh api repos/test-user/private-logs --jq')) {
+      return createCommandResult({
+        stdout: '{"defaultBranch":"main","visibility":"private"}\n',
+      });
+    }
+    if (command.includes('/contents/')) {
+      return createCommandResult({
+        code: 1,
+        stderr: 'gh: Not Found (HTTP 404)\n',
+      });
+    }
+
+    return createCommandResult();
+  });
+
+  const result = await uploadLog({
+    filePath: logPath,
+    compress: 'gzip',
+    onlyRepository: true,
+    commandStreamFactory: () => fakeCommandStream,
+  });
+
+  assert.equal(result.type, 'repo');
+  assert.equal(result.compression.encoding, 'binary');
+  assert.equal(result.fileName, 'test-fixtures-compression-app.log.txt.gz');
+  const stagedPath = path.join(
+    result.workDir,
+    result.repositoryPath,
+    result.fileName
+  );
+  assert.equal(detectCompressionCodec(stagedPath), 'gzip');
+  fs.rmSync(result.workDir, { recursive: true, force: true });
+});
+
+test('downloadLog - returns a gzip file uploaded uncompressed as it was', async () => {
+  const gzipPath = path.join(testDir, 'archive.gz');
+  await compressFile(logPath, gzipPath, 'gzip');
+  const respond = (command) => {
+    if (command === 'gh api user --jq .login') {
+      return createCommandResult({ stdout: 'test-user\n' });
+    }
+    if (command.startsWith('gh api repos/test-user/private-logs --jq')) {
+      return createCommandResult({
+        stdout: '{"defaultBranch":"main","visibility":"private"}\n',
+      });
+    }
+    if (command.includes('/contents/')) {
+      return createCommandResult({
+        code: 1,
+        stderr: 'gh: Not Found (HTTP 404)\n',
+      });
+    }
+    return createCommandResult();
+  };
+
+  const uploaded = await uploadLog({
+    filePath: gzipPath,
+    onlyRepository: true,
+    commandStreamFactory: () => createFakeCommandStream(respond),
+  });
+  const stagedDir = path.join(uploaded.workDir, uploaded.repositoryPath);
+  assert.equal(uploaded.compression, undefined);
+
+  const restoredPath = path.join(testDir, 'archive-restored.gz');
+  const downloaded = await downloadLog(
+    `https://github.com/test-user/private-logs/tree/main/${uploaded.repositoryPath}`,
+    {
+      output: restoredPath,
+      commandStreamFactory: () =>
+        createFakeCommandStream((command) => {
+          if (command.startsWith('gh repo clone ')) {
+            const cloneDir = path.join(
+              command.split(' ')[4],
+              uploaded.repositoryPath
+            );
+            fs.cpSync(stagedDir, cloneDir, { recursive: true });
+          }
+          return createCommandResult();
+        }),
+    }
+  );
+  fs.rmSync(uploaded.workDir, { recursive: true, force: true });
+
+  assert.equal(downloaded.files[0].codec, null);
+  assert.equal(downloaded.files[0].verified, true);
+  assert.ok(fs.readFileSync(restoredPath).equals(fs.readFileSync(gzipPath)));
+});
+
+test('uploadLog - auto compression leaves logs that fit a gist alone', async () => {
+  for (const compress of ['auto', true]) {
+    const result = await uploadLog({
+      filePath: logPath,
+      compress,
+      dryMode: true,
+    });
+
+    assert.equal(result.type, 'gist');
+    assert.equal(result.compression, undefined);
+  }
+});
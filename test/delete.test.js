@@ -0,0 +1,179 @@
+/**
+ * Tests for deleting a single upload
+ */
+
+import { test, assert } from 'test-anywhere';
+import { deleteUpload } from '../src/index.js';
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+function notFound() {
+  return createCommandResult({ code: 1, stderr: 'gh: Not Found (HTTP 404)\n' });
+}
+
+/**
+ * Fake `gh` with a private-logs repository holding the legacy folders
+ * log-app and log-app-2, a dedicated repository log-huge and one gist
+ * created by the tool
+ */
+function createDeleteStream(commands = []) {
+  return createFakeCommandStream((command) => {
+    commands.push(command);
+
+    if (command === 'gh api user --jq .login') {
+      return createCommandResult({ stdout: 'me\n' });
+    }
+    const metadataMatch = command.match(/^gh api repos\/me\/([^/ ]+) --jq/);
+    if (metadataMatch) {
+      return ['private-logs', 'log-huge'].includes(metadataMatch[1])
+        ? createCommandResult({
+            stdout: '{"defaultBranch":"main","visibility":"private"}\n',
+          })
+        : notFound();
+    }
+    if (command.startsWith('gh api -X GET repos/me/private-logs/git/trees/')) {
+      return createCommandResult({
+        stdout: JSON.stringify({
+          truncated: false,
+          files: [
+            { path: 'log-app/app.log.txt', size: 10 },
+            { path: 'log-app-2/app-2.log.txt', size: 10 },
+          ],
+        }),
+      });
+    }
+    if (command.includes('/commits -f path=')) {
+      return createCommandResult({ stdout: '2026-02-01T00:00:00Z\n' });
+    }
+    if (command.includes('/contents/')) {
+      return notFound();
+    }
+    if (command.startsWith('gh api gists --paginate')) {
+      return createCommandResult({
+        stdout: `${JSON.stringify({
+          id: 'abc123',
+          description: 'Log file: ci.log [gh-upload-log]',
+          isPublic: false,
+          createdAt: '2026-02-02T00:00:00Z',
+          url: 'https://gist.github.com/me/abc123',
+          files: ['ci.log.txt'],
+          size: 10,
+        })}\n`,
+      });
+    }
+    if (command.includes('--jq .object.sha')) {
+      return createCommandResult({ stdout: 'head-sha\n' });
+    }
+    if (command.includes('--jq .tree.sha')) {
+      return createCommandResult({ stdout: 'tree-sha\n' });
+    }
+    if (command.includes('git/commits -f message=')) {
+      return createCommandResult({ stdout: 'root-sha\n' });
+    }
+    return createCommandResult();
+  });
+}
+
+test('deleteUpload removes a shared-repository folder and can purge its history', async () => {
+  const commands = [];
+  const result = await deleteUpload(
+    'https://github.com/me/private-logs/tree/main/log-app',
+    {
+      purgeHistory: true,
+      commandStreamFactory: () => createDeleteStream(commands),
+    }
+  );
+
+  assert.equal(result.type, 'folder');
+  assert.equal(result.deleted, true);
+  assert.equal(result.historyPurged, true);
+  assert.ok(
+    commands.some((command) =>
+      command.endsWith('git rm -q --cached -- log-app/app.log.txt')
+    )
+  );
+  assert.ok(
+    commands.includes(
+      'gh api -X PATCH repos/me/private-logs/git/refs/heads/main -f sha=root-sha -F force=true'
+    )
+  );
+});
+
+test('deleteUpload resolves names to gists and dedicated repositories', async () => {
+  const commands = [];
+  const commandStreamFactory = () => createDeleteStream(commands);
+
+  const gist = await deleteUpload('ci.log', { commandStreamFactory });
+  assert.equal(gist.url, 'https://gist.github.com/me/abc123');
+  assert.ok(commands.includes('gh api -X DELETE gists/abc123'));
+
+  const repository = await deleteUpload('huge.log', { commandStreamFactory });
+  assert.equal(repository.url, 'https://github.com/me/log-huge');
+  assert.ok(commands.includes('gh repo delete me/log-huge --yes'));
+
+  const folder = await deleteUpload('app-2', {
+    dryMode: true,
+    commandStreamFactory,
+  });
+  assert.equal(folder.repositoryPath, 'log-app-2');
+  assert.equal(folder.deleted, false);
+});
+
+test('deleteUpload asks for confirmation and refuses whole shared repositories', async () => {
+  const commands = [];
+  const commandStreamFactory = () => createDeleteStream(commands);
+
+  let confirmed;
+  const result = await deleteUpload('https://gist.github.com/me/abc123', {
+    confirm: (upload) => {
+      confirmed = upload;
+      return false;
+    },
+    commandStreamFactory,
+  });
+  assert.equal(confirmed.gistId, 'abc123');
+  assert.equal(result.deleted, false);
+  assert.ok(!commands.some((command) => command.includes('DELETE')));
+
+  let caught;
+  try {
+    await deleteUpload('https://github.com/me/private-logs', {
+      commandStreamFactory,
+    });
+  } catch (error) {
+    caught = error;
+  }
+  assert.ok(caught?.message.includes('is a shared repository'));
+});
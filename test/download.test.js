@@ -0,0 +1,196 @@
+/**
+ * Tests for downloading uploads and restoring the original logs
+ */
+
+import { test, assert } from 'test-anywhere';
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import {
+  downloadLog,
+  groupUploadedFiles,
+  parseUploadUrl,
+} from '../src/download.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const testDir = createFixtureDir('download');
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+function writeFiles(directory, files) {
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(directory, name)), { recursive: true });
+    fs.writeFileSync(path.join(directory, name), content);
+  }
+}
+
+test('parseUploadUrl - recognizes gist, repository and folder URLs', () => {
+  assert.deepEqual(parseUploadUrl('https://gist.github.com/test-user/abc123'), {
+    type: 'gist',
+    host: 'github.com',
+    gistId: 'abc123',
+  });
+  assert.deepEqual(
+    parseUploadUrl(
+      'https://github.com/test-user/private-logs/tree/main/log-app'
+    ),
+    {
+      type: 'repo',
+      host: 'github.com',
+      owner: 'test-user',
+      repositoryName: 'private-logs',
+      branch: 'main',
+      repositoryPath: 'log-app',
+    }
+  );
+  assert.equal(
+    parseUploadUrl('https://github.com/test-user/log-app').repositoryPath,
+    ''
+  );
+
+  try {
+    parseUploadUrl('https://example.com/file.log');
+    assert.ok(false, 'Expected parseUploadUrl to throw');
+  } catch (error) {
+    assert.ok(error.message.includes('Unsupported upload URL'));
+  }
+});
+
+test('groupUploadedFiles - orders chunks numerically and detects gaps', () => {
+  assert.deepEqual(
+    groupUploadedFiles([
+      'app.part-10.log.txt',
+      'app.part-02.log.txt',
+      'other.log.txt',
+      ...Array.from({ length: 11 }, (_, index) =>
+        index === 2 || index === 10
+          ? null
+          : `app.part-${String(index).padStart(2, '0')}.log.txt`
+      ).filter(Boolean),
+    ]).map((group) => [group.name, group.parts.length, group.parts[10]]),
+    [
+      ['app.log.txt', 11, 'app.part-10.log.txt'],
+      ['other.log.txt', 1, undefined],
+    ]
+  );
+
+  try {
+    groupUploadedFiles(['app.part-00.log.txt', 'app.part-02.log.txt']);
+    assert.ok(false, 'Expected groupUploadedFiles to throw');
+  } catch (error) {
+    assert.ok(error.message.includes('Missing chunk 1 of app.log.txt'));
+  }
+});
+
+test('downloadLog - joins shared-repository chunks into the original log', async () => {
+  const commands = [];
+  const fakeCommandStream = createFakeCommandStream((command) => {
+    commands.push(command);
+    if (command.startsWith('gh repo clone test-user/private-logs ')) {
+      writeFiles(command.split(' ')[4], {
+        'log-app/app.part-00.log.txt': 'first\n',
+        'log-app/app.part-01.log.txt': 'second\n',
+        'log-app/app.part-02.log.txt': 'third\n',
+        'log-other/other.log.txt': 'not mine\n',
+      });
+    }
+
+    return createCommandResult();
+  });
+
+  const output = path.join(testDir, 'restored.log');
+  const result = await downloadLog(
+    'https://github.com/test-user/private-logs/tree/main/log-app',
+    { output, commandStreamFactory: () => fakeCommandStream }
+  );
+
+  assert.equal(result.outputPath, output);
+  assert.equal(fs.readFileSync(output, 'utf8'), 'first\nsecond\nthird\n');
+  assert.deepEqual(result.files, [
+    {
+      name: 'app.log.txt',
+      path: output,
+      size: 19,
+      parts: 3,
+      codec: null,
+      verified: false,
+    },
+  ]);
+  assert.ok(commands[0].includes('--branch main --sparse'));
+  assert.ok(commands[1].endsWith('git sparse-checkout set log-app'));
+});
+
+test('downloadLog - decodes and decompresses a compressed gist', async () => {
+  const content = 'compressed log line\n'.repeat(100);
+  const encoded = zlib.gzipSync(content).toString('base64');
+  const fakeCommandStream = createFakeCommandStream((command) => {
+    if (command.startsWith('gh gist clone abc ')) {
+      writeFiles(command.split(' ')[4], {
+        'app.log.txt.gz.b64': encoded,
+      });
+    }
+
+    return createCommandResult();
+  });
+
+  const outputDir = path.join(testDir, 'gist');
+  const result = await downloadLog('https://gist.github.com/test-user/abc', {
+    output: `${outputDir}/`,
+    commandStreamFactory: () => fakeCommandStream,
+  });
+
+  assert.equal(result.type, 'gist');
+  assert.equal(result.files[0].name, 'app.log.txt');
+  assert.equal(result.files[0].codec, 'gzip');
+  assert.equal(
+    fs.readFileSync(path.join(outputDir, 'app.log.txt'), 'utf8'),
+    content
+  );
+});
+
+test('downloadLog - reports failed downloads', async () => {
+  const fakeCommandStream = createFakeCommandStream(() =>
+    createCommandResult({ code: 1, stderr: 'gh: Not Found (HTTP 404)\n' })
+  );
+
+  try {
+    await downloadLog('https://gist.github.com/test-user/missing', {
+      commandStreamFactory: () => fakeCommandStream,
+    });
+    assert.ok(false, 'Expected downloadLog to reject');
+  } catch (error) {
+    assert.ok(error.message.includes('Failed to download gist missing'));
+  }
+});
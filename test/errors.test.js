@@ -0,0 +1,214 @@
+/**
+ * Tests for error classes and CLI exit codes
+ */
+
+import { test, assert } from 'test-anywhere';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  AuthenticationError,
+  ERROR_CLASSES,
+  getExitCode,
+  GitCommandError,
+  GitHubApiError,
+  IntegrityError,
+  NotFoundError,
+  RateLimitError,
+  UsageError,
+  VisibilityMismatchError,
+  uploadLog,
+} from '../src/index.js';
+import { runCommand } from '../src/capture.js';
+import { ensureCommandSucceeded } from '../src/common.js';
+import { groupUploadedFiles } from '../src/download.js';
+import { createGitHubApiError } from '../src/github-api.js';
+import {
+  MANIFEST_FILE_NAME,
+  readUploadManifest,
+  verifyFileChecksum,
+} from '../src/manifest.js';
+import { assertSharedRepositoryUsable } from '../src/repository-staging.js';
+import { readUploadState, writeUploadState } from '../src/upload-state.js';
+
+test('error classes have stable codes and distinct exit codes', () => {
+  const exitCodes = ERROR_CLASSES.map((ErrorClass) => ErrorClass.exitCode);
+  assert.equal(new Set(exitCodes).size, ERROR_CLASSES.length);
+  assert.ok(!exitCodes.includes(0));
+
+  const error = new RateLimitError('slow down', {
+    retryAfter: 5000,
+    cause: new Error('HTTP 429'),
+  });
+  assert.ok(error instanceof Error);
+  assert.equal(error.name, 'RateLimitError');
+  assert.equal(error.code, 'RATE_LIMITED');
+  assert.equal(error.exitCode, 4);
+  assert.equal(error.retryAfter, 5000);
+  assert.equal(error.cause.message, 'HTTP 429');
+
+  assert.equal(getExitCode(error), 4);
+  assert.equal(getExitCode(new Error('boom')), 1);
+  assert.equal(
+    getExitCode(Object.assign(new Error('full'), { code: 'ENOSPC' })),
+    9
+  );
+});
+
+test('REST errors get the class of their failure', () => {
+  const unauthorized = createGitHubApiError('get user', 401, {
+    message: 'Bad credentials',
+  });
+  assert.ok(unauthorized instanceof AuthenticationError);
+  assert.equal(unauthorized.status, 401);
+
+  const limited = createGitHubApiError(
+    'create gist',
+    429,
+    { message: 'Too Many Requests' },
+    { 'retry-after': '30' }
+  );
+  assert.ok(limited instanceof RateLimitError);
+  assert.equal(limited.retryAfter, 30000);
+
+  assert.ok(
+    createGitHubApiError('get repository', 404, null) instanceof NotFoundError
+  );
+
+  const invalid = createGitHubApiError('create gist', 422, {
+    message: 'Validation Failed',
+  });
+  assert.ok(invalid instanceof GitHubApiError);
+  assert.equal(invalid.code, 'GITHUB_API_ERROR');
+  assert.equal(invalid.category, 'validation');
+});
+
+test('failed commands raise GitCommandError unless the output says more', () => {
+  let caught;
+  try {
+    ensureCommandSucceeded(
+      { code: 128, stdout: '', stderr: 'fatal: not a git repository' },
+      'commit'
+    );
+  } catch (error) {
+    caught = error;
+  }
+  assert.ok(caught instanceof GitCommandError);
+  assert.equal(caught.code, 'GIT_COMMAND_FAILED');
+  assert.equal(caught.commandExitCode, 128);
+  assert.equal(caught.stderr, 'fatal: not a git repository');
+
+  try {
+    ensureCommandSucceeded(
+      { code: 1, stdout: '', stderr: 'HTTP 401: Bad credentials' },
+      'create repository'
+    );
+  } catch (error) {
+    caught = error;
+  }
+  assert.ok(caught instanceof AuthenticationError);
+  assert.equal(caught.commandExitCode, 1);
+});
+
+test('shared repositories with the wrong visibility or no push access are refused', () => {
+  let caught;
+  try {
+    assertSharedRepositoryUsable(
+      { visibility: 'public', canPush: true },
+      'me/private-logs',
+      false
+    );
+  } catch (error) {
+    caught = error;
+  }
+  assert.ok(caught instanceof VisibilityMismatchError);
+  assert.equal(caught.exitCode, 7);
+
+  try {
+    assertSharedRepositoryUsable(
+      { visibility: 'private', canPush: false },
+      'our-org/ci-logs',
+      false
+    );
+  } catch (error) {
+    caught = error;
+  }
+  assert.ok(caught instanceof AuthenticationError);
+});
+
+test('invalid options raise UsageError', async () => {
+  const error = await uploadLog({
+    filePath: 'test/fixtures/missing.log',
+  }).catch((caught) => caught);
+  assert.ok(error instanceof UsageError);
+  assert.equal(error.code, 'INVALID_USAGE');
+  assert.equal(getExitCode(error), 2);
+});
+
+test('downloads that do not match the upload raise IntegrityError', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gh-upload-log-errors-'));
+  try {
+    const logPath = path.join(dir, 'app.log.txt');
+    fs.writeFileSync(logPath, 'line 1\n');
+    const sizeError = await verifyFileChecksum(logPath, {
+      name: 'app.log.txt',
+      size: 8,
+      sha256: '0',
+    }).catch((caught) => caught);
+    assert.ok(sizeError instanceof IntegrityError);
+    assert.equal(sizeError.code, 'INTEGRITY_CHECK_FAILED');
+    assert.equal(getExitCode(sizeError), 12);
+
+    const checksumError = await verifyFileChecksum(logPath, {
+      name: 'app.log.txt',
+      size: 7,
+      sha256: '0',
+    }).catch((caught) => caught);
+    assert.ok(checksumError instanceof IntegrityError);
+
+    fs.writeFileSync(path.join(dir, MANIFEST_FILE_NAME), '{"files": [');
+    let manifestError;
+    try {
+      readUploadManifest(dir);
+    } catch (caught) {
+      manifestError = caught;
+    }
+    assert.ok(manifestError instanceof IntegrityError);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('missing chunks, stale upload states and unknown commands are typed', async () => {
+  let chunkError;
+  try {
+    groupUploadedFiles(['app.part-00.log.txt', 'app.part-02.log.txt']);
+  } catch (caught) {
+    chunkError = caught;
+  }
+  assert.ok(chunkError instanceof NotFoundError);
+
+  const stateDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), 'gh-upload-log-errors-')
+  );
+  try {
+    writeUploadState(stateDir, { id: 'old', version: 0 });
+    let stateError;
+    try {
+      readUploadState(stateDir, 'old');
+    } catch (caught) {
+      stateError = caught;
+    }
+    assert.ok(stateError instanceof UsageError);
+
+    const spawnError = await runCommand({
+      command: ['gh-upload-log-missing-command'],
+      outputPath: path.join(stateDir, 'missing.log'),
+      tee: false,
+    }).catch((caught) => caught);
+    assert.ok(spawnError instanceof UsageError);
+    assert.equal(spawnError.cause.code, 'ENOENT');
+  } finally {
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  }
+});
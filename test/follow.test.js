@@ -0,0 +1,236 @@
+/**
+ * Tests for following a live log
+ */
+
+import { test, assert } from 'test-anywhere';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { followLog } from '../src/index.js';
+import { MANIFEST_FILE_NAME } from '../src/manifest.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const testDir = createFixtureDir('follow');
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+/**
+ * Fake `gh` keeping the files of a single gist in `gist.files`, created by
+ * `gh gist create` and edited by PATCH requests. Gist listings come back
+ * empty, as they may right after a gist was created.
+ */
+function createGistStream(gist, commands = []) {
+  return createFakeCommandStream((command) => {
+    commands.push(command);
+    if (command.startsWith('gh gist create ')) {
+      for (const part of command.split(' ').filter((p) => fs.existsSync(p))) {
+        gist.files[path.basename(part)] = fs.readFileSync(part, 'utf8');
+      }
+      return createCommandResult({ stdout: 'https://gist.github.com/me/g1\n' });
+    }
+    if (command.startsWith('gh api gists/g1 --jq {"id"')) {
+      if (gist.deleted) {
+        return createCommandResult({
+          code: 1,
+          stderr: 'gh: Not Found (HTTP 404)\n',
+        });
+      }
+      return createCommandResult({
+        stdout: `${JSON.stringify({
+          id: 'g1',
+          description: 'Log file [gh-upload-log]',
+          isPublic: false,
+          createdAt: '2026-03-01T00:00:00Z',
+          url: 'https://gist.github.com/me/g1',
+          files: Object.keys(gist.files),
+          size: 0,
+        })}\n`,
+      });
+    }
+    if (
+      command.startsWith('gh api gists/g1 --jq') &&
+      command.includes('.content')
+    ) {
+      return createCommandResult({
+        stdout: gist.files[MANIFEST_FILE_NAME] || '',
+      });
+    }
+    if (command.startsWith('gh api gists/g1 --jq')) {
+      return createCommandResult({
+        stdout: JSON.stringify(
+          Object.keys(gist.files).map((filename) => ({
+            filename,
+            raw_url: `https://raw/${filename}`,
+          }))
+        ),
+      });
+    }
+    if (command.startsWith('gh api -X PATCH gists/g1 --input ')) {
+      const payloadPath = command.split(' ')[6];
+      const { files } = JSON.parse(fs.readFileSync(payloadPath, 'utf8'));
+      for (const [name, file] of Object.entries(files)) {
+        if (file) {
+          gist.files[name] = file.content;
+        } else {
+          delete gist.files[name];
+        }
+      }
+      gist.version += 1;
+      return createCommandResult({
+        stdout: JSON.stringify({
+          url: 'https://gist.github.com/me/g1',
+          version: `v${gist.version}`,
+          files: Object.keys(gist.files).map((name) => ({
+            name,
+            rawUrl: `https://raw/${name}`,
+          })),
+        }),
+      });
+    }
+    return createCommandResult();
+  });
+}
+
+test('followLog keeps pushing to one gist, also after the log is rotated', async () => {
+  const logPath = path.join(testDir, 'app.log');
+  fs.writeFileSync(logPath, 'one\n');
+  const gist = { files: {}, version: 1 };
+  const controller = new AbortController();
+  const urls = [];
+  const commands = [];
+
+  const result = await followLog({
+    filePath: logPath,
+    interval: '1h',
+    flushBytes: 1,
+    pollInterval: 1,
+    signal: controller.signal,
+    onPush: (pushed) => {
+      urls.push(pushed.url);
+      if (urls.length === 1) {
+        fs.appendFileSync(logPath, 'two\n');
+      } else if (urls.length === 2) {
+        fs.rmSync(logPath);
+        fs.writeFileSync(logPath, 'new\n');
+      } else {
+        controller.abort();
+      }
+    },
+    commandStreamFactory: () => createGistStream(gist, commands),
+  });
+
+  assert.equal(
+    commands.filter((command) => command.startsWith('gh gist create')).length,
+    1
+  );
+  assert.ok(!commands.some((command) => command.startsWith('gh api gists ')));
+  assert.equal(result.pushes, 3);
+  assert.equal(result.size, 12);
+  assert.equal(result.revisionUrl, 'https://gist.github.com/me/g1/v3');
+  assert.deepEqual(urls, Array(3).fill('https://gist.github.com/me/g1'));
+
+  const fileName = 'test-fixtures-follow-app.log.txt';
+  assert.deepEqual(Object.keys(gist.files).sort(), [
+    MANIFEST_FILE_NAME,
+    fileName,
+  ]);
+  assert.equal(gist.files[fileName], 'one\ntwo\nnew\n');
+  const [record] = JSON.parse(gist.files[MANIFEST_FILE_NAME]).files;
+  assert.equal(record.size, 12);
+  assert.equal(record.sha256, sha256('one\ntwo\nnew\n'));
+  assert.deepEqual(record.chunks, [
+    {
+      name: fileName,
+      size: 12,
+      sha256: sha256('one\ntwo\nnew\n'),
+      firstLine: 1,
+      lastLine: 3,
+    },
+  ]);
+});
+
+test('followLog waits for a missing file and rejects compression', async () => {
+  const result = await followLog({
+    filePath: path.join(testDir, 'missing.log'),
+    signal: AbortSignal.abort(),
+    commandStreamFactory: () => createGistStream({ files: {}, version: 1 }),
+  });
+  assert.equal(result, null);
+
+  let caught;
+  try {
+    await followLog({
+      filePath: path.join(testDir, 'app.log'),
+      compress: 'gzip',
+    });
+  } catch (error) {
+    caught = error;
+  }
+  assert.ok(caught?.message.includes('cannot compress'));
+});
+
+test('followLog fails when the upload of its first push is gone', async () => {
+  const logPath = path.join(testDir, 'gone.log');
+  fs.writeFileSync(logPath, 'one\n');
+  const gist = { files: {}, version: 1 };
+  const commands = [];
+
+  let caught;
+  try {
+    await followLog({
+      filePath: logPath,
+      interval: '1h',
+      flushBytes: 1,
+      pollInterval: 1,
+      onPush: () => {
+        gist.deleted = true;
+        fs.appendFileSync(logPath, 'two\n');
+      },
+      commandStreamFactory: () => createGistStream(gist, commands),
+    });
+  } catch (error) {
+    caught = error;
+  }
+
+  assert.equal(caught?.code, 'NOT_FOUND');
+  assert.equal(
+    commands.filter((command) => command.startsWith('gh gist create')).length,
+    1
+  );
+});
@@ -0,0 +1,458 @@
+/**
+ * Tests for the native GitHub REST transport
+ */
+
+import { test, assert } from 'test-anywhere';
+import fs from 'node:fs';
+import path from 'node:path';
+import { downloadLog, uploadLog } from '../src/index.js';
+import {
+  createGitHubApiError,
+  createGitHubClient,
+  resolveTransport,
+} from '../src/github-api.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const fixturesDir = createFixtureDir('github-api');
+const logPath = path.join(fixturesDir, 'app.log');
+fs.writeFileSync(logPath, 'line 1\nline 2\n');
+
+function createResponse(status, body) {
+  const text = body === undefined ? '' : JSON.stringify(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    text: () => Promise.resolve(text),
+    arrayBuffer: () => Promise.resolve(Buffer.from(text)),
+  };
+}
+
+/**
+ * Fake fetch answering `METHOD /route` keys; handlers return `[status, body]`
+ */
+async function readRequestBody(body) {
+  if (typeof body === 'string') {
+    return body;
+  }
+  const chunks = [];
+  for await (const chunk of body) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+function createFakeFetch(routes, requests = []) {
+  return async (url, init = {}) => {
+    const route = url.replace('https://api.github.com', '');
+    const key = `${init.method || 'GET'} ${route}`;
+    const body = init.body
+      ? JSON.parse(await readRequestBody(init.body))
+      : undefined;
+    requests.push({ key, body, headers: init.headers });
+
+    const handler = routes[key];
+    if (!handler) {
+      return Promise.resolve(createResponse(404, { message: 'Not Found' }));
+    }
+    const [status, responseBody] = handler(body);
+    return Promise.resolve(createResponse(status, responseBody));
+  };
+}
+
+function createRepositoryRoutes(owner, repositoryName, overrides = {}) {
+  const repo = `/repos/${owner}/${repositoryName}`;
+  let blobCount = 0;
+
+  return {
+    'GET /user': () => [200, { login: owner }],
+    [`GET ${repo}`]: () => [
+      200,
+      { default_branch: 'main', visibility: 'private' },
+    ],
+    [`GET ${repo}/git/ref/heads/main`]: () => [
+      200,
+      { object: { sha: 'head-sha' } },
+    ],
+    [`GET ${repo}/git/commits/head-sha`]: () => [
+      200,
+      { tree: { sha: 'base-tree' } },
+    ],
+    [`POST ${repo}/git/blobs`]: () => {
+      blobCount += 1;
+      return [201, { sha: `blob-${blobCount}` }];
+    },
+    [`POST ${repo}/git/trees`]: () => [201, { sha: 'new-tree' }],
+    [`POST ${repo}/git/commits`]: () => [201, { sha: 'new-commit' }],
+    [`PATCH ${repo}/git/refs/heads/main`]: () => [
+      200,
+      { object: { sha: 'new-commit' } },
+    ],
+    ...overrides,
+  };
+}
+
+test('resolveTransport picks api only when a token is available', () => {
+  const savedTokens = [process.env.GH_TOKEN, process.env.GITHUB_TOKEN];
+  delete process.env.GH_TOKEN;
+  delete process.env.GITHUB_TOKEN;
+
+  try {
+    assert.equal(resolveTransport({}), 'gh');
+    assert.equal(resolveTransport({ token: 'secret' }), 'api');
+    assert.equal(
+      resolveTransport({ token: 'secret', commandStreamFactory: () => null }),
+      'gh'
+    );
+    assert.equal(resolveTransport({ transport: 'api' }), 'api');
+    process.env.GITHUB_TOKEN = 'from-env';
+    assert.equal(resolveTransport({}), 'api');
+    assert.throws(() => resolveTransport({ transport: 'ssh' }));
+  } finally {
+    for (const [index, name] of ['GH_TOKEN', 'GITHUB_TOKEN'].entries()) {
+      if (savedTokens[index] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = savedTokens[index];
+      }
+    }
+  }
+});
+
+test('createGitHubClient requires a token', () => {
+  assert.throws(() =>
+    createGitHubClient({ token: '', fetch: createFakeFetch({}) })
+  );
+});
+
+test('client requests are authenticated and failures carry HTTP details', async () => {
+  const requests = [];
+  const client = createGitHubClient({
+    token: 'secret',
+    fetch: createFakeFetch(
+      {
+        'POST /gists': () => [
+          422,
+          {
+            message: 'Validation Failed',
+            errors: [{ message: 'contents are missing' }],
+            documentation_url: 'https://docs.github.com/rest',
+          },
+        ],
+      },
+      requests
+    ),
+  });
+
+  let caught;
+  try {
+    await client.createGist({ files: {}, isPublic: false });
+  } catch (error) {
+    caught = error;
+  }
+
+  assert.equal(requests[0].headers.Authorization, 'Bearer secret');
+  assert.equal(caught.status, 422);
+  assert.equal(caught.documentationUrl, 'https://docs.github.com/rest');
+  assert.equal(
+    caught.message,
+    'Failed to create gist: Validation Failed: contents are missing (HTTP 422)'
+  );
+  assert.equal(
+    createGitHubApiError('read gist', 502, null).message,
+    'Failed to read gist: HTTP 502 (HTTP 502)'
+  );
+});
+
+test('uploadLog commits shared-repository uploads through the REST API', async () => {
+  const requests = [];
+  const folder = 'log-test-fixtures-github-api-app';
+  const routes = createRepositoryRoutes('test-user', 'private-logs');
+  let folderCreated = false;
+  routes['PATCH /repos/test-user/private-logs/git/refs/heads/main'] = () => {
+    folderCreated = true;
+    return [200, {}];
+  };
+  routes[`GET /repos/test-user/private-logs/contents/${folder}`] = () =>
+    folderCreated
+      ? [
+          200,
+          [
+            {
+              name: 'manifest.json',
+              download_url: 'https://raw.example/manifest.json',
+            },
+            {
+              name: 'test-fixtures-github-api-app.log.txt',
+              download_url: 'https://raw.example/app.log.txt',
+            },
+          ],
+        ]
+      : [404, { message: 'Not Found' }];
+
+  const result = await uploadLog({
+    filePath: logPath,
+    onlyRepository: true,
+    transport: 'api',
+    token: 'secret',
+    fetch: createFakeFetch(routes, requests),
+  });
+
+  assert.equal(result.type, 'repo');
+  assert.equal(
+    result.url,
+    `https://github.com/test-user/private-logs/tree/main/${folder}`
+  );
+  assert.equal(result.rawUrl, 'https://raw.example/app.log.txt');
+  assert.equal(result.workDir, null);
+
+  const tree = requests.find(
+    ({ key }) => key === 'POST /repos/test-user/private-logs/git/trees'
+  ).body;
+  assert.equal(tree.base_tree, 'base-tree');
+  assert.deepEqual(
+    tree.tree.map((item) => item.path),
+    [
+      `${folder}/manifest.json`,
+      `${folder}/test-fixtures-github-api-app.log.txt`,
+    ]
+  );
+  const commit = requests.find(
+    ({ key }) => key === 'POST /repos/test-user/private-logs/git/commits'
+  ).body;
+  assert.deepEqual(commit.parents, ['head-sha']);
+  assert.equal(commit.tree, 'new-tree');
+
+  const blobs = requests
+    .filter(({ key }) => key === 'POST /repos/test-user/private-logs/git/blobs')
+    .map(({ body }) => Buffer.from(body.content, body.encoding).toString());
+  assert.equal(blobs[1], 'line 1\nline 2\n');
+});
+
+test('uploadLog retries dedicated repositories with a collision name', async () => {
+  const requests = [];
+  const routes = {};
+  let attempts = 0;
+  routes['POST /user/repos'] = (body) => {
+    attempts += 1;
+    if (attempts === 1) {
+      return [
+        422,
+        {
+          message: 'Repository creation failed.',
+          errors: [{ message: 'name already exists on this account' }],
+        },
+      ];
+    }
+    return [
+      201,
+      {
+        default_branch: 'main',
+        html_url: `https://github.com/test-user/${body.name}`,
+        owner: { login: 'test-user' },
+      },
+    ];
+  };
+
+  const fetchImplementation = (url, init) => {
+    const repositoryMatch = /\/repos\/test-user\/([^/]+)/.exec(url);
+    if (
+      repositoryMatch &&
+      !routes[`GET /repos/test-user/${repositoryMatch[1]}`]
+    ) {
+      Object.assign(
+        routes,
+        createRepositoryRoutes('test-user', repositoryMatch[1])
+      );
+    }
+    return createFakeFetch(routes, requests)(url, init);
+  };
+
+  const result = await uploadLog({
+    filePath: logPath,
+    onlyRepository: true,
+    useSharedRepository: false,
+    transport: 'api',
+    token: 'secret',
+    fetch: fetchImplementation,
+  });
+
+  assert.equal(attempts, 2);
+  assert.ok(
+    /^log-test-fixtures-github-api-app-\d+$/.test(result.repositoryName)
+  );
+  assert.equal(
+    result.url,
+    `https://github.com/test-user/${result.repositoryName}`
+  );
+  assert.equal(result.fileCount, 1);
+
+  const tree = requests.find(({ key }) => key.endsWith('/git/trees')).body;
+  assert.equal(tree.base_tree, undefined);
+});
+
+test('uploadLog creates gists through the REST API', async () => {
+  const requests = [];
+  const result = await uploadLog({
+    filePath: logPath,
+    onlyGist: true,
+    transport: 'api',
+    token: 'secret',
+    fetch: createFakeFetch(
+      {
+        'POST /gists': (body) => [
+          201,
+          {
+            html_url: 'https://gist.github.com/abc123',
+            files: Object.fromEntries(
+              Object.keys(body.files).map((filename) => [
+                filename,
+                { filename, raw_url: `https://raw.example/${filename}` },
+              ])
+            ),
+          },
+        ],
+      },
+      requests
+    ),
+  });
+
+  const gist = requests[0].body;
+  assert.equal(gist.public, false);
+  assert.equal(Object.keys(gist.files).length, 2);
+  assert.ok(gist.files['manifest.json']);
+  assert.equal(result.url, 'https://gist.github.com/abc123');
+  assert.equal(result.fileCount, 1);
+  assert.ok(result.rawUrl.startsWith('https://raw.example/'));
+});
+
+test('uploadLog reports a gist URL it does not recognize', async () => {
+  const error = await uploadLog({
+    filePath: logPath,
+    onlyGist: true,
+    transport: 'api',
+    token: 'secret',
+    fetch: createFakeFetch({
+      'POST /gists': () => [
+        201,
+        { html_url: 'https://gist.example.com/abc123', files: {} },
+      ],
+    }),
+  }).catch((caught) => caught);
+
+  assert.equal(error.code, 'GITHUB_API_ERROR');
+  assert.ok(
+    error.message.includes('unexpected gist URL https://gist.example.com')
+  );
+});
+
+test('uploadLog refuses gist files that are not UTF-8 text', async () => {
+  const binaryPath = path.join(fixturesDir, 'binary.log');
+  fs.writeFileSync(binaryPath, Buffer.from([0x6c, 0x69, 0xff, 0xfe, 0x0a]));
+  const requests = [];
+
+  let caught;
+  try {
+    await uploadLog({
+      filePath: binaryPath,
+      onlyGist: true,
+      transport: 'api',
+      token: 'secret',
+      fetch: createFakeFetch({}, requests),
+    });
+  } catch (error) {
+    caught = error;
+  }
+
+  assert.equal(caught?.code, 'INVALID_USAGE');
+  assert.ok(caught.message.includes('not valid UTF-8'));
+  assert.ok(!requests.some(({ key }) => key === 'POST /gists'));
+});
+
+test('downloadLog restores gists through the REST API', async () => {
+  const outputPath = path.join(fixturesDir, 'restored.log');
+  const result = await downloadLog('https://gist.github.com/test-user/abc123', {
+    output: outputPath,
+    transport: 'api',
+    token: 'secret',
+    fetch: createFakeFetch({
+      'GET /gists/abc123': () => [
+        200,
+        {
+          files: {
+            'app.log': {
+              filename: 'app.log',
+              content: 'line 1\nline 2\n',
+              truncated: false,
+            },
+          },
+        },
+      ],
+    }),
+  });
+
+  assert.equal(result.files.length, 1);
+  assert.equal(fs.readFileSync(outputPath, 'utf8'), 'line 1\nline 2\n');
+});
+
+test('downloadLog walks repository trees GitHub lists only in part', async () => {
+  const repo = '/repos/test-user/private-logs';
+  const outputPath = path.join(fixturesDir, 'walked.log');
+  const requests = [];
+  const blob = (text) => [
+    200,
+    { content: Buffer.from(text).toString('base64'), encoding: 'base64' },
+  ];
+  const result = await downloadLog(
+    'https://github.com/test-user/private-logs/tree/main/2026/log-app',
+    {
+      output: outputPath,
+      transport: 'api',
+      token: 'secret',
+      fetch: createFakeFetch(
+        createRepositoryRoutes('test-user', 'private-logs', {
+          [`GET ${repo}/git/trees/base-tree?recursive=1`]: () => [
+            200,
+            {
+              truncated: true,
+              tree: [{ path: '2026', type: 'tree', sha: 'year' }],
+            },
+          ],
+          [`GET ${repo}/git/trees/base-tree`]: () => [
+            200,
+            {
+              truncated: false,
+              tree: [
+                { path: '2026', type: 'tree', sha: 'year' },
+                { path: 'README.md', type: 'blob', sha: 'readme' },
+              ],
+            },
+          ],
+          [`GET ${repo}/git/trees/year`]: () => [
+            200,
+            {
+              truncated: false,
+              tree: [{ path: 'log-app', type: 'tree', sha: 'folder' }],
+            },
+          ],
+          [`GET ${repo}/git/trees/folder`]: () => [
+            200,
+            {
+              truncated: false,
+              tree: [
+                { path: 'app.part-00.log.txt', type: 'blob', sha: 'part-0' },
+                { path: 'app.part-01.log.txt', type: 'blob', sha: 'part-1' },
+              ],
+            },
+          ],
+          [`GET ${repo}/git/blobs/part-0`]: () => blob('first\n'),
+          [`GET ${repo}/git/blobs/part-1`]: () => blob('second\n'),
+        }),
+        requests
+      ),
+    }
+  );
+
+  assert.equal(result.files.length, 1);
+  assert.equal(fs.readFileSync(outputPath, 'utf8'), 'first\nsecond\n');
+  assert.ok(requests.some(({ key }) => key === `GET ${repo}/git/trees/year`));
+});
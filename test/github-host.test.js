@@ -0,0 +1,218 @@
+/**
+ * Tests for GitHub Enterprise Server host support
+ */
+
+import { test, assert } from 'test-anywhere';
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseUploadUrl, uploadLog } from '../src/index.js';
+import { extractGitHubRepoUrl } from '../src/common.js';
+import { createGitHubClient } from '../src/github-api.js';
+import {
+  getGistBaseUrl,
+  getGitHubApiUrl,
+  isGistUrl,
+  resolveGitHubHost,
+} from '../src/github-host.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const host = 'github.example.com';
+const fixturesDir = createFixtureDir('github-host');
+const logPath = path.join(fixturesDir, 'app.log');
+fs.writeFileSync(logPath, 'line 1\nline 2\n');
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+/**
+ * Fake command stream that also records the options objects it receives
+ */
+function createFakeCommandStream(handler, optionsSeen = []) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    optionsSeen.push(optionsOrStrings);
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+test('host helpers use the GHES API and gist layouts', () => {
+  assert.equal(resolveGitHubHost({}, {}), 'github.com');
+  assert.equal(resolveGitHubHost({}, { GH_HOST: 'GHE.local' }), 'ghe.local');
+  assert.equal(resolveGitHubHost({ host: `https://${host}/` }, {}), host);
+  assert.equal(getGitHubApiUrl('github.com'), 'https://api.github.com');
+  assert.equal(getGitHubApiUrl(host), `https://${host}/api/v3`);
+  assert.equal(getGistBaseUrl('github.com'), 'https://gist.github.com');
+  assert.equal(getGistBaseUrl(host), `https://${host}/gist`);
+  assert.ok(isGistUrl(`https://${host}/gist/me/abc123`, host));
+  assert.ok(!isGistUrl(`https://${host}/gist/`, host));
+  assert.ok(!isGistUrl('https://gist.github.com/me/abc123', host));
+});
+
+test('extractGitHubRepoUrl matches repository URLs on the given host', () => {
+  const output = `✓ Created repository me/log-app on ${host}\nhttps://${host}/me/log-app\n`;
+  assert.equal(
+    extractGitHubRepoUrl(output, host),
+    `https://${host}/me/log-app`
+  );
+  assert.equal(extractGitHubRepoUrl(output), null);
+});
+
+test('parseUploadUrl accepts gist and repository URLs on the configured host', () => {
+  assert.deepEqual(parseUploadUrl(`https://${host}/gist/me/abc123`, { host }), {
+    type: 'gist',
+    host,
+    gistId: 'abc123',
+  });
+  assert.deepEqual(
+    parseUploadUrl(`https://${host}/me/private-logs/tree/main/log-app`, {
+      host,
+    }),
+    {
+      type: 'repo',
+      host,
+      owner: 'me',
+      repositoryName: 'private-logs',
+      branch: 'main',
+      repositoryPath: 'log-app',
+    }
+  );
+  assert.throws(() =>
+    parseUploadUrl(`https://${host}/gist/me/abc123`, { host: 'github.com' })
+  );
+});
+
+test('uploadLog accepts GHES gist URLs and runs gh with GH_HOST', async () => {
+  const optionsSeen = [];
+  const commands = [];
+  const fakeCommandStream = createFakeCommandStream((command) => {
+    commands.push(command);
+    if (command.startsWith('gh gist create ')) {
+      return createCommandResult({
+        stdout: `https://${host}/gist/me/abc123\n`,
+      });
+    }
+    if (command.startsWith('gh api gists/abc123')) {
+      return createCommandResult({
+        stdout: JSON.stringify([
+          {
+            filename: 'test-fixtures-github-host-app.log',
+            raw_url: `https://${host}/gist/me/abc123/raw/app.log`,
+          },
+        ]),
+      });
+    }
+    return createCommandResult();
+  }, optionsSeen);
+
+  const result = await uploadLog({
+    filePath: logPath,
+    onlyGist: true,
+    host,
+    commandStreamFactory: () => fakeCommandStream,
+  });
+
+  assert.equal(result.type, 'gist');
+  assert.equal(result.url, `https://${host}/gist/me/abc123`);
+  assert.equal(result.rawUrl, `https://${host}/gist/me/abc123/raw/app.log`);
+  assert.ok(optionsSeen.length > 0);
+  assert.ok(optionsSeen.every((options) => options.env?.GH_HOST === host));
+});
+
+test('shared repository uploads build URLs and remotes on the GHES host', async () => {
+  const sharedFolder = 'log-test-fixtures-github-host-app';
+  const commands = [];
+  const fakeCommandStream = createFakeCommandStream((command) => {
+    commands.push(command);
+    if (command === 'gh api user --jq .login') {
+      return createCommandResult({ stdout: 'me\n' });
+    }
+    if (command.startsWith('gh api repos/me/private-logs --jq')) {
+      return createCommandResult({
+        stdout: '{"defaultBranch":"main","visibility":"private"}\n',
+      });
+    }
+    if (command.includes(`contents/${sharedFolder} --jq`)) {
+      return createCommandResult({
+        code: 1,
+        stderr: 'gh: Not Found (HTTP 404)\n',
+      });
+    }
+    return createCommandResult();
+  });
+
+  const result = await uploadLog({
+    filePath: logPath,
+    onlyRepository: true,
+    host,
+    commandStreamFactory: () => fakeCommandStream,
+  });
+  fs.rmSync(result.workDir, { recursive: true, force: true });
+
+  assert.equal(
+    result.url,
+    `https://${host}/me/private-logs/tree/main/${sharedFolder}`
+  );
+  assert.ok(
+    commands.some((command) =>
+      command.includes(
+        `git remote add origin https://${host}/me/private-logs.git`
+      )
+    )
+  );
+});
+
+test('createGitHubClient calls the GHES REST API with enterprise tokens', async () => {
+  const urls = [];
+  const savedToken = process.env.GH_ENTERPRISE_TOKEN;
+  process.env.GH_ENTERPRISE_TOKEN = 'enterprise-secret';
+
+  try {
+    let authorization;
+    const client = createGitHubClient({
+      host,
+      fetch: (url, init) => {
+        urls.push(url);
+        authorization = init.headers.Authorization;
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          text: () => Promise.resolve('{"login":"me"}'),
+        });
+      },
+    });
+
+    assert.equal((await client.getAuthenticatedUser()).login, 'me');
+    assert.deepEqual(urls, [`https://${host}/api/v3/user`]);
+    assert.equal(authorization, 'Bearer enterprise-secret');
+  } finally {
+    if (savedToken === undefined) {
+      delete process.env.GH_ENTERPRISE_TOKEN;
+    } else {
+      process.env.GH_ENTERPRISE_TOKEN = savedToken;
+    }
+  }
+});
@@ -0,0 +1,22 @@
+/**
+ * Shared fixture folder for the test suites
+ */
+
+import { afterAll } from 'test-anywhere';
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Create an empty test/fixtures/<name> folder that is removed after the suite
+ * @param {string} name - Folder name under test/fixtures
+ * @returns {string} Relative path of the created folder
+ */
+export function createFixtureDir(name) {
+  const dir = path.join('test', 'fixtures', name);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return dir;
+}
@@ -3,6 +3,7 @@
  */
 
 import { test, assert } from 'test-anywhere';
+import crypto from 'node:crypto';
 import fs from 'node:fs';
 import path from 'node:path';
 import { cwd } from 'node:process';
@@ -556,7 +557,7 @@ test('uploadLog - stores large files in the shared visibility repository by defa
     }
     if (
       command ===
-      'gh api repos/test-user/private-logs --jq {"defaultBranch": .default_branch, "visibility": .visibility}'
+      'gh api repos/test-user/private-logs --jq {"defaultBranch": .default_branch, "visibility": .visibility, "canPush": .permissions.push}'
     ) {
       return createCommandResult({
         stdout: '{"defaultBranch":"main","visibility":"private"}\n',
@@ -683,6 +684,17 @@ test('uploadLog - skips duplicate uploads already present in the shared reposito
 
   const sharedFolder = 'log-test-fixtures-shared-duplicate-large';
   const commands = [];
+  const storedManifest = JSON.stringify({
+    files: [
+      {
+        name: 'test-fixtures-shared-duplicate-large.log.txt',
+        sha256: crypto
+          .createHash('sha256')
+          .update(fs.readFileSync(duplicateFile))
+          .digest('hex'),
+      },
+    ],
+  });
 
   const fakeCommandStream = createFakeCommandStream((command) => {
     commands.push(command);
@@ -692,7 +704,7 @@ test('uploadLog - skips duplicate uploads already present in the shared reposito
     }
     if (
       command ===
-      'gh api repos/test-user/private-logs --jq {"defaultBranch": .default_branch, "visibility": .visibility}'
+      'gh api repos/test-user/private-logs --jq {"defaultBranch": .default_branch, "visibility": .visibility, "canPush": .permissions.push}'
     ) {
       return createCommandResult({
         stdout: '{"defaultBranch":"main","visibility":"private"}\n',
@@ -712,6 +724,11 @@ test('uploadLog - skips duplicate uploads already present in the shared reposito
         ]),
       });
     }
+    if (command.includes(`contents/${sharedFolder}/manifest.json`)) {
+      return createCommandResult({
+        stdout: Buffer.from(storedManifest).toString('base64'),
+      });
+    }
 
     return createCommandResult();
   });
@@ -831,7 +848,7 @@ test('uploadLog - gist fallback uses shared repositories for small files by defa
     if (command.startsWith('gh gist create ')) {
       return createCommandResult({
         code: 1,
-        stderr: 'secondary rate limit\n',
+        stderr: 'HTTP 422: Validation Failed (contents are too large)\n',
       });
     }
     if (command === 'gh api user --jq .login') {
@@ -839,7 +856,7 @@ test('uploadLog - gist fallback uses shared repositories for small files by defa
     }
     if (
       command ===
-      'gh api repos/test-user/public-logs --jq {"defaultBranch": .default_branch, "visibility": .visibility}'
+      'gh api repos/test-user/public-logs --jq {"defaultBranch": .default_branch, "visibility": .visibility, "canPush": .permissions.push}'
     ) {
       return createCommandResult({
         stdout: '{"defaultBranch":"main","visibility":"public"}\n',
@@ -0,0 +1,240 @@
+/**
+ * Tests for listing existing uploads
+ */
+
+import { test, assert } from 'test-anywhere';
+import { listUploads } from '../src/index.js';
+
+const now = Date.parse('2026-03-01T00:00:00Z');
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+/**
+ * Fake `gh` with a private-logs repository holding a sharded upload with a
+ * manifest and a legacy upload without one, no public-logs repository, and
+ * three gists: one marked by the tool, one unmarked holding a .log.txt file
+ * and an unrelated one
+ */
+function createListStream(commands = []) {
+  return createFakeCommandStream((command) => {
+    commands.push(command);
+
+    if (command === 'gh api user --jq .login') {
+      return createCommandResult({ stdout: 'me\n' });
+    }
+    if (command.startsWith('gh api repos/me/private-logs --jq')) {
+      return createCommandResult({
+        stdout: '{"defaultBranch":"main","visibility":"private"}\n',
+      });
+    }
+    if (command.startsWith('gh api repos/me/public-logs --jq')) {
+      return createCommandResult({
+        code: 1,
+        stderr: 'gh: Not Found (HTTP 404)\n',
+      });
+    }
+    if (command.startsWith('gh api -X GET repos/me/private-logs/git/trees/')) {
+      return createCommandResult({
+        stdout: JSON.stringify({
+          truncated: false,
+          files: [
+            { path: 'README.md', size: 50 },
+            { path: '2026/02/27/ci/build-1a2b3c4d/build.log.txt', size: 2048 },
+            { path: '2026/02/27/ci/build-1a2b3c4d/manifest.json', size: 300 },
+            { path: 'log-old/old.log.txt', size: 1000 },
+          ],
+        }),
+      });
+    }
+    if (command.includes('build-1a2b3c4d/manifest.json')) {
+      const manifest = {
+        createdAt: '2026-02-27T08:00:00Z',
+        files: [{ name: 'build.log.txt', originalPath: '/ci/out/build.log' }],
+      };
+      return createCommandResult({
+        stdout: Buffer.from(JSON.stringify(manifest)).toString('base64'),
+      });
+    }
+    if (command.includes('repos/me/private-logs/commits -f path=log-old')) {
+      return createCommandResult({ stdout: '2026-01-10T12:00:00Z\n' });
+    }
+    if (command.startsWith('gh api gists --paginate')) {
+      return createCommandResult({
+        stdout: [
+          {
+            id: 'marked',
+            description: 'Log file: app.log [gh-upload-log]',
+            isPublic: true,
+            createdAt: '2026-02-28T00:00:00Z',
+            url: 'https://gist.github.com/marked',
+            files: ['app.log.txt'],
+            size: 512,
+          },
+          {
+            id: 'early',
+            description: 'Log file: deploy.log',
+            isPublic: false,
+            createdAt: '2026-02-01T00:00:00Z',
+            url: 'https://gist.github.com/early',
+            files: ['deploy.log.txt'],
+            size: 128,
+          },
+          {
+            id: 'notes',
+            description: 'Personal notes',
+            isPublic: false,
+            createdAt: '2026-02-20T00:00:00Z',
+            url: 'https://gist.github.com/notes',
+            files: ['notes.md'],
+            size: 64,
+          },
+        ]
+          .map((gist) => JSON.stringify(gist))
+          .join('\n'),
+      });
+    }
+    return createCommandResult();
+  });
+}
+
+test('listUploads lists tool gists and shared-repository folders newest first', async () => {
+  const entries = await listUploads({
+    now,
+    commandStreamFactory: () => createListStream(),
+  });
+
+  assert.deepEqual(
+    entries.map((entry) => entry.id || entry.path),
+    ['marked', '2026/02/27/ci/build-1a2b3c4d', 'early', 'log-old']
+  );
+
+  const folder = entries[1];
+  assert.equal(folder.type, 'repo');
+  assert.equal(folder.repository, 'me/private-logs');
+  assert.equal(folder.size, 2348);
+  assert.equal(folder.isPublic, false);
+  assert.equal(
+    folder.url,
+    'https://github.com/me/private-logs/tree/main/2026/02/27/ci/build-1a2b3c4d'
+  );
+  assert.deepEqual(folder.originalPaths, ['/ci/out/build.log']);
+
+  assert.equal(entries[0].type, 'gist');
+  assert.equal(entries[0].name, 'app.log.txt');
+  assert.equal(entries[0].size, 512);
+});
+
+test('listUploads filters by age, type and search text', async () => {
+  const ids = (entries) => entries.map((entry) => entry.id || entry.path);
+  const commandStreamFactory = () => createListStream();
+
+  assert.deepEqual(
+    ids(await listUploads({ since: '7d', now, commandStreamFactory })),
+    ['marked', '2026/02/27/ci/build-1a2b3c4d']
+  );
+  assert.deepEqual(
+    ids(await listUploads({ type: 'gist', now, commandStreamFactory })),
+    ['marked', 'early']
+  );
+  assert.deepEqual(
+    ids(await listUploads({ grep: 'CI/OUT', now, commandStreamFactory })),
+    ['2026/02/27/ci/build-1a2b3c4d']
+  );
+});
+
+test('listUploads skips gists when listing repository uploads only', async () => {
+  const commands = [];
+  await listUploads({
+    type: 'repo',
+    now,
+    commandStreamFactory: () => createListStream(commands),
+  });
+
+  assert.ok(!commands.some((command) => command.startsWith('gh api gists')));
+
+  let caught;
+  try {
+    await listUploads({ type: 'release' });
+  } catch (error) {
+    caught = error;
+  }
+  assert.ok(caught?.message.includes('Use gist or repo'));
+});
+
+test('listUploads walks repository trees GitHub lists only in part', async () => {
+  const commands = [];
+  const folders = {
+    main: [
+      { path: 'README.md', type: 'blob', sha: 'readme', size: 50 },
+      { path: 'log-old', type: 'tree', sha: 'old' },
+    ],
+    old: [{ path: 'old.log.txt', type: 'blob', sha: 'part', size: 1000 }],
+  };
+  const listStream = createListStream(commands);
+  const commandStream = createFakeCommandStream((command) => {
+    if (command.startsWith('gh api -X GET repos/me/private-logs/git/trees/')) {
+      commands.push(command);
+      return createCommandResult({
+        stdout: JSON.stringify({ truncated: true, files: [] }),
+      });
+    }
+    const folder = command.match(
+      /^gh api repos\/me\/private-logs\/git\/trees\/(\w+) /
+    );
+    if (folder) {
+      commands.push(command);
+      return createCommandResult({
+        stdout: JSON.stringify({ truncated: false, tree: folders[folder[1]] }),
+      });
+    }
+    return listStream`${command}`;
+  });
+
+  const entries = await listUploads({
+    type: 'repo',
+    now,
+    commandStreamFactory: () => commandStream,
+  });
+
+  assert.deepEqual(
+    entries.map((entry) => [entry.path, entry.size]),
+    [['log-old', 1000]]
+  );
+  assert.ok(
+    commands.some((command) =>
+      command.startsWith('gh api repos/me/private-logs/git/trees/old ')
+    )
+  );
+});
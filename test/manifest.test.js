@@ -0,0 +1,290 @@
+/**
+ * Tests for upload manifests and checksum verification
+ */
+
+import { test, assert } from 'test-anywhere';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { downloadLog, uploadLog } from '../src/index.js';
+import {
+  describeUploadedFile,
+  MANIFEST_FILE_NAME,
+  writeUploadManifest,
+} from '../src/manifest.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const testDir = createFixtureDir('manifest');
+
+const logPath = path.join(testDir, 'app.log');
+fs.writeFileSync(logPath, 'first half\nsecond half\n');
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+test('describeUploadedFile - records whole-file and per-chunk checksums', async () => {
+  const chunkDir = path.join(testDir, 'chunks');
+  fs.mkdirSync(chunkDir, { recursive: true });
+  fs.writeFileSync(path.join(chunkDir, 'app.part-00.log.txt'), 'first half\n');
+  fs.writeFileSync(path.join(chunkDir, 'app.part-01.log.txt'), 'second half\n');
+
+  const record = await describeUploadedFile(
+    { name: 'app.log.txt', sourcePath: logPath, originalPath: logPath },
+    [
+      path.join(chunkDir, 'app.part-00.log.txt'),
+      path.join(chunkDir, 'app.part-01.log.txt'),
+    ]
+  );
+
+  assert.equal(record.originalPath, path.resolve(logPath));
+  assert.equal(record.size, 23);
+  assert.equal(record.sha256, sha256('first half\nsecond half\n'));
+  assert.equal(record.compression, null);
+  assert.deepEqual(record.chunks, [
+    { name: 'app.part-00.log.txt', size: 11, sha256: sha256('first half\n') },
+    {
+      name: 'app.part-01.log.txt',
+      size: 12,
+      sha256: sha256('second half\n'),
+    },
+  ]);
+
+  const manifestPath = writeUploadManifest(chunkDir, [record]);
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  assert.equal(manifest.manifestVersion, 1);
+  assert.equal(manifest.tool, 'gh-upload-log');
+  assert.equal(manifest.host, os.hostname());
+  assert.ok(manifest.toolVersion);
+  assert.ok(!Number.isNaN(Date.parse(manifest.createdAt)));
+  assert.deepEqual(manifest.files, [record]);
+});
+
+test('uploadLog - gists carry manifest.json as a second file', async () => {
+  let manifest = null;
+  const fakeCommandStream = createFakeCommandStream((command) => {
+    if (command.startsWith('gh gist create ')) {
+      const manifestPath = command
+        .split(' ')
+        .find((part) => part.endsWith(MANIFEST_FILE_NAME));
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      return createCommandResult({
+        stdout: 'https://gist.github.com/test-user/abc\n',
+      });
+    }
+    if (command.startsWith('gh api gists/abc')) {
+      return createCommandResult({
+        stdout: JSON.stringify([
+          { filename: 'app.log.txt', raw_url: 'https://raw/app' },
+          { filename: MANIFEST_FILE_NAME, raw_url: 'https://raw/manifest' },
+        ]),
+      });
+    }
+
+    return createCommandResult();
+  });
+
+  const result = await uploadLog({
+    filePath: logPath,
+    commandStreamFactory: () => fakeCommandStream,
+  });
+
+  assert.equal(result.fileCount, 1);
+  assert.equal(result.rawUrl, 'https://raw/app');
+  assert.equal(manifest.files.length, 1);
+  assert.equal(manifest.files[0].sha256, sha256('first half\nsecond half\n'));
+  assert.equal(manifest.files[0].chunks.length, 1);
+});
+
+test('uploadLog - manifest: false uploads only the log', async () => {
+  let gistCommand = null;
+  const fakeCommandStream = createFakeCommandStream((command) => {
+    if (command.startsWith('gh gist create ')) {
+      gistCommand = command;
+      return createCommandResult({
+        stdout: 'https://gist.github.com/test-user/abc\n',
+      });
+    }
+
+    return createCommandResult();
+  });
+
+  await uploadLog({
+    filePath: logPath,
+    manifest: false,
+    commandStreamFactory: () => fakeCommandStream,
+  });
+
+  assert.ok(!gistCommand.includes(MANIFEST_FILE_NAME));
+});
+
+function createCloneStream(files) {
+  return createFakeCommandStream((command) => {
+    if (command.startsWith('gh repo clone ')) {
+      const directory = path.join(command.split(' ')[4], 'log-app');
+      fs.mkdirSync(directory, { recursive: true });
+      for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(directory, name), content);
+      }
+    }
+
+    return createCommandResult();
+  });
+}
+
+function buildManifest(chunkSha256) {
+  return JSON.stringify({
+    manifestVersion: 1,
+    files: [
+      {
+        name: 'app.log.txt',
+        size: 23,
+        sha256: sha256('first half\nsecond half\n'),
+        compression: null,
+        chunks: [
+          {
+            name: 'app.part-00.log.txt',
+            size: 11,
+            sha256: sha256('first half\n'),
+          },
+          { name: 'app.part-01.log.txt', size: 12, sha256: chunkSha256 },
+        ],
+      },
+    ],
+  });
+}
+
+test('downloadLog - verifies chunks and the joined file against the manifest', async () => {
+  const output = path.join(testDir, 'verified.log');
+  const result = await downloadLog(
+    'https://github.com/test-user/private-logs/tree/main/log-app',
+    {
+      output,
+      commandStreamFactory: () =>
+        createCloneStream({
+          'app.part-00.log.txt': 'first half\n',
+          'app.part-01.log.txt': 'second half\n',
+          [MANIFEST_FILE_NAME]: buildManifest(sha256('second half\n')),
+        }),
+    }
+  );
+
+  assert.equal(result.files.length, 1);
+  assert.equal(result.files[0].verified, true);
+  assert.equal(fs.readFileSync(output, 'utf8'), 'first half\nsecond half\n');
+});
+
+test('downloadLog - rejects chunks whose checksum does not match', async () => {
+  try {
+    await downloadLog(
+      'https://github.com/test-user/private-logs/tree/main/log-app',
+      {
+        output: path.join(testDir, 'corrupt.log'),
+        commandStreamFactory: () =>
+          createCloneStream({
+            'app.part-00.log.txt': 'first half\n',
+            'app.part-01.log.txt': 'SECOND HALF\n',
+            [MANIFEST_FILE_NAME]: buildManifest(sha256('second half\n')),
+          }),
+      }
+    );
+    assert.ok(false, 'Expected downloadLog to reject');
+  } catch (error) {
+    assert.ok(
+      error.message.includes('Checksum mismatch for app.part-01.log.txt'),
+      error.message
+    );
+  }
+});
+
+test('downloadLog - rejects manifest names that leave the download folder', async () => {
+  const outputDir = path.join(testDir, 'traversal');
+  for (const [name, chunkName] of [
+    ['../../escaped.log.txt', 'app.part-00.log.txt'],
+    ['app.log.txt', '../outside.log.txt'],
+    ['..', 'app.part-00.log.txt'],
+  ]) {
+    const manifest = JSON.parse(buildManifest(sha256('second half\n')));
+    manifest.files[0].name = name;
+    manifest.files[0].chunks[0].name = chunkName;
+    const error = await downloadLog(
+      'https://github.com/test-user/private-logs/tree/main/log-app',
+      {
+        output: `${outputDir}/`,
+        commandStreamFactory: () =>
+          createCloneStream({
+            'app.part-00.log.txt': 'first half\n',
+            'app.part-01.log.txt': 'second half\n',
+            [MANIFEST_FILE_NAME]: JSON.stringify(manifest),
+          }),
+      }
+    ).catch((caught) => caught);
+
+    assert.ok(
+      error.message.includes('is not a plain file name'),
+      error.message
+    );
+  }
+  assert.ok(!fs.existsSync(path.join(testDir, 'escaped.log')));
+  assert.ok(
+    !fs.existsSync(outputDir) || fs.readdirSync(outputDir).length === 0
+  );
+});
+
+test('downloadLog - rejects manifest records without a list of chunks', async () => {
+  const manifest = JSON.parse(buildManifest(sha256('second half\n')));
+  delete manifest.files[0].chunks;
+  const error = await downloadLog(
+    'https://github.com/test-user/private-logs/tree/main/log-app',
+    {
+      output: `${path.join(testDir, 'no-chunks')}/`,
+      commandStreamFactory: () =>
+        createCloneStream({
+          'app.part-00.log.txt': 'first half\n',
+          'app.part-01.log.txt': 'second half\n',
+          [MANIFEST_FILE_NAME]: JSON.stringify(manifest),
+        }),
+    }
+  ).catch((caught) => caught);
+
+  assert.equal(error.code, 'INTEGRITY_CHECK_FAILED');
+  assert.ok(
+    error.message.includes('"app.log.txt" has no list of chunks'),
+    error.message
+  );
+});
@@ -0,0 +1,223 @@
+/**
+ * Tests for uploading several files or a directory together
+ */
+
+import { test, assert } from 'test-anywhere';
+import fs from 'node:fs';
+import path from 'node:path';
+import { determineUploadStrategy, uploadLogs } from '../src/index.js';
+import {
+  getCommonDirectory,
+  globToRegExp,
+  listDirectoryFiles,
+} from '../src/common.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const testDir = createFixtureDir('multi-file');
+const resultsDir = path.join(testDir, 'results');
+fs.mkdirSync(path.join(resultsDir, 'junit'), { recursive: true });
+fs.writeFileSync(path.join(resultsDir, 'summary.log'), 'summary\n');
+fs.writeFileSync(path.join(resultsDir, 'junit', 'a.xml'), '<a/>\n');
+fs.writeFileSync(path.join(resultsDir, 'junit', 'b.xml'), '<b/>\n');
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+test('globToRegExp - matches single and recursive wildcards', () => {
+  assert.ok(globToRegExp('*.log').test('app.log'));
+  assert.ok(!globToRegExp('*.log').test('nested/app.log'));
+  assert.ok(globToRegExp('**/*.xml').test('a.xml'));
+  assert.ok(globToRegExp('**/*.xml').test('junit/deep/a.xml'));
+  assert.ok(globToRegExp('*.{log,txt}').test('notes.txt'));
+  assert.ok(!globToRegExp('*.{log,txt}').test('notes.xml'));
+});
+
+test('listDirectoryFiles - walks recursively and applies the glob', () => {
+  const all = listDirectoryFiles(resultsDir).map((file) =>
+    path.relative(resultsDir, file)
+  );
+  assert.deepEqual(all, [
+    path.join('junit', 'a.xml'),
+    path.join('junit', 'b.xml'),
+    'summary.log',
+  ]);
+
+  const xml = listDirectoryFiles(resultsDir, '**/*.xml');
+  assert.equal(xml.length, 2);
+});
+
+test('getCommonDirectory - finds the shared parent of the given paths', () => {
+  assert.equal(
+    getCommonDirectory(['/var/log/app/a.log', '/var/log/app/b/c.log']),
+    '/var/log/app'
+  );
+  assert.equal(getCommonDirectory(['a.log', 'b.log']), '');
+});
+
+test('determineUploadStrategy - sums sizes of files uploaded together', () => {
+  const files = listDirectoryFiles(resultsDir);
+  const result = determineUploadStrategy(files);
+  assert.equal(result.type, 'gist');
+  assert.equal(result.fileCount, 3);
+  assert.equal(result.fileSize, 18);
+});
+
+test('determineUploadStrategy - uses repository mode above the gist file-count limit', () => {
+  const manyDir = path.join(testDir, 'many');
+  fs.mkdirSync(manyDir, { recursive: true });
+  for (let index = 0; index < 301; index += 1) {
+    fs.writeFileSync(path.join(manyDir, `${index}.log`), 'x');
+  }
+
+  const result = determineUploadStrategy(listDirectoryFiles(manyDir));
+  assert.equal(result.type, 'repo');
+  assert.equal(result.numChunks, 301);
+  assert.ok(result.reason.includes('file-count limit'));
+});
+
+test('uploadLogs - uploads a directory as one multi-file gist', async () => {
+  let gistCommand = null;
+  const fakeCommandStream = createFakeCommandStream((command) => {
+    if (command.startsWith('gh gist create ')) {
+      gistCommand = command;
+      return createCommandResult({
+        stdout: 'https://gist.github.com/test-user/abc\n',
+      });
+    }
+    if (command.startsWith('gh api gists/abc')) {
+      return createCommandResult({
+        stdout: JSON.stringify([
+          { filename: 'junit-a.xml.log.txt', raw_url: 'https://raw/a' },
+          { filename: 'junit-b.xml.log.txt', raw_url: 'https://raw/b' },
+        ]),
+      });
+    }
+
+    return createCommandResult();
+  });
+
+  const result = await uploadLogs({
+    directory: resultsDir,
+    glob: '**/*.xml',
+    commandStreamFactory: () => fakeCommandStream,
+  });
+
+  assert.equal(result.type, 'gist');
+  assert.equal(result.fileCount, 2);
+  assert.equal(result.rawUrl, null);
+  assert.deepEqual(result.files, [
+    { name: 'junit-a.xml.log.txt', rawUrl: 'https://raw/a' },
+    { name: 'junit-b.xml.log.txt', rawUrl: 'https://raw/b' },
+  ]);
+  assert.ok(
+    gistCommand.includes('junit-a.xml.log.txt') &&
+      gistCommand.includes('junit-b.xml.log.txt'),
+    `Expected both files in one gist, got: ${gistCommand}`
+  );
+});
+
+test('uploadLogs - stages every file into one shared repository folder', async () => {
+  const sharedFolder = 'log-test-fixtures-multi-file-results';
+  const fakeCommandStream = createFakeCommandStream((command) => {
+    if (command === 'gh api user --jq .login') {
+      return createCommandResult({ stdout: 'test-user\n' });
+    }
+    if (command.startsWith('gh api repos/test-user/private-logs --jq')) {
+      return createCommandResult({
+        stdout: '{"defaultBranch":"main","visibility":"private"}\n',
+      });
+    }
+    if (command.includes(`contents/${sharedFolder}`)) {
+      return createCommandResult({
+        code: 1,
+        stderr: 'gh: Not Found (HTTP 404)\n',
+      });
+    }
+
+    return createCommandResult();
+  });
+
+  const result = await uploadLogs({
+    directory: resultsDir,
+    onlyRepository: true,
+    commandStreamFactory: () => fakeCommandStream,
+  });
+
+  assert.equal(result.type, 'repo');
+  assert.equal(result.repositoryPath, sharedFolder);
+  assert.deepEqual(
+    fs.readdirSync(path.join(result.workDir, sharedFolder)).sort(),
+    [
+      'junit-a.xml.log.txt',
+      'junit-b.xml.log.txt',
+      'manifest.json',
+      'summary.log.txt',
+    ]
+  );
+  assert.equal(result.fileCount, 3);
+  fs.rmSync(result.workDir, { recursive: true, force: true });
+});
+
+test('uploadLogs - rejects an empty selection', async () => {
+  try {
+    await uploadLogs({ directory: resultsDir, glob: '*.nothing' });
+    assert.ok(false, 'Expected uploadLogs to reject');
+  } catch (error) {
+    assert.ok(error.message.includes('No files to upload'));
+  }
+});
+
+test('uploadLogs - rejects files that would share an uploaded name', async () => {
+  const collidingDir = path.join(testDir, 'colliding');
+  fs.mkdirSync(collidingDir, { recursive: true });
+  fs.writeFileSync(path.join(collidingDir, 'x.log'), 'plain\n');
+  fs.writeFileSync(path.join(collidingDir, 'x.log.txt'), 'text\n');
+  const commands = [];
+
+  try {
+    await uploadLogs({
+      directory: collidingDir,
+      commandStreamFactory: () =>
+        createFakeCommandStream((command) => {
+          commands.push(command);
+          return createCommandResult();
+        }),
+    });
+    assert.ok(false, 'Expected uploadLogs to reject');
+  } catch (error) {
+    assert.equal(error.code, 'INVALID_USAGE');
+    assert.ok(error.message.includes('would both be uploaded as x.log.txt'));
+  }
+  assert.equal(commands.length, 0);
+});
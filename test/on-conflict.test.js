@@ -0,0 +1,218 @@
+/**
+ * Tests for content-aware deduplication of shared-repository uploads
+ */
+
+import { test, assert } from 'test-anywhere';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { uploadLog } from '../src/index.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const logPath = path.join(createFixtureDir('on-conflict'), 'app.log');
+const sharedFolder = 'log-test-fixtures-on-conflict-app';
+const uploadedName = 'test-fixtures-on-conflict-app.log.txt';
+fs.writeFileSync(logPath, 'new content\n');
+
+const contentHash = crypto
+  .createHash('sha256')
+  .update('new content\n')
+  .digest('hex');
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+/**
+ * Fake a shared repository whose folders hold the given stored manifests
+ * (null stands for a legacy upload without manifest.json)
+ */
+function createSharedRepositoryStream(folders, commands = []) {
+  return createFakeCommandStream((command) => {
+    commands.push(command);
+
+    if (command === 'gh api user --jq .login') {
+      return createCommandResult({ stdout: 'test-user\n' });
+    }
+    if (command.startsWith('gh api repos/test-user/private-logs --jq')) {
+      return createCommandResult({
+        stdout: '{"defaultBranch":"main","visibility":"private"}\n',
+      });
+    }
+
+    const manifestMatch = /contents\/([^/ ]+)\/manifest\.json/.exec(command);
+    if (manifestMatch) {
+      const stored = folders[manifestMatch[1]];
+      return stored
+        ? createCommandResult({
+            stdout: Buffer.from(JSON.stringify(stored)).toString('base64'),
+          })
+        : createCommandResult({ code: 1, stderr: 'gh: Not Found (HTTP 404)' });
+    }
+
+    const folderMatch = /contents\/([^/ ]+) --jq/.exec(command);
+    if (folderMatch) {
+      return folderMatch[1] in folders
+        ? createCommandResult({
+            stdout: JSON.stringify([
+              { name: uploadedName, download_url: 'https://raw/old' },
+            ]),
+          })
+        : createCommandResult({ code: 1, stderr: 'gh: Not Found (HTTP 404)' });
+    }
+    if (command.includes('git checkout -B main FETCH_HEAD')) {
+      const workDir = command.split(' ')[1];
+      fs.mkdirSync(path.join(workDir, sharedFolder), { recursive: true });
+      fs.writeFileSync(path.join(workDir, sharedFolder, 'old.log.txt'), 'old');
+    }
+
+    return createCommandResult();
+  });
+}
+
+const differentManifest = {
+  files: [{ name: uploadedName, sha256: 'f'.repeat(64) }],
+};
+
+test('uploadLog - stores changed content under a hash-suffixed folder by default', async () => {
+  const commands = [];
+  const result = await uploadLog({
+    filePath: logPath,
+    onlyRepository: true,
+    commandStreamFactory: () =>
+      createSharedRepositoryStream(
+        { [sharedFolder]: differentManifest },
+        commands
+      ),
+  });
+
+  const versionedFolder = `${sharedFolder}-${contentHash.slice(0, 8)}`;
+  assert.equal(result.deduplicated, false);
+  assert.equal(result.repositoryPath, versionedFolder);
+  assert.ok(
+    commands.some((command) =>
+      command.endsWith(`git sparse-checkout add ${versionedFolder}`)
+    )
+  );
+  assert.ok(
+    fs.existsSync(path.join(result.workDir, versionedFolder, uploadedName))
+  );
+  assert.equal(path.dirname(result.workDir), os.tmpdir());
+  fs.rmSync(result.workDir, { recursive: true, force: true });
+});
+
+test('uploadLog - legacy folders without a manifest are treated as different content', async () => {
+  const result = await uploadLog({
+    filePath: logPath,
+    onlyRepository: true,
+    commandStreamFactory: () =>
+      createSharedRepositoryStream({ [sharedFolder]: null }),
+  });
+
+  assert.equal(result.deduplicated, false);
+  assert.ok(result.repositoryPath.startsWith(`${sharedFolder}-`));
+  fs.rmSync(result.workDir, { recursive: true, force: true });
+});
+
+test('uploadLog - reuses an upload whose manifest matches the content', async () => {
+  const commands = [];
+  const result = await uploadLog({
+    filePath: logPath,
+    onlyRepository: true,
+    onConflict: 'fail',
+    commandStreamFactory: () =>
+      createSharedRepositoryStream(
+        {
+          [sharedFolder]: {
+            files: [{ name: uploadedName, sha256: contentHash }],
+          },
+        },
+        commands
+      ),
+  });
+
+  assert.equal(result.deduplicated, true);
+  assert.equal(result.repositoryPath, sharedFolder);
+  assert.ok(!commands.some((command) => command.includes('git push')));
+});
+
+test('uploadLog - onConflict overwrite replaces the existing folder', async () => {
+  const result = await uploadLog({
+    filePath: logPath,
+    onlyRepository: true,
+    onConflict: 'overwrite',
+    commandStreamFactory: () =>
+      createSharedRepositoryStream({ [sharedFolder]: differentManifest }),
+  });
+
+  assert.equal(result.repositoryPath, sharedFolder);
+  assert.deepEqual(
+    fs.readdirSync(path.join(result.workDir, sharedFolder)).sort(),
+    ['manifest.json', uploadedName]
+  );
+  fs.rmSync(result.workDir, { recursive: true, force: true });
+});
+
+test('uploadLog - onConflict fail rejects different content', async () => {
+  try {
+    await uploadLog({
+      filePath: logPath,
+      onlyRepository: true,
+      onConflict: 'fail',
+      commandStreamFactory: () =>
+        createSharedRepositoryStream({ [sharedFolder]: differentManifest }),
+    });
+    assert.ok(false, 'Expected uploadLog to reject');
+  } catch (error) {
+    assert.ok(error.message.includes('already contains a different upload'));
+    assert.equal(error.code, 'NAME_CONFLICT');
+  }
+});
+
+test('uploadLog - onConflict skip reuses the folder without comparing', async () => {
+  const commands = [];
+  const result = await uploadLog({
+    filePath: logPath,
+    onlyRepository: true,
+    onConflict: 'skip',
+    commandStreamFactory: () =>
+      createSharedRepositoryStream(
+        { [sharedFolder]: differentManifest },
+        commands
+      ),
+  });
+
+  assert.equal(result.deduplicated, true);
+  assert.ok(!commands.some((command) => command.includes('manifest.json')));
+});
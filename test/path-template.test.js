@@ -0,0 +1,203 @@
+/**
+ * Tests for templated storage paths in shared repositories
+ */
+
+import { test, assert } from 'test-anywhere';
+import fs from 'node:fs';
+import path from 'node:path';
+import { uploadLog } from '../src/index.js';
+import { generateRepoName } from '../src/common.js';
+import {
+  expandPathTemplate,
+  getPathTemplateValues,
+  PATH_TEMPLATES,
+} from '../src/path-template.js';
+import {
+  buildSharedRepositoryPath,
+  getUploadEntries,
+  resolveRepositoryPathTemplate,
+} from '../src/repository-staging.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const logPath = path.join(createFixtureDir('path-template'), 'app.log');
+fs.writeFileSync(logPath, 'build finished\n');
+
+const date = new Date('2026-01-31T23:30:00Z');
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+/**
+ * Fake `gh` for an existing private-logs repository with the given layout
+ * file (null means the repository has none)
+ */
+function createLayoutStream(layout, commands = []) {
+  return createFakeCommandStream((command) => {
+    commands.push(command);
+
+    if (command === 'gh api user --jq .login') {
+      return createCommandResult({ stdout: 'me\n' });
+    }
+    if (command.startsWith('gh api repos/me/private-logs --jq')) {
+      return createCommandResult({
+        stdout: '{"defaultBranch":"main","visibility":"private"}\n',
+      });
+    }
+    if (
+      layout &&
+      command.startsWith(
+        'gh api repos/me/private-logs/contents/.gh-upload-log.json'
+      )
+    ) {
+      return createCommandResult({
+        stdout: `${Buffer.from(JSON.stringify(layout)).toString('base64')}\n`,
+      });
+    }
+    if (command.startsWith('gh api repos/me/private-logs/contents/')) {
+      return createCommandResult({
+        code: 1,
+        stderr: 'gh: Not Found (HTTP 404)\n',
+      });
+    }
+    return createCommandResult();
+  });
+}
+
+test('expandPathTemplate - fills placeholders and keeps values inside one segment', () => {
+  const values = getPathTemplateValues({
+    filePath: 'var/log/app.log',
+    contentHash: 'abcdef0123456789',
+    date,
+    hostname: 'CI/Runner 7',
+  });
+
+  assert.equal(
+    expandPathTemplate(PATH_TEMPLATES.sharded, values),
+    '2026/01/31/ci-runner-7/var-log-app-abcdef01'
+  );
+  assert.equal(
+    expandPathTemplate('/{date}//{name}/', values),
+    '2026-01-31/var-log-app'
+  );
+  assert.throws(() => expandPathTemplate('{month}/{name}', values));
+  assert.throws(() => expandPathTemplate('../{name}', values));
+  assert.throws(() =>
+    expandPathTemplate('{hash8}', { ...values, hash8: undefined })
+  );
+});
+
+test('buildSharedRepositoryPath - legacy layout matches the original folder names', async () => {
+  const entries = getUploadEntries({ filePath: logPath });
+
+  assert.equal(
+    await buildSharedRepositoryPath({ filePath: logPath, entries, date }),
+    generateRepoName(logPath)
+  );
+  assert.equal(
+    await buildSharedRepositoryPath({
+      filePath: logPath,
+      entries,
+      pathPrefix: 'nightly',
+      pathTemplate: '{yyyy}/{mm}/{name}-{hash8}',
+      date,
+    }),
+    // SHA-256 of 'build finished\n'
+    'nightly/2026/01/test-fixtures-path-template-app-4372066f'
+  );
+});
+
+test('resolveRepositoryPathTemplate - explicit, recorded, new and legacy repositories', () => {
+  assert.equal(
+    resolveRepositoryPathTemplate({ pathTemplate: 'legacy', created: true }),
+    PATH_TEMPLATES.legacy
+  );
+  assert.equal(
+    resolveRepositoryPathTemplate({ pathTemplate: '{date}/{name}' }),
+    '{date}/{name}'
+  );
+  assert.equal(
+    resolveRepositoryPathTemplate({ layout: { pathTemplate: 'sharded' } }),
+    PATH_TEMPLATES.sharded
+  );
+  assert.equal(
+    resolveRepositoryPathTemplate({ created: true }),
+    PATH_TEMPLATES.sharded
+  );
+  assert.equal(
+    resolveRepositoryPathTemplate({ layout: null }),
+    PATH_TEMPLATES.legacy
+  );
+});
+
+test('uploadLog follows the layout recorded in an existing shared repository', async () => {
+  const commands = [];
+  const result = await uploadLog({
+    filePath: logPath,
+    onlyRepository: true,
+    commandStreamFactory: () =>
+      createLayoutStream(
+        { layoutVersion: 1, pathTemplate: '{name}' },
+        commands
+      ),
+  });
+  fs.rmSync(result.workDir, { recursive: true, force: true });
+
+  assert.equal(result.repositoryPath, 'test-fixtures-path-template-app');
+  assert.ok(!commands.some((command) => command.includes('-X PUT')));
+});
+
+test('uploadLog keeps the legacy layout in repositories without a layout file', async () => {
+  const result = await uploadLog({
+    filePath: logPath,
+    onlyRepository: true,
+    commandStreamFactory: () => createLayoutStream(null),
+  });
+  fs.rmSync(result.workDir, { recursive: true, force: true });
+
+  assert.equal(result.repositoryPath, generateRepoName(logPath));
+});
+
+test('uploadLog dry mode reports the sharded path', async () => {
+  const result = await uploadLog({
+    filePath: logPath,
+    onlyRepository: true,
+    dryMode: true,
+  });
+
+  assert.match(
+    result.repositoryPath,
+    /^\d{4}\/\d{2}\/\d{2}\/[^/]+\/test-fixtures-path-template-app-[0-9a-f]{8}$/
+  );
+  assert.ok(result.url.endsWith(result.repositoryPath));
+});
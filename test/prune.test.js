@@ -0,0 +1,242 @@
+/**
+ * Tests for retention and pruning of uploads
+ */
+
+import { test, assert } from 'test-anywhere';
+import { pruneUploads } from '../src/index.js';
+import { parseDuration } from '../src/common.js';
+import { selectExpiredUploads } from '../src/prune.js';
+
+const now = Date.parse('2026-03-01T00:00:00Z');
+const day = 24 * 60 * 60 * 1000;
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+/**
+ * Fake `gh` for a private-logs repository holding a sharded upload with a
+ * manifest (40 days old), a legacy upload without one (last commit 10 days
+ * ago) and a recent upload, plus two gists of which one was created by the
+ * tool
+ */
+function createPruneStream(commands = []) {
+  const manifestDates = {
+    '2026/01/20/ci/app-1a2b3c4d': '2026-01-20T08:00:00Z',
+    '2026/02/28/ci/app-5e6f7a8b': '2026-02-28T08:00:00Z',
+  };
+
+  return createFakeCommandStream((command) => {
+    commands.push(command);
+
+    if (command === 'gh api user --jq .login') {
+      return createCommandResult({ stdout: 'me\n' });
+    }
+    if (command.startsWith('gh api repos/me/private-logs --jq')) {
+      return createCommandResult({
+        stdout: '{"defaultBranch":"main","visibility":"private"}\n',
+      });
+    }
+    if (command.startsWith('gh api -X GET repos/me/private-logs/git/trees/')) {
+      return createCommandResult({
+        stdout: JSON.stringify({
+          truncated: false,
+          files: [
+            'README.md',
+            '.gh-upload-log.json',
+            '2026/01/20/ci/app-1a2b3c4d/app.log.txt',
+            '2026/01/20/ci/app-1a2b3c4d/manifest.json',
+            '2026/02/28/ci/app-5e6f7a8b/app.log.txt',
+            '2026/02/28/ci/app-5e6f7a8b/manifest.json',
+            'log-old/old.part-01.log.txt',
+            'log-old/old.part-02.log.txt',
+          ].map((filePath) => ({ path: filePath, size: 100 })),
+        }),
+      });
+    }
+    const manifestMatch = command.match(
+      /^gh api repos\/me\/private-logs\/contents\/(.+)\/manifest\.json/
+    );
+    if (manifestMatch) {
+      const manifest = { createdAt: manifestDates[manifestMatch[1]] };
+      return createCommandResult({
+        stdout: Buffer.from(JSON.stringify(manifest)).toString('base64'),
+      });
+    }
+    if (command.includes('repos/me/private-logs/commits -f path=log-old')) {
+      return createCommandResult({ stdout: '2026-02-19T12:00:00Z\n' });
+    }
+    if (command.startsWith('gh api gists --paginate')) {
+      return createCommandResult({
+        stdout: [
+          {
+            id: 'old1',
+            description: 'Log file: app.log [gh-upload-log]',
+            createdAt: '2026-01-01T00:00:00Z',
+            url: 'https://gist.github.com/old1',
+          },
+          {
+            id: 'mine',
+            description: 'Personal notes',
+            createdAt: '2025-01-01T00:00:00Z',
+            url: 'https://gist.github.com/mine',
+          },
+        ]
+          .map((gist) => JSON.stringify(gist))
+          .join('\n'),
+      });
+    }
+    return createCommandResult();
+  });
+}
+
+test('parseDuration - accepts s, m, h, d and w', () => {
+  assert.equal(parseDuration('30d'), 30 * day);
+  assert.equal(parseDuration('12h'), 12 * 60 * 60 * 1000);
+  assert.equal(parseDuration('2w'), 14 * day);
+  assert.throws(() => parseDuration('30 days'));
+  assert.throws(() => parseDuration('-1d'));
+});
+
+test('selectExpiredUploads - keeps the newest uploads and undated ones', () => {
+  const uploads = [
+    { path: 'a', createdAt: '2026-01-01T00:00:00Z' },
+    { path: 'b', createdAt: '2026-02-01T00:00:00Z' },
+    { path: 'c', createdAt: null },
+    { path: 'd', createdAt: '2026-02-25T00:00:00Z' },
+  ];
+  const paths = (expired) => expired.map((upload) => upload.path);
+
+  assert.deepEqual(
+    paths(selectExpiredUploads(uploads, { maxAge: 20 * day, now })),
+    ['b', 'a']
+  );
+  assert.deepEqual(
+    paths(
+      selectExpiredUploads(uploads, { maxAge: 20 * day, keepLast: 3, now })
+    ),
+    ['a']
+  );
+  assert.deepEqual(paths(selectExpiredUploads(uploads, { keepLast: 2, now })), [
+    'b',
+    'a',
+  ]);
+});
+
+test('pruneUploads removes expired folders in a single commit', async () => {
+  const commands = [];
+  const result = await pruneUploads({
+    olderThan: '7d',
+    now,
+    commandStreamFactory: () => createPruneStream(commands),
+  });
+
+  assert.deepEqual(
+    result.repository.removed.map((upload) => upload.path),
+    ['log-old', '2026/01/20/ci/app-1a2b3c4d']
+  );
+  assert.equal(result.repository.kept, 1);
+  assert.equal(result.gists, null);
+
+  const removals = commands.filter((command) => command.includes('git rm'));
+  assert.equal(removals.length, 1);
+  assert.ok(
+    removals[0].endsWith(
+      'git rm -q --cached -- log-old/old.part-01.log.txt log-old/old.part-02.log.txt 2026/01/20/ci/app-1a2b3c4d/app.log.txt 2026/01/20/ci/app-1a2b3c4d/manifest.json'
+    ),
+    removals[0]
+  );
+  assert.equal(
+    commands.filter((command) => command.includes('git commit')).length,
+    1
+  );
+  assert.ok(
+    commands.some((command) => command.endsWith('git push -q origin HEAD:main'))
+  );
+});
+
+test('pruneUploads dry mode reports gists created by the tool without deleting', async () => {
+  const commands = [];
+  const result = await pruneUploads({
+    olderThan: '30d',
+    gists: true,
+    dryMode: true,
+    now,
+    commandStreamFactory: () => createPruneStream(commands),
+  });
+
+  assert.deepEqual(
+    result.repository.removed.map((upload) => upload.path),
+    ['2026/01/20/ci/app-1a2b3c4d']
+  );
+  assert.deepEqual(
+    result.gists.removed.map((gist) => gist.id),
+    ['old1']
+  );
+  assert.equal(result.gists.kept, 0);
+  assert.ok(
+    !commands.some(
+      (command) => command.includes('git rm') || command.includes('DELETE')
+    )
+  );
+});
+
+test('pruneUploads deletes expired gists and requires a policy', async () => {
+  const commands = [];
+  await pruneUploads({
+    keepLast: 5,
+    gists: true,
+    now,
+    commandStreamFactory: () => createPruneStream(commands),
+  });
+
+  assert.ok(!commands.includes('gh api -X DELETE gists/old1'));
+  assert.ok(!commands.some((command) => command.includes('git rm')));
+
+  await pruneUploads({
+    olderThan: '30d',
+    gists: true,
+    now,
+    commandStreamFactory: () => createPruneStream(commands),
+  });
+  assert.ok(commands.includes('gh api -X DELETE gists/old1'));
+  assert.ok(!commands.includes('gh api -X DELETE gists/mine'));
+
+  let caught;
+  try {
+    await pruneUploads({ commandStreamFactory: () => createPruneStream() });
+  } catch (error) {
+    caught = error;
+  }
+  assert.ok(caught?.message.includes('olderThan or keepLast'));
+});
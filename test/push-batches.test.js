@@ -0,0 +1,172 @@
+/**
+ * Tests for spreading repository uploads over several pushes
+ */
+
+import { test, assert } from 'test-anywhere';
+import fs from 'node:fs';
+import path from 'node:path';
+import { uploadLogs } from '../src/index.js';
+import { parseFileSize } from '../src/common.js';
+import { getBatchCommitMessage, planPushBatches } from '../src/push-batches.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const fixturesDir = createFixtureDir('push-batches');
+const stagedDir = path.join(fixturesDir, 'staged');
+fs.mkdirSync(stagedDir, { recursive: true });
+for (const name of ['b.part-01.log.txt', 'b.part-00.log.txt', 'a.log.txt']) {
+  fs.writeFileSync(path.join(stagedDir, name), 'x'.repeat(40));
+}
+fs.writeFileSync(path.join(stagedDir, 'manifest.json'), '{}');
+
+const logPaths = ['one', 'two', 'three'].map((name) => {
+  const logPath = path.join(fixturesDir, `${name}.log`);
+  fs.writeFileSync(logPath, `${name}\n`.repeat(10));
+  return logPath;
+});
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+function createSharedRepositoryStream(commands, { failPush } = {}) {
+  let pushes = 0;
+
+  return createFakeCommandStream((command) => {
+    commands.push(command);
+    if (command === 'gh api user --jq .login') {
+      return createCommandResult({ stdout: 'test-user\n' });
+    }
+    if (command.startsWith('gh api repos/test-user/private-logs --jq')) {
+      return createCommandResult({
+        stdout: '{"defaultBranch":"main","visibility":"private"}\n',
+      });
+    }
+    if (command.includes('/contents/')) {
+      return createCommandResult({
+        code: 1,
+        stderr: 'gh: Not Found (HTTP 404)',
+      });
+    }
+    if (command.endsWith('git push -u origin main')) {
+      pushes += 1;
+      if (pushes === failPush) {
+        return createCommandResult({
+          code: 1,
+          stderr: 'remote: fatal: pack exceeds maximum allowed size',
+        });
+      }
+    }
+    return createCommandResult();
+  });
+}
+
+test('parseFileSize reads plain bytes and 1024-based units', () => {
+  assert.equal(parseFileSize(2048), 2048);
+  assert.equal(parseFileSize('512'), 512);
+  assert.equal(parseFileSize('500MB'), 500 * 1024 * 1024);
+  assert.equal(parseFileSize('1.5 GB'), 1.5 * 1024 ** 3);
+  assert.equal(parseFileSize('2k'), 2048);
+  assert.throws(() => parseFileSize('0MB'));
+  assert.throws(() => parseFileSize('lots'));
+});
+
+test('planPushBatches keeps parts in order under the budget and the manifest last', () => {
+  assert.deepEqual(
+    planPushBatches(stagedDir, 100).map((batch) => batch.files),
+    [
+      ['a.log.txt', 'b.part-00.log.txt'],
+      ['b.part-01.log.txt', 'manifest.json'],
+    ]
+  );
+  assert.deepEqual(
+    planPushBatches(stagedDir, 10).map((batch) => batch.files.length),
+    [1, 1, 2]
+  );
+  assert.equal(planPushBatches(stagedDir).length, 1);
+  assert.equal(getBatchCommitMessage('Add log file', 0, 1), 'Add log file');
+  assert.equal(
+    getBatchCommitMessage('Add log file', 1, 3),
+    'Add log file (push 2 of 3)'
+  );
+});
+
+test('uploadLogs pushes shared-repository uploads in batches', async () => {
+  const commands = [];
+  const result = await uploadLogs({
+    filePaths: logPaths,
+    onlyRepository: true,
+    transport: 'gh',
+    maxPushSize: 50,
+    commandStreamFactory: () => createSharedRepositoryStream(commands),
+  });
+
+  const pushes = commands.filter((command) =>
+    command.endsWith('git push -u origin main')
+  );
+  const commits = commands.filter((command) => command.includes('git commit'));
+  assert.equal(pushes.length, 3);
+  assert.ok(commits[0].endsWith('(push 1 of 3)'));
+  assert.ok(commits[2].endsWith('(push 3 of 3)'));
+  const partialAdd = commands.find((command) => command.includes('git add --'));
+  assert.ok(
+    partialAdd.endsWith(
+      `${result.repositoryPath}/test-fixtures-push-batches-one.log.txt`
+    )
+  );
+  assert.ok(commands.some((command) => command.endsWith('git add .')));
+  fs.rmSync(result.workDir, { recursive: true, force: true });
+});
+
+test('uploadLogs reports the files that landed when a later push fails', async () => {
+  const commands = [];
+  const error = await uploadLogs({
+    filePaths: logPaths,
+    onlyRepository: true,
+    transport: 'gh',
+    maxPushSize: 50,
+    logger: { log() {}, error() {}, warn() {} },
+    commandStreamFactory: () =>
+      createSharedRepositoryStream(commands, { failPush: 2 }),
+  }).catch((caught) => caught);
+
+  assert.ok(error instanceof Error);
+  assert.deepEqual(error.landedFiles, [
+    'test-fixtures-push-batches-one.log.txt',
+  ]);
+  assert.deepEqual(error.pendingFiles, [
+    'test-fixtures-push-batches-three.log.txt',
+    'test-fixtures-push-batches-two.log.txt',
+    'manifest.json',
+  ]);
+  assert.ok(error.message.includes('Push 2 of 3 failed after 1 file(s)'));
+});
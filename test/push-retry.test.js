@@ -0,0 +1,257 @@
+/**
+ * Tests for retrying shared-repository pushes that lost a race
+ */
+
+import { test, assert } from 'test-anywhere';
+import fs from 'node:fs';
+import path from 'node:path';
+import { uploadLog } from '../src/index.js';
+import { isRejectedPushError, pushWithRetry } from '../src/push-retry.js';
+import { createDefaultLogger } from '../src/common.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const fixturesDir = createFixtureDir('push-retry');
+const logPath = path.join(fixturesDir, 'app.log');
+fs.writeFileSync(logPath, 'line 1\nline 2\n');
+
+const rejectedPush = [
+  'To https://github.com/test-user/private-logs.git',
+  ' ! [rejected]        main -> main (fetch first)',
+  "error: failed to push some refs to 'https://github.com/test-user/private-logs.git'",
+].join('\n');
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+function createResponse(status, body) {
+  const text = body === undefined ? '' : JSON.stringify(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    text: () => Promise.resolve(text),
+  };
+}
+
+test('isRejectedPushError recognizes pushes rejected by a moved branch', () => {
+  assert.equal(isRejectedPushError(rejectedPush), true);
+  assert.equal(
+    isRejectedPushError(' ! [rejected] main -> main (non-fast-forward)'),
+    true
+  );
+  assert.equal(
+    isRejectedPushError('remote: Permission to x denied (HTTP 403)'),
+    false
+  );
+});
+
+test('pushWithRetry gives up once the retries are used', async () => {
+  let pushes = 0;
+  let rebases = 0;
+  const error = await pushWithRetry({
+    target: 'private-logs/main',
+    log: createDefaultLogger({ logger: { log() {} } }),
+    retries: 1,
+    maxRetryDelay: 5,
+    isRace: () => true,
+    push: () => {
+      pushes += 1;
+      throw new Error('Failed to push');
+    },
+    rebase: () => {
+      rebases += 1;
+    },
+  }).catch((caught) => caught);
+
+  assert.equal(pushes, 2);
+  assert.equal(rebases, 1);
+  assert.ok(error.message.includes('gave up after 2 attempts'));
+});
+
+test('pushWithRetry counts transient failures and lost races together', async () => {
+  const failures = [
+    Object.assign(new Error('HTTP 502'), { category: 'transient' }),
+    Object.assign(new Error('rejected'), { race: true }),
+    Object.assign(new Error('HTTP 503'), { category: 'transient' }),
+  ];
+  let pushes = 0;
+  let rebases = 0;
+  const error = await pushWithRetry({
+    target: 'private-logs/main',
+    log: createDefaultLogger({ logger: { log() {}, warn() {} } }),
+    retries: 2,
+    maxRetryDelay: 5,
+    isRace: (caught) => caught.race === true,
+    push: () => {
+      pushes += 1;
+      throw failures.shift();
+    },
+    rebase: () => {
+      rebases += 1;
+    },
+  }).catch((caught) => caught);
+
+  assert.equal(error.message, 'HTTP 503');
+  assert.equal(pushes, 3, 'one budget for both kinds of failure');
+  assert.equal(rebases, 1, 'only a lost race moves the commit');
+
+  const final = await pushWithRetry({
+    target: 'private-logs/main',
+    log: createDefaultLogger({ logger: { log() {} } }),
+    maxRetryDelay: 5,
+    isRace: () => false,
+    push: () => {
+      throw Object.assign(new Error('denied'), { category: 'auth' });
+    },
+    rebase: () => {},
+  }).catch((caught) => caught);
+  assert.equal(final.message, 'denied');
+});
+
+test('uploadLog rebases and pushes again when another job pushed first', async () => {
+  const commands = [];
+  let pushes = 0;
+  const result = await uploadLog({
+    filePath: logPath,
+    onlyRepository: true,
+    transport: 'gh',
+    retries: 2,
+    maxRetryDelay: 5,
+    commandStreamFactory: () =>
+      createFakeCommandStream((command) => {
+        commands.push(command);
+        if (command === 'gh api user --jq .login') {
+          return createCommandResult({ stdout: 'test-user\n' });
+        }
+        if (command.startsWith('gh api repos/test-user/private-logs --jq')) {
+          return createCommandResult({
+            stdout: '{"defaultBranch":"main","visibility":"private"}\n',
+          });
+        }
+        if (command.includes('/contents/')) {
+          return createCommandResult({
+            code: 1,
+            stderr: 'gh: Not Found (HTTP 404)',
+          });
+        }
+        if (command.endsWith('git push -u origin main')) {
+          pushes += 1;
+          return (
+            [
+              createCommandResult({ code: 1, stderr: rejectedPush }),
+              createCommandResult({
+                code: 1,
+                stderr:
+                  "fatal: unable to access 'https://github.com/test-user/private-logs.git/': The requested URL returned error: 502",
+              }),
+            ][pushes - 1] || createCommandResult()
+          );
+        }
+        return createCommandResult();
+      }),
+  });
+
+  assert.equal(result.type, 'repo');
+  assert.equal(pushes, 3, 'a lost race and a 502 use up the two retries');
+  const fetches = commands.filter((command) =>
+    command.includes('git fetch --depth 1')
+  );
+  assert.equal(fetches.length, 2);
+  assert.ok(
+    commands.some((command) =>
+      command.endsWith('git rebase --onto FETCH_HEAD HEAD~1')
+    )
+  );
+  fs.rmSync(result.workDir, { recursive: true, force: true });
+});
+
+test('uploadLog rebuilds the REST commit on the new head when the branch moved', async () => {
+  const repo = '/repos/test-user/private-logs';
+  const commits = [];
+  let head = 'head-1';
+  let refUpdates = 0;
+  const routes = {
+    'GET /user': () => [200, { login: 'test-user' }],
+    [`GET ${repo}`]: () => [
+      200,
+      { default_branch: 'main', visibility: 'private' },
+    ],
+    [`GET ${repo}/git/ref/heads/main`]: () => [200, { object: { sha: head } }],
+    [`GET ${repo}/git/commits/head-1`]: () => [200, { tree: { sha: 'tree' } }],
+    [`GET ${repo}/git/commits/head-2`]: () => [200, { tree: { sha: 'tree' } }],
+    [`POST ${repo}/git/blobs`]: () => [201, { sha: 'blob' }],
+    [`POST ${repo}/git/trees`]: () => [201, { sha: 'new-tree' }],
+    [`POST ${repo}/git/commits`]: (body) => {
+      commits.push(body.parents);
+      return [201, { sha: `commit-${commits.length}` }];
+    },
+    [`PATCH ${repo}/git/refs/heads/main`]: () => {
+      refUpdates += 1;
+      if (refUpdates === 1) {
+        head = 'head-2';
+        return [422, { message: 'Update is not a fast forward' }];
+      }
+      return [200, {}];
+    },
+  };
+  let blobUploads = 0;
+
+  const result = await uploadLog({
+    filePath: logPath,
+    onlyRepository: true,
+    transport: 'api',
+    maxRetryDelay: 5,
+    token: 'secret',
+    fetch: async (url, init = {}) => {
+      const key = `${init.method || 'GET'} ${url.replace('https://api.github.com', '')}`;
+      let body;
+      if (typeof init.body === 'string') {
+        body = JSON.parse(init.body);
+      } else if (init.body) {
+        blobUploads += 1;
+        for await (const chunk of init.body) {
+          void chunk;
+        }
+      }
+      const handler = routes[key];
+      return handler
+        ? createResponse(...handler(body))
+        : createResponse(404, { message: 'Not Found' });
+    },
+  });
+
+  assert.equal(result.commitSha, 'commit-2');
+  assert.deepEqual(commits, [['head-1'], ['head-2']]);
+  assert.equal(refUpdates, 2);
+  assert.equal(blobUploads, 2);
+});
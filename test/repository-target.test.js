@@ -0,0 +1,212 @@
+/**
+ * Tests for explicit shared-repository targets and path prefixes
+ */
+
+import { test, assert } from 'test-anywhere';
+import fs from 'node:fs';
+import path from 'node:path';
+import { uploadLog } from '../src/index.js';
+import {
+  expandPathPrefix,
+  resolveSharedRepositoryTarget,
+} from '../src/repository-staging.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const logPath = path.join(createFixtureDir('repository-target'), 'app.log');
+const folder = 'log-test-fixtures-repository-target-app';
+fs.writeFileSync(logPath, 'nightly build\n');
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+/**
+ * Fake `gh` for an organization repository with the given metadata
+ * (null means the repository does not exist yet)
+ */
+function createOrganizationStream(metadata, commands = []) {
+  return createFakeCommandStream((command) => {
+    commands.push(command);
+
+    if (command === 'gh api user --jq .login') {
+      return createCommandResult({ stdout: 'ci-bot\n' });
+    }
+    if (command.startsWith('gh api repos/our-org/ci-logs --jq')) {
+      return metadata
+        ? createCommandResult({ stdout: `${JSON.stringify(metadata)}\n` })
+        : createCommandResult({
+            code: 1,
+            stderr: 'gh: Not Found (HTTP 404)\n',
+          });
+    }
+    if (command.startsWith('gh api repos/our-org/ci-logs/contents/')) {
+      return createCommandResult({
+        code: 1,
+        stderr: 'gh: Not Found (HTTP 404)\n',
+      });
+    }
+    return createCommandResult();
+  });
+}
+
+function uploadToOrganization(stream, options = {}) {
+  return uploadLog({
+    filePath: logPath,
+    onlyRepository: true,
+    repository: 'our-org/ci-logs',
+    commandStreamFactory: () => stream,
+    ...options,
+  });
+}
+
+test('resolveSharedRepositoryTarget - defaults, bare names and owner/name', () => {
+  assert.deepEqual(resolveSharedRepositoryTarget({}, 'me'), {
+    owner: 'me',
+    repositoryName: 'private-logs',
+  });
+  assert.deepEqual(resolveSharedRepositoryTarget({ isPublic: true }, 'me'), {
+    owner: 'me',
+    repositoryName: 'public-logs',
+  });
+  assert.deepEqual(
+    resolveSharedRepositoryTarget({ repository: 'logs' }, 'me'),
+    {
+      owner: 'me',
+      repositoryName: 'logs',
+    }
+  );
+  assert.deepEqual(
+    resolveSharedRepositoryTarget({ repository: 'our-org/ci-logs' }, 'me'),
+    { owner: 'our-org', repositoryName: 'ci-logs' }
+  );
+  assert.throws(() =>
+    resolveSharedRepositoryTarget({ repository: 'a/b/c' }, 'me')
+  );
+});
+
+test('expandPathPrefix - expands {date} and normalizes slashes', () => {
+  const date = new Date('2026-01-31T23:00:00Z');
+  assert.equal(expandPathPrefix('nightly/{date}/', date), 'nightly/2026-01-31');
+  assert.equal(expandPathPrefix('//a\\b//', date), 'a/b');
+  assert.equal(expandPathPrefix('', date), '');
+  assert.throws(() => expandPathPrefix('../escape', date));
+});
+
+test('uploadLog creates a missing organization repository and uses the prefix', async () => {
+  const commands = [];
+  const result = await uploadToOrganization(
+    createOrganizationStream(null, commands),
+    { pathPrefix: 'nightly/{date}/' }
+  );
+  fs.rmSync(result.workDir, { recursive: true, force: true });
+
+  const today = new Date().toISOString().slice(0, 10);
+  const { repositoryPath } = result;
+  assert.match(
+    repositoryPath,
+    new RegExp(
+      `^nightly/${today}/${today.replaceAll('-', '/')}/[^/]+/test-fixtures-repository-target-app-[0-9a-f]{8}$`
+    )
+  );
+  assert.ok(commands.includes('gh repo create our-org/ci-logs --private'));
+  assert.ok(
+    commands.some((command) =>
+      command.startsWith(
+        'gh api -X PUT repos/our-org/ci-logs/contents/.gh-upload-log.json'
+      )
+    )
+  );
+  assert.ok(
+    commands.some((command) =>
+      command.endsWith(
+        'git remote add origin https://github.com/our-org/ci-logs.git'
+      )
+    )
+  );
+  assert.ok(
+    commands.some((command) =>
+      command.endsWith(`git sparse-checkout add ${repositoryPath}`)
+    )
+  );
+  assert.equal(result.repositoryName, 'ci-logs');
+  assert.equal(
+    result.url,
+    `https://github.com/our-org/ci-logs/tree/main/${repositoryPath}`
+  );
+});
+
+test('uploadLog accepts internal organization repositories for private uploads', async () => {
+  const commands = [];
+  const result = await uploadToOrganization(
+    createOrganizationStream(
+      { defaultBranch: 'trunk', visibility: 'internal', canPush: true },
+      commands
+    )
+  );
+  fs.rmSync(result.workDir, { recursive: true, force: true });
+
+  assert.ok(!commands.some((command) => command.includes('gh repo create')));
+  assert.equal(
+    result.url,
+    `https://github.com/our-org/ci-logs/tree/trunk/${folder}`
+  );
+});
+
+test('uploadLog rejects repositories without push access or with the wrong visibility', async () => {
+  const failures = [
+    [{ visibility: 'private', canPush: false }, {}, 'No push access'],
+    [
+      { visibility: 'public', canPush: true },
+      {},
+      'expected private or internal',
+    ],
+    [
+      { visibility: 'internal', canPush: true },
+      { isPublic: true },
+      'expected public',
+    ],
+  ];
+
+  for (const [metadata, options, message] of failures) {
+    let caught;
+    try {
+      await uploadToOrganization(createOrganizationStream(metadata), {
+        ...options,
+        logger: { log() {}, error() {}, warn() {}, debug() {} },
+      });
+    } catch (error) {
+      caught = error;
+    }
+    assert.ok(caught?.message.includes(message), caught?.message);
+  }
+});
@@ -0,0 +1,216 @@
+/**
+ * Tests for resumable repository uploads
+ */
+
+import { test, assert } from 'test-anywhere';
+import fs from 'node:fs';
+import path from 'node:path';
+import { resumeUpload, uploadLogs } from '../src/index.js';
+import { listUploadStates, readUploadState } from '../src/upload-state.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const fixturesDir = createFixtureDir('resume');
+const stateDir = path.join(fixturesDir, 'state');
+
+const logPaths = ['one', 'two', 'three'].map((name) => {
+  const logPath = path.join(fixturesDir, `${name}.log`);
+  fs.writeFileSync(logPath, `${name}\n`.repeat(10));
+  return logPath;
+});
+const fileName = (name) => `test-fixtures-resume-${name}.log.txt`;
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+/**
+ * Fake a shared repository; `trees` maps a revision to `{ name: blobSha }`
+ */
+function createSharedRepositoryStream(commands, { failPush, trees = {} }) {
+  let pushes = 0;
+
+  return createFakeCommandStream((command) => {
+    commands.push(command);
+    if (command === 'gh api user --jq .login') {
+      return createCommandResult({ stdout: 'test-user\n' });
+    }
+    if (command.startsWith('gh api repos/test-user/private-logs --jq')) {
+      return createCommandResult({
+        stdout: '{"defaultBranch":"main","visibility":"private"}\n',
+      });
+    }
+    if (command.includes('/contents/')) {
+      return createCommandResult({
+        code: 1,
+        stderr: 'gh: Not Found (HTTP 404)',
+      });
+    }
+    if (command.endsWith('git push -u origin main')) {
+      pushes += 1;
+      if (pushes === failPush) {
+        return createCommandResult({
+          code: 128,
+          stderr: 'fatal: unable to access: Could not resolve host',
+        });
+      }
+    }
+    if (command.endsWith('git rev-parse HEAD')) {
+      return createCommandResult({ stdout: `commit-${pushes}\n` });
+    }
+
+    const lsTree = /git ls-tree (\S+) -- (\S+)\/$/.exec(command);
+    if (lsTree) {
+      const blobs = trees[lsTree[1]] || {};
+      return createCommandResult({
+        stdout: Object.entries(blobs)
+          .map(
+            ([name, sha]) =>
+              `100644 blob ${sha}\t${lsTree[2]}/${fileName(name)}`
+          )
+          .join('\n'),
+      });
+    }
+    return createCommandResult();
+  });
+}
+
+test('resumable uploads keep their state and continue from the last confirmed push', async () => {
+  const uploadCommands = [];
+  const error = await uploadLogs({
+    filePaths: logPaths,
+    onlyRepository: true,
+    transport: 'gh',
+    maxPushSize: 50,
+    resumable: true,
+    stateDir,
+    retries: 0,
+    logger: { log() {}, error() {}, warn() {} },
+    commandStreamFactory: () =>
+      createSharedRepositoryStream(uploadCommands, { failPush: 2 }),
+  }).catch((caught) => caught);
+
+  assert.ok(error instanceof Error);
+  assert.ok(error.message.includes(`gh-upload-log resume ${error.resumeId}`));
+  const state = readUploadState(stateDir, error.resumeId);
+  assert.deepEqual(state.landedFiles, [fileName('one')]);
+  assert.equal(state.remoteCommit, 'commit-1');
+  assert.ok(fs.existsSync(path.join(state.workDir, state.repositoryPath)));
+
+  // "three" was committed locally, but its push never arrived
+  const resumeCommands = [];
+  const result = await resumeUpload(error.resumeId, {
+    stateDir,
+    commandStreamFactory: () =>
+      createSharedRepositoryStream(resumeCommands, {
+        trees: {
+          FETCH_HEAD: { one: 'aaa' },
+          HEAD: { one: 'aaa', three: 'ccc' },
+        },
+      }),
+  });
+
+  assert.deepEqual(result.skippedFiles, [fileName('one')]);
+  assert.deepEqual(result.pushedFiles, [
+    fileName('three'),
+    fileName('two'),
+    'manifest.json',
+  ]);
+  assert.ok(
+    resumeCommands.includes(
+      `cd ${state.workDir} && git reset --mixed FETCH_HEAD`
+    )
+  );
+  assert.equal(
+    resumeCommands.filter((command) =>
+      command.endsWith('git push -u origin main')
+    ).length,
+    2
+  );
+  assert.deepEqual(listUploadStates(stateDir), []);
+  fs.rmSync(state.workDir, { recursive: true, force: true });
+});
+
+test('resumeUpload rejects unknown ids and non-resumable transports', async () => {
+  const error = await resumeUpload('log-missing-000000', { stateDir }).catch(
+    (caught) => caught
+  );
+  assert.ok(error.message.includes('No resumable upload "log-missing-000000"'));
+
+  const transportError = await uploadLogs({
+    filePaths: logPaths,
+    onlyRepository: true,
+    transport: 'api',
+    token: 'secret',
+    resumable: true,
+    logger: { log() {}, error() {}, warn() {} },
+  }).catch((caught) => caught);
+  assert.ok(transportError.message.includes('--transport gh'));
+});
+
+test('listUploadStates skips files that are not upload states', async () => {
+  const brokenDir = path.join(fixturesDir, 'broken-state');
+  fs.mkdirSync(brokenDir, { recursive: true });
+  fs.writeFileSync(path.join(brokenDir, 'cut-short.json'), '{"id": "log-');
+  fs.writeFileSync(path.join(brokenDir, 'foreign.json'), '[1, 2]');
+  fs.writeFileSync(
+    path.join(brokenDir, 'log-app-000001.json'),
+    JSON.stringify({
+      version: 1,
+      id: 'log-app-000001',
+      createdAt: '2026-03-01T00:00:00Z',
+    })
+  );
+  const skipped = [];
+  const log = { debug: (message) => skipped.push(message()) };
+
+  assert.deepEqual(
+    listUploadStates(brokenDir, log).map((state) => state.id),
+    ['log-app-000001']
+  );
+  assert.equal(skipped.length, 2);
+
+  const error = (() => {
+    try {
+      readUploadState(brokenDir, 'cut-short');
+    } catch (caught) {
+      return caught;
+    }
+    return null;
+  })();
+  assert.equal(error?.code, 'INVALID_USAGE');
+  const missing = await resumeUpload('log-other-000002', {
+    stateDir: brokenDir,
+  }).catch((caught) => caught);
+  assert.equal(missing.code, 'NOT_FOUND');
+  assert.ok(missing.message.endsWith('known uploads: log-app-000001'));
+});
@@ -0,0 +1,390 @@
+/**
+ * Tests for retrying transient GitHub failures
+ */
+
+import { test, assert } from 'test-anywhere';
+import fs from 'node:fs';
+import path from 'node:path';
+import { uploadLog } from '../src/index.js';
+import { getCommandStream } from '../src/common.js';
+import {
+  describeStagedGist,
+  recoverCreatedGist,
+} from '../src/create-recovery.js';
+import { createGitHubClient } from '../src/github-api.js';
+import {
+  classifyCommandFailure,
+  classifyHttpFailure,
+  getRetryDelay,
+  readRetryAfter,
+} from '../src/retry.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const fixturesDir = createFixtureDir('retry');
+const logPath = path.join(fixturesDir, 'app.log');
+fs.writeFileSync(logPath, 'line 1\n');
+
+const silentLogger = { log() {}, error() {}, warn() {} };
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+function createResponse(status, body, headers = {}) {
+  const text = body === undefined ? '' : JSON.stringify(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers,
+    text: () => Promise.resolve(text),
+  };
+}
+
+test('classifyHttpFailure tells transient, rate-limit and final failures apart', () => {
+  assert.equal(classifyHttpFailure(502).category, 'transient');
+  assert.equal(classifyHttpFailure(401).category, 'auth');
+  assert.equal(
+    classifyHttpFailure(403, 'Resource not accessible').category,
+    'auth'
+  );
+  assert.equal(classifyHttpFailure(404).category, 'not-found');
+  assert.equal(classifyHttpFailure(422).category, 'validation');
+  assert.deepEqual(
+    classifyHttpFailure(403, 'You have exceeded a secondary rate limit', {
+      'retry-after': '7',
+    }),
+    { category: 'rate-limit', retryAfter: 7000 }
+  );
+  assert.equal(
+    readRetryAfter(
+      { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1060' },
+      1000 * 1000
+    ),
+    60 * 1000
+  );
+});
+
+test('classifyCommandFailure reads gh and git output', () => {
+  assert.equal(
+    classifyCommandFailure(
+      'HTTP 502: Server Error (https://api.github.com/gists)'
+    ).category,
+    'transient'
+  );
+  assert.equal(
+    classifyCommandFailure('gh: You have exceeded a secondary rate limit')
+      .category,
+    'rate-limit'
+  );
+  assert.equal(
+    classifyCommandFailure('fatal: unable to access: Could not resolve host')
+      .category,
+    'transient'
+  );
+  assert.equal(
+    classifyCommandFailure('HTTP 401: Bad credentials').category,
+    'auth'
+  );
+  assert.equal(
+    classifyCommandFailure('gh: Not Found (HTTP 404)').category,
+    'not-found'
+  );
+  assert.equal(
+    classifyCommandFailure('error: RPC failed; HTTP 413').category,
+    'unknown'
+  );
+  assert.equal(
+    classifyCommandFailure(
+      "error: pathspec 'build-502.log' did not match any file(s) known to git"
+    ).category,
+    'unknown'
+  );
+  assert.equal(
+    classifyCommandFailure('rm: results/not found.log: No such file').category,
+    'unknown'
+  );
+});
+
+test('getRetryDelay doubles up to the cap and honors Retry-After', () => {
+  const half = () => 0.5;
+  assert.equal(getRetryDelay(1, { maxRetryDelay: 60000, random: half }), 750);
+  assert.equal(getRetryDelay(3, { maxRetryDelay: 60000, random: half }), 3000);
+  assert.equal(getRetryDelay(10, { maxRetryDelay: 8000, random: half }), 6000);
+  assert.equal(
+    getRetryDelay(1, { retryAfter: 7000, maxRetryDelay: 60000 }),
+    7000
+  );
+});
+
+test('the REST client retries server errors and stops at final ones', async () => {
+  const statuses = [502, 503, 200];
+  let calls = 0;
+  const client = createGitHubClient({
+    token: 'secret',
+    maxRetryDelay: 5,
+    logger: silentLogger,
+    fetch: () => {
+      calls += 1;
+      const status = statuses.shift();
+      return Promise.resolve(createResponse(status, { login: 'me' }));
+    },
+  });
+
+  const user = await client.getAuthenticatedUser();
+  assert.equal(user.login, 'me');
+  assert.equal(calls, 3);
+
+  let rateLimitCalls = 0;
+  const limited = createGitHubClient({
+    token: 'secret',
+    maxRetryDelay: 5,
+    logger: silentLogger,
+    fetch: () => {
+      rateLimitCalls += 1;
+      return Promise.resolve(
+        createResponse(
+          403,
+          { message: 'API rate limit exceeded' },
+          { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '9999999999' }
+        )
+      );
+    },
+  });
+  const error = await limited.getAuthenticatedUser().catch((caught) => caught);
+  assert.equal(error.category, 'rate-limit');
+  assert.equal(rateLimitCalls, 1, 'a long rate-limit wait is not waited for');
+});
+
+test('the REST client looks for the gist of a failed create call before sending it again', async () => {
+  const requests = [];
+  const listedGists = [];
+  const client = createGitHubClient({
+    token: 'secret',
+    maxRetryDelay: 5,
+    logger: silentLogger,
+    fetch: (url, init) => {
+      const route = url.replace('https://api.github.com', '').split('?')[0];
+      requests.push(`${init.method} ${route}`);
+      if (init.method === 'GET') {
+        return Promise.resolve(createResponse(200, listedGists.splice(0)));
+      }
+      return Promise.resolve(createResponse(502, { message: 'Bad Gateway' }));
+    },
+  });
+  const gist = {
+    description: 'Log file: app.log',
+    isPublic: false,
+    files: { 'app.log.txt': { content: 'line 1\n' } },
+  };
+
+  // Nothing was created: the request is sent again, then given up
+  const error = await client
+    .createGist({ ...gist, description: 'other' })
+    .catch((caught) => caught);
+  assert.equal(error.category, 'transient');
+  assert.deepEqual(requests.splice(0), [
+    'POST /gists',
+    'GET /gists',
+    'POST /gists',
+    'GET /gists',
+    'POST /gists',
+    'GET /gists',
+    'POST /gists',
+  ]);
+
+  // The first attempt went through: its gist is returned, not duplicated
+  listedGists.push(
+    {
+      description: 'Log file: app.log',
+      created_at: '2001-01-01T00:00:00Z',
+      html_url: 'https://gist.github.com/old',
+      files: { 'app.log.txt': { size: 7 } },
+    },
+    {
+      description: 'Log file: app.log',
+      created_at: new Date().toISOString(),
+      html_url: 'https://gist.github.com/abc',
+      files: { 'app.log.txt': { size: 7 } },
+    }
+  );
+  const created = await client.createGist(gist);
+  assert.equal(created.html_url, 'https://gist.github.com/abc');
+  assert.deepEqual(requests, ['POST /gists', 'GET /gists']);
+});
+
+test('create commands run again only after a lookup finds nothing', async () => {
+  const commands = [];
+  let gistCreated = false;
+  const $ = await getCommandStream({
+    retries: 3,
+    maxRetryDelay: 5,
+    logger: silentLogger,
+    commandStreamFactory: () =>
+      createFakeCommandStream((command) => {
+        commands.push(command);
+        if (command.startsWith('gh api gists')) {
+          return createCommandResult({
+            stdout: JSON.stringify(
+              gistCreated
+                ? [
+                    {
+                      description: 'Log file: app.log',
+                      created_at: new Date().toISOString(),
+                      html_url: 'https://gist.github.com/abc',
+                      files: { 'app.log': { size: 7 } },
+                    },
+                  ]
+                : []
+            ),
+          });
+        }
+        gistCreated = command.startsWith('gh gist create');
+        return createCommandResult({
+          code: 1,
+          stderr: 'HTTP 502: Server Error',
+        });
+      }),
+  });
+
+  const expected = describeStagedGist('Log file: app.log', [logPath]);
+  const result = await $({
+    recover: () => recoverCreatedGist($, expected),
+  })`gh gist create ${logPath} --desc ${'Log file: app.log'}`;
+  assert.equal(result.stdout.trim(), 'https://gist.github.com/abc');
+  assert.equal(
+    commands.filter((command) => command.startsWith('gh gist create')).length,
+    1
+  );
+
+  commands.length = 0;
+  const refResult =
+    await $`gh api -X POST repos/me/logs/git/refs -f ref=refs/heads/x`;
+  assert.equal(refResult.category, 'transient');
+  assert.equal(commands.length, 1, 'a create call without a lookup runs once');
+
+  commands.length = 0;
+  await $`gh api -X POST repos/me/logs/git/blobs -f content=x`;
+  assert.equal(commands.length, 4, 'git objects are retried freely');
+});
+
+test('commands failing transiently run again until retries are used up', async () => {
+  let calls = 0;
+  const $ = await getCommandStream({
+    retries: 2,
+    maxRetryDelay: 5,
+    logger: silentLogger,
+    commandStreamFactory: () =>
+      createFakeCommandStream(() => {
+        calls += 1;
+        return createCommandResult({
+          code: 1,
+          stderr: 'HTTP 502: Bad Gateway',
+        });
+      }),
+  });
+
+  const result = await $`gh api user`;
+  assert.equal(calls, 3);
+  assert.equal(result.code, 1);
+  assert.equal(result.category, 'transient');
+
+  calls = 0;
+  await $({ mirror: false })`gh api repos/me/missing`;
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await $({ retries: 0 })`cd /tmp/work && git push -u origin main`;
+  assert.equal(calls, 1, 'callers with their own retries run commands once');
+
+  calls = 0;
+  const local = await $`cd /tmp/work && git add -- build-502.log`;
+  assert.equal(calls, 1, 'local commands run once');
+  assert.equal(local.category, undefined);
+});
+
+test('git commands in folders with spaces and lazy blob fetches are retried', async () => {
+  let calls = 0;
+  const $ = await getCommandStream({
+    retries: 1,
+    maxRetryDelay: 5,
+    logger: silentLogger,
+    commandStreamFactory: () =>
+      createFakeCommandStream(() => {
+        calls += 1;
+        return createCommandResult({
+          code: 128,
+          stderr: 'fatal: unable to access: Could not resolve host: github.com',
+        });
+      }),
+  });
+
+  const workDir = '/tmp/my logs/work';
+  for (const command of [
+    'git push -u origin main',
+    'git checkout -B main FETCH_HEAD',
+    'git reset -q FETCH_HEAD',
+    'git sparse-checkout set nightly',
+  ]) {
+    calls = 0;
+    await $`cd ${workDir} && ${command}`;
+    assert.equal(calls, 2, command);
+  }
+
+  calls = 0;
+  await $`cd '/tmp/my logs/work' && git fetch origin main`;
+  assert.equal(calls, 2, 'quoted folders are skipped too');
+});
+
+test('uploadLog does not fall back to a repository after transient gist failures', async () => {
+  const commands = [];
+  const error = await uploadLog({
+    filePath: logPath,
+    retries: 1,
+    maxRetryDelay: 5,
+    logger: silentLogger,
+    commandStreamFactory: () =>
+      createFakeCommandStream((command) => {
+        commands.push(command);
+        return command.startsWith('gh gist create')
+          ? createCommandResult({ code: 1, stderr: 'HTTP 502: Server Error' })
+          : createCommandResult();
+      }),
+  }).catch((caught) => caught);
+
+  assert.equal(error.category, 'transient');
+  assert.equal(
+    commands.filter((command) => command.startsWith('gh gist create')).length,
+    2
+  );
+  assert.ok(!commands.some((command) => command.includes('git init')));
+});
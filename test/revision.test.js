@@ -0,0 +1,372 @@
+/**
+ * Tests for updating and appending to earlier uploads
+ */
+
+import { test, assert } from 'test-anywhere';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { uploadLog } from '../src/index.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const logPath = path.join(createFixtureDir('revision'), 'app.log');
+const uploadedName = 'test-fixtures-revision-app.log.txt';
+const firstContent = 'line 1\nline 2\n';
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function createCommandResult({ code = 0, stdout = '', stderr = '' } = {}) {
+  return {
+    code,
+    stdout,
+    stderr,
+  };
+}
+
+function buildCommand(strings, values) {
+  let command = '';
+
+  for (let index = 0; index < strings.length; index += 1) {
+    command += strings[index];
+    if (index < values.length) {
+      const value = values[index];
+      command += Array.isArray(value) ? value.join(' ') : String(value);
+    }
+  }
+
+  return command.trim();
+}
+
+function createFakeCommandStream(handler) {
+  const commandStream = (optionsOrStrings, ...values) => {
+    if (Array.isArray(optionsOrStrings?.raw)) {
+      return Promise.resolve(handler(buildCommand(optionsOrStrings, values)));
+    }
+
+    return commandStream;
+  };
+
+  return commandStream;
+}
+
+/**
+ * Manifest of an earlier upload of firstContent as a single file
+ */
+function createFirstManifest() {
+  return {
+    manifestVersion: 1,
+    createdAt: '2026-03-01T00:00:00Z',
+    files: [
+      {
+        name: uploadedName,
+        size: firstContent.length,
+        sha256: sha256(firstContent),
+        compression: null,
+        chunks: [
+          {
+            name: uploadedName,
+            size: firstContent.length,
+            sha256: sha256(firstContent),
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Fake `gh` with one earlier private gist of the log; PATCH payloads are
+ * collected in `patches`
+ */
+function createGistStream(
+  patches,
+  files = [uploadedName, 'manifest.json'],
+  manifest = createFirstManifest()
+) {
+  return createFakeCommandStream((command) => {
+    if (command.startsWith('gh api gists --paginate')) {
+      return createCommandResult({
+        stdout: `${JSON.stringify({
+          id: 'g1',
+          description: 'Log file: app.log [gh-upload-log]',
+          isPublic: false,
+          createdAt: '2026-03-01T00:00:00Z',
+          url: 'https://gist.github.com/me/g1',
+          files,
+          size: firstContent.length,
+        })}\n`,
+      });
+    }
+    if (command.startsWith('gh api gists/g1 --jq')) {
+      return createCommandResult({
+        stdout: `${JSON.stringify(manifest)}\n`,
+      });
+    }
+    if (command.startsWith('gh api -X PATCH gists/g1 --input ')) {
+      const payloadPath = command.split(' ')[6];
+      const payload = JSON.parse(fs.readFileSync(payloadPath, 'utf8'));
+      patches.push(payload);
+      return createCommandResult({
+        stdout: JSON.stringify({
+          url: 'https://gist.github.com/me/g1',
+          version: 'rev2',
+          files: Object.keys(payload.files).map((name) => ({
+            name,
+            rawUrl: `https://gist.githubusercontent.com/me/g1/raw/${name}`,
+          })),
+        }),
+      });
+    }
+    return createCommandResult();
+  });
+}
+
+test('append adds only the new bytes to the earlier gist as a new part', async () => {
+  fs.writeFileSync(logPath, `${firstContent}line 3\n`);
+  const patches = [];
+
+  const result = await uploadLog({
+    filePath: logPath,
+    append: true,
+    commandStreamFactory: () => createGistStream(patches),
+  });
+
+  assert.equal(result.revisionUrl, 'https://gist.github.com/me/g1/rev2');
+  assert.deepEqual(result.revision, {
+    mode: 'append',
+    previousSize: firstContent.length,
+    size: firstContent.length + 7,
+  });
+
+  const { files } = patches[0];
+  assert.equal(
+    files['test-fixtures-revision-app.part-01.log.txt'].content,
+    'line 3\n'
+  );
+  assert.equal(files[uploadedName], undefined);
+  const [record] = JSON.parse(files['manifest.json'].content).files;
+  assert.equal(record.sha256, sha256(`${firstContent}line 3\n`));
+  assert.deepEqual(
+    record.chunks.map((chunk) => chunk.name),
+    [uploadedName, 'test-fixtures-revision-app.part-01.log.txt']
+  );
+});
+
+test('append numbers new parts like the uploaded ones and records their lines', async () => {
+  fs.writeFileSync(logPath, `${firstContent}line 3\nline 4\n`);
+  const partName = (index) =>
+    `test-fixtures-revision-app.part-${String(index).padStart(3, '0')}.log.txt`;
+  const manifest = createFirstManifest();
+  manifest.files[0].chunks = [
+    { name: uploadedName, size: 7, sha256: sha256('line 1\n') },
+    { name: partName(1), size: 7, sha256: sha256('line 2\n') },
+  ];
+  const patches = [];
+
+  await uploadLog({
+    filePath: logPath,
+    append: true,
+    commandStreamFactory: () =>
+      createGistStream(
+        patches,
+        [uploadedName, partName(1), 'manifest.json'],
+        manifest
+      ),
+  });
+
+  const { files } = patches[0];
+  assert.equal(files[partName(2)].content, 'line 3\nline 4\n');
+  const [record] = JSON.parse(files['manifest.json'].content).files;
+  const appended = record.chunks[2];
+  assert.deepEqual(
+    [appended.name, appended.firstLine, appended.lastLine],
+    [partName(2), 3, 4]
+  );
+});
+
+test('append to a gist refuses bytes that are not UTF-8', async () => {
+  fs.writeFileSync(
+    logPath,
+    Buffer.concat([Buffer.from(firstContent), Buffer.from([0xff, 0x0a])])
+  );
+
+  const error = await uploadLog({
+    filePath: logPath,
+    append: true,
+    commandStreamFactory: () => createGistStream([]),
+  }).catch((caught) => caught);
+  assert.ok(error.message.includes('not valid UTF-8'));
+});
+
+test('append refuses logs that no longer start with the uploaded bytes', async () => {
+  fs.writeFileSync(logPath, 'rotated\nline 2\nline 3\n');
+
+  let caught;
+  try {
+    await uploadLog({
+      filePath: logPath,
+      append: true,
+      commandStreamFactory: () => createGistStream([]),
+    });
+  } catch (error) {
+    caught = error;
+  }
+  assert.ok(caught?.message.includes('use update instead of append'));
+});
+
+test('update edits the earlier gist in place and drops appended parts', async () => {
+  fs.writeFileSync(logPath, 'rewritten\n');
+  const patches = [];
+
+  const result = await uploadLog({
+    filePath: logPath,
+    update: true,
+    commandStreamFactory: () =>
+      createGistStream(patches, [
+        uploadedName,
+        'test-fixtures-revision-app.part-01.log.txt',
+        'manifest.json',
+      ]),
+  });
+
+  assert.equal(result.type, 'gist');
+  assert.equal(result.revisionUrl, 'https://gist.github.com/me/g1/rev2');
+  const { files } = patches[0];
+  assert.equal(files[uploadedName].content, 'rewritten\n');
+  assert.equal(files['test-fixtures-revision-app.part-01.log.txt'], null);
+
+  fs.writeFileSync(logPath, firstContent);
+  const unchanged = await uploadLog({
+    filePath: logPath,
+    update: true,
+    commandStreamFactory: () => createGistStream(patches),
+  });
+  assert.equal(unchanged.deduplicated, true);
+  assert.equal(patches.length, 1);
+});
+
+test('update refuses a log that outgrew a gist file', async () => {
+  fs.writeFileSync(logPath, '');
+  fs.truncateSync(logPath, 25 * 1024 * 1024 + 1);
+  const patches = [];
+
+  const error = await uploadLog({
+    filePath: logPath,
+    update: true,
+    onlyGist: true,
+    commandStreamFactory: () => createGistStream(patches),
+  }).catch((caught) => caught);
+
+  assert.equal(error.code, 'INVALID_USAGE');
+  assert.ok(error.message.includes('more than a gist file can hold'));
+  assert.equal(patches.length, 0);
+  fs.writeFileSync(logPath, firstContent);
+});
+
+test('append commits a new part into the earlier shared-repository folder', async () => {
+  fs.writeFileSync(logPath, `${firstContent}line 3\n`);
+  const commands = [];
+  let stagedFiles = [];
+
+  const result = await uploadLog({
+    filePath: logPath,
+    append: true,
+    onlyRepository: true,
+    commandStreamFactory: () =>
+      createFakeCommandStream((command) => {
+        commands.push(command);
+        if (command === 'gh api user --jq .login') {
+          return createCommandResult({ stdout: 'me\n' });
+        }
+        if (command.startsWith('gh api repos/me/private-logs --jq')) {
+          return createCommandResult({
+            stdout: '{"defaultBranch":"main","visibility":"private"}\n',
+          });
+        }
+        if (
+          command.startsWith('gh api -X GET repos/me/private-logs/git/trees/')
+        ) {
+          return createCommandResult({
+            stdout: JSON.stringify({
+              truncated: false,
+              files: [
+                { path: `log-app/${uploadedName}`, size: 14 },
+                { path: 'log-app/manifest.json', size: 300 },
+              ],
+            }),
+          });
+        }
+        if (command.includes('contents/log-app/manifest.json')) {
+          return createCommandResult({
+            stdout: Buffer.from(JSON.stringify(createFirstManifest())).toString(
+              'base64'
+            ),
+          });
+        }
+        if (command.endsWith('&& git add .')) {
+          const workDir = command.split(' ')[1];
+          stagedFiles = fs.readdirSync(path.join(workDir, 'log-app')).sort();
+        }
+        if (command.endsWith('git rev-parse HEAD')) {
+          return createCommandResult({ stdout: 'c0ffee\n' });
+        }
+        return createCommandResult();
+      }),
+  });
+  fs.rmSync(result.workDir, { recursive: true, force: true });
+
+  assert.deepEqual(stagedFiles, [
+    'manifest.json',
+    'test-fixtures-revision-app.part-01.log.txt',
+  ]);
+  assert.ok(
+    commands.some((command) =>
+      command.endsWith(`git commit -m Append 7 bytes to ${uploadedName}`)
+    )
+  );
+  assert.equal(
+    result.revisionUrl,
+    'https://github.com/me/private-logs/tree/c0ffee/log-app'
+  );
+});
+
+test('append to a named folder fails instead of searching when it is gone', async () => {
+  const commands = [];
+
+  const error = await uploadLog({
+    filePath: logPath,
+    append: true,
+    onlyRepository: true,
+    revisionTarget: {
+      type: 'repo',
+      repositoryName: 'private-logs',
+      repositoryPath: 'log-app',
+    },
+    commandStreamFactory: () =>
+      createFakeCommandStream((command) => {
+        commands.push(command);
+        if (command === 'gh api user --jq .login') {
+          return createCommandResult({ stdout: 'me\n' });
+        }
+        if (command.startsWith('gh api repos/me/private-logs --jq')) {
+          return createCommandResult({
+            stdout: '{"defaultBranch":"main","visibility":"private"}\n',
+          });
+        }
+        if (command.startsWith('gh api repos/me/private-logs/contents/')) {
+          return createCommandResult({
+            code: 1,
+            stderr: 'gh: Not Found (HTTP 404)\n',
+          });
+        }
+        return createCommandResult();
+      }),
+  }).catch((caught) => caught);
+
+  assert.equal(error.code, 'NOT_FOUND');
+  assert.ok(error.message.includes('log-app not found'));
+  assert.ok(!commands.some((command) => command.includes('/git/trees/')));
+  assert.ok(!commands.some((command) => command.includes('git push')));
+});
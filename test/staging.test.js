@@ -0,0 +1,117 @@
+/**
+ * Tests for staging files before upload
+ */
+
+import { test, assert } from 'test-anywhere';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createBlobRequestStream } from '../src/github-api.js';
+import {
+  assertStagingSpace,
+  estimateStagingSpace,
+  linkOrCopyFile,
+} from '../src/staging.js';
+import { createFixtureDir } from './helpers/fixtures.js';
+
+const testDir = createFixtureDir('staging');
+
+const logPath = path.join(testDir, 'app.log');
+fs.writeFileSync(logPath, 'line 1\nline 2\n');
+
+test('linkOrCopyFile - links stable sources and replaces an existing target', () => {
+  const targetPath = path.join(testDir, 'staged.log.txt');
+  fs.writeFileSync(targetPath, 'stale');
+
+  assert.equal(linkOrCopyFile(logPath, targetPath, { stable: true }), 'link');
+  assert.equal(fs.statSync(targetPath).ino, fs.statSync(logPath).ino);
+  assert.equal(fs.readFileSync(targetPath, 'utf8'), 'line 1\nline 2\n');
+});
+
+test('linkOrCopyFile - snapshots logs that may still grow', () => {
+  const livePath = path.join(testDir, 'live.log');
+  const targetPath = path.join(testDir, 'live.log.txt');
+  fs.writeFileSync(livePath, 'line 1\n');
+
+  const method = linkOrCopyFile(livePath, targetPath);
+  assert.ok(['clone', 'copy'].includes(method), method);
+  assert.notEqual(fs.statSync(targetPath).ino, fs.statSync(livePath).ino);
+
+  fs.appendFileSync(livePath, 'line 2\n');
+  assert.equal(fs.readFileSync(targetPath, 'utf8'), 'line 1\n');
+});
+
+test('estimateStagingSpace - counts copies, split files and git objects', () => {
+  const stable = [{ sourcePath: logPath, stable: true }];
+  const gist = estimateStagingSpace(stable, {
+    uploadType: 'gist',
+    transport: 'gh',
+    stagingDir: testDir,
+  });
+  assert.deepEqual(gist, { totalBytes: 0, copiedBytes: 0, gitBytes: 0 });
+
+  const live = estimateStagingSpace([{ sourcePath: logPath }], {
+    uploadType: 'gist',
+    transport: 'gh',
+    stagingDir: testDir,
+  });
+  assert.deepEqual(live, { totalBytes: 14, copiedBytes: 14, gitBytes: 0 });
+
+  const repository = estimateStagingSpace(stable, {
+    uploadType: 'repo',
+    transport: 'gh',
+    stagingDir: testDir,
+  });
+  assert.deepEqual(repository, {
+    totalBytes: 14,
+    copiedBytes: 0,
+    gitBytes: 14,
+  });
+
+  const api = estimateStagingSpace(stable, {
+    uploadType: 'repo',
+    transport: 'api',
+    stagingDir: testDir,
+  });
+  assert.equal(api.totalBytes, 0);
+});
+
+test('assertStagingSpace - reports the estimate when space is short', () => {
+  const estimate = {
+    totalBytes: 10 * 1024 ** 3,
+    copiedBytes: 5 * 1024 ** 3,
+    gitBytes: 5 * 1024 ** 3,
+  };
+
+  assertStagingSpace(estimate, 20 * 1024 ** 3, '/tmp');
+  assertStagingSpace(estimate, null, '/tmp');
+
+  let caught;
+  try {
+    assertStagingSpace(estimate, 3 * 1024 ** 3, '/tmp');
+  } catch (error) {
+    caught = error;
+  }
+  assert.equal(caught?.code, 'ENOSPC');
+  assert.equal(caught.name, 'DiskSpaceError');
+  assert.equal(caught.requiredBytes, estimate.totalBytes);
+  assert.ok(caught.message.includes('needs about 10.00 GB'), caught.message);
+  assert.ok(caught.message.includes('3.00 GB is available'), caught.message);
+});
+
+test('createBlobRequestStream - streams the file as a base64 blob body', async () => {
+  const blobPath = path.join(testDir, 'blob.bin');
+  const content = Buffer.alloc(200_001, 0);
+  for (let index = 0; index < content.length; index += 1) {
+    content[index] = (index * 7) % 256;
+  }
+  fs.writeFileSync(blobPath, content);
+
+  const chunks = [];
+  for await (const chunk of createBlobRequestStream(blobPath)) {
+    chunks.push(Buffer.from(chunk));
+  }
+  const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+
+  assert.equal(body.encoding, 'base64');
+  assert.ok(Buffer.from(body.content, 'base64').equals(content));
+});